@@ -0,0 +1,230 @@
+// OAuth token lifecycle for AI Growth Coach
+// The access token lives in chrome.storage.session (memory only, never synced).
+// Which sign-in flow the user picked lives in chrome.storage.local, so after a
+// browser restart the token can be fetched again without a prompt.
+//
+// Two flows:
+// - 'identity': chrome.identity.getAuthToken with the client ID from manifest.json.
+//   Chrome caches and refreshes these tokens itself.
+// - 'webAuthFlow': implicit grant through launchWebAuthFlow with the client ID from
+//   Settings. Tokens carry expires_in; we refresh them silently (prompt=none).
+
+import { AnalyticsError, ErrorCodes } from './errors.js';
+
+export const ANALYTICS_SCOPE = 'https://www.googleapis.com/auth/analytics.readonly';
+export const REVOKE_URL = 'https://oauth2.googleapis.com/revoke';
+
+const SESSION_KEY = 'authSession';
+const ACCOUNT_KEY = 'authAccount';
+
+// Refresh this long before the token expires so a request never starts with a dying token.
+export const EXPIRY_SKEW_MS = 60 * 1000;
+
+export function isTokenFresh(session, now = Date.now()) {
+  return Boolean(session?.token && Number.isFinite(session.expiresAt) && session.expiresAt - EXPIRY_SKEW_MS > now);
+}
+
+export function buildAuthUrl(clientId, scopes, { interactive }) {
+  const params = new URLSearchParams({
+    response_type: 'token',
+    client_id: clientId,
+    redirect_uri: chrome.identity.getRedirectURL(),
+    scope: scopes.join(' '),
+    // Keep earlier grants when a later feature asks for one more scope.
+    include_granted_scopes: 'true',
+    // Silent refresh must never show UI; Google answers interaction_required instead.
+    prompt: interactive ? 'consent' : 'none'
+  });
+  return `https://accounts.google.com/o/oauth2/v2/auth?${params}`;
+}
+
+// The access token comes back in the redirect URL's hash fragment.
+export function parseAuthRedirect(redirectUrl, now = Date.now()) {
+  const params = new URLSearchParams(String(redirectUrl || '').split('#')[1] || '');
+  const error = params.get('error') || new URL(redirectUrl).searchParams.get('error');
+  if (error) {
+    throw new Error(`OAuth error: ${error}`);
+  }
+  const token = params.get('access_token');
+  if (!token) {
+    throw new Error('No access token returned from OAuth flow');
+  }
+  const expiresIn = parseInt(params.get('expires_in') || '', 10);
+  return {
+    token,
+    expiresAt: Number.isFinite(expiresIn) ? now + expiresIn * 1000 : null,
+    scopes: (params.get('scope') || '').split(' ').filter(Boolean)
+  };
+}
+
+function launchWebAuthFlow(url, interactive) {
+  return new Promise((resolve, reject) => {
+    chrome.identity.launchWebAuthFlow({ url, interactive }, (redirectedTo) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (!redirectedTo) {
+        reject(new Error('No redirect URL returned'));
+      } else {
+        resolve(redirectedTo);
+      }
+    });
+  });
+}
+
+async function webAuthFlowToken(clientId, scopes, interactive) {
+  const redirectUrl = await launchWebAuthFlow(buildAuthUrl(clientId, scopes, { interactive }), interactive);
+  return { ...parseAuthRedirect(redirectUrl), method: 'webAuthFlow' };
+}
+
+async function identityToken(scopes, interactive) {
+  const result = await chrome.identity.getAuthToken({ interactive, scopes });
+  // Chrome 105+ resolves { token, grantedScopes }; older builds resolve the bare token.
+  const token = typeof result === 'string' ? result : result?.token;
+  if (!token) {
+    throw new Error('No access token returned by chrome.identity');
+  }
+  return { token, expiresAt: null, scopes: result?.grantedScopes || scopes, method: 'identity' };
+}
+
+async function readAuthState() {
+  const [{ [ACCOUNT_KEY]: account }, { [SESSION_KEY]: session }] = await Promise.all([
+    chrome.storage.local.get(ACCOUNT_KEY),
+    chrome.storage.session.get(SESSION_KEY)
+  ]);
+  return { account: account || null, session: session || null };
+}
+
+// Interactive sign-in. With a clientId (from Settings) this uses launchWebAuthFlow,
+// otherwise the manifest client through chrome.identity.getAuthToken.
+export async function signIn(clientId, { scopes = [ANALYTICS_SCOPE] } = {}) {
+  const session = clientId
+    ? await webAuthFlowToken(clientId, scopes, true)
+    : await identityToken(scopes, true);
+  await chrome.storage.session.set({ [SESSION_KEY]: session });
+  await chrome.storage.local.set({
+    [ACCOUNT_KEY]: { method: session.method, clientId: clientId || null, scopes }
+  });
+  return session.token;
+}
+
+// Incremental authorization: add one scope (e.g. Sheets on the first export) on top of
+// what the user already granted. No prompt when the scope is already part of the account.
+export async function grantScope(scope) {
+  const { account } = await readAuthState();
+  if (!account) {
+    throw new AnalyticsError(ErrorCodes.AUTH_REQUIRED, 'Connect your Google account first.');
+  }
+  if (account.scopes.includes(scope)) {
+    return;
+  }
+  const scopes = [...account.scopes, scope];
+  const session = account.method === 'webAuthFlow'
+    ? await webAuthFlowToken(account.clientId, scopes, true)
+    : await identityToken(scopes, true);
+  // Google's consent screen lets the user untick individual scopes.
+  if (session.scopes.length && !session.scopes.includes(scope)) {
+    throw new AnalyticsError(ErrorCodes.PERMISSION_DENIED, 'The requested Google access was not granted.');
+  }
+  await chrome.storage.session.set({ [SESSION_KEY]: session });
+  await chrome.storage.local.set({ [ACCOUNT_KEY]: { ...account, scopes } });
+}
+
+// A usable access token, refreshed without UI when needed. Throws AUTH_REQUIRED when
+// the user never signed in and AUTH_EXPIRED when a silent refresh is not possible.
+export async function getValidToken({ now = Date.now() } = {}) {
+  const { account, session } = await readAuthState();
+  if (!account) {
+    throw new AnalyticsError(ErrorCodes.AUTH_REQUIRED, 'Connect Google Analytics to see your insights.');
+  }
+  if (account.method === 'webAuthFlow' && isTokenFresh(session, now)) {
+    return session.token;
+  }
+
+  try {
+    // getAuthToken hands out Chrome's cached token and refreshes it when it has expired.
+    const fresh = account.method === 'webAuthFlow'
+      ? await webAuthFlowToken(account.clientId, account.scopes, false)
+      : await identityToken(account.scopes, false);
+    await chrome.storage.session.set({ [SESSION_KEY]: fresh });
+    return fresh.token;
+  } catch (error) {
+    await chrome.storage.session.remove(SESSION_KEY);
+    throw new AnalyticsError(ErrorCodes.AUTH_EXPIRED, 'Your Google sign-in has expired. Sign in again to continue.', {
+      cause: error
+    });
+  }
+}
+
+// Forget a token Google rejected (401) so the next getValidToken() fetches a new one.
+export async function invalidateToken(token) {
+  const { session } = await readAuthState();
+  if (session?.token === token) {
+    await chrome.storage.session.remove(SESSION_KEY);
+  }
+  if (token) {
+    await chrome.identity.removeCachedAuthToken({ token }).catch(() => {});
+  }
+}
+
+// Sign out: revoke the grant at Google and drop every trace of the token locally.
+export async function signOut({ fetchImpl = fetch } = {}) {
+  const { account, session } = await readAuthState();
+  let token = session?.token || null;
+  if (!token && account?.method === 'identity') {
+    // After a browser restart only Chrome's cache holds the token.
+    token = await identityToken(account.scopes, false).then(s => s.token, () => null);
+  }
+
+  await chrome.storage.session.remove(SESSION_KEY);
+  await chrome.storage.local.remove(ACCOUNT_KEY);
+  if (!token) {
+    return { revoked: false };
+  }
+
+  await chrome.identity.removeCachedAuthToken({ token }).catch(() => {});
+  try {
+    const response = await fetchImpl(`${REVOKE_URL}?token=${encodeURIComponent(token)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+    return { revoked: response.ok };
+  } catch {
+    // Offline: the local copies are gone and the token expires on its own within the hour.
+    return { revoked: false };
+  }
+}
+
+export async function getAuthStatus() {
+  const { account, session } = await readAuthState();
+  return {
+    signedIn: Boolean(account),
+    method: account?.method || null,
+    expiresAt: session?.expiresAt ?? null
+  };
+}
+
+// Earlier versions kept the token in chrome.storage.sync (synced across devices).
+// Move it into session storage once and delete the synced copy.
+export async function migrateLegacyToken() {
+  const { authToken, authTokenExpiry, oauthClientId } = await chrome.storage.sync.get([
+    'authToken',
+    'authTokenExpiry',
+    'oauthClientId'
+  ]);
+  if (!authToken) {
+    return false;
+  }
+  await chrome.storage.sync.remove(['authToken', 'authTokenExpiry']);
+  const { account } = await readAuthState();
+  if (!account) {
+    // Only the web auth flow ever stored an expiry.
+    const method = authTokenExpiry && oauthClientId ? 'webAuthFlow' : 'identity';
+    await chrome.storage.local.set({
+      [ACCOUNT_KEY]: { method, clientId: method === 'webAuthFlow' ? oauthClientId : null, scopes: [ANALYTICS_SCOPE] }
+    });
+    await chrome.storage.session.set({
+      [SESSION_KEY]: { token: authToken, expiresAt: authTokenExpiry || null, scopes: [ANALYTICS_SCOPE], method }
+    });
+  }
+  return true;
+}
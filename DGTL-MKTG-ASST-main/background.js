@@ -1,7 +1,20 @@
 // Service Worker for AI Growth Coach Extension
 // Handles OAuth, API calls, and data analysis
 
-let authToken = null;
+import { ErrorCodes, toAnalyticsError } from './errors.js';
+import { fetchGA4Data } from './ga4.js';
+import { getAuthStatus, getValidToken, grantScope, invalidateToken, migrateLegacyToken, signIn, signOut } from './auth.js';
+import { buildExportTables } from './export.js';
+import { SHEETS_SCOPE, exportToSpreadsheet } from './sheets.js';
+import {
+  CACHE_KEY,
+  CACHE_MAX_AGE_MS,
+  REFRESH_ALARM,
+  readCachedAnalytics,
+  refreshAnalytics,
+  runScheduledRefresh,
+  setActiveMode
+} from './refresh.js';
 
 // Promise wrappers for chrome.storage in service worker
 function storageGet(keys) {
@@ -12,7 +25,10 @@ function storageSet(obj) {
   return new Promise(resolve => chrome.storage.sync.set(obj, resolve));
 }
 
-// Mock data for development/fallback
+// Used for alerts until the icons from icon_generator.html are added (48px brand-colour square).
+const FALLBACK_ICON = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAADAAAAAwCAIAAADYYG7QAAAAOklEQVR42u3OQQ0AAAgEoEtrDAObwhbOBxsBSPW8EiEhISEhISEhISEhISEhISEhISEhISEhISGhOws3jT7xw2NCvAAAAABJRU5ErkJggg==';
+
+// Demo data, only served when the user switched on demo mode (storage key `demoMode`)
 const mockData = {
   sessions: [120, 135, 98, 156, 142, 118, 167, 134, 129, 145, 112, 156, 139, 147, 123, 165, 141, 128, 174, 138, 152, 119, 163, 145, 131, 159, 126, 168, 142, 137],
   users: [95, 108, 76, 124, 113, 94, 133, 107, 103, 115, 89, 124, 111, 117, 98, 131, 112, 102, 138, 110, 121, 95, 129, 115, 104, 126, 100, 133, 113, 109],
@@ -31,9 +47,12 @@ const mockData = {
 // Listen for messages from popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'getAnalytics') {
-    handleAnalyticsRequest(request.propertyId)
-      .then(data => sendResponse({ success: true, data }))
-      .catch(error => sendResponse({ success: false, error: error.message }));
+    refreshAnalytics(request.propertyId, handleAnalyticsRequest)
+      .then(({ data }) => sendResponse({ success: true, data }))
+      .catch(error => {
+        const failure = toAnalyticsError(error);
+        sendResponse({ success: false, error: failure.message, code: failure.code, status: failure.status });
+      });
     return true; // Keep the message channel open for async response
   }
   
@@ -44,7 +63,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
 
     authenticateUser(request.clientId)
-      .then(token => sendResponse({ success: true, token }))
+      .then(() => sendResponse({ success: true }))
       .catch(error => {
         // Provide an actionable message for common OAuth errors
         let message = error.message || 'Authentication failed.';
@@ -55,6 +74,50 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       });
     return true;
   }
+
+  if (request.action === 'exportToSheets') {
+    handleSheetsExport(request.propertyId, request.data)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => {
+        const failure = toAnalyticsError(error);
+        sendResponse({ success: false, error: failure.message, code: failure.code, status: failure.status });
+      });
+    return true;
+  }
+
+  if (request.action === 'getCachedAnalytics') {
+    readCachedAnalytics(request.propertyId)
+      .then(data => sendResponse({
+        success: true,
+        data,
+        stale: !data || Date.now() - data.timestamp > CACHE_MAX_AGE_MS
+      }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'setActiveMode') {
+    setActiveMode(request.enabled)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'signOut') {
+    // Cached reports belong to the account that is signing out.
+    chrome.storage.local.remove(CACHE_KEY)
+      .then(() => signOut())
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'getAuthStatus') {
+    getAuthStatus()
+      .then(status => sendResponse({ success: true, ...status }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
   
   if (request.action === 'askQuestion') {
     const answer = processQuestion(request.question, request.data);
@@ -62,96 +125,31 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
-// OAuth Authentication
+// OAuth Authentication (token storage and refresh live in auth.js)
 async function authenticateUser(clientId) {
   try {
-    // If the popup provided a clientId, attempt a web auth flow that requests
-    // an access token directly (implicit flow). Note: using implicit flow
-    // requires that the client be configured to allow the extension's redirect
-    // URI. The redirect URI for Chrome extensions is of the form:
+    // With a clientId from the popup settings this runs the implicit web auth flow.
+    // The client must allow the extension's redirect URI:
     // https://<extension_id>.chromiumapp.org/
+    // Without one, chrome.identity uses the client id from manifest.json.
     if (clientId) {
-      // store client id
       await storageSet({ oauthClientId: clientId });
-
-      const redirectUri = chrome.identity.getRedirectURL();
-      const scopes = encodeURIComponent('https://www.googleapis.com/auth/analytics.readonly');
-      const authUrl = `https://accounts.google.com/o/oauth2/v2/auth?response_type=token&client_id=${encodeURIComponent(clientId)}&redirect_uri=${encodeURIComponent(redirectUri)}&scope=${scopes}&prompt=consent`;
-
-      try {
-        const resultUrl = await new Promise((resolve, reject) => {
-          chrome.identity.launchWebAuthFlow({ url: authUrl, interactive: true }, (redirectedTo) => {
-            if (chrome.runtime.lastError) return reject(new Error(chrome.runtime.lastError.message));
-            if (!redirectedTo) return reject(new Error('No redirect URL returned'));
-            resolve(redirectedTo);
-          });
-        });
-
-        // resultUrl will contain the access token as a hash fragment
-        const hash = resultUrl.split('#')[1] || '';
-        const params = new URLSearchParams(hash);
-        const accessToken = params.get('access_token');
-        const expiresIn = params.get('expires_in');
-
-        if (!accessToken) throw new Error('No access token returned from OAuth flow');
-
-        authToken = accessToken;
-        await storageSet({ authToken: accessToken, authTokenExpiry: expiresIn ? Date.now() + parseInt(expiresIn, 10) * 1000 : null });
-        return accessToken;
-      } catch (err) {
-        console.error('launchWebAuthFlow failed:', err);
-        throw err;
-      }
     }
-
-    // Fallback to the chrome.identity built-in flow which uses the client id
-    // configured in the extension manifest.
-    const details = { interactive: true };
-    const token = await chrome.identity.getAuthToken(details);
-    authToken = token;
-    await storageSet({ authToken: token });
-    return token;
+    return await signIn(clientId);
   } catch (error) {
     console.error('Authentication failed:', error);
     // Bubble up the raw error message so the popup can show a helpful note
-    throw new Error(error && error.message ? error.message : 'Failed to authenticate. Please try again.');
+    throw new Error(error && error.message ? error.message : 'Failed to authenticate. Please try again.', {
+      cause: error
+    });
   }
 }
 
 // Main analytics data handler
+// Real data or a coded AnalyticsError; demo data only when the user chose demo mode.
 async function handleAnalyticsRequest(propertyId) {
-  try {
-    // Check if we have a stored token
-    if (!authToken) {
-      const stored = await storageGet(['authToken']);
-      authToken = stored.authToken;
-    }
-    
-    if (!authToken) {
-      throw new Error('No authentication token. Please authenticate first.');
-    }
-    
-    // Try to fetch real data, fallback to mock
-    let analyticsData;
-    try {
-      analyticsData = await fetchGoogleAnalyticsData(propertyId);
-    } catch (error) {
-      console.warn('GA API failed, using mock data:', error);
-      analyticsData = mockData;
-    }
-    
-    // Analyze the data with our "AI" rules
-    const insights = analyzeDataWithAI(analyticsData);
-    
-    return {
-      raw: analyticsData,
-      insights: insights,
-      timestamp: Date.now()
-    };
-    
-  } catch (error) {
-    console.error('Analytics request failed:', error);
-    // Always fallback to mock data for MVP
+  const { demoMode } = await storageGet(['demoMode']);
+  if (demoMode) {
     return {
       raw: mockData,
       insights: analyzeDataWithAI(mockData),
@@ -159,73 +157,71 @@ async function handleAnalyticsRequest(propertyId) {
       isMockData: true
     };
   }
-}
 
-// Fetch data from Google Analytics API
-async function fetchGoogleAnalyticsData(propertyId) {
-  const endDate = new Date().toISOString().split('T')[0];
-  const startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-  
-  const requestBody = {
-    reportRequests: [{
-      viewId: propertyId,
-      dateRanges: [{ startDate, endDate }],
-      metrics: [
-        { expression: 'ga:sessions' },
-        { expression: 'ga:users' },
-        { expression: 'ga:bounceRate' },
-        { expression: 'ga:avgSessionDuration' }
-      ],
-      dimensions: [
-        { name: 'ga:date' },
-        { name: 'ga:channelGrouping' }
-      ]
-    }]
+  // AUTH_REQUIRED when never signed in; refreshed silently when the token is about to expire.
+  const token = await getValidToken();
+
+  let analyticsData;
+  try {
+    analyticsData = await fetchGoogleAnalyticsData(propertyId, token);
+  } catch (error) {
+    const failure = toAnalyticsError(error);
+    if (failure.code !== ErrorCodes.AUTH_EXPIRED) {
+      console.warn('GA request failed:', failure.code, failure.message);
+      throw failure;
+    }
+    // Google rejected the token before its expiry (revoked, password changed, ...).
+    // Drop it and retry once with a silently refreshed one; when that is not possible
+    // getValidToken() throws AUTH_EXPIRED and the popup offers to sign in again.
+    await invalidateToken(token);
+    analyticsData = await fetchGoogleAnalyticsData(propertyId, await getValidToken());
+  }
+
+  // Analyze the data with our "AI" rules
+  const insights = analyzeDataWithAI(analyticsData);
+
+  return {
+    raw: analyticsData,
+    insights: insights,
+    timestamp: Date.now()
   };
-  
-  const response = await fetch('https://analyticsreporting.googleapis.com/v4/reports:batchGet', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${authToken}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(requestBody)
+}
+
+// Fetch the last 30 days from the GA4 Data API (see ga4.js)
+async function fetchGoogleAnalyticsData(propertyId, token) {
+  return await fetchGA4Data(propertyId, { token });
+}
+
+async function notifyInsight(insight) {
+  const iconUrl = chrome.runtime.getURL('icons/icon128.png');
+  const hasIcon = await fetch(iconUrl).then(r => r.ok, () => false);
+  await chrome.notifications.create(`insight-${Date.now()}-${insight.title}`, {
+    type: 'basic',
+    iconUrl: hasIcon ? iconUrl : FALLBACK_ICON,
+    title: insight.title,
+    message: insight.message,
+    contextMessage: insight.action,
+    priority: 1
   });
-  
-  if (!response.ok) {
-    throw new Error(`GA API error: ${response.status}`);
-  }
-  
-  const data = await response.json();
-  return parseGAResponse(data);
 }
 
-// Parse GA API response into our format
-function parseGAResponse(gaData) {
-  const report = gaData.reports[0];
-  const sessions = [];
-  const users = [];
-  const bounceRate = [];
-  const sources = {};
-  
-  if (report.data && report.data.rows) {
-    report.data.rows.forEach(row => {
-      sessions.push(parseInt(row.metrics[0].values[0]));
-      users.push(parseInt(row.metrics[0].values[1]));
-      bounceRate.push(parseFloat(row.metrics[0].values[2]));
-      
-      const source = row.dimensions[1];
-      sources[source] = (sources[source] || 0) + parseInt(row.metrics[0].values[0]);
-    });
+// Export to Google Sheets: one spreadsheet per property, updated on every export.
+// Asks for the Sheets scope the first time (incremental consent).
+async function handleSheetsExport(propertyId, analyticsData) {
+  await grantScope(SHEETS_SCOPE);
+  const token = await getValidToken();
+
+  const { sheetsExports = {} } = await storageGet(['sheetsExports']);
+  const result = await exportToSpreadsheet(buildExportTables(analyticsData), {
+    token,
+    spreadsheetId: sheetsExports[propertyId] || null,
+    title: `AI Growth Coach – GA4 property ${propertyId}`
+  });
+
+  if (sheetsExports[propertyId] !== result.spreadsheetId) {
+    await storageSet({ sheetsExports: { ...sheetsExports, [propertyId]: result.spreadsheetId } });
   }
-  
-  return {
-    sessions,
-    users,
-    bounceRate,
-    sources,
-    avgSessionDuration: 150 // Placeholder
-  };
+  return result;
 }
 
 // Rule-based AI analysis engine
@@ -367,16 +363,25 @@ function calculatePercentChange(current, previous) {
   return ((current - previous) / previous) * 100;
 }
 
-// Set up periodic data refresh (optional)
+// Periodic data refresh (Active mode)
 chrome.alarms.onAlarm.addListener((alarm) => {
-  if (alarm.name === 'refreshData') {
-    // Could trigger background data refresh here
-    console.log('Scheduled data refresh triggered');
+  if (alarm.name === REFRESH_ALARM) {
+    runScheduledRefresh({ loadReport: handleAnalyticsRequest, notify: notifyInsight })
+      .catch(error => console.warn('Scheduled refresh failed:', error));
   }
 });
 
+// An alert leads back to the full report in the popup.
+chrome.notifications.onClicked.addListener((notificationId) => {
+  chrome.notifications.clear(notificationId);
+  chrome.action.openPopup().catch(() => {});
+});
+
 // Install handler
-chrome.runtime.onInstalled.addListener(() => {
-  // Set up periodic refresh (daily)
-  chrome.alarms.create('refreshData', { periodInMinutes: 1440 });
+chrome.runtime.onInstalled.addListener(async () => {
+  // Set up periodic refresh (daily) unless the user switched Active mode off
+  const { activeMode = true } = await storageGet(['activeMode']);
+  await setActiveMode(activeMode);
+  // Tokens no longer live in synced storage (see auth.js)
+  migrateLegacyToken().catch(error => console.warn('Token migration failed:', error));
 });
\ No newline at end of file
@@ -0,0 +1,67 @@
+// Error model for analytics requests
+// Every failure carries a `code` so the popup can offer the matching recovery
+// action (re-authenticate, check the property ID, retry later, ...) instead of
+// quietly showing demo data.
+
+export const ErrorCodes = Object.freeze({
+  AUTH_REQUIRED: 'auth_required',         // never signed in (no token)
+  AUTH_EXPIRED: 'auth_expired',           // token rejected (401)
+  PERMISSION_DENIED: 'permission_denied', // signed-in account cannot read the property (403)
+  INVALID_PROPERTY: 'invalid_property',   // malformed or unknown property ID (400/404)
+  QUOTA_EXCEEDED: 'quota_exceeded',       // GA4 token quota or rate limit (429)
+  NETWORK_OFFLINE: 'network_offline',     // request never reached Google
+  PARSE_ERROR: 'parse_error',             // response was not the report we asked for
+  API_ERROR: 'api_error'                  // anything else (5xx, unexpected status)
+});
+
+export class AnalyticsError extends Error {
+  constructor(code, message, { status = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'AnalyticsError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Map a failed GA API response (status + parsed error body, if any) to an AnalyticsError.
+export function classifyHttpError(status, payload) {
+  const apiStatus = payload?.error?.status || '';
+  const apiMessage = payload?.error?.message || '';
+  const detail = apiMessage ? ` (${apiMessage})` : '';
+
+  if (status === 401) {
+    return new AnalyticsError(ErrorCodes.AUTH_EXPIRED, 'Your Google sign-in has expired.', { status });
+  }
+  if (status === 429 || apiStatus === 'RESOURCE_EXHAUSTED' || /quota|rate limit/i.test(apiMessage)) {
+    return new AnalyticsError(ErrorCodes.QUOTA_EXCEEDED, `Google Analytics quota exceeded${detail}.`, { status });
+  }
+  if (status === 403) {
+    return new AnalyticsError(
+      ErrorCodes.PERMISSION_DENIED,
+      `This Google account cannot read the property${detail}.`,
+      { status }
+    );
+  }
+  if (status === 400 || status === 404) {
+    return new AnalyticsError(
+      ErrorCodes.INVALID_PROPERTY,
+      `Google Analytics did not accept the property ID${detail}.`,
+      { status }
+    );
+  }
+  return new AnalyticsError(ErrorCodes.API_ERROR, `Google Analytics API error ${status}${detail}.`, { status });
+}
+
+// Normalise anything thrown while fetching into an AnalyticsError.
+export function toAnalyticsError(error) {
+  if (error instanceof AnalyticsError) {
+    return error;
+  }
+  // fetch() rejects with a TypeError when the request never got a response.
+  if (error instanceof TypeError) {
+    return new AnalyticsError(ErrorCodes.NETWORK_OFFLINE, 'Could not reach Google Analytics. Check your connection.', {
+      cause: error
+    });
+  }
+  return new AnalyticsError(ErrorCodes.API_ERROR, error?.message || String(error), { cause: error });
+}
@@ -0,0 +1,178 @@
+// Export tables for AI Growth Coach
+// One table per tab (daily metrics, channels, insights). background.js writes them
+// to Google Sheets (see sheets.js); when Sheets is not authorised the popup saves
+// them as an .xlsx workbook built here, with no third-party library.
+
+import { reportDates } from './ga4.js';
+
+// analyticsData is the popup's `{ raw, insights, timestamp }` from getAnalytics.
+export function buildExportTables(analyticsData) {
+  const raw = analyticsData.raw || {};
+  const sessions = raw.sessions || [];
+  // GA4 data carries its dates; demo data covers the same trailing window.
+  const dates = raw.dates || reportDates(new Date(analyticsData.timestamp || Date.now()), sessions.length);
+
+  const daily = [['Date', 'Sessions', 'Users', 'Bounce rate (%)']];
+  sessions.forEach((value, i) => {
+    daily.push([dates[i], value, raw.users?.[i] ?? 0, raw.bounceRate?.[i] ?? 0]);
+  });
+
+  const sources = raw.sources || {};
+  const total = Object.values(sources).reduce((a, b) => a + b, 0);
+  const channels = [['Channel', 'Sessions', 'Share (%)']];
+  for (const [channel, value] of Object.entries(sources).toSorted((a, b) => b[1] - a[1])) {
+    channels.push([channel, value, total ? Math.round(value / total * 1000) / 10 : 0]);
+  }
+
+  const insights = [['Type', 'Title', 'Message', 'Recommended action']];
+  for (const insight of analyticsData.insights || []) {
+    insights.push([insight.type, insight.title, insight.message, insight.action]);
+  }
+
+  return [
+    { title: 'Daily', rows: daily },
+    { title: 'Channels', rows: channels },
+    { title: 'Insights', rows: insights }
+  ];
+}
+
+// --- .xlsx writer -------------------------------------------------------------
+// A workbook is a zip of a few XML parts. Strings are written inline (no shared
+// string table) and entries are stored uncompressed, which Excel, Numbers and
+// LibreOffice all accept.
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  }
+  return name;
+}
+
+function sheetXml(rows) {
+  const body = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+      }
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value ?? '')}</t></is></c>`;
+    });
+    return `<row r="${r + 1}">${cells.join('')}</row>`;
+  });
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${body.join('')}</sheetData></worksheet>`;
+}
+
+function workbookParts(tables) {
+  const sheets = tables.map((t, i) => `<sheet name="${escapeXml(t.title)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`);
+  const rels = tables.map((t, i) =>
+    `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+  );
+  const overrides = tables.map((t, i) =>
+    `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  );
+  const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  return [
+    ['[Content_Types].xml', header +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      `${overrides.join('')}</Types>`],
+    ['_rels/.rels', header +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>'],
+    ['xl/workbook.xml', header +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets>${sheets.join('')}</sheets></workbook>`],
+    ['xl/_rels/workbook.xml.rels', header +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      `${rels.join('')}</Relationships>`],
+    ...tables.map((t, i) => [`xl/worksheets/sheet${i + 1}.xml`, sheetXml(t.rows)])
+  ];
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Minimal zip (stored entries, no compression).
+function zip(files) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  for (const [name, content] of files) {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);          // version needed
+    local.setUint16(6, 0x0800, true);      // UTF-8 names
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014B50, true);
+    entry.setUint16(4, 20, true);          // version made by
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  }
+
+  const centralSize = central.reduce((sum, c) => sum + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let at = 0;
+  for (const part of parts) {
+    out.set(part, at);
+    at += part.length;
+  }
+  return out;
+}
+
+export const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+export function buildXlsx(tables) {
+  return zip(workbookParts(tables));
+}
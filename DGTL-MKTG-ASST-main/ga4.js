@@ -0,0 +1,201 @@
+// GA4 Data API client for AI Growth Coach
+// Fetches the last 30 days from properties/{id}:runReport and maps it into the
+// shape analyzeDataWithAI() expects: daily sessions/users/bounceRate arrays,
+// traffic sources bucketed by channel, average session duration and conversion rate.
+// Failures are thrown as AnalyticsError (see errors.js).
+
+import { AnalyticsError, ErrorCodes, classifyHttpError, toAnalyticsError } from './errors.js';
+
+export const GA4_API_BASE = 'https://analyticsdata.googleapis.com/v1beta';
+export const REPORT_DAYS = 30;
+
+// sessionDefaultChannelGroup -> the source buckets the insight rules look at
+// (analyzeDataWithAI reads sources.organic and sources.paid).
+const CHANNEL_BUCKETS = {
+  'Organic Search': 'organic',
+  'Organic Shopping': 'organic',
+  'Organic Video': 'organic',
+  'Paid Search': 'paid',
+  'Paid Social': 'paid',
+  'Paid Shopping': 'paid',
+  'Paid Video': 'paid',
+  'Paid Other': 'paid',
+  'Display': 'paid',
+  'Cross-network': 'paid',
+  'Audio': 'paid',
+  'Direct': 'direct',
+  'Organic Social': 'social',
+  'Referral': 'referral',
+  'Affiliates': 'referral',
+  'Email': 'email',
+  'SMS': 'email',
+  'Mobile Push Notifications': 'email'
+};
+
+const DAILY_METRICS = ['sessions', 'totalUsers', 'bounceRate', 'averageSessionDuration', 'conversions'];
+
+// Accepts "123456789" or "properties/123456789". Measurement IDs (G-XXXX) and
+// Universal Analytics view IDs are not GA4 property IDs.
+export function normalizePropertyId(propertyId) {
+  const match = /^(?:properties\/)?(\d+)$/.exec(String(propertyId || '').trim());
+  if (!match) {
+    throw new AnalyticsError(
+      ErrorCodes.INVALID_PROPERTY,
+      `"${propertyId}" is not a GA4 property ID. Use the numeric ID from Admin → Property details (e.g. 123456789).`
+    );
+  }
+  return match[1];
+}
+
+function formatDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// The last `days` full days, oldest first (today is left out: it is still partial).
+export function reportDates(now = new Date(), days = REPORT_DAYS) {
+  const dates = [];
+  for (let i = days; i >= 1; i--) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - i);
+    dates.push(formatDate(day));
+  }
+  return dates;
+}
+
+export function buildDailyReportRequest(dates) {
+  return {
+    dateRanges: [{ startDate: dates[0], endDate: dates[dates.length - 1] }],
+    dimensions: [{ name: 'date' }],
+    metrics: DAILY_METRICS.map(name => ({ name })),
+    orderBys: [{ dimension: { dimensionName: 'date' } }],
+    metricAggregations: ['TOTAL'],
+    keepEmptyRows: true
+  };
+}
+
+export function buildChannelReportRequest(dates) {
+  return {
+    dateRanges: [{ startDate: dates[0], endDate: dates[dates.length - 1] }],
+    dimensions: [{ name: 'sessionDefaultChannelGroup' }],
+    metrics: [{ name: 'sessions' }]
+  };
+}
+
+// POST properties/{id}:runReport. `fetchImpl` is injectable so the fixture tests can replay responses.
+export async function runReport(propertyId, body, { token, fetchImpl = fetch } = {}) {
+  const id = normalizePropertyId(propertyId);
+  let response;
+  try {
+    response = await fetchImpl(`${GA4_API_BASE}/properties/${id}:runReport`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+  } catch (error) {
+    throw toAnalyticsError(error);
+  }
+
+  if (!response.ok) {
+    let payload = null;
+    try {
+      payload = await response.json();
+    } catch {
+      // Non-JSON error body; the status code is all we have.
+    }
+    throw classifyHttpError(response.status, payload);
+  }
+
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new AnalyticsError(ErrorCodes.PARSE_ERROR, 'Google Analytics sent a response that is not valid JSON.', {
+      status: response.status,
+      cause: error
+    });
+  }
+}
+
+// Column lookup by header name, so a reordered metrics list cannot shift values.
+function metricIndex(report, name) {
+  const index = (report.metricHeaders || []).findIndex(h => h.name === name);
+  if (index < 0) {
+    throw new AnalyticsError(ErrorCodes.PARSE_ERROR, `GA4 response is missing the ${name} metric.`);
+  }
+  return index;
+}
+
+function metricNumber(row, index) {
+  const value = Number(row?.metricValues?.[index]?.value);
+  return Number.isFinite(value) ? value : 0;
+}
+
+// GA4 reports dates as YYYYMMDD.
+function gaDateToIso(value) {
+  const s = String(value || '');
+  return /^\d{8}$/.test(s) ? `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}` : s;
+}
+
+// Map the two runReport responses into analyzeDataWithAI's input. Days GA4 has no
+// row for count as zero traffic, so the arrays always cover every day in `dates`.
+export function parseGA4Reports(daily, channels, dates) {
+  const sessionsAt = metricIndex(daily, 'sessions');
+  const usersAt = metricIndex(daily, 'totalUsers');
+  const bounceAt = metricIndex(daily, 'bounceRate');
+  const durationAt = metricIndex(daily, 'averageSessionDuration');
+  const conversionsAt = metricIndex(daily, 'conversions');
+
+  const byDate = new Map();
+  for (const row of daily.rows || []) {
+    byDate.set(gaDateToIso(row.dimensionValues?.[0]?.value), row);
+  }
+
+  const sessions = [];
+  const users = [];
+  const bounceRate = [];
+  for (const date of dates) {
+    const row = byDate.get(date);
+    sessions.push(metricNumber(row, sessionsAt));
+    users.push(metricNumber(row, usersAt));
+    // GA4 returns bounce rate as a 0-1 fraction; the insight rules use percentages.
+    bounceRate.push(Math.round(metricNumber(row, bounceAt) * 1000) / 10);
+  }
+
+  // The TOTAL aggregation gives properly weighted averages for the whole range.
+  const totals = daily.totals?.[0];
+  const totalSessions = totals ? metricNumber(totals, sessionsAt) : sessions.reduce((a, b) => a + b, 0);
+  const totalConversions = totals
+    ? metricNumber(totals, conversionsAt)
+    : (daily.rows || []).reduce((sum, row) => sum + metricNumber(row, conversionsAt), 0);
+
+  const sources = {};
+  const channelSessionsAt = metricIndex(channels, 'sessions');
+  for (const row of channels.rows || []) {
+    const channel = row.dimensionValues?.[0]?.value || '';
+    const bucket = CHANNEL_BUCKETS[channel] || 'other';
+    sources[bucket] = (sources[bucket] || 0) + metricNumber(row, channelSessionsAt);
+  }
+
+  return {
+    sessions,
+    users,
+    bounceRate,
+    sources,
+    avgSessionDuration: totals ? Math.round(metricNumber(totals, durationAt)) : 0,
+    conversionRate: totalSessions ? Math.round(totalConversions / totalSessions * 1000) / 10 : 0,
+    dates,
+    timeZone: daily.metadata?.timeZone || null
+  };
+}
+
+// Fetch and map the last 30 days for a GA4 property.
+export async function fetchGA4Data(propertyId, { token, fetchImpl = fetch, now = new Date() } = {}) {
+  const dates = reportDates(now);
+  const [daily, channels] = await Promise.all([
+    runReport(propertyId, buildDailyReportRequest(dates), { token, fetchImpl }),
+    runReport(propertyId, buildChannelReportRequest(dates), { token, fetchImpl })
+  ]);
+  return parseGA4Reports(daily, channels, dates);
+}
@@ -10,12 +10,70 @@ function storageSet(obj) {
   return new Promise(resolve => chrome.storage.sync.set(obj, resolve));
 }
 
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// How the popup presents each error code from background.js (see errors.js), and
+// which recovery actions it offers. Demo data is always an explicit, separate choice.
+const ERROR_VIEWS = {
+  auth_required: {
+    title: '🔐 Not connected',
+    actions: ['reauth']
+  },
+  auth_expired: {
+    title: '🔐 Sign-in expired',
+    hint: 'Google asks you to sign in again from time to time.',
+    actions: ['reauth']
+  },
+  permission_denied: {
+    title: '🚫 No access to this property',
+    hint: 'Make sure the Google account you signed in with has at least Viewer access to the property, and that the property ID is right.',
+    actions: ['settings', 'reauth']
+  },
+  invalid_property: {
+    title: '🔎 Check your property ID',
+    hint: 'Use the numeric GA4 property ID from Admin → Property details, not the G-XXXX measurement ID.',
+    actions: ['settings']
+  },
+  quota_exceeded: {
+    title: '⏳ Google Analytics is rate limiting',
+    hint: 'The API quota for this property is used up for now. Try again in a little while.',
+    actions: ['retry']
+  },
+  network_offline: {
+    title: '📡 You seem to be offline',
+    hint: 'We will try again as soon as your connection is back.',
+    actions: ['retry']
+  },
+  parse_error: {
+    title: '🧩 Unexpected response',
+    hint: 'Google Analytics returned data we could not read. Retrying usually helps.',
+    actions: ['retry']
+  },
+  api_error: {
+    title: '⚠️ Something went wrong',
+    actions: ['retry']
+  }
+};
+
+const RECOVERY_LABELS = {
+  reauth: 'Re-authenticate',
+  settings: 'Check property ID',
+  retry: 'Try again'
+};
+
+// Sheets export failures the .xlsx download gets around: the account has no (or no
+// longer) Google access. Other failures are shown like any other error.
+const XLSX_FALLBACK_CODES = new Set(['auth_required', 'auth_expired', 'permission_denied']);
+
 class AIGrowthCoach {
   constructor() {
     this.currentTab = 'insights';
     this.analyticsData = null;
     this.isAuthenticated = false;
     this.propertyId = null;
+    this.demoMode = false;
     this.charts = {};
     
     // Expose instance globally so other handlers (resize etc.) can access charts
@@ -51,21 +109,7 @@ class AIGrowthCoach {
 
     // Settings modal
     const settingsBtn = document.getElementById('settingsBtn');
-    if (settingsBtn) settingsBtn.addEventListener('click', () => {
-      document.getElementById('settingsModal').classList.remove('hidden');
-      document.getElementById('settingsPropertyId').value = this.propertyId || '';
-      // Load saved client id
-      storageGet(['oauthClientId']).then(res => {
-        document.getElementById('settingsClientId').value = res.oauthClientId || '';
-      });
-      // populate redirect URI using chrome.identity.getRedirectURL()
-      try {
-        const redirectField = document.getElementById('redirectUri');
-        redirectField.value = chrome.identity.getRedirectURL();
-      } catch (e) {
-        document.getElementById('redirectHelp').textContent = 'Unable to determine redirect URI in this environment.';
-      }
-    });
+    if (settingsBtn) settingsBtn.addEventListener('click', () => this.openSettings());
     // copy redirect URI
     document.getElementById('copyRedirect').addEventListener('click', () => {
       const redirect = document.getElementById('redirectUri').value;
@@ -104,6 +148,7 @@ class AIGrowthCoach {
         btn.disabled = false;
       }
     });
+    document.getElementById('signOutBtn').addEventListener('click', () => this.signOut());
     document.getElementById('settingsClose').addEventListener('click', () => {
       document.getElementById('settingsModal').classList.add('hidden');
     });
@@ -122,6 +167,23 @@ class AIGrowthCoach {
     });
   }
   
+  openSettings() {
+    document.getElementById('settingsModal').classList.remove('hidden');
+    document.getElementById('settingsPropertyId').value = this.propertyId || '';
+    document.getElementById('signOutRow').classList.toggle('hidden', !this.isAuthenticated);
+    // Load saved client id
+    storageGet(['oauthClientId']).then(res => {
+      document.getElementById('settingsClientId').value = res.oauthClientId || '';
+    });
+    // populate redirect URI using chrome.identity.getRedirectURL()
+    try {
+      const redirectField = document.getElementById('redirectUri');
+      redirectField.value = chrome.identity.getRedirectURL();
+    } catch (e) {
+      document.getElementById('redirectHelp').textContent = 'Unable to determine redirect URI in this environment.';
+    }
+  }
+
   async checkFirstRun() {
   const { hasSeenConsent } = await storageGet(['hasSeenConsent']);
     if (!hasSeenConsent) {
@@ -135,22 +197,43 @@ class AIGrowthCoach {
   }
   
   async checkAuthentication() {
-  const { authToken, propertyId } = await storageGet(['authToken', 'propertyId']);
-    this.isAuthenticated = !!authToken;
+  const { propertyId, demoMode, activeMode = true } = await storageGet(['propertyId', 'demoMode', 'activeMode']);
+    // The token itself stays in the service worker; ask whether the user signed in.
+    const status = await this.sendMessage({ action: 'getAuthStatus' }).catch(() => null);
+    this.isAuthenticated = !!(status && status.signedIn);
     this.propertyId = propertyId;
+    this.demoMode = !!demoMode;
+    document.getElementById('activeToggle').classList.toggle('active', activeMode);
     
-    if (this.isAuthenticated) {
-      this.loadAnalyticsData();
+    if (this.isAuthenticated || this.demoMode) {
+      this.loadAnalyticsData({ preferCache: true });
     }
   }
   
-  async loadAnalyticsData() {
-    if (!this.propertyId) {
+  // preferCache: show the last (background) refresh right away and only
+  // fetch again when it is out of date.
+  async loadAnalyticsData({ preferCache = false } = {}) {
+    if (!this.demoMode && !this.propertyId) {
       this.showPropertySetup();
       return;
     }
     
-    this.showLoading();
+    let showingCache = false;
+    if (preferCache && !this.demoMode) {
+      const cached = await this.sendMessage({ action: 'getCachedAnalytics', propertyId: this.propertyId }).catch(() => null);
+      if (cached && cached.data) {
+        this.analyticsData = cached.data;
+        this.loadCurrentTab();
+        if (!cached.stale) {
+          return;
+        }
+        showingCache = true;
+      }
+    }
+    
+    if (!showingCache) {
+      this.showLoading();
+    }
     
     try {
       const response = await this.sendMessage({
@@ -162,7 +245,16 @@ class AIGrowthCoach {
         this.analyticsData = response.data;
         this.loadCurrentTab();
       } else {
-        this.showError(response.error);
+        const authProblem = response.code === 'auth_expired' || response.code === 'auth_required';
+        if (authProblem) {
+          this.isAuthenticated = false;
+        }
+        // Keep showing the cached report unless the user has to act (sign in again).
+        if (showingCache && !authProblem) {
+          console.warn('Refresh failed, showing cached data:', response.code, response.error);
+          return;
+        }
+        this.showError(response.error, response.code);
       }
     } catch (error) {
       console.error('Failed to load analytics:', error);
@@ -198,7 +290,7 @@ class AIGrowthCoach {
   }
   
   renderInsights(container) {
-    if (!this.isAuthenticated) {
+    if (!this.isAuthenticated && !this.demoMode) {
       this.showAuthPrompt(container);
       return;
     }
@@ -215,6 +307,7 @@ class AIGrowthCoach {
       html += `
         <div class="mock-data-notice">
           📊 Using demo data - Connect your Google Analytics for real insights!
+          <button class="link-btn" data-action="exit-demo">Use my real data</button>
         </div>
       `;
     }
@@ -241,10 +334,11 @@ class AIGrowthCoach {
     }
     
     container.innerHTML = html;
+    this.bindRecoveryActions(container);
   }
   
   renderVisuals(container) {
-    if (!this.isAuthenticated) {
+    if (!this.isAuthenticated && !this.demoMode) {
       this.showAuthPrompt(container);
       return;
     }
@@ -260,6 +354,7 @@ class AIGrowthCoach {
       html += `
         <div class="mock-data-notice">
           📊 Demo charts - Connect GA for your real data visualizations!
+          <button class="link-btn" data-action="exit-demo">Use my real data</button>
         </div>
       `;
     }
@@ -277,6 +372,7 @@ class AIGrowthCoach {
     `;
     
     container.innerHTML = html;
+    this.bindRecoveryActions(container);
     
     // Render charts after DOM update
     setTimeout(() => {
@@ -359,7 +455,9 @@ class AIGrowthCoach {
       '#00f2fe', 
       '#ffd89b',
       '#19547b',
-      '#667eea'
+      '#667eea',
+      '#f093fb',
+      '#43e97b'
     ];
     
     this.charts.sources = new Chart(ctx, {
@@ -390,7 +488,7 @@ class AIGrowthCoach {
   }
   
   renderChat(container) {
-    if (!this.isAuthenticated) {
+    if (!this.isAuthenticated && !this.demoMode) {
       this.showAuthPrompt(container);
       return;
     }
@@ -498,10 +596,14 @@ class AIGrowthCoach {
         <button class="auth-btn" id="authButton">
           Connect Google Analytics
         </button>
+        <div style="margin-top: 12px;">
+          <button class="link-btn" data-action="demo">Just exploring? Try demo data</button>
+        </div>
       </div>
     `;
     
     document.getElementById('authButton').addEventListener('click', this.authenticate.bind(this));
+    this.bindRecoveryActions(container);
   }
   
   showLoading(container = null) {
@@ -519,14 +621,64 @@ class AIGrowthCoach {
     }
   }
   
-  showError(message) {
-    document.getElementById('content').innerHTML = `
-      <div style="text-align: center; padding: 40px 20px; color: #dc3545;">
-        <h3>⚠️ Something went wrong</h3>
-        <p style="margin: 15px 0;">${message}</p>
-        <button class="auth-btn" onclick="location.reload()">Try Again</button>
+  showError(message, code = 'api_error') {
+    const view = ERROR_VIEWS[code] || ERROR_VIEWS.api_error;
+    const buttons = view.actions
+      .map((action, i) => `<button class="auth-btn${i ? ' secondary-btn' : ''}" data-action="${action}">${RECOVERY_LABELS[action]}</button>`)
+      .join(' ');
+    const container = document.getElementById('content');
+    container.innerHTML = `
+      <div class="error-view" data-code="${escapeHtml(code)}">
+        <h3>${view.title}</h3>
+        <p class="error-message">${escapeHtml(message)}</p>
+        ${view.hint ? `<p class="error-hint">${view.hint}</p>` : ''}
+        <div class="error-actions">${buttons}</div>
+        <button class="link-btn" data-action="demo">Explore demo data instead</button>
       </div>
     `;
+    this.bindRecoveryActions(container);
+
+    if (code === 'network_offline') {
+      window.addEventListener('online', () => this.loadAnalyticsData(), { once: true });
+    }
+  }
+
+  bindRecoveryActions(container) {
+    container.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', () => this.runRecovery(button.dataset.action));
+    });
+  }
+
+  runRecovery(action) {
+    switch (action) {
+      case 'reauth':
+        this.authenticate();
+        break;
+      case 'settings':
+        this.openSettings();
+        break;
+      case 'retry':
+        this.loadAnalyticsData();
+        break;
+      case 'demo':
+        this.setDemoMode(true);
+        break;
+      case 'exit-demo':
+        this.setDemoMode(false);
+        break;
+    }
+  }
+
+  // Demo data is opt-in: only this switch (never a failed request) turns it on.
+  async setDemoMode(enabled) {
+    await storageSet({ demoMode: enabled });
+    this.demoMode = enabled;
+    this.analyticsData = null;
+    if (enabled || this.isAuthenticated) {
+      this.loadAnalyticsData();
+    } else {
+      this.loadCurrentTab();
+    }
   }
   
   showPropertySetup() {
@@ -568,21 +720,47 @@ class AIGrowthCoach {
       
       if (response.success) {
         this.isAuthenticated = true;
+        // Signing in means the user wants their real numbers.
+        if (this.demoMode) {
+          await storageSet({ demoMode: false });
+          this.demoMode = false;
+        }
         this.loadAnalyticsData();
       } else {
-        this.showError('Failed to authenticate with Google');
+        this.showError(response.error || 'Failed to authenticate with Google', 'auth_required');
       }
     } catch (error) {
-      this.showError('Authentication failed. Please try again.');
+      this.showError('Authentication failed. Please try again.', 'auth_required');
     }
   }
   
-  toggleActiveMode() {
+  // Revokes the token at Google (see auth.js) and returns to the connect screen.
+  async signOut() {
+    try {
+      await this.sendMessage({ action: 'signOut' });
+    } catch (error) {
+      console.error('Sign out failed:', error);
+    }
+    this.isAuthenticated = false;
+    this.analyticsData = null;
+    document.getElementById('settingsModal').classList.add('hidden');
+    this.loadCurrentTab();
+  }
+  
+  // Active mode: daily background refresh plus alerts for new warnings (see refresh.js).
+  // The toggle flips back when the alarm could not be switched.
+  async toggleActiveMode() {
     const toggle = document.getElementById('activeToggle');
-    toggle.classList.toggle('active');
-    
-    // Could implement actual functionality here
-    console.log('Active mode toggled:', toggle.classList.contains('active'));
+    const enabled = toggle.classList.toggle('active');
+    try {
+      const response = await this.sendMessage({ action: 'setActiveMode', enabled });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+    } catch (error) {
+      console.error('Failed to switch Active mode:', error);
+      toggle.classList.toggle('active', !enabled);
+    }
   }
   
   async exportToSheets() {
@@ -591,23 +769,58 @@ class AIGrowthCoach {
       return;
     }
     
-    // Stub implementation - log the data that would be exported
-    console.log('Exporting to Google Sheets:', {
-      insights: this.analyticsData.insights,
-      sessions: this.analyticsData.raw.sessions,
-      sources: this.analyticsData.raw.sources,
-      exportDate: new Date().toISOString()
-    });
+    const button = document.getElementById('exportBtn');
+    const originalText = button.textContent;
+    button.textContent = '⏳ Exporting...';
+    button.disabled = true;
     
-    // Show user feedback
-    const originalText = document.getElementById('exportBtn').textContent;
-    document.getElementById('exportBtn').textContent = '✅ Exported!';
+    let feedback;
+    try {
+      // Demo data and signed-out users go straight to the file download.
+      if (this.isAuthenticated && !this.analyticsData.isMockData) {
+        const response = await this.sendMessage({
+          action: 'exportToSheets',
+          propertyId: this.propertyId,
+          data: this.analyticsData
+        });
+        if (response.success) {
+          chrome.tabs.create({ url: response.spreadsheetUrl });
+          feedback = '✅ Exported!';
+        } else if (XLSX_FALLBACK_CODES.has(response.code)) {
+          console.warn('Sheets export failed, saving a file instead:', response.code, response.error);
+        } else {
+          this.showError(response.error, response.code);
+          feedback = '❌ Export failed';
+        }
+      }
+      if (!feedback) {
+        await this.downloadWorkbook();
+        feedback = '⬇️ Saved as .xlsx';
+      }
+    } catch (error) {
+      console.error('Export failed:', error);
+      feedback = '❌ Export failed';
+    }
     
+    button.textContent = feedback;
+    button.disabled = false;
     setTimeout(() => {
-      document.getElementById('exportBtn').textContent = originalText;
+      button.textContent = originalText;
     }, 2000);
   }
   
+  // Offline fallback: the same tabs as the Sheets export, as an Excel workbook.
+  async downloadWorkbook() {
+    const { buildExportTables, buildXlsx, XLSX_MIME } = await import('./export.js');
+    const bytes = buildXlsx(buildExportTables(this.analyticsData));
+    const url = URL.createObjectURL(new Blob([bytes], { type: XLSX_MIME }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `growth-coach-${this.analyticsData.isMockData ? 'demo' : this.propertyId}-${new Date().toISOString().slice(0, 10)}.xlsx`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  
   showPrivacy() {
     // Open privacy policy in new tab
     chrome.tabs.create({ 
@@ -0,0 +1,72 @@
+// Cached analytics and the scheduled refresh behind Active mode
+// The last report per property lives in chrome.storage.local (a report is too big
+// for a sync storage item), so the popup opens without waiting on GA. With Active
+// mode on, a daily alarm refreshes it and alerts on warnings the previous run did not have.
+
+import { toAnalyticsError } from './errors.js';
+
+export const CACHE_KEY = 'analyticsCache';
+// Older cached results are shown right away but re-fetched by the popup.
+export const CACHE_MAX_AGE_MS = 60 * 60 * 1000;
+export const REFRESH_ALARM = 'refreshData';
+export const REFRESH_PERIOD_MINUTES = 1440;
+
+// Warnings in `insights` that `previousInsights` did not have, matched by title
+// (the message carries this week's numbers, so it changes between runs).
+export function newWarnings(previousInsights, insights) {
+  const seen = new Set(previousInsights.filter(i => i.type === 'warning').map(i => i.title));
+  return insights.filter(i => i.type === 'warning' && !seen.has(i.title));
+}
+
+export async function readCachedAnalytics(propertyId) {
+  const { [CACHE_KEY]: cached } = await chrome.storage.local.get(CACHE_KEY);
+  return cached && cached.propertyId === propertyId ? cached.data : null;
+}
+
+// Fetch with `loadReport(propertyId)`, analyze and cache. Also returns the run it
+// replaced, so the scheduled refresh can tell which insights are new. Demo data is never cached.
+export async function refreshAnalytics(propertyId, loadReport) {
+  const data = await loadReport(propertyId);
+  if (data.isMockData) {
+    return { data, previous: null };
+  }
+  const previous = await readCachedAnalytics(propertyId);
+  await chrome.storage.local.set({ [CACHE_KEY]: { propertyId, data } });
+  return { data, previous };
+}
+
+// Refresh the saved property and `notify` each new warning. The first cached run
+// is the baseline: nothing to compare against yet.
+export async function runScheduledRefresh({ loadReport, notify }) {
+  const { propertyId, demoMode, activeMode = true } = await chrome.storage.sync.get(['propertyId', 'demoMode', 'activeMode']);
+  if (!activeMode || demoMode || !propertyId) {
+    return;
+  }
+
+  let result;
+  try {
+    result = await refreshAnalytics(propertyId, loadReport);
+  } catch (error) {
+    // No UI to recover from here (e.g. auth_expired); the popup shows it on next open.
+    const failure = toAnalyticsError(error);
+    console.warn('Scheduled refresh failed:', failure.code, failure.message);
+    return;
+  }
+
+  if (!result.previous) {
+    return;
+  }
+  for (const insight of newWarnings(result.previous.insights, result.data.insights)) {
+    await notify(insight);
+  }
+}
+
+// Active mode on: daily refresh alarm; off: no alarm, so no background requests or alerts.
+export async function setActiveMode(enabled) {
+  await chrome.storage.sync.set({ activeMode: enabled });
+  if (enabled) {
+    await chrome.alarms.create(REFRESH_ALARM, { periodInMinutes: REFRESH_PERIOD_MINUTES });
+  } else {
+    await chrome.alarms.clear(REFRESH_ALARM);
+  }
+}
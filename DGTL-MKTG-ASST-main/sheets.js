@@ -0,0 +1,125 @@
+// Google Sheets API client for AI Growth Coach
+// Writes the export tables (see export.js) into one spreadsheet per GA property:
+// created on the first export, then updated in place (tabs added if missing,
+// old values cleared). Failures are thrown as AnalyticsError (see errors.js).
+
+import { AnalyticsError, ErrorCodes } from './errors.js';
+
+export const SHEETS_API_BASE = 'https://sheets.googleapis.com/v4/spreadsheets';
+// drive.file only reaches spreadsheets this extension created, not the user's whole Drive.
+export const SHEETS_SCOPE = 'https://www.googleapis.com/auth/drive.file';
+
+function sheetsHttpError(status, payload) {
+  const apiMessage = payload?.error?.message || '';
+  const detail = apiMessage ? ` (${apiMessage})` : '';
+  if (status === 401) {
+    return new AnalyticsError(ErrorCodes.AUTH_EXPIRED, 'Your Google sign-in has expired.', { status });
+  }
+  if (status === 429 || payload?.error?.status === 'RESOURCE_EXHAUSTED') {
+    return new AnalyticsError(ErrorCodes.QUOTA_EXCEEDED, `Google Sheets quota exceeded${detail}.`, { status });
+  }
+  if (status === 403) {
+    return new AnalyticsError(ErrorCodes.PERMISSION_DENIED, `Google Sheets access was denied${detail}.`, { status });
+  }
+  return new AnalyticsError(ErrorCodes.API_ERROR, `Google Sheets API error ${status}${detail}.`, { status });
+}
+
+async function sheetsRequest(path, { token, method = 'GET', body, fetchImpl }) {
+  let response;
+  try {
+    response = await fetchImpl(`${SHEETS_API_BASE}${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+  } catch (error) {
+    throw new AnalyticsError(ErrorCodes.NETWORK_OFFLINE, 'Could not reach Google Sheets. Check your connection.', {
+      cause: error
+    });
+  }
+
+  let payload = null;
+  try {
+    payload = await response.json();
+  } catch {
+    // Empty or non-JSON body; only a problem on success (handled below).
+  }
+  if (!response.ok) {
+    throw sheetsHttpError(response.status, payload);
+  }
+  if (!payload) {
+    throw new AnalyticsError(ErrorCodes.PARSE_ERROR, 'Google Sheets sent a response that is not valid JSON.', {
+      status: response.status
+    });
+  }
+  return payload;
+}
+
+// Quoted A1 range for a tab title ("Daily" -> 'Daily'!A1).
+function tabRange(title, cell = '') {
+  return `'${title.replace(/'/g, "''")}'${cell ? `!${cell}` : ''}`;
+}
+
+// Metadata of an existing export, or null when it was deleted or is no longer ours.
+async function findSpreadsheet(spreadsheetId, options) {
+  try {
+    return await sheetsRequest(
+      `/${encodeURIComponent(spreadsheetId)}?fields=spreadsheetId,spreadsheetUrl,sheets.properties.title`,
+      options
+    );
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Create or update the spreadsheet. Returns { spreadsheetId, spreadsheetUrl, created }.
+export async function exportToSpreadsheet(tables, { token, spreadsheetId = null, title, fetchImpl = fetch } = {}) {
+  const options = { token, fetchImpl };
+  let sheet = spreadsheetId ? await findSpreadsheet(spreadsheetId, options) : null;
+  const created = !sheet;
+
+  if (!sheet) {
+    sheet = await sheetsRequest('', {
+      ...options,
+      method: 'POST',
+      body: {
+        properties: { title },
+        sheets: tables.map(t => ({ properties: { title: t.title } }))
+      }
+    });
+  } else {
+    const existing = new Set((sheet.sheets || []).map(s => s.properties?.title));
+    const missing = tables.filter(t => !existing.has(t.title));
+    if (missing.length) {
+      await sheetsRequest(`/${sheet.spreadsheetId}:batchUpdate`, {
+        ...options,
+        method: 'POST',
+        body: { requests: missing.map(t => ({ addSheet: { properties: { title: t.title } } })) }
+      });
+    }
+    // Last export may have had more rows (e.g. more channels); start from empty tabs.
+    await sheetsRequest(`/${sheet.spreadsheetId}/values:batchClear`, {
+      ...options,
+      method: 'POST',
+      body: { ranges: tables.map(t => tabRange(t.title)) }
+    });
+  }
+
+  await sheetsRequest(`/${sheet.spreadsheetId}/values:batchUpdate`, {
+    ...options,
+    method: 'POST',
+    body: {
+      // RAW keeps dates and insight text exactly as exported (no formula parsing).
+      valueInputOption: 'RAW',
+      data: tables.map(t => ({ range: tabRange(t.title, 'A1'), values: t.rows }))
+    }
+  });
+
+  return { spreadsheetId: sheet.spreadsheetId, spreadsheetUrl: sheet.spreadsheetUrl, created };
+}
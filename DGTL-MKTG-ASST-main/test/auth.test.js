@@ -0,0 +1,250 @@
+// Token lifecycle tests against a small in-memory chrome.identity / chrome.storage.
+
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  ANALYTICS_SCOPE,
+  EXPIRY_SKEW_MS,
+  getAuthStatus,
+  getValidToken,
+  grantScope,
+  invalidateToken,
+  migrateLegacyToken,
+  signIn,
+  signOut
+} from '../auth.js';
+import { ErrorCodes } from '../errors.js';
+
+const REDIRECT = 'https://abcdefgh.chromiumapp.org/';
+
+function storageArea() {
+  const data = {};
+  return {
+    data,
+    async get(keys) {
+      const out = {};
+      for (const key of [].concat(keys)) {
+        if (key in data) {
+          out[key] = structuredClone(data[key]);
+        }
+      }
+      return out;
+    },
+    async set(items) {
+      Object.assign(data, structuredClone(items));
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys)) {
+        delete data[key];
+      }
+    }
+  };
+}
+
+// `webAuth` answers launchWebAuthFlow(url, interactive) with a redirect URL or an Error;
+// `identity` answers getAuthToken(details) the same way.
+function fakeChrome({ webAuth, identity } = {}) {
+  const calls = { webAuth: [], identity: [], removed: [] };
+  const chrome = {
+    calls,
+    runtime: { lastError: undefined },
+    storage: { sync: storageArea(), local: storageArea(), session: storageArea() },
+    identity: {
+      getRedirectURL: () => REDIRECT,
+      launchWebAuthFlow(details, callback) {
+        calls.webAuth.push(details);
+        const result = webAuth(new URL(details.url), details.interactive);
+        if (result instanceof Error) {
+          chrome.runtime.lastError = { message: result.message };
+          callback(undefined);
+          chrome.runtime.lastError = undefined;
+        } else {
+          callback(result);
+        }
+      },
+      async getAuthToken(details) {
+        calls.identity.push(details);
+        const result = identity(details);
+        if (result instanceof Error) {
+          throw result;
+        }
+        return result;
+      },
+      async removeCachedAuthToken({ token }) {
+        calls.removed.push(token);
+      }
+    }
+  };
+  return chrome;
+}
+
+let tokenCount = 0;
+function grant(url) {
+  tokenCount += 1;
+  return `${REDIRECT}#access_token=ya29.token-${tokenCount}&token_type=Bearer&expires_in=3599&scope=${url.searchParams.get('scope')}`;
+}
+
+beforeEach(() => {
+  tokenCount = 0;
+});
+
+test('signs in with the web auth flow and keeps the token out of synced storage', async () => {
+  const chrome = fakeChrome({ webAuth: grant });
+  globalThis.chrome = chrome;
+
+  const token = await signIn('client-123.apps.googleusercontent.com');
+
+  assert.equal(token, 'ya29.token-1');
+  const url = new URL(chrome.calls.webAuth[0].url);
+  assert.equal(chrome.calls.webAuth[0].interactive, true);
+  assert.equal(url.searchParams.get('prompt'), 'consent');
+  assert.equal(url.searchParams.get('scope'), ANALYTICS_SCOPE);
+  assert.equal(url.searchParams.get('redirect_uri'), REDIRECT);
+
+  assert.deepEqual(chrome.storage.sync.data, {});
+  assert.equal(chrome.storage.session.data.authSession.token, 'ya29.token-1');
+  assert.deepEqual(chrome.storage.local.data.authAccount, {
+    method: 'webAuthFlow',
+    clientId: 'client-123.apps.googleusercontent.com',
+    scopes: [ANALYTICS_SCOPE]
+  });
+  assert.deepEqual(await getAuthStatus(), {
+    signedIn: true,
+    method: 'webAuthFlow',
+    expiresAt: chrome.storage.session.data.authSession.expiresAt
+  });
+});
+
+test('reuses a fresh token and refreshes silently shortly before expiry', async () => {
+  const chrome = fakeChrome({ webAuth: grant });
+  globalThis.chrome = chrome;
+  await signIn('client-123');
+  const { expiresAt } = chrome.storage.session.data.authSession;
+
+  assert.equal(await getValidToken({ now: expiresAt - EXPIRY_SKEW_MS - 1000 }), 'ya29.token-1');
+  assert.equal(chrome.calls.webAuth.length, 1);
+
+  assert.equal(await getValidToken({ now: expiresAt - 1000 }), 'ya29.token-2');
+  const refresh = chrome.calls.webAuth[1];
+  assert.equal(refresh.interactive, false);
+  assert.equal(new URL(refresh.url).searchParams.get('prompt'), 'none');
+  assert.equal(chrome.storage.session.data.authSession.token, 'ya29.token-2');
+});
+
+test('reports auth_expired when a silent refresh needs the user', async () => {
+  const chrome = fakeChrome({
+    webAuth: (url, interactive) =>
+      interactive ? grant(url) : `${REDIRECT}#error=interaction_required`
+  });
+  globalThis.chrome = chrome;
+  await signIn('client-123');
+  await invalidateToken('ya29.token-1');
+
+  await assert.rejects(getValidToken(), { code: ErrorCodes.AUTH_EXPIRED });
+  assert.equal(chrome.storage.session.data.authSession, undefined);
+  // Still signed in: the popup offers "Re-authenticate", not the first-run screen.
+  assert.equal((await getAuthStatus()).signedIn, true);
+});
+
+test('asks chrome.identity for the cached token without UI', async () => {
+  const chrome = fakeChrome({
+    identity: ({ interactive }) => ({ token: interactive ? 'ya29.first' : 'ya29.cached', grantedScopes: [ANALYTICS_SCOPE] })
+  });
+  globalThis.chrome = chrome;
+
+  assert.equal(await signIn(undefined), 'ya29.first');
+  assert.equal(await getValidToken(), 'ya29.cached');
+  assert.deepEqual(chrome.calls.identity.map(c => c.interactive), [true, false]);
+
+  await invalidateToken('ya29.cached');
+  assert.deepEqual(chrome.calls.removed, ['ya29.cached']);
+});
+
+test('adds a scope incrementally and only prompts once', async () => {
+  const chrome = fakeChrome({ webAuth: grant });
+  globalThis.chrome = chrome;
+  await signIn('client-123');
+  const sheetsScope = 'https://www.googleapis.com/auth/drive.file';
+
+  await grantScope(sheetsScope);
+  await grantScope(sheetsScope);
+
+  assert.equal(chrome.calls.webAuth.length, 2);
+  const url = new URL(chrome.calls.webAuth[1].url);
+  assert.equal(url.searchParams.get('scope'), `${ANALYTICS_SCOPE} ${sheetsScope}`);
+  assert.equal(url.searchParams.get('include_granted_scopes'), 'true');
+  assert.deepEqual(chrome.storage.local.data.authAccount.scopes, [ANALYTICS_SCOPE, sheetsScope]);
+  assert.equal(await getValidToken(), 'ya29.token-2');
+});
+
+test('reports an unticked scope as permission_denied', async () => {
+  const chrome = fakeChrome({
+    // Granular consent: the user approves analytics but not the new scope.
+    webAuth: () => `${REDIRECT}#access_token=ya29.partial&expires_in=3599&scope=${ANALYTICS_SCOPE}`
+  });
+  globalThis.chrome = chrome;
+  await signIn('client-123');
+
+  await assert.rejects(grantScope('https://www.googleapis.com/auth/drive.file'), {
+    code: ErrorCodes.PERMISSION_DENIED
+  });
+  assert.deepEqual(chrome.storage.local.data.authAccount.scopes, [ANALYTICS_SCOPE]);
+});
+
+test('requires sign-in before handing out tokens', async () => {
+  globalThis.chrome = fakeChrome();
+
+  await assert.rejects(getValidToken(), { code: ErrorCodes.AUTH_REQUIRED });
+  assert.equal((await getAuthStatus()).signedIn, false);
+});
+
+test('signs out by revoking the token and clearing local state', async () => {
+  const chrome = fakeChrome({ webAuth: grant });
+  globalThis.chrome = chrome;
+  await signIn('client-123');
+  const requests = [];
+  const fetchImpl = async (url, init) => {
+    requests.push({ url, init });
+    return { ok: true, status: 200 };
+  };
+
+  assert.deepEqual(await signOut({ fetchImpl }), { revoked: true });
+
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].url, 'https://oauth2.googleapis.com/revoke?token=ya29.token-1');
+  assert.equal(requests[0].init.method, 'POST');
+  assert.deepEqual(chrome.calls.removed, ['ya29.token-1']);
+  assert.deepEqual(chrome.storage.session.data, {});
+  assert.deepEqual(chrome.storage.local.data, {});
+  await assert.rejects(getValidToken(), { code: ErrorCodes.AUTH_REQUIRED });
+});
+
+test('clears local state even when the revoke request cannot be sent', async () => {
+  const chrome = fakeChrome({ webAuth: grant });
+  globalThis.chrome = chrome;
+  await signIn('client-123');
+
+  const result = await signOut({
+    fetchImpl: async () => {
+      throw new TypeError('Failed to fetch');
+    }
+  });
+
+  assert.deepEqual(result, { revoked: false });
+  assert.equal((await getAuthStatus()).signedIn, false);
+});
+
+test('moves a token stored by an earlier version out of synced storage', async () => {
+  const chrome = fakeChrome({ webAuth: grant });
+  globalThis.chrome = chrome;
+  const expiry = Date.now() + 30 * 60 * 1000;
+  await chrome.storage.sync.set({ authToken: 'ya29.legacy', authTokenExpiry: expiry, oauthClientId: 'client-123' });
+
+  assert.equal(await migrateLegacyToken(), true);
+
+  assert.deepEqual(chrome.storage.sync.data, { oauthClientId: 'client-123' });
+  assert.equal(await getValidToken(), 'ya29.legacy');
+  assert.equal(chrome.calls.webAuth.length, 0);
+  assert.equal(await migrateLegacyToken(), false);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AnalyticsError, ErrorCodes, classifyHttpError, toAnalyticsError } from '../errors.js';
+
+test('maps GA API statuses to error codes', () => {
+  assert.equal(classifyHttpError(401, null).code, ErrorCodes.AUTH_EXPIRED);
+  assert.equal(classifyHttpError(403, { error: { status: 'PERMISSION_DENIED' } }).code, ErrorCodes.PERMISSION_DENIED);
+  assert.equal(classifyHttpError(403, { error: { message: 'Rate limit exceeded' } }).code, ErrorCodes.QUOTA_EXCEEDED);
+  assert.equal(classifyHttpError(429, null).code, ErrorCodes.QUOTA_EXCEEDED);
+  assert.equal(classifyHttpError(400, { error: { status: 'INVALID_ARGUMENT' } }).code, ErrorCodes.INVALID_PROPERTY);
+  assert.equal(classifyHttpError(404, null).code, ErrorCodes.INVALID_PROPERTY);
+  assert.equal(classifyHttpError(503, null).code, ErrorCodes.API_ERROR);
+  assert.equal(classifyHttpError(503, null).status, 503);
+});
+
+test('wraps thrown values without losing existing codes', () => {
+  const original = new AnalyticsError(ErrorCodes.PARSE_ERROR, 'bad');
+  assert.equal(toAnalyticsError(original), original);
+  assert.equal(toAnalyticsError(new TypeError('Failed to fetch')).code, ErrorCodes.NETWORK_OFFLINE);
+  assert.equal(toAnalyticsError(new Error('boom')).code, ErrorCodes.API_ERROR);
+  assert.equal(toAnalyticsError(new Error('boom')).message, 'boom');
+});
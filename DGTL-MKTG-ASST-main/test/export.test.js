@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32 } from 'node:zlib';
+
+import { buildExportTables, buildXlsx } from '../export.js';
+
+const analyticsData = {
+  raw: {
+    sessions: [120, 135, 98],
+    users: [95, 108, 76],
+    bounceRate: [45.2, 42.1, 58.3],
+    sources: { paid: 300, organic: 900, direct: 300 },
+    dates: ['2025-03-28', '2025-03-29', '2025-03-30']
+  },
+  insights: [
+    {
+      type: 'warning',
+      title: '🚨 Traffic Drop Alert',
+      message: 'Sessions dropped <20%> & more.',
+      action: 'Check your "top" pages.'
+    }
+  ],
+  timestamp: Date.UTC(2025, 2, 31, 12)
+};
+
+// Just enough of a zip reader to check the stored entries and their checksums.
+function unzip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.byteLength - 22;
+  assert.equal(view.getUint32(end, true), 0x06054B50);
+  const count = view.getUint16(end + 10, true);
+  let at = view.getUint32(end + 16, true);
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(at, true), 0x02014B50);
+    const crc = view.getUint32(at + 16, true);
+    const size = view.getUint32(at + 20, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const offset = view.getUint32(at + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(at + 46, at + 46 + nameLength));
+    const start = offset + 30 + view.getUint16(offset + 26, true);
+    const data = bytes.subarray(start, start + size);
+    assert.equal(crc32(data), crc, `${name} checksum`);
+    files[name] = new TextDecoder().decode(data);
+    at += 46 + nameLength;
+  }
+  return files;
+}
+
+test('builds one table per export tab', () => {
+  const [daily, channels, insights] = buildExportTables(analyticsData);
+
+  assert.equal(daily.title, 'Daily');
+  assert.deepEqual(daily.rows, [
+    ['Date', 'Sessions', 'Users', 'Bounce rate (%)'],
+    ['2025-03-28', 120, 95, 45.2],
+    ['2025-03-29', 135, 108, 42.1],
+    ['2025-03-30', 98, 76, 58.3]
+  ]);
+  // Largest channel first, with its share of all sessions.
+  assert.deepEqual(channels.rows, [
+    ['Channel', 'Sessions', 'Share (%)'],
+    ['organic', 900, 60],
+    ['paid', 300, 20],
+    ['direct', 300, 20]
+  ]);
+  assert.deepEqual(insights.rows[1], [
+    'warning',
+    '🚨 Traffic Drop Alert',
+    'Sessions dropped <20%> & more.',
+    'Check your "top" pages.'
+  ]);
+});
+
+test('dates demo data by the days before the snapshot', () => {
+  const { dates, ...raw } = analyticsData.raw;
+  const [daily] = buildExportTables({ ...analyticsData, raw });
+
+  assert.deepEqual(daily.rows.slice(1).map(r => r[0]), dates);
+});
+
+test('writes a workbook with a worksheet per tab', () => {
+  const files = unzip(buildXlsx(buildExportTables(analyticsData)));
+
+  assert.deepEqual(Object.keys(files), [
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'xl/workbook.xml',
+    'xl/_rels/workbook.xml.rels',
+    'xl/worksheets/sheet1.xml',
+    'xl/worksheets/sheet2.xml',
+    'xl/worksheets/sheet3.xml'
+  ]);
+  assert.match(files['xl/workbook.xml'], /<sheet name="Daily" sheetId="1" r:id="rId1"\/>/);
+  assert.match(files['xl/workbook.xml'], /<sheet name="Insights" sheetId="3" r:id="rId3"\/>/);
+  assert.match(files['xl/worksheets/sheet1.xml'], /<c r="B2"><v>120<\/v><\/c>/);
+  assert.match(files['xl/worksheets/sheet1.xml'], /<c r="A2" t="inlineStr"><is><t xml:space="preserve">2025-03-28<\/t>/);
+  // Insight text is escaped, and non-ASCII survives as UTF-8.
+  assert.match(files['xl/worksheets/sheet3.xml'], /Sessions dropped &lt;20%&gt; &amp; more\./);
+  assert.match(files['xl/worksheets/sheet3.xml'], /🚨 Traffic Drop Alert/);
+});
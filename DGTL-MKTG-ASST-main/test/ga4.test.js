@@ -0,0 +1,181 @@
+// Offline tests for the GA4 client: runReport responses stored under fixtures/ are replayed
+// through an injected fetch. Run with `node --test` from the extension folder.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+  buildDailyReportRequest,
+  fetchGA4Data,
+  normalizePropertyId,
+  parseGA4Reports,
+  reportDates
+} from '../ga4.js';
+import { ErrorCodes } from '../errors.js';
+
+function fixture(name) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+}
+
+// Answers each runReport call with the fixture registered for its first dimension.
+function replayFetch(byDimension, { status = 200 } = {}) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    const body = JSON.parse(init.body);
+    calls.push({ url, init, body });
+    const payload = byDimension[body.dimensions[0].name];
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      json: async () => (payload === undefined ? JSON.parse('<html>') : structuredClone(payload))
+    };
+  };
+  return { fetchImpl, calls };
+}
+
+// Noon local time so the report window does not depend on the machine's time zone.
+const NOW = new Date(2025, 2, 31, 12);
+
+test('reports the last 30 full days, oldest first', () => {
+  const dates = reportDates(NOW);
+  assert.equal(dates.length, 30);
+  assert.equal(dates[0], '2025-03-01');
+  assert.equal(dates[29], '2025-03-30');
+});
+
+test('accepts numeric GA4 property IDs only', () => {
+  assert.equal(normalizePropertyId('123456789'), '123456789');
+  assert.equal(normalizePropertyId(' properties/123456789 '), '123456789');
+  assert.throws(() => normalizePropertyId('G-ABC123XYZ'), { code: ErrorCodes.INVALID_PROPERTY });
+  assert.throws(() => normalizePropertyId(''), /not a GA4 property ID/);
+});
+
+test('calls runReport for daily metrics and channels with the bearer token', async () => {
+  const { fetchImpl, calls } = replayFetch({
+    date: fixture('ga4-daily'),
+    sessionDefaultChannelGroup: fixture('ga4-channels')
+  });
+
+  await fetchGA4Data('properties/123456789', { token: 'ya29.test', fetchImpl, now: NOW });
+
+  assert.equal(calls.length, 2);
+  for (const call of calls) {
+    assert.equal(call.url, 'https://analyticsdata.googleapis.com/v1beta/properties/123456789:runReport');
+    assert.equal(call.init.method, 'POST');
+    assert.equal(call.init.headers.Authorization, 'Bearer ya29.test');
+    assert.deepEqual(call.body.dateRanges, [{ startDate: '2025-03-01', endDate: '2025-03-30' }]);
+  }
+  const daily = calls.find(c => c.body.dimensions[0].name === 'date').body;
+  assert.deepEqual(daily, buildDailyReportRequest(reportDates(NOW)));
+  assert.deepEqual(
+    daily.metrics.map(m => m.name),
+    ['sessions', 'totalUsers', 'bounceRate', 'averageSessionDuration', 'conversions']
+  );
+  const channels = calls.find(c => c.body.dimensions[0].name === 'sessionDefaultChannelGroup').body;
+  assert.deepEqual(channels.metrics, [{ name: 'sessions' }]);
+});
+
+test('maps GA4 responses into the insight engine input', async () => {
+  const { fetchImpl } = replayFetch({
+    date: fixture('ga4-daily'),
+    sessionDefaultChannelGroup: fixture('ga4-channels')
+  });
+
+  const data = await fetchGA4Data('123456789', { token: 't', fetchImpl, now: NOW });
+
+  assert.equal(data.sessions.length, 30);
+  assert.equal(data.users.length, 30);
+  assert.equal(data.bounceRate.length, 30);
+  assert.deepEqual(data.sessions.slice(0, 3), [120, 135, 98]);
+  assert.deepEqual(data.users.slice(0, 3), [95, 108, 76]);
+  // Fractions become percentages.
+  assert.deepEqual(data.bounceRate.slice(0, 3), [45.2, 42.1, 58.3]);
+  // 2025-03-15 has no row in the fixture: a zero day, not a shifted series.
+  assert.equal(data.dates[14], '2025-03-15');
+  assert.equal(data.sessions[14], 0);
+  assert.equal(data.bounceRate[14], 0);
+  assert.equal(data.sessions[15], 165);
+
+  assert.deepEqual(data.sources, {
+    organic: 1901,
+    direct: 801,
+    paid: 900,
+    social: 223,
+    referral: 143,
+    email: 96,
+    other: 22
+  });
+  // From the TOTAL row: weighted averages over the whole range.
+  assert.equal(data.avgSessionDuration, 149);
+  assert.equal(data.conversionRate, 2.8);
+  assert.equal(data.timeZone, 'America/New_York');
+});
+
+test('maps a property without data to empty, zero-filled series', () => {
+  const dates = reportDates(NOW);
+  const data = parseGA4Reports(fixture('ga4-empty'), { metricHeaders: [{ name: 'sessions' }] }, dates);
+
+  assert.equal(data.sessions.length, 30);
+  assert.ok(data.sessions.every(n => n === 0));
+  assert.deepEqual(data.sources, {});
+  assert.equal(data.avgSessionDuration, 0);
+  assert.equal(data.conversionRate, 0);
+});
+
+// Each recorded failure maps to its own error code (and so its own recovery action in the popup).
+for (const [status, name, code] of [
+  [401, 'ga4-error-401', ErrorCodes.AUTH_EXPIRED],
+  [403, 'ga4-error-403', ErrorCodes.PERMISSION_DENIED],
+  [429, 'ga4-error-429', ErrorCodes.QUOTA_EXCEEDED]
+]) {
+  test(`classifies a ${status} response as ${code}`, async () => {
+    const { fetchImpl } = replayFetch({ date: fixture(name), sessionDefaultChannelGroup: fixture(name) }, { status });
+
+    await assert.rejects(fetchGA4Data('123456789', { token: 't', fetchImpl, now: NOW }), (error) => {
+      assert.equal(error.code, code);
+      assert.equal(error.status, status);
+      return true;
+    });
+  });
+}
+
+test('keeps the API message for permission errors', async () => {
+  const { fetchImpl } = replayFetch(
+    { date: fixture('ga4-error-403'), sessionDefaultChannelGroup: fixture('ga4-error-403') },
+    { status: 403 }
+  );
+
+  await assert.rejects(
+    fetchGA4Data('123456789', { token: 't', fetchImpl, now: NOW }),
+    /User does not have sufficient permissions/
+  );
+});
+
+test('reports a failed fetch as network_offline', async () => {
+  const fetchImpl = async () => {
+    throw new TypeError('Failed to fetch');
+  };
+
+  await assert.rejects(fetchGA4Data('123456789', { token: 't', fetchImpl, now: NOW }), {
+    code: ErrorCodes.NETWORK_OFFLINE
+  });
+});
+
+test('reports a non-JSON success body as parse_error', async () => {
+  const { fetchImpl } = replayFetch({});
+
+  await assert.rejects(fetchGA4Data('123456789', { token: 't', fetchImpl, now: NOW }), {
+    code: ErrorCodes.PARSE_ERROR
+  });
+});
+
+test('rejects responses that lack a requested metric', () => {
+  const daily = fixture('ga4-daily');
+  daily.metricHeaders = daily.metricHeaders.filter(h => h.name !== 'conversions');
+
+  assert.throws(
+    () => parseGA4Reports(daily, fixture('ga4-channels'), reportDates(NOW)),
+    { code: ErrorCodes.PARSE_ERROR, message: /missing the conversions metric/ }
+  );
+});
@@ -0,0 +1,150 @@
+// Cache and Active mode tests against a small in-memory chrome.storage / chrome.alarms.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  CACHE_KEY,
+  REFRESH_ALARM,
+  REFRESH_PERIOD_MINUTES,
+  newWarnings,
+  readCachedAnalytics,
+  refreshAnalytics,
+  runScheduledRefresh,
+  setActiveMode
+} from '../refresh.js';
+import { AnalyticsError, ErrorCodes } from '../errors.js';
+
+function storageArea(initial = {}) {
+  const data = structuredClone(initial);
+  return {
+    data,
+    async get(keys) {
+      const out = {};
+      for (const key of [].concat(keys)) {
+        if (key in data) {
+          out[key] = structuredClone(data[key]);
+        }
+      }
+      return out;
+    },
+    async set(items) {
+      Object.assign(data, structuredClone(items));
+    }
+  };
+}
+
+function fakeChrome({ sync = {} } = {}) {
+  const alarms = new Map();
+  return {
+    alarms: {
+      all: alarms,
+      async create(name, info) {
+        alarms.set(name, info);
+      },
+      async clear(name) {
+        return alarms.delete(name);
+      }
+    },
+    storage: { sync: storageArea(sync), local: storageArea() }
+  };
+}
+
+const drop = { type: 'warning', title: '🚨 Traffic Drop Alert', message: 'Sessions dropped 20%.' };
+const adWaste = { type: 'warning', title: '💸 Ad Waste Alert', message: 'Paid bounce rate is 70%.' };
+const tip = { type: 'tip', title: '💡 Quick Win', message: 'Add internal links.' };
+
+function report(insights) {
+  return { raw: { sessions: [1, 2, 3] }, insights, timestamp: Date.now() };
+}
+
+test('lists warnings the previous run did not have, matched by title', () => {
+  const reworded = { ...drop, message: 'Sessions dropped 35%.' };
+
+  assert.deepEqual(newWarnings([drop, tip], [reworded, adWaste, tip]), [adWaste]);
+  assert.deepEqual(newWarnings([], [tip]), []);
+  assert.deepEqual(newWarnings([adWaste], []), []);
+});
+
+test('caches each report per property and returns the run it replaced', async () => {
+  const chrome = fakeChrome();
+  globalThis.chrome = chrome;
+  const first = report([drop]);
+  const second = report([drop, adWaste]);
+
+  assert.deepEqual(await refreshAnalytics('123', async () => first), { data: first, previous: null });
+  assert.deepEqual(chrome.storage.local.data[CACHE_KEY], { propertyId: '123', data: first });
+  assert.deepEqual(await readCachedAnalytics('123'), first);
+  assert.equal(await readCachedAnalytics('456'), null);
+
+  assert.deepEqual(await refreshAnalytics('123', async () => second), { data: second, previous: first });
+  assert.deepEqual(await readCachedAnalytics('123'), second);
+});
+
+test('never caches demo data', async () => {
+  const chrome = fakeChrome();
+  globalThis.chrome = chrome;
+  const demo = { ...report([drop]), isMockData: true };
+
+  assert.deepEqual(await refreshAnalytics('123', async () => demo), { data: demo, previous: null });
+  assert.deepEqual(chrome.storage.local.data, {});
+});
+
+test('the first scheduled run is the baseline; later runs alert on new warnings only', async () => {
+  globalThis.chrome = fakeChrome({ sync: { propertyId: '123' } });
+  const runs = [report([drop, tip]), report([drop, adWaste, tip])];
+  const notified = [];
+  const options = { loadReport: async () => runs.shift(), notify: async insight => notified.push(insight) };
+
+  await runScheduledRefresh(options);
+  assert.deepEqual(notified, []);
+
+  await runScheduledRefresh(options);
+  assert.deepEqual(notified, [adWaste]);
+});
+
+test('skips the scheduled run when Active mode is off, in demo mode or without a property', async () => {
+  for (const sync of [{ propertyId: '123', activeMode: false }, { propertyId: '123', demoMode: true }, {}]) {
+    const chrome = fakeChrome({ sync });
+    globalThis.chrome = chrome;
+    let loads = 0;
+    const loadReport = async () => {
+      loads += 1;
+      return report([drop]);
+    };
+
+    await runScheduledRefresh({ loadReport, notify: assert.fail });
+
+    assert.equal(loads, 0);
+    assert.deepEqual(chrome.storage.local.data, {});
+  }
+});
+
+test('a failed scheduled run keeps the cached report', async () => {
+  const chrome = fakeChrome({ sync: { propertyId: '123' } });
+  globalThis.chrome = chrome;
+  const cached = report([drop]);
+  await refreshAnalytics('123', async () => cached);
+
+  await runScheduledRefresh({
+    loadReport: async () => {
+      throw new AnalyticsError(ErrorCodes.AUTH_EXPIRED, 'Your Google sign-in has expired.');
+    },
+    notify: assert.fail
+  });
+
+  assert.deepEqual(await readCachedAnalytics('123'), cached);
+});
+
+test('Active mode creates the daily alarm and clears it when switched off', async () => {
+  const chrome = fakeChrome();
+  globalThis.chrome = chrome;
+
+  await setActiveMode(true);
+  assert.equal(chrome.storage.sync.data.activeMode, true);
+  assert.deepEqual(chrome.alarms.all.get(REFRESH_ALARM), { periodInMinutes: REFRESH_PERIOD_MINUTES });
+
+  await setActiveMode(false);
+  assert.equal(chrome.storage.sync.data.activeMode, false);
+  assert.equal(chrome.alarms.all.has(REFRESH_ALARM), false);
+});
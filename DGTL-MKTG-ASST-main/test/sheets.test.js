@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { exportToSpreadsheet } from '../sheets.js';
+import { ErrorCodes } from '../errors.js';
+
+const tables = [
+  { title: 'Daily', rows: [['Date', 'Sessions'], ['2025-03-30', 98]] },
+  { title: 'Channels', rows: [['Channel', 'Sessions'], ['organic', 900]] },
+  { title: 'Insights', rows: [['Type', 'Title']] }
+];
+
+// `routes` maps "METHOD path" (path relative to /v4/spreadsheets, query dropped) to
+// [status, body]; every request is recorded.
+function fakeSheets(routes) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    const path = url.replace('https://sheets.googleapis.com/v4/spreadsheets', '').split('?')[0];
+    const key = `${init.method} ${path}`;
+    calls.push({ key, url, init, body: init.body ? JSON.parse(init.body) : undefined });
+    const [status, body] = routes[key] || [500, { error: { message: `no route for ${key}` } }];
+    return { ok: status >= 200 && status < 300, status, json: async () => structuredClone(body) };
+  };
+  return { fetchImpl, calls };
+}
+
+const CREATED = [200, { spreadsheetId: 'new-sheet', spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/new-sheet/edit' }];
+
+test('creates a spreadsheet with a tab per table on the first export', async () => {
+  const { fetchImpl, calls } = fakeSheets({
+    'POST ': CREATED,
+    'POST /new-sheet/values:batchUpdate': [200, {}]
+  });
+
+  const result = await exportToSpreadsheet(tables, { token: 'ya29.t', title: 'Growth Coach', fetchImpl });
+
+  assert.deepEqual(result, {
+    spreadsheetId: 'new-sheet',
+    spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/new-sheet/edit',
+    created: true
+  });
+  assert.deepEqual(calls.map(c => c.key), ['POST ', 'POST /new-sheet/values:batchUpdate']);
+  assert.equal(calls[0].init.headers.Authorization, 'Bearer ya29.t');
+  assert.deepEqual(calls[0].body, {
+    properties: { title: 'Growth Coach' },
+    sheets: [{ properties: { title: 'Daily' } }, { properties: { title: 'Channels' } }, { properties: { title: 'Insights' } }]
+  });
+  assert.equal(calls[1].body.valueInputOption, 'RAW');
+  assert.deepEqual(calls[1].body.data[0], { range: "'Daily'!A1", values: tables[0].rows });
+});
+
+test('updates the remembered spreadsheet, adding missing tabs and clearing old values', async () => {
+  const { fetchImpl, calls } = fakeSheets({
+    'GET /saved': [200, {
+      spreadsheetId: 'saved',
+      spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/saved/edit',
+      sheets: [{ properties: { title: 'Daily' } }, { properties: { title: 'Channels' } }]
+    }],
+    'POST /saved:batchUpdate': [200, {}],
+    'POST /saved/values:batchClear': [200, {}],
+    'POST /saved/values:batchUpdate': [200, {}]
+  });
+
+  const result = await exportToSpreadsheet(tables, { token: 't', spreadsheetId: 'saved', title: 'x', fetchImpl });
+
+  assert.equal(result.spreadsheetId, 'saved');
+  assert.equal(result.created, false);
+  assert.deepEqual(calls.map(c => c.key), [
+    'GET /saved',
+    'POST /saved:batchUpdate',
+    'POST /saved/values:batchClear',
+    'POST /saved/values:batchUpdate'
+  ]);
+  assert.deepEqual(calls[1].body.requests, [{ addSheet: { properties: { title: 'Insights' } } }]);
+  assert.deepEqual(calls[2].body.ranges, ["'Daily'", "'Channels'", "'Insights'"]);
+});
+
+test('starts a new spreadsheet when the remembered one is gone', async () => {
+  const { fetchImpl, calls } = fakeSheets({
+    'GET /deleted': [404, { error: { code: 404, message: 'Requested entity was not found.', status: 'NOT_FOUND' } }],
+    'POST ': CREATED,
+    'POST /new-sheet/values:batchUpdate': [200, {}]
+  });
+
+  const result = await exportToSpreadsheet(tables, { token: 't', spreadsheetId: 'deleted', title: 'x', fetchImpl });
+
+  assert.equal(result.spreadsheetId, 'new-sheet');
+  assert.equal(result.created, true);
+  assert.equal(calls.length, 3);
+});
+
+test('maps Sheets API failures to error codes', async () => {
+  for (const [status, code] of [
+    [401, ErrorCodes.AUTH_EXPIRED],
+    [403, ErrorCodes.PERMISSION_DENIED],
+    [429, ErrorCodes.QUOTA_EXCEEDED],
+    [500, ErrorCodes.API_ERROR]
+  ]) {
+    const { fetchImpl } = fakeSheets({ 'POST ': [status, { error: { message: 'nope' } }] });
+    await assert.rejects(exportToSpreadsheet(tables, { token: 't', title: 'x', fetchImpl }), { code, status });
+  }
+
+  await assert.rejects(
+    exportToSpreadsheet(tables, {
+      token: 't',
+      title: 'x',
+      fetchImpl: async () => {
+        throw new TypeError('Failed to fetch');
+      }
+    }),
+    { code: ErrorCodes.NETWORK_OFFLINE }
+  );
+});
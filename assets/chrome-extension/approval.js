@@ -0,0 +1,49 @@
+const id = Number(new URLSearchParams(location.search).get('id'))
+
+const KIND_LABELS = {
+  navigation: 'Navigate to a new site',
+  formSubmit: 'Submit a form',
+  passwordInput: 'Type into a password field',
+  download: 'Download a file',
+  storageExport: 'Export your session',
+}
+
+/** @type {any} */
+let details = null
+
+function setButtonsDisabled(disabled) {
+  document.getElementById('approve').disabled = disabled
+  document.getElementById('deny').disabled = disabled
+}
+
+async function load() {
+  details = await chrome.runtime.sendMessage({ type: 'getApproval', id })
+  if (!details || details.missing) {
+    document.getElementById('summary').textContent = 'This request has already been answered or has expired.'
+    setButtonsDisabled(true)
+    return
+  }
+  document.getElementById('summary').textContent = `${KIND_LABELS[details.kind] || details.kind}: ${details.summary}`
+  document.getElementById('origin').textContent = details.origin ? `Origin: ${details.origin}` : ''
+  document.getElementById('tab').textContent = details.tabUrl
+    ? `Tab: ${details.tabTitle || details.tabUrl}`
+    : ''
+  // Without a known origin there is nothing to scope a longer grant to.
+  document.getElementById('grant').disabled = !details.origin || details.singleUse
+  if (details.singleUse) document.getElementById('grant').value = '0'
+}
+
+async function answer(approved) {
+  setButtonsDisabled(true)
+  if (approved && details?.permissions) {
+    // Declining the extra permission still approves; the background falls back to CDP.
+    await chrome.permissions.request(details.permissions).catch(() => false)
+  }
+  const allowOriginMinutes = approved ? Number(document.getElementById('grant').value) || 0 : 0
+  await chrome.runtime.sendMessage({ type: 'resolveApproval', id, approved, allowOriginMinutes })
+  window.close()
+}
+
+document.getElementById('approve').addEventListener('click', () => void answer(true))
+document.getElementById('deny').addEventListener('click', () => void answer(false))
+void load()
@@ -0,0 +1,925 @@
+export const DEFAULT_RELAY_PORT = 18792
+export const RECONNECT_BASE_DELAY_MS = 1000
+export const RECONNECT_MAX_DELAY_MS = 30_000
+
+/**
+ * Exponential backoff (with jitter) for relay reconnect attempts.
+ * `attempt` is zero-based: the first retry waits roughly `baseMs`.
+ */
+export function reconnectDelayMs(attempt, opts = {}) {
+  const baseMs = opts.baseMs ?? RECONNECT_BASE_DELAY_MS
+  const maxMs = opts.maxMs ?? RECONNECT_MAX_DELAY_MS
+  const jitterMs = opts.jitterMs ?? 1000
+  const random = opts.random ?? Math.random
+  const n = Number.isFinite(attempt) && attempt > 0 ? Math.floor(attempt) : 0
+  const backoff = Math.min(baseMs * 2 ** n, maxMs)
+  return backoff + Math.max(0, jitterMs) * random()
+}
+
+/**
+ * Snapshot of the attached-tab session table, as stored in `chrome.storage.session`
+ * so it survives the MV3 service worker being unloaded.
+ */
+export function serializeSessionState({ nextSession, tabs, childSessionToTab, childTargets }) {
+  const entries = []
+  for (const [tabId, tab] of tabs.entries()) {
+    if (tab.state !== 'connected' || !tab.sessionId || !tab.targetId) continue
+    entries.push({
+      tabId,
+      sessionId: tab.sessionId,
+      targetId: tab.targetId,
+      attachOrder: tab.attachOrder,
+      autoAttached: tab.autoAttached === true,
+      attachedAt: tab.attachedAt,
+      // A take-over outlives a worker restart: the user still has the tab.
+      ...(Number.isFinite(tab.pausedAt) ? { pausedAt: tab.pausedAt } : {}),
+    })
+  }
+  const children = []
+  for (const [sessionId, tabId] of childSessionToTab.entries()) {
+    // Child target metadata lets a restarted relay hear about iframes/workers again.
+    const child = childTargets?.get(sessionId)
+    children.push(child ? [sessionId, tabId, child] : [sessionId, tabId])
+  }
+  return { version: 1, nextSession, tabs: entries, childSessions: children }
+}
+
+/** Validate a stored snapshot; returns null when it is missing or unusable. */
+export function parseSessionState(raw) {
+  if (!raw || typeof raw !== 'object' || raw.version !== 1 || !Array.isArray(raw.tabs)) return null
+  const tabs = []
+  for (const entry of raw.tabs) {
+    const tabId = entry?.tabId
+    const sessionId = entry?.sessionId
+    const targetId = entry?.targetId
+    if (!Number.isInteger(tabId) || tabId <= 0) continue
+    if (typeof sessionId !== 'string' || !sessionId) continue
+    if (typeof targetId !== 'string' || !targetId) continue
+    const attachOrder = Number.isFinite(entry.attachOrder) ? entry.attachOrder : undefined
+    const attachedAt = Number.isFinite(entry.attachedAt) ? entry.attachedAt : undefined
+    tabs.push({
+      tabId,
+      sessionId,
+      targetId,
+      attachOrder,
+      autoAttached: entry.autoAttached === true,
+      attachedAt,
+      ...(Number.isFinite(entry.pausedAt) ? { pausedAt: entry.pausedAt } : {}),
+    })
+  }
+  const childSessions = []
+  for (const pair of Array.isArray(raw.childSessions) ? raw.childSessions : []) {
+    if (!Array.isArray(pair) || typeof pair[0] !== 'string' || !Number.isInteger(pair[1])) continue
+    const child = pair[2]
+    const valid =
+      child &&
+      typeof child === 'object' &&
+      typeof child.parentSessionId === 'string' &&
+      typeof child.targetInfo?.targetId === 'string'
+    childSessions.push(valid ? [pair[0], pair[1], child] : [pair[0], pair[1]])
+  }
+  const next = Number.isInteger(raw.nextSession) && raw.nextSession > 0 ? raw.nextSession : 1
+  return { nextSession: next, tabs, childSessions }
+}
+
+/** Compact elapsed time for the popup: `42s`, `5m 03s`, `2h 07m`. */
+export function formatDuration(ms) {
+  const total = Number.isFinite(ms) && ms > 0 ? Math.floor(ms / 1000) : 0
+  const h = Math.floor(total / 3600)
+  const m = Math.floor((total % 3600) / 60)
+  const s = total % 60
+  const pad = (n) => String(n).padStart(2, '0')
+  if (h > 0) return `${h}h ${pad(m)}m`
+  if (m > 0) return `${m}m ${pad(s)}s`
+  return `${s}s`
+}
+
+export function clampRelayPort(value, fallback = DEFAULT_RELAY_PORT) {
+  const n = Number.parseInt(String(value || ''), 10)
+  if (!Number.isFinite(n) || n <= 0 || n > 65535) return fallback
+  return n
+}
+
+export function isLoopbackHostname(hostname) {
+  const host = String(hostname || '').toLowerCase().replace(/^\[|\]$/g, '')
+  return host === 'localhost' || host === '::1' || host.startsWith('127.')
+}
+
+/**
+ * Resolve where the relay lives from the stored options. `relayUrl` wins; the
+ * legacy `relayPort` option maps to loopback. `ws(s)://` input is accepted too.
+ */
+export function resolveRelayEndpoint({ relayUrl, relayPort, relayToken } = {}) {
+  let httpBase = ''
+  const raw = String(relayUrl || '').trim()
+  if (raw) {
+    try {
+      const parsed = new URL(raw.includes('://') ? raw : `http://${raw}`)
+      if (parsed.protocol === 'ws:') parsed.protocol = 'http:'
+      if (parsed.protocol === 'wss:') parsed.protocol = 'https:'
+      if (parsed.protocol === 'http:' || parsed.protocol === 'https:') httpBase = parsed.origin
+    } catch {
+      // fall back to the port option
+    }
+  }
+  if (!httpBase) httpBase = `http://127.0.0.1:${clampRelayPort(relayPort)}`
+
+  const url = new URL(httpBase)
+  const token = typeof relayToken === 'string' ? relayToken.trim() : ''
+  const query = token ? `?token=${encodeURIComponent(token)}` : ''
+  return {
+    httpBase,
+    wsUrl: `${httpBase.replace(/^http/, 'ws')}/extension${query}`,
+    isLoopback: isLoopbackHostname(url.hostname),
+    token,
+  }
+}
+
+/**
+ * Relay protocol this extension speaks (see src/browser/extension-relay.ts). Raise
+ * MIN_RELAY_PROTOCOL_VERSION once the extension can no longer work with older gateways.
+ */
+export const RELAY_PROTOCOL_VERSION = 2
+export const MIN_RELAY_PROTOCOL_VERSION = 2
+export const EXTENSION_FEATURES = [
+  'pong',
+  'structuredErrors',
+  'childTargets',
+  'auditLogEntry',
+  'binaryScreencast',
+  'downloads',
+  'uploadPayloads',
+  'eventBatches',
+  'eventFilter',
+]
+
+/** First message sent on a fresh relay socket. */
+export function buildHelloMessage(extensionVersion) {
+  return {
+    method: 'hello',
+    params: {
+      protocolVersion: RELAY_PROTOCOL_VERSION,
+      minProtocolVersion: MIN_RELAY_PROTOCOL_VERSION,
+      extensionVersion: String(extensionVersion || ''),
+      features: EXTENSION_FEATURES,
+    },
+  }
+}
+
+/** Why the relay's hello reply rules out this connection, or null when compatible. */
+export function checkRelayHello(params) {
+  if (!params || typeof params !== 'object') return 'relay sent an invalid hello reply'
+  if (params.ok === false) {
+    return typeof params.error === 'string' && params.error ? params.error : 'relay rejected this extension'
+  }
+  const version = params.protocolVersion
+  if (!Number.isInteger(version)) return 'relay sent an invalid hello reply'
+  if (version < MIN_RELAY_PROTOCOL_VERSION) {
+    return `gateway relay protocol v${version} is too old for this extension (needs v${MIN_RELAY_PROTOCOL_VERSION}+); update OpenClaw`
+  }
+  if (Number.isInteger(params.minProtocolVersion) && params.minProtocolVersion > RELAY_PROTOCOL_VERSION) {
+    return `gateway needs extension protocol v${params.minProtocolVersion}+ (this is v${RELAY_PROTOCOL_VERSION}); run \`openclaw browser extension install\` and reload the extension`
+  }
+  return null
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Compile an auto-attach URL pattern (Chrome match-pattern style) into a RegExp.
+ * `https://admin.staging.example.com/*`, `*://*.internal.example/*` and a bare
+ * host like `staging.example.com` (any scheme, any path) are accepted.
+ */
+export function compileUrlPattern(pattern) {
+  let raw = String(pattern || '').trim()
+  if (!raw) return null
+  if (!raw.includes('://')) raw = `*://${raw}`
+  const match = /^(\*|https?):\/\/([^/]+)(\/.*)?$/i.exec(raw)
+  if (!match) return null
+  const [, scheme, host, path] = match
+  let hostRe
+  if (host === '*') {
+    hostRe = '[^/]+'
+  } else if (host.startsWith('*.')) {
+    const rest = host.slice(2)
+    if (!rest || rest.includes('*')) return null
+    hostRe = `(?:[^/]+\\.)?${escapeRegExp(rest)}`
+  } else {
+    if (host.includes('*')) return null
+    hostRe = escapeRegExp(host)
+  }
+  const schemeRe = scheme === '*' ? 'https?' : scheme.toLowerCase()
+  const pathRe = (path || '/*').split('*').map(escapeRegExp).join('.*')
+  return new RegExp(`^${schemeRe}://${hostRe}${pathRe}$`, 'i')
+}
+
+/** Normalize the stored pattern list (array or newline-separated text). */
+export function parseUrlPatterns(raw) {
+  const lines = Array.isArray(raw) ? raw : String(raw || '').split(/\r?\n/)
+  const patterns = []
+  const invalid = []
+  for (const line of lines) {
+    const trimmed = String(line || '').trim()
+    if (!trimmed || trimmed.startsWith('#')) continue
+    if (compileUrlPattern(trimmed)) patterns.push(trimmed)
+    else invalid.push(trimmed)
+  }
+  return { patterns, invalid }
+}
+
+export function matchesUrlPatterns(url, patterns) {
+  if (typeof url !== 'string' || !url) return false
+  for (const pattern of patterns) {
+    const re = compileUrlPattern(pattern)
+    if (re?.test(url)) return true
+  }
+  return false
+}
+
+// Cookie, storage and browser-wide calls reach the user's real logged-in profile.
+const CDP_SENSITIVE_METHODS = [
+  'Network.getAllCookies',
+  'Network.getCookies',
+  'Network.setCookie',
+  'Network.setCookies',
+  'Network.deleteCookies',
+  'Network.clearBrowserCookies',
+  'Network.clearBrowserCache',
+  'Storage',
+  'IndexedDB',
+  'CacheStorage',
+  'DOMStorage',
+  'Browser',
+  'SystemInfo',
+  'Security.setIgnoreCertificateErrors',
+  'Target.createBrowserContext',
+  'Target.disposeBrowserContext',
+  'Target.exposeDevToolsProtocol',
+  'OpenClaw.exportStorageBundle',
+]
+
+// Anything that changes the page: input, navigation, tab lifecycle, DOM edits.
+const CDP_MUTATING_METHODS = [
+  'Input',
+  'Fetch',
+  'Page.navigate',
+  'Page.navigateToHistoryEntry',
+  'Page.reload',
+  'Page.close',
+  'Page.handleJavaScriptDialog',
+  'Page.setDownloadBehavior',
+  'Target.createTarget',
+  'Target.closeTarget',
+  'DOM.setAttributeValue',
+  'DOM.setAttributesAsText',
+  'DOM.setOuterHTML',
+  'DOM.setNodeValue',
+  'DOM.setNodeName',
+  'DOM.removeNode',
+  'DOM.setFileInputFiles',
+]
+
+/**
+ * Built-in CDP policies. `custom` allows only what the user lists.
+ * Note: `read-only` limits the CDP surface; `Runtime.evaluate` still runs page JS.
+ */
+export const CDP_POLICY_PRESETS = {
+  'read-only': { allow: ['*'], deny: [...CDP_SENSITIVE_METHODS, ...CDP_MUTATING_METHODS] },
+  interact: { allow: ['*'], deny: CDP_SENSITIVE_METHODS },
+  full: { allow: ['*'], deny: [] },
+  custom: { allow: [], deny: [] },
+}
+
+export const DEFAULT_CDP_POLICY = { preset: 'full', allow: [], deny: [] }
+
+const CDP_METHOD_PATTERN_RE = /^(\*|[A-Za-z]+(\.(\*|[A-Za-z]+))?)$/
+
+/** Normalize a domain/method list (array or newline/comma-separated text). */
+export function parseCdpMethodList(raw) {
+  const items = Array.isArray(raw) ? raw : String(raw || '').split(/[\n,]/)
+  const entries = []
+  const invalid = []
+  for (const item of items) {
+    const trimmed = String(item || '').trim()
+    if (!trimmed || trimmed.startsWith('#')) continue
+    if (!CDP_METHOD_PATTERN_RE.test(trimmed)) invalid.push(trimmed)
+    else if (!entries.includes(trimmed)) entries.push(trimmed)
+  }
+  return { entries, invalid }
+}
+
+export function normalizeCdpPolicy(raw) {
+  const preset = Object.hasOwn(CDP_POLICY_PRESETS, raw?.preset) ? raw.preset : DEFAULT_CDP_POLICY.preset
+  return {
+    preset,
+    allow: parseCdpMethodList(raw?.allow).entries,
+    deny: parseCdpMethodList(raw?.deny).entries,
+  }
+}
+
+/** `Page` and `Page.*` match the whole domain; `*` matches everything. */
+function matchesCdpMethod(method, pattern) {
+  if (pattern === '*') return true
+  const [domain, name] = pattern.split('.')
+  const [methodDomain] = method.split('.')
+  if (!name || name === '*') return methodDomain === domain
+  return method === pattern
+}
+
+function findCdpRule(method, patterns) {
+  return patterns.find((pattern) => matchesCdpMethod(method, pattern)) ?? null
+}
+
+/** The method inside a `Target.sendMessageToTarget` message, with its params; null if unreadable. */
+function wrappedCdpCommand(params) {
+  try {
+    const inner = JSON.parse(String(params?.message ?? ''))
+    return typeof inner?.method === 'string' ? { method: inner.method, params: inner.params } : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Decide whether a CDP method may be forwarded. User deny entries win over user
+ * allow entries, which win over the preset (so `allow` can re-enable a method a
+ * preset blocks). Anything unmatched is denied. `Target.sendMessageToTarget` is
+ * judged by the command it carries, which would otherwise reach the child session
+ * unchecked.
+ */
+export function evaluateCdpPolicy(policy, method, params) {
+  const { preset, allow, deny } = normalizeCdpPolicy(policy)
+  const base = CDP_POLICY_PRESETS[preset]
+  const checks = [
+    ['custom-deny', deny, false],
+    ['custom-allow', allow, true],
+    ['preset-deny', base.deny, false],
+    ['preset-allow', base.allow, true],
+  ]
+  let decision = { allowed: false, source: 'default-deny', rule: null, preset }
+  for (const [source, patterns, allowed] of checks) {
+    const rule = findCdpRule(method, patterns)
+    if (rule) {
+      decision = { allowed, source, rule, preset }
+      break
+    }
+  }
+  if (!decision.allowed || method !== 'Target.sendMessageToTarget') return decision
+
+  const inner = wrappedCdpCommand(params)
+  if (!inner) return { allowed: false, source: 'wrapped-message', rule: null, preset }
+  const innerDecision = evaluateCdpPolicy(policy, inner.method, inner.params)
+  if (innerDecision.allowed) return decision
+  return { ...innerDecision, wrappedMethod: innerDecision.wrappedMethod ?? inner.method }
+}
+
+/** Which agent actions need a click in Chrome before they run (all opt-in). */
+export const DEFAULT_APPROVAL_SETTINGS = {
+  navigation: false,
+  formSubmit: false,
+  passwordInput: false,
+  downloads: false,
+}
+
+export function normalizeApprovalSettings(raw) {
+  const settings = { ...DEFAULT_APPROVAL_SETTINGS }
+  for (const key of Object.keys(settings)) settings[key] = raw?.[key] === true
+  return settings
+}
+
+/** `https://example.com` for web URLs; empty for `about:`, `data:`, `chrome:` and junk. */
+export function urlOrigin(url) {
+  try {
+    const parsed = new URL(String(url || ''))
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.origin : ''
+  } catch {
+    return ''
+  }
+}
+
+const KEY_DOWN_TYPES = new Set(['keyDown', 'rawKeyDown'])
+
+/**
+ * Which page state a command needs before it can be classified: the focused
+ * element (`focus`), the element under the pointer (`point`), or nothing.
+ */
+export function approvalProbeFor(method, params, settings) {
+  if (method === 'Input.insertText' && settings.passwordInput) return 'focus'
+  if (method === 'Input.dispatchKeyEvent') {
+    if (settings.passwordInput) return 'focus'
+    if (settings.formSubmit && KEY_DOWN_TYPES.has(params?.type) && params?.key === 'Enter') return 'focus'
+  }
+  if (method === 'Input.dispatchMouseEvent' && settings.formSubmit && params?.type === 'mousePressed') {
+    return 'point'
+  }
+  return null
+}
+
+/**
+ * Classify a forwarded CDP command as a sensitive action, or null when it can run.
+ * `probe` is the page state requested by `approvalProbeFor`.
+ */
+export function classifySensitiveCommand(method, params, { settings, currentUrl, probe }) {
+  const currentOrigin = urlOrigin(currentUrl)
+
+  if (settings.navigation && (method === 'Page.navigate' || method === 'Target.createTarget')) {
+    const nextOrigin = urlOrigin(params?.url)
+    if (nextOrigin && nextOrigin !== currentOrigin) {
+      return { kind: 'navigation', origin: nextOrigin, summary: `Open ${params.url}` }
+    }
+    return null
+  }
+
+  if (method === 'Input.dispatchKeyEvent' || method === 'Input.insertText') {
+    if (settings.passwordInput && probe?.type === 'password') {
+      return { kind: 'passwordInput', origin: currentOrigin, summary: 'Type into a password field' }
+    }
+    const isEnter = method === 'Input.dispatchKeyEvent' && KEY_DOWN_TYPES.has(params?.type) && params?.key === 'Enter'
+    if (settings.formSubmit && isEnter && probe?.inForm && probe?.tag !== 'textarea') {
+      return { kind: 'formSubmit', origin: currentOrigin, summary: 'Submit a form (Enter key)' }
+    }
+    return null
+  }
+
+  if (method === 'Input.dispatchMouseEvent' && settings.formSubmit && probe?.isSubmit) {
+    return { kind: 'formSubmit', origin: currentOrigin, summary: 'Submit a form (click)' }
+  }
+  return null
+}
+
+/**
+ * Attached tab a new download came from: the one whose page shares the download's
+ * referrer origin. Downloads without a referrer (the agent navigated straight to a
+ * file) are credited to `fallbackTabId`. Null for downloads the user started elsewhere.
+ */
+export function downloadSourceTab(item, attachedTabs, fallbackTabId = null) {
+  if (!item?.referrer) return fallbackTabId
+  const referrerOrigin = urlOrigin(item.referrer)
+  if (!referrerOrigin) return null
+  return attachedTabs.find((tab) => urlOrigin(tab.url) === referrerOrigin)?.tabId ?? null
+}
+
+export const AUDIT_LOG_LIMIT = 1000
+
+const AUDIT_STRING_LIMIT = 200
+// Input.* key/text fields spell out whatever the agent typed.
+const REDACTED_INPUT_KEYS = new Set(['text', 'unmodifiedText', 'key', 'code', 'keyIdentifier'])
+const REDACTED_KEY_RE = /pass(word|wd)?|secret|token|cookie|authorization|headers|postData/i
+
+function redactValue(value, depth) {
+  if (typeof value === 'string') {
+    return value.length > AUDIT_STRING_LIMIT
+      ? `${value.slice(0, AUDIT_STRING_LIMIT)}…(+${value.length - AUDIT_STRING_LIMIT} chars)`
+      : value
+  }
+  if (!value || typeof value !== 'object') return value
+  if (depth >= 4) return '[truncated]'
+  if (Array.isArray(value)) return value.slice(0, 20).map((item) => redactValue(item, depth + 1))
+  const out = {}
+  for (const [key, item] of Object.entries(value)) {
+    out[key] = REDACTED_KEY_RE.test(key) ? '[redacted]' : redactValue(item, depth + 1)
+  }
+  return out
+}
+
+function redactCallArguments(args) {
+  if (!Array.isArray(args)) return '[redacted]'
+  return args.map((arg) => (arg && typeof arg === 'object' && 'value' in arg ? { ...arg, value: '[redacted]' } : arg))
+}
+
+/** Copy of CDP params that is safe to keep in the audit log (typed text, secrets and cookies removed). */
+export function redactCdpParams(method, params) {
+  if (!params || typeof params !== 'object') return params
+  const isInput = method.startsWith('Input.')
+  const isCookie = /^Network\.(setCookie|setCookies)$/.test(method)
+  const out = {}
+  for (const [key, value] of Object.entries(params)) {
+    if (isInput && REDACTED_INPUT_KEYS.has(key)) out[key] = '[redacted]'
+    else if (isCookie && (key === 'value' || key === 'cookies')) out[key] = '[redacted]'
+    // Playwright passes fill() values as call arguments.
+    else if (method === 'Runtime.callFunctionOn' && key === 'arguments') out[key] = redactCallArguments(value)
+    // Upload contents inlined by the relay: keep the file names only.
+    else if (method === 'DOM.setFileInputFiles' && key === 'payloads' && Array.isArray(value)) {
+      out[key] = value.map((payload) => ({ name: payload?.name }))
+    }
+    else out[key] = REDACTED_KEY_RE.test(key) ? '[redacted]' : redactValue(value, 1)
+  }
+  return out
+}
+
+/** Append to the audit ring buffer, dropping the oldest entries past `limit`. */
+export function appendAuditEntry(log, entry, limit = AUDIT_LOG_LIMIT) {
+  log.push(entry)
+  if (log.length > limit) log.splice(0, log.length - limit)
+  return log
+}
+
+export function formatAuditLogJsonl(entries) {
+  return entries.map((entry) => JSON.stringify(entry)).join('\n') + (entries.length > 0 ? '\n' : '')
+}
+
+export const TAB_GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange']
+
+export const DEFAULT_AGENT_TAB_SETTINGS = {
+  groupTabs: true,
+  separateWindow: false,
+  groupTitle: 'OpenClaw',
+  groupColor: 'orange',
+}
+
+/** Where `Target.createTarget` puts agent tabs: a labelled tab group, optionally in its own window. */
+export function normalizeAgentTabSettings(raw) {
+  const title = typeof raw?.groupTitle === 'string' ? raw.groupTitle.trim().slice(0, 40) : ''
+  return {
+    groupTabs: raw?.groupTabs !== false,
+    separateWindow: raw?.separateWindow === true,
+    groupTitle: title || DEFAULT_AGENT_TAB_SETTINGS.groupTitle,
+    groupColor: TAB_GROUP_COLORS.includes(raw?.groupColor) ? raw.groupColor : DEFAULT_AGENT_TAB_SETTINGS.groupColor,
+  }
+}
+
+/** The connected tab among `candidateTabIds` that was attached last, or null. */
+export function pickMostRecentTab(tabs, candidateTabIds) {
+  let best = null
+  let bestOrder = -Infinity
+  for (const [tabId, tab] of tabs.entries()) {
+    if (tab.state !== 'connected' || !candidateTabIds.has(tabId)) continue
+    const order = Number.isFinite(tab.attachOrder) ? tab.attachOrder : 0
+    if (order >= bestOrder) {
+      best = tabId
+      bestOrder = order
+    }
+  }
+  return best
+}
+
+const GENERIC_BRAND_RE = /not.?a.?brand|chromium/i
+
+/**
+ * Name the browser the extension runs in and whether it can drive tabs.
+ * Chromium forks (Edge, Brave, Opera, Vivaldi) keep `chrome.debugger`; Firefox has none.
+ */
+export function detectBrowser(nav, hasDebugger) {
+  const ua = String(nav?.userAgent || '')
+  let name = 'Chromium'
+  if (nav?.brave) name = 'Brave'
+  else if (/Firefox\//.test(ua)) name = 'Firefox'
+  else {
+    const brands = Array.isArray(nav?.userAgentData?.brands) ? nav.userAgentData.brands : []
+    const brand = brands.map((b) => String(b?.brand || '')).find((b) => b && !GENERIC_BRAND_RE.test(b))
+    if (brand) name = brand
+    else if (/Edg\//.test(ua)) name = 'Microsoft Edge'
+    else if (/OPR\//.test(ua)) name = 'Opera'
+  }
+  return { name, debugger: hasDebugger === true }
+}
+
+/**
+ * Structured reason for a `chrome.debugger.sendCommand` failure when the browser
+ * does not implement the method (some forks strip domains); null for other errors.
+ */
+export function debuggerErrorData(method, message) {
+  if (!/wasn't found|was not found|-32601|not supported/i.test(String(message || ''))) return null
+  return { code: 'cdp_method_unavailable', method }
+}
+
+export const DEFAULT_SCREENCAST_SETTINGS = { maxFps: 5, maxQuality: 60, maxDimension: 1280 }
+
+function clampInt(value, min, max, fallback) {
+  const n = Number.parseInt(String(value ?? ''), 10)
+  if (!Number.isFinite(n)) return fallback
+  return Math.min(max, Math.max(min, n))
+}
+
+/** Upper bounds for agent screencasts, whatever `Page.startScreencast` asks for. */
+export function normalizeScreencastSettings(raw) {
+  return {
+    maxFps: clampInt(raw?.maxFps, 1, 30, DEFAULT_SCREENCAST_SETTINGS.maxFps),
+    maxQuality: clampInt(raw?.maxQuality, 1, 100, DEFAULT_SCREENCAST_SETTINGS.maxQuality),
+    maxDimension: clampInt(raw?.maxDimension, 160, 4096, DEFAULT_SCREENCAST_SETTINGS.maxDimension),
+  }
+}
+
+/**
+ * Caps `Page.startScreencast` params to the configured limits. The frame rate is not a
+ * CDP parameter; it is enforced by pacing frame acks at `minFrameIntervalMs`.
+ */
+export function clampScreencastParams(params, settings) {
+  const limits = normalizeScreencastSettings(settings)
+  const requested = params && typeof params === 'object' ? params : {}
+  const cap = (value, max) => clampInt(value, 1, max, max)
+  return {
+    params: {
+      ...requested,
+      format: requested.format === 'png' ? 'png' : 'jpeg',
+      quality: cap(requested.quality, limits.maxQuality),
+      maxWidth: cap(requested.maxWidth, limits.maxDimension),
+      maxHeight: cap(requested.maxHeight, limits.maxDimension),
+    },
+    minFrameIntervalMs: Math.ceil(1000 / limits.maxFps),
+  }
+}
+
+/**
+ * Binary relay message: a 4-byte big-endian header length, the JSON header
+ * (`method`, `sessionId`, `params`), then the raw `bytes`.
+ */
+export function encodeBinaryMessage(method, sessionId, params, bytes) {
+  const header = new TextEncoder().encode(JSON.stringify({ method, sessionId, params }))
+  const out = new Uint8Array(4 + header.length + bytes.length)
+  new DataView(out.buffer).setUint32(0, header.length)
+  out.set(header, 4)
+  out.set(bytes, 4 + header.length)
+  return out
+}
+
+/** A `Page.screencastFrame` as a binary relay message, with the base64 image sent as raw bytes. */
+export function encodeScreencastFrame(sessionId, params) {
+  const { data, ...rest } = params || {}
+  const binary = atob(String(data || ''))
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return encodeBinaryMessage('Page.screencastFrame', sessionId, rest, bytes)
+}
+
+/**
+ * Built-in privacy block lists. Best effort: they cover well-known sites only, so users
+ * add their own bank or clinic to the custom list.
+ */
+export const PRIVACY_CATEGORIES = {
+  banking: {
+    label: 'Banking & payments',
+    patterns: [
+      '*.paypal.com',
+      '*.chase.com',
+      '*.bankofamerica.com',
+      '*.wellsfargo.com',
+      '*.citi.com',
+      '*.capitalone.com',
+      '*.usbank.com',
+      '*.americanexpress.com',
+      '*.schwab.com',
+      '*.fidelity.com',
+      '*.vanguard.com',
+      '*.hsbc.com',
+      '*.barclays.co.uk',
+      '*.lloydsbank.co.uk',
+      '*.revolut.com',
+      '*.wise.com',
+      '*.n26.com',
+      '*.ing.com',
+      '*.deutsche-bank.de',
+      '*.santander.com',
+      '*.venmo.com',
+      '*.coinbase.com',
+    ],
+  },
+  health: {
+    label: 'Health',
+    patterns: [
+      '*.mychart.com',
+      '*.mychart.org',
+      '*.kaiserpermanente.org',
+      '*.healthcare.gov',
+      '*.zocdoc.com',
+      '*.teladoc.com',
+      '*.23andme.com',
+      '*.ancestry.com',
+      '*.goodrx.com',
+      '*.cvs.com',
+      '*.walgreens.com',
+      '*.nhs.uk',
+      '*.doctolib.fr',
+      '*.doctolib.de',
+    ],
+  },
+  passwordManagers: {
+    label: 'Password managers',
+    patterns: [
+      '*.1password.com',
+      '*.1password.eu',
+      '*.lastpass.com',
+      '*.bitwarden.com',
+      '*.bitwarden.eu',
+      '*.dashlane.com',
+      '*.keepersecurity.com',
+      '*.nordpass.com',
+      'pass.proton.me',
+      'passwords.google.com',
+      'passwords.google',
+    ],
+  },
+}
+
+export const DEFAULT_PRIVACY_SETTINGS = {
+  blockIncognito: true,
+  categories: { banking: false, health: false, passwordManagers: false },
+  blockList: [],
+}
+
+/** Which tabs the extension must never attach to. `blockList` holds origins or URL patterns. */
+export function normalizePrivacySettings(raw) {
+  const categories = {}
+  for (const name of Object.keys(PRIVACY_CATEGORIES)) categories[name] = raw?.categories?.[name] === true
+  return {
+    blockIncognito: raw?.blockIncognito !== false,
+    categories,
+    blockList: parseUrlPatterns(raw?.blockList).patterns,
+  }
+}
+
+/**
+ * Why `tab` (`{ url, pendingUrl?, incognito? }`) may not be attached or navigated to,
+ * as `{ category, label, pattern? }`, or null when it is fine.
+ */
+export function privacyBlockFor(tab, settings) {
+  const privacy = normalizePrivacySettings(settings)
+  if (tab?.incognito && privacy.blockIncognito) return { category: 'incognito', label: 'Incognito' }
+  const url = tab?.pendingUrl || tab?.url
+  if (typeof url !== 'string' || !url) return null
+  for (const [name, category] of Object.entries(PRIVACY_CATEGORIES)) {
+    if (!privacy.categories[name]) continue
+    const pattern = category.patterns.find((p) => matchesUrlPatterns(url, [p]))
+    if (pattern) return { category: name, label: category.label, pattern }
+  }
+  const pattern = privacy.blockList.find((p) => matchesUrlPatterns(url, [p]))
+  if (pattern) return { category: 'custom', label: 'Blocked sites', pattern }
+  return null
+}
+
+export const DEFAULT_BRIDGE_SETTINGS = { downloadFolder: 'OpenClaw', autoDismissDialogs: false }
+
+/**
+ * Downloads and JS dialogs on attached tabs: `downloadFolder` is a subfolder of the browser's
+ * download directory for agent downloads ('' = the directory itself).
+ */
+export function normalizeBridgeSettings(raw) {
+  const folder =
+    typeof raw?.downloadFolder === 'string'
+      ? raw.downloadFolder
+          .split(/[\\/]+/)
+          .map((part) => part.trim().replace(/[<>:"|?*\x00-\x1f]/g, ''))
+          .filter((part) => part && part !== '.' && part !== '..')
+          .join('/')
+          .slice(0, 100)
+      : DEFAULT_BRIDGE_SETTINGS.downloadFolder
+  return { downloadFolder: folder, autoDismissDialogs: raw?.autoDismissDialogs === true }
+}
+
+export const STORAGE_BUNDLE_FORMAT = 'openclaw-storage-bundle'
+export const STORAGE_BUNDLE_VERSION = 1
+
+// chrome.cookies says `no_restriction`/`unspecified`; CDP already uses Playwright's spelling.
+const COOKIE_SAME_SITE = { strict: 'Strict', lax: 'Lax', none: 'None', no_restriction: 'None' }
+
+/**
+ * Convert a `chrome.cookies.Cookie` or CDP `Network.Cookie` into Playwright's cookie
+ * shape. Host-only cookies keep their bare domain, domain cookies their leading dot.
+ */
+export function toBundleCookie(cookie) {
+  const expires = cookie.session ? -1 : Number(cookie.expirationDate ?? cookie.expires ?? -1)
+  return {
+    name: String(cookie.name ?? ''),
+    value: String(cookie.value ?? ''),
+    domain: String(cookie.domain ?? ''),
+    path: cookie.path || '/',
+    expires: Number.isFinite(expires) && expires > 0 ? expires : -1,
+    httpOnly: cookie.httpOnly === true,
+    secure: cookie.secure === true,
+    // Chrome treats an unspecified SameSite as Lax.
+    sameSite: COOKIE_SAME_SITE[String(cookie.sameSite || '').toLowerCase()] ?? 'Lax',
+  }
+}
+
+/** Drop duplicates (same name, domain and path) when cookies come from several lookups. */
+export function dedupeCookies(cookies) {
+  const seen = new Map()
+  for (const cookie of cookies) seen.set(`${cookie.name}\t${cookie.domain}\t${cookie.path}`, cookie)
+  return [...seen.values()]
+}
+
+/**
+ * Portable cookie + localStorage export for one origin. `cookies` and `origins`
+ * follow Playwright's `storageState` shape so the gateway can load it as-is.
+ * @param {{ origin: string, cookies: any[], localStorage: string[][], browser?: string, exportedAt?: number }} input
+ */
+export function buildStorageBundle({ origin, cookies, localStorage, browser, exportedAt = Date.now() }) {
+  return {
+    format: STORAGE_BUNDLE_FORMAT,
+    version: STORAGE_BUNDLE_VERSION,
+    origin,
+    exportedAt: new Date(exportedAt).toISOString(),
+    browser: browser || '',
+    cookies: dedupeCookies(cookies.map(toBundleCookie)).filter((cookie) => cookie.name),
+    origins: [{ origin, localStorage: localStorage.map(([name, value]) => ({ name, value })) }],
+  }
+}
+
+export const DEFAULT_EVENT_SETTINGS = { drop: [], batchWindowMs: 10, maxQueuedEvents: 2000 }
+
+export function normalizeEventSettings(raw) {
+  const clamp = (value, min, max, fallback) => {
+    const n = Math.round(Number(value))
+    return Number.isFinite(n) && n >= min ? Math.min(n, max) : fallback
+  }
+  return {
+    drop: parseCdpMethodList(raw?.drop).entries,
+    batchWindowMs: clamp(raw?.batchWindowMs, 0, 250, DEFAULT_EVENT_SETTINGS.batchWindowMs),
+    maxQueuedEvents: clamp(raw?.maxQueuedEvents, 100, 50_000, DEFAULT_EVENT_SETTINGS.maxQueuedEvents),
+  }
+}
+
+/** The relay's subscription (the `setEventFilter` relay message): an empty `allow` means every domain. */
+export function normalizeEventFilter(raw) {
+  return { allow: parseCdpMethodList(raw?.allow).entries, drop: parseCdpMethodList(raw?.drop).entries }
+}
+
+/**
+ * Whether a debugger event should reach the relay. `Target.*` always passes: the relay
+ * and its clients track sessions with it.
+ */
+export function eventAllowed(method, drop, relayFilter) {
+  if (method.startsWith('Target.')) return true
+  if (findCdpRule(method, drop) || findCdpRule(method, relayFilter.drop)) return false
+  return relayFilter.allow.length === 0 || findCdpRule(method, relayFilter.allow) !== null
+}
+
+// Telemetry-style events a CDP client can live without; dropped first when the queue is full.
+const DROPPABLE_EVENTS = new Set([
+  'Network.dataReceived',
+  'Network.requestWillBeSentExtraInfo',
+  'Network.responseReceivedExtraInfo',
+  'Network.webSocketFrameReceived',
+  'Network.webSocketFrameSent',
+  'Network.eventSourceMessageReceived',
+  'Log.entryAdded',
+  'Runtime.consoleAPICalled',
+])
+
+// Never dropped: CDP clients (Playwright) track sessions, execution contexts and the
+// frame tree from these, and a missing one leaves them out of sync with the page.
+const PROTECTED_EVENTS = new Set([
+  'Runtime.executionContextCreated',
+  'Runtime.executionContextDestroyed',
+  'Runtime.executionContextsCleared',
+  'Page.frameAttached',
+  'Page.frameDetached',
+  'Page.frameNavigated',
+  'Page.navigatedWithinDocument',
+  'Page.frameStartedLoading',
+  'Page.frameStoppedLoading',
+  'Page.lifecycleEvent',
+  'Page.domContentEventFired',
+  'Page.loadEventFired',
+])
+
+function isProtectedEvent(method) {
+  return method.startsWith('Target.') || PROTECTED_EVENTS.has(method)
+}
+
+/**
+ * Shrink an event queue to `limit`: merge `Network.dataReceived` chunks per request, then
+ * drop droppable events, then the oldest unprotected events. Order is preserved; target,
+ * execution-context and frame lifecycle events are kept even past the limit.
+ * @param {Array<{ sessionId?: string, method: string, params?: any }>} queue
+ */
+export function trimEventQueue(queue, limit) {
+  const merged = []
+  const dataByRequest = new Map()
+  for (const event of queue) {
+    if (event.method === 'Network.dataReceived' && event.params?.requestId) {
+      const key = `${event.sessionId}\t${event.params.requestId}`
+      const prev = dataByRequest.get(key)
+      if (prev) {
+        prev.params = {
+          ...prev.params,
+          dataLength: (prev.params.dataLength ?? 0) + (event.params.dataLength ?? 0),
+          encodedDataLength: (prev.params.encodedDataLength ?? 0) + (event.params.encodedDataLength ?? 0),
+        }
+        continue
+      }
+      const copy = { ...event }
+      dataByRequest.set(key, copy)
+      merged.push(copy)
+      continue
+    }
+    merged.push(event)
+  }
+
+  let excess = merged.length - limit
+  const dropPass = (predicate) => {
+    if (excess <= 0) return
+    for (let i = 0; i < merged.length && excess > 0; i++) {
+      if (merged[i] && predicate(merged[i])) {
+        merged[i] = null
+        excess--
+      }
+    }
+  }
+  dropPass((event) => DROPPABLE_EVENTS.has(event.method))
+  dropPass((event) => !isProtectedEvent(event.method))
+  const kept = merged.filter(Boolean)
+  return { queue: kept, coalesced: queue.length - merged.length, dropped: merged.length - kept.length }
+}
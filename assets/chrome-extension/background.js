@@ -1,9 +1,99 @@
-const DEFAULT_PORT = 18792
+import {
+  AUDIT_LOG_LIMIT,
+  appendAuditEntry,
+  approvalProbeFor,
+  buildHelloMessage,
+  buildStorageBundle,
+  checkRelayHello,
+  clampScreencastParams,
+  classifySensitiveCommand,
+  debuggerErrorData,
+  detectBrowser,
+  downloadSourceTab,
+  encodeScreencastFrame,
+  evaluateCdpPolicy,
+  eventAllowed,
+  matchesUrlPatterns,
+  normalizeAgentTabSettings,
+  normalizeApprovalSettings,
+  normalizeBridgeSettings,
+  normalizeCdpPolicy,
+  normalizeEventFilter,
+  normalizeEventSettings,
+  normalizePrivacySettings,
+  normalizeScreencastSettings,
+  parseSessionState,
+  parseUrlPatterns,
+  pickMostRecentTab,
+  privacyBlockFor,
+  reconnectDelayMs,
+  redactCdpParams,
+  resolveRelayEndpoint,
+  serializeSessionState,
+  trimEventQueue,
+  urlOrigin,
+} from './background-utils.js'
+import { createBidiDebugger } from './bidi-debugger.js'
+import { DEFAULT_BIDI_URL, normalizeBidiUrl } from './cdp-bidi.js'
+
+const SESSION_STATE_KEY = 'relaySessionState'
+// Last version-mismatch reason, read by the options page (cleared on a compatible handshake).
+const RELAY_PROTOCOL_ERROR_KEY = 'relayProtocolError'
+const HELLO_TIMEOUT_MS = 3000
+
+// Chromium forks keep chrome.debugger; Firefox reaches tabs over WebDriver BiDi instead.
+const HAS_DEBUGGER = typeof chrome.debugger?.sendCommand === 'function'
+const BROWSER = detectBrowser(globalThis.navigator, HAS_DEBUGGER)
+const debuggerApi = HAS_DEBUGGER
+  ? chrome.debugger
+  : createBidiDebugger({ getUrl: getBidiUrl, browserName: BROWSER.name })
+const AGENT_TABS_KEY = 'relayAgentTabs'
+
+// Stay under the relay's 30s command timeout so a slow click still gets a clean denial.
+const APPROVAL_TIMEOUT_MS = 25_000
+const DOWNLOAD_APPROVAL_TIMEOUT_MS = 120_000
+// "Approve" also covers the rest of that action (e.g. a password typed key by key).
+const APPROVAL_BURST_MS = 30_000
+// Downloads that start this soon after a forwarded command count as agent-initiated.
+const AGENT_ACTIVITY_WINDOW_MS = 10_000
+
+// Events per forwardCDPEventBatch frame (a full queue flushes right away).
+const EVENT_BATCH_MAX = 200
+// Hold events while the relay socket has this much unsent; retry after the delay.
+const EVENT_BACKPRESSURE_BYTES = 4 * 1024 * 1024
+const EVENT_BACKPRESSURE_RETRY_MS = 50
+
+// Sent on the tab's session when the user takes a tab over from the agent and when they hand it back.
+const TAB_TAKEN_OVER_EVENT = 'OpenClaw.tabTakenOver'
+const TAB_HANDED_BACK_EVENT = 'OpenClaw.tabHandedBack'
+const PAUSED_TITLE = 'OpenClaw Browser Relay: you have control (agent paused until you hand back)'
+
+// JS dialogs the agent leaves open this long are dismissed (when enabled in Options).
+const DIALOG_AUTO_DISMISS_MS = 10_000
+
+// Page-side half of DOM.setFileInputFiles: build File objects from the relay's payloads.
+const SET_INPUT_FILES_FN = `function (payloads) {
+  const transfer = new DataTransfer()
+  for (const p of payloads) {
+    const bytes = Uint8Array.from(atob(p.data), (c) => c.charCodeAt(0))
+    transfer.items.add(new File([bytes], p.name, { type: p.mimeType || '', lastModified: p.lastModified }))
+  }
+  this.files = transfer.files
+  this.dispatchEvent(new Event('input', { bubbles: true }))
+  this.dispatchEvent(new Event('change', { bubbles: true }))
+}`
+
+// Hold screencast frame acks while this much is still queued on the relay socket.
+const SCREENCAST_MAX_BUFFERED_BYTES = 1024 * 1024
+
+const AUDIT_LOG_KEY = 'auditLog'
+const AUDIT_FLUSH_DELAY_MS = 1000
 
 const BADGE = {
   on: { text: 'ON', color: '#FF5A36' },
   off: { text: '', color: '#000000' },
   connecting: { text: '…', color: '#F59E0B' },
+  paused: { text: 'YOU', color: '#2563EB' },
   error: { text: '!', color: '#B91C1C' },
 }
 
@@ -11,21 +101,227 @@ const BADGE = {
 let relayWs = null
 /** @type {Promise<void>|null} */
 let relayConnectPromise = null
+/** Bumped when Options change the relay URL/port or paired token; stale connects are dropped. */
+let relayEndpointGeneration = 0
 
-let debuggerListenersInstalled = false
+/** @type {ReturnType<typeof setTimeout>|null} */
+let reconnectTimer = null
+let reconnectAttempt = 0
+
+/** Round-trip time of our last ping to the relay (null until a pong arrives). */
+let relayLatencyMs = null
+let relayPingSentAt = 0
+/** @type {string|null} */
+let relayProtocolError = null
+/** Features the relay announced in its hello reply. */
+let relayFeatures = new Set()
 
 let nextSession = 1
 
-/** @type {Map<number, {state:'connecting'|'connected', sessionId?:string, targetId?:string, attachOrder?:number}>} */
+/** @type {Map<number, {state:'connecting'|'connected', sessionId?:string, targetId?:string, attachOrder?:number, autoAttached?:boolean, attachedAt?:number, commandCount?:number}>} */
 const tabs = new Map()
 /** @type {Map<string, number>} */
 const tabBySession = new Map()
 /** @type {Map<string, number>} */
 const childSessionToTab = new Map()
+/** Child (iframe/worker) session → its parent session and targetInfo, for replaying to a new relay. */
+/** @type {Map<string, {parentSessionId:string, targetInfo:any}>} */
+const childTargets = new Map()
 
 /** @type {Map<number, {resolve:(v:any)=>void, reject:(e:Error)=>void}>} */
 const pending = new Map()
 
+/** @type {Promise<ReturnType<typeof normalizeCdpPolicy>>|null} */
+let cdpPolicyPromise = null
+
+/** @type {Promise<ReturnType<typeof normalizeApprovalSettings>>|null} */
+let approvalSettingsPromise = null
+
+/** @type {Promise<ReturnType<typeof normalizeScreencastSettings>>|null} */
+let screencastSettingsPromise = null
+/** @type {Promise<ReturnType<typeof normalizePrivacySettings>>|null} */
+let privacySettingsPromise = null
+/** @type {Promise<ReturnType<typeof normalizeBridgeSettings>>|null} */
+let bridgeSettingsPromise = null
+/** Tab of the last forwarded command; downloads it starts are reported to the relay. */
+/** @type {number|null} */
+let lastAgentTabId = null
+/**
+ * chrome.downloads id → agent download being reported to the relay. Settles to null (and
+ * the entry is dropped) when the download did not come from an attached tab.
+ */
+/** @type {Map<number, Promise<{guid:string, frameId:string, url:string, begun:boolean}|null>>} */
+const bridgedDownloads = new Map()
+/** Tab id → auto-dismiss timer for an open JS dialog. */
+/** @type {Map<number, ReturnType<typeof setTimeout>>} */
+const dialogTimers = new Map()
+/** Relay session id → running screencast and its ack pacing. */
+/** @type {Map<string, {tabId:number, minFrameIntervalMs:number}>} */
+const screencasts = new Map()
+let nextApprovalId = 1
+let lastAgentCommandAt = 0
+/** @type {Map<number, {id:number, kind:string, origin:string, summary:string, tabId?:number, windowId?:number, timer:ReturnType<typeof setTimeout>, resolve:(r:{approved:boolean, reason:string})=>void}>} */
+const approvals = new Map()
+/** Approval grants (`origin:<origin>` or `<kind>:<origin>`) → expiry timestamp. */
+const approvalGrants = new Map()
+
+/** Window that `Target.createTarget` opens agent tabs in (separate-window mode). */
+let agentWindowId = null
+/** Tab groups holding agent-created tabs. */
+const agentGroupIds = new Set()
+
+/** Ring buffer of forwarded commands and attach/detach events, newest last. */
+let auditLog = []
+/** @type {ReturnType<typeof setTimeout>|null} */
+let auditFlushTimer = null
+let auditPushToRelay = false
+
+/** Debugger events waiting for the next flush to the relay, oldest first. */
+/** @type {Array<{sessionId?: string, method: string, params?: any}>} */
+let eventQueue = []
+/** @type {ReturnType<typeof setTimeout>|null} */
+let eventFlushTimer = null
+let eventSettings = normalizeEventSettings(undefined)
+/** Set by the relay (`setEventFilter`); reset on every new relay connection. */
+let relayEventFilter = normalizeEventFilter(undefined)
+/** Events dropped or merged since the worker started (shown in the popup). */
+let eventsDropped = 0
+let eventsCoalesced = 0
+
+/**
+ * Write the session table to `chrome.storage.session` so a restarted service
+ * worker can pick up the same tabs under the same `cb-tab-N` session ids.
+ */
+function persistSessionState() {
+  const snapshot = serializeSessionState({ nextSession, tabs, childSessionToTab, childTargets })
+  void chrome.storage.session.set({ [SESSION_STATE_KEY]: snapshot }).catch(() => {})
+}
+
+async function restoreSessionState() {
+  /** @type {ReturnType<typeof parseSessionState>} */
+  let snapshot = null
+  try {
+    const stored = await chrome.storage.session.get([SESSION_STATE_KEY])
+    snapshot = parseSessionState(stored[SESSION_STATE_KEY])
+  } catch {
+    return
+  }
+  if (!snapshot) return
+
+  nextSession = Math.max(nextSession, snapshot.nextSession)
+  for (const entry of snapshot.tabs) {
+    const tab = await chrome.tabs.get(entry.tabId).catch(() => null)
+    if (!tab) continue
+    tabs.set(entry.tabId, {
+      state: 'connected',
+      sessionId: entry.sessionId,
+      targetId: entry.targetId,
+      attachOrder: entry.attachOrder,
+      autoAttached: entry.autoAttached,
+      attachedAt: entry.attachedAt,
+      commandCount: 0,
+      ...(entry.pausedAt ? { pausedAt: entry.pausedAt } : {}),
+    })
+    tabBySession.set(entry.sessionId, entry.tabId)
+  }
+  for (const [childSessionId, tabId, child] of snapshot.childSessions) {
+    if (!tabs.has(tabId)) continue
+    childSessionToTab.set(childSessionId, tabId)
+    if (child) childTargets.set(childSessionId, child)
+  }
+  persistSessionState()
+  if (hasConnectedTabs()) void resumeRestoredTabs()
+}
+
+function persistAgentTabs() {
+  const snapshot = { windowId: agentWindowId, groupIds: Array.from(agentGroupIds) }
+  void chrome.storage.session.set({ [AGENT_TABS_KEY]: snapshot }).catch(() => {})
+}
+
+async function restoreAgentTabs() {
+  try {
+    const stored = (await chrome.storage.session.get([AGENT_TABS_KEY]))[AGENT_TABS_KEY]
+    if (Number.isInteger(stored?.windowId)) {
+      const win = await chrome.windows.get(stored.windowId).catch(() => null)
+      if (win) agentWindowId = win.id
+    }
+    for (const groupId of Array.isArray(stored?.groupIds) ? stored.groupIds : []) {
+      const group = await chrome.tabGroups.get(groupId).catch(() => null)
+      if (group) agentGroupIds.add(group.id)
+    }
+  } catch {
+    // ignore
+  }
+}
+
+async function resumeRestoredTabs() {
+  for (const tabId of tabs.keys()) {
+    setBadge(tabId, 'connecting')
+    void chrome.action.setTitle({
+      tabId,
+      title: 'OpenClaw Browser Relay: restoring relay connection…',
+    })
+  }
+  try {
+    // Reconnecting replays the restored tabs (re-attaching the debugger if needed).
+    await ensureRelayConnection()
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err)
+    console.warn('relay restore failed', message)
+    scheduleReconnect()
+  }
+}
+
+async function loadAuditLog() {
+  try {
+    const stored = await chrome.storage.local.get([AUDIT_LOG_KEY, 'auditPushToRelay'])
+    const previous = Array.isArray(stored[AUDIT_LOG_KEY]) ? stored[AUDIT_LOG_KEY] : []
+    // Entries recorded while loading come after the stored ones.
+    auditLog = [...previous, ...auditLog].slice(-AUDIT_LOG_LIMIT)
+    auditPushToRelay = stored.auditPushToRelay === true
+  } catch {
+    // ignore
+  }
+}
+
+function flushAuditLog() {
+  if (auditFlushTimer) clearTimeout(auditFlushTimer)
+  auditFlushTimer = null
+  // Never overwrite the stored log before it has been merged in.
+  void auditLogRestored.then(() => chrome.storage.local.set({ [AUDIT_LOG_KEY]: auditLog })).catch(() => {})
+}
+
+function recordAudit(entry) {
+  const full = { ts: Date.now(), ...entry }
+  appendAuditEntry(auditLog, full)
+  // Batch storage writes: busy agents forward many commands per second.
+  if (!auditFlushTimer) auditFlushTimer = setTimeout(flushAuditLog, AUDIT_FLUSH_DELAY_MS)
+  if (auditPushToRelay && relayWs && relayWs.readyState === WebSocket.OPEN) {
+    try {
+      sendToRelay({ method: 'forwardCDPEvent', params: { method: 'OpenClaw.auditLogEntry', params: full } })
+    } catch {
+      // ignore
+    }
+  }
+}
+
+async function recordCommandAudit(msg, startedAt, err) {
+  const method = String(msg?.params?.method || '').trim()
+  const sessionId = typeof msg?.params?.sessionId === 'string' ? msg.params.sessionId : undefined
+  const tabId = sessionId ? getTabBySessionId(sessionId)?.tabId : undefined
+  const tab = tabId ? await chrome.tabs.get(tabId).catch(() => null) : null
+  recordAudit({
+    type: 'command',
+    method,
+    sessionId,
+    tabId,
+    url: tab?.url,
+    durationMs: Date.now() - startedAt,
+    params: redactCdpParams(method, msg?.params?.params),
+    ...(err ? { error: err instanceof Error ? err.message : String(err) } : {}),
+  })
+}
+
 function nowStack() {
   try {
     return new Error().stack || ''
@@ -34,12 +330,14 @@ function nowStack() {
   }
 }
 
-async function getRelayPort() {
-  const stored = await chrome.storage.local.get(['relayPort'])
-  const raw = stored.relayPort
-  const n = Number.parseInt(String(raw || ''), 10)
-  if (!Number.isFinite(n) || n <= 0 || n > 65535) return DEFAULT_PORT
-  return n
+async function getBidiUrl() {
+  const stored = await chrome.storage.local.get(['bidiUrl'])
+  return normalizeBidiUrl(stored.bidiUrl) ?? DEFAULT_BIDI_URL
+}
+
+async function getRelayEndpoint() {
+  const stored = await chrome.storage.local.get(['relayUrl', 'relayPort', 'relayToken'])
+  return resolveRelayEndpoint(stored)
 }
 
 function setBadge(tabId, kind) {
@@ -47,6 +345,8 @@ function setBadge(tabId, kind) {
   void chrome.action.setBadgeText({ tabId, text: cfg.text })
   void chrome.action.setBadgeBackgroundColor({ tabId, color: cfg.color })
   void chrome.action.setBadgeTextColor({ tabId, color: '#FFFFFF' }).catch(() => {})
+  // The context-menu entry reads "attach" or "stop" for the focused tab, like the badge.
+  void refreshContextMenu()
 }
 
 async function ensureRelayConnection() {
@@ -54,9 +354,8 @@ async function ensureRelayConnection() {
   if (relayConnectPromise) return await relayConnectPromise
 
   relayConnectPromise = (async () => {
-    const port = await getRelayPort()
-    const httpBase = `http://127.0.0.1:${port}`
-    const wsUrl = `ws://127.0.0.1:${port}/extension`
+    const generation = relayEndpointGeneration
+    const { httpBase, wsUrl } = await getRelayEndpoint()
 
     // Fast preflight: is the relay server up?
     try {
@@ -66,7 +365,6 @@ async function ensureRelayConnection() {
     }
 
     const ws = new WebSocket(wsUrl)
-    relayWs = ws
 
     await new Promise((resolve, reject) => {
       const t = setTimeout(() => reject(new Error('WebSocket connect timeout')), 5000)
@@ -84,15 +382,32 @@ async function ensureRelayConnection() {
       }
     })
 
+    const reply = await exchangeHello(ws)
+    const problem =
+      reply === null ? 'relay did not answer hello (gateway too old?); update OpenClaw' : checkRelayHello(reply)
+    if (problem) {
+      ws.onclose = null
+      ws.close()
+      await setRelayProtocolError(problem)
+      throw Object.assign(new Error(problem), { data: { code: 'relay_incompatible' } })
+    }
+    if (generation !== relayEndpointGeneration) {
+      ws.onclose = null
+      ws.close()
+      throw new Error('Relay settings changed while connecting')
+    }
+    await setRelayProtocolError(null)
+    relayFeatures = new Set(Array.isArray(reply.features) ? reply.features : [])
+    relayEventFilter = normalizeEventFilter(undefined)
+    relayWs = ws
+
     ws.onmessage = (event) => void onRelayMessage(String(event.data || ''))
     ws.onclose = () => onRelayClosed('closed')
     ws.onerror = () => onRelayClosed('error')
 
-    if (!debuggerListenersInstalled) {
-      debuggerListenersInstalled = true
-      chrome.debugger.onEvent.addListener(onDebuggerEvent)
-      chrome.debugger.onDetach.addListener(onDebuggerDetach)
-    }
+    cancelReconnect()
+    // A fresh relay has no targets yet: replay the tabs that survived the drop.
+    await reannounceAttachedTabs()
   })()
 
   try {
@@ -102,24 +417,164 @@ async function ensureRelayConnection() {
   }
 }
 
+/** Sends our hello and resolves with the relay's reply params (null if it never answers). */
+async function exchangeHello(ws) {
+  ws.send(JSON.stringify(buildHelloMessage(chrome.runtime.getManifest().version)))
+  return await new Promise((resolve, reject) => {
+    // Pre-hello gateways ignore unknown methods, so silence means "too old".
+    const t = setTimeout(() => resolve(null), HELLO_TIMEOUT_MS)
+    ws.onmessage = (event) => {
+      let msg = null
+      try {
+        msg = JSON.parse(String(event.data || ''))
+      } catch {
+        return
+      }
+      if (msg?.method !== 'hello') return
+      clearTimeout(t)
+      resolve(msg.params)
+    }
+    ws.onclose = (ev) => {
+      clearTimeout(t)
+      reject(new Error(`WebSocket closed (${ev.code} ${ev.reason || 'no reason'})`))
+    }
+  })
+}
+
+async function setRelayProtocolError(message) {
+  relayProtocolError = message
+  if (message) {
+    await chrome.storage.local.set({ [RELAY_PROTOCOL_ERROR_KEY]: { message, at: Date.now() } })
+  } else {
+    await chrome.storage.local.remove(RELAY_PROTOCOL_ERROR_KEY)
+  }
+}
+
+/** Toolbar title for a failed attach; version mismatches and privacy blocks say why. */
+function attachFailureTitle(err, fallback) {
+  const code = err?.data?.code
+  if (code === 'relay_incompatible' || code === 'privacy_blocked') return `OpenClaw Browser Relay: ${err.message}`
+  return fallback
+}
+
 function onRelayClosed(reason) {
   relayWs = null
+  eventQueue = []
+  relayLatencyMs = null
+  relayPingSentAt = 0
   for (const [id, p] of pending.entries()) {
     pending.delete(id)
     p.reject(new Error(`Relay disconnected (${reason})`))
   }
 
-  for (const tabId of tabs.keys()) {
-    void chrome.debugger.detach({ tabId }).catch(() => {})
+  // Keep the debugger attached and the session table intact so the tabs can be
+  // re-announced under the same session ids once the relay is back.
+  let hasAttachedTabs = false
+  for (const [tabId, tab] of tabs.entries()) {
+    if (tab.state !== 'connected') continue
+    hasAttachedTabs = true
     setBadge(tabId, 'connecting')
     void chrome.action.setTitle({
       tabId,
-      title: 'OpenClaw Browser Relay: disconnected (click to re-attach)',
+      title: 'OpenClaw Browser Relay: relay disconnected (reconnecting…)',
     })
   }
-  tabs.clear()
-  tabBySession.clear()
-  childSessionToTab.clear()
+
+  if (hasAttachedTabs) scheduleReconnect()
+}
+
+/**
+ * Options saved a new relay URL/port or re-paired: drop the socket (and its old token)
+ * and reconnect attached tabs to the new endpoint right away.
+ */
+function resetRelayConnection() {
+  relayEndpointGeneration += 1
+  const ws = relayWs
+  if (ws) {
+    ws.onmessage = null
+    ws.onclose = null
+    ws.onerror = null
+    ws.close(1000, 'relay settings changed')
+    onRelayClosed('relay settings changed')
+  }
+  if (hasConnectedTabs()) {
+    cancelReconnect()
+    void reconnectRelay()
+  }
+}
+
+function hasConnectedTabs() {
+  for (const tab of tabs.values()) {
+    if (tab.state === 'connected') return true
+  }
+  return false
+}
+
+function scheduleReconnect() {
+  if (reconnectTimer) return
+  const delay = reconnectDelayMs(reconnectAttempt)
+  reconnectAttempt += 1
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null
+    void reconnectRelay()
+  }, delay)
+}
+
+function cancelReconnect() {
+  if (reconnectTimer) clearTimeout(reconnectTimer)
+  reconnectTimer = null
+  reconnectAttempt = 0
+}
+
+async function reconnectRelay() {
+  if (!hasConnectedTabs()) {
+    cancelReconnect()
+    return
+  }
+  try {
+    await ensureRelayConnection()
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err)
+    console.warn('relay reconnect failed', message)
+    if (err?.data?.code === 'relay_incompatible') {
+      for (const [tabId, tab] of tabs.entries()) {
+        if (tab.state !== 'connected') continue
+        setBadge(tabId, 'error')
+        void chrome.action.setTitle({ tabId, title: attachFailureTitle(err, '') })
+      }
+    }
+    scheduleReconnect()
+  }
+}
+
+async function reannounceAttachedTabs() {
+  /** @type {Set<number>} */
+  let debuggerTabs = new Set()
+  try {
+    const targets = await debuggerApi.getTargets()
+    debuggerTabs = new Set(targets.filter((t) => t.attached && t.tabId).map((t) => t.tabId))
+  } catch {
+    // ignore
+  }
+
+  for (const [tabId, tab] of Array.from(tabs.entries())) {
+    if (tab.state !== 'connected' || !tab.sessionId) continue
+    try {
+      await attachTab(tabId, {
+        sessionId: tab.sessionId,
+        attachOrder: tab.attachOrder,
+        autoAttached: tab.autoAttached,
+        attachedAt: tab.attachedAt,
+        debuggerAttached: debuggerTabs.has(tabId),
+      })
+    } catch (err) {
+      // Relay dropped again mid-replay: keep the tab for the next reconnect.
+      if (!relayWs || relayWs.readyState !== WebSocket.OPEN) return
+      const message = err instanceof Error ? err.message : String(err)
+      console.warn('re-attach failed', tabId, message)
+      await detachTab(tabId, err?.data?.code === 'privacy_blocked' ? 'policy' : 'reattach_failed')
+    }
+  }
 }
 
 function sendToRelay(payload) {
@@ -127,9 +582,65 @@ function sendToRelay(payload) {
   if (!ws || ws.readyState !== WebSocket.OPEN) {
     throw new Error('Relay not connected')
   }
+  // Queued events go first so responses and announcements never overtake them.
+  if (eventQueue.length > 0) flushRelayEvents(true)
   ws.send(JSON.stringify(payload))
 }
 
+/** Queue a debugger event for the relay, subject to the user's and the relay's filters. */
+function queueRelayEvent(event) {
+  if (!relayWs || relayWs.readyState !== WebSocket.OPEN) return
+  if (!eventAllowed(event.method, eventSettings.drop, relayEventFilter)) return
+  eventQueue.push(event)
+  if (eventQueue.length > eventSettings.maxQueuedEvents) {
+    const trimmed = trimEventQueue(eventQueue, eventSettings.maxQueuedEvents)
+    eventQueue = trimmed.queue
+    eventsCoalesced += trimmed.coalesced
+    if (trimmed.dropped > 0) {
+      eventsDropped += trimmed.dropped
+      console.warn(`relay socket backed up: dropped ${trimmed.dropped} event(s)`)
+    }
+  }
+  if (eventQueue.length >= EVENT_BATCH_MAX) scheduleEventFlush(0)
+  else scheduleEventFlush(eventSettings.batchWindowMs)
+}
+
+function scheduleEventFlush(delayMs) {
+  if (eventFlushTimer) {
+    if (delayMs > 0) return
+    clearTimeout(eventFlushTimer)
+  }
+  eventFlushTimer = setTimeout(() => flushRelayEvents(false), delayMs)
+}
+
+/**
+ * Send queued events, batched when the relay supports it. Unless `force`d, a socket
+ * that is still draining keeps them queued, where the queue bound merges or drops them.
+ */
+function flushRelayEvents(force) {
+  if (eventFlushTimer) clearTimeout(eventFlushTimer)
+  eventFlushTimer = null
+  const ws = relayWs
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    eventQueue = []
+    return
+  }
+  if (!force && ws.bufferedAmount > EVENT_BACKPRESSURE_BYTES) {
+    scheduleEventFlush(EVENT_BACKPRESSURE_RETRY_MS)
+    return
+  }
+  const events = eventQueue
+  eventQueue = []
+  if (events.length > 1 && relayFeatures.has('eventBatches')) {
+    for (let i = 0; i < events.length; i += EVENT_BATCH_MAX) {
+      const batch = events.slice(i, i + EVENT_BATCH_MAX)
+      ws.send(JSON.stringify({ method: 'forwardCDPEventBatch', params: { events: batch } }))
+    }
+    return
+  }
+  for (const event of events) ws.send(JSON.stringify({ method: 'forwardCDPEvent', params: event }))
+}
+
 async function maybeOpenHelpOnce() {
   try {
     const stored = await chrome.storage.local.get(['helpOnErrorShown'])
@@ -166,12 +677,28 @@ async function onRelayMessage(text) {
   if (msg && msg.method === 'ping') {
     try {
       sendToRelay({ method: 'pong' })
+      // Piggyback on the relay's keepalive to measure round-trip latency.
+      if (!relayPingSentAt) {
+        relayPingSentAt = Date.now()
+        sendToRelay({ method: 'ping' })
+      }
     } catch {
       // ignore
     }
     return
   }
 
+  if (msg && msg.method === 'setEventFilter') {
+    relayEventFilter = normalizeEventFilter(msg.params)
+    return
+  }
+
+  if (msg && msg.method === 'pong') {
+    if (relayPingSentAt) relayLatencyMs = Date.now() - relayPingSentAt
+    relayPingSentAt = 0
+    return
+  }
+
   if (msg && typeof msg.id === 'number' && (msg.result !== undefined || msg.error !== undefined)) {
     const p = pending.get(msg.id)
     if (!p) return
@@ -182,11 +709,30 @@ async function onRelayMessage(text) {
   }
 
   if (msg && typeof msg.id === 'number' && msg.method === 'forwardCDPCommand') {
+    const startedAt = Date.now()
+    // An approval prompt can hold the command for up to 25s. If the relay drops (or is
+    // replaced) meanwhile, the id means nothing to the new socket: drop the reply.
+    const ws = relayWs
+    const reply = (payload) => {
+      if (relayWs !== ws) return
+      try {
+        sendToRelay(payload)
+      } catch (err) {
+        console.warn('relay reply dropped', err instanceof Error ? err.message : String(err))
+      }
+    }
     try {
       const result = await handleForwardCdpCommand(msg)
-      sendToRelay({ id: msg.id, result })
+      reply({ id: msg.id, result })
+      void recordCommandAudit(msg, startedAt, null)
     } catch (err) {
-      sendToRelay({ id: msg.id, error: err instanceof Error ? err.message : String(err) })
+      void recordCommandAudit(msg, startedAt, err)
+      const errorData = /** @type {any} */ (err)?.data
+      reply({
+        id: msg.id,
+        error: err instanceof Error ? err.message : String(err),
+        ...(errorData ? { errorData } : {}),
+      })
     }
   }
 }
@@ -206,26 +752,48 @@ function getTabByTargetId(targetId) {
   return null
 }
 
+/**
+ * Attach the debugger to a tab and announce it to the relay.
+ * Pass `sessionId` (and `debuggerAttached` when the debugger is still attached)
+ * to re-announce a tab after a relay reconnect under its previous session id.
+ */
 async function attachTab(tabId, opts = {}) {
+  const chromeTab = await chrome.tabs.get(tabId).catch(() => null)
+  await enforcePrivacy(chromeTab)
+
   const debuggee = { tabId }
-  await chrome.debugger.attach(debuggee, '1.3')
-  await chrome.debugger.sendCommand(debuggee, 'Page.enable').catch(() => {})
+  if (!opts.debuggerAttached) await debuggerApi.attach(debuggee, '1.3')
+  await debuggerApi.sendCommand(debuggee, 'Page.enable').catch(() => {})
 
-  const info = /** @type {any} */ (await chrome.debugger.sendCommand(debuggee, 'Target.getTargetInfo'))
+  const info = /** @type {any} */ (await debuggerApi.sendCommand(debuggee, 'Target.getTargetInfo'))
   const targetInfo = info?.targetInfo
   const targetId = String(targetInfo?.targetId || '').trim()
   if (!targetId) {
     throw new Error('Target.getTargetInfo returned no targetId')
   }
 
-  const sessionId = `cb-tab-${nextSession++}`
-  const attachOrder = nextSession
+  const tabGroupId = chromeTab && chromeTab.groupId >= 0 ? chromeTab.groupId : undefined
+
+  const sessionId = opts.sessionId || `cb-tab-${nextSession++}`
+  const attachOrder = opts.attachOrder ?? nextSession
+  // Re-announcing keeps a take-over in place; only "Hand back" ends it.
+  const pausedAt = tabs.get(tabId)?.pausedAt
 
-  tabs.set(tabId, { state: 'connected', sessionId, targetId, attachOrder })
+  tabs.set(tabId, {
+    state: 'connected',
+    sessionId,
+    targetId,
+    attachOrder,
+    autoAttached: opts.autoAttached === true,
+    attachedAt: opts.attachedAt ?? Date.now(),
+    commandCount: tabs.get(tabId)?.commandCount ?? 0,
+    ...(pausedAt ? { pausedAt } : {}),
+  })
   tabBySession.set(sessionId, tabId)
+  persistSessionState()
   void chrome.action.setTitle({
     tabId,
-    title: 'OpenClaw Browser Relay: attached (click to detach)',
+    title: pausedAt ? PAUSED_TITLE : 'OpenClaw Browser Relay: attached',
   })
 
   if (!opts.skipAttachedEvent) {
@@ -235,17 +803,61 @@ async function attachTab(tabId, opts = {}) {
         method: 'Target.attachedToTarget',
         params: {
           sessionId,
-          targetInfo: { ...targetInfo, attached: true },
+          targetInfo: {
+            ...targetInfo,
+            attached: true,
+            ...(tabGroupId !== undefined ? { tabGroupId } : {}),
+          },
           waitingForDebugger: false,
         },
       },
     })
   }
 
-  setBadge(tabId, 'on')
+  // Re-announce: a restarted relay has not seen this tab's iframes/workers yet.
+  if (opts.sessionId && !opts.skipAttachedEvent) announceChildTargets(tabId)
+
+  // Flat auto-attach makes OOPIFs and workers show up as child sessions of this tab.
+  // Runs after the page announce so children never reach the relay before their parent.
+  await debuggerApi
+    .sendCommand(debuggee, 'Target.setAutoAttach', {
+      autoAttach: true,
+      waitForDebuggerOnStart: false,
+      flatten: true,
+    })
+    .catch(() => {})
+
+  recordAudit({
+    type: 'attach',
+    tabId,
+    sessionId,
+    targetId,
+    url: targetInfo?.url,
+    ...(opts.sessionId ? { reattached: true } : {}),
+    ...(opts.autoAttached ? { autoAttached: true } : {}),
+  })
+  setBadge(tabId, pausedAt ? 'paused' : 'on')
   return { sessionId, targetId }
 }
 
+function announceChildTargets(tabId) {
+  for (const [childSessionId, child] of childTargets.entries()) {
+    if (childSessionToTab.get(childSessionId) !== tabId) continue
+    sendToRelay({
+      method: 'forwardCDPEvent',
+      params: {
+        sessionId: child.parentSessionId,
+        method: 'Target.attachedToTarget',
+        params: {
+          sessionId: childSessionId,
+          targetInfo: { ...child.targetInfo, attached: true },
+          waitingForDebugger: false,
+        },
+      },
+    })
+  }
+}
+
 async function detachTab(tabId, reason) {
   const tab = tabs.get(tabId)
   if (tab?.sessionId && tab?.targetId) {
@@ -262,15 +874,25 @@ async function detachTab(tabId, reason) {
     }
   }
 
-  if (tab?.sessionId) tabBySession.delete(tab.sessionId)
+  if (tab?.sessionId) {
+    recordAudit({ type: 'detach', tabId, sessionId: tab.sessionId, targetId: tab.targetId, reason })
+    tabBySession.delete(tab.sessionId)
+  }
   tabs.delete(tabId)
 
   for (const [childSessionId, parentTabId] of childSessionToTab.entries()) {
-    if (parentTabId === tabId) childSessionToTab.delete(childSessionId)
+    if (parentTabId !== tabId) continue
+    childSessionToTab.delete(childSessionId)
+    childTargets.delete(childSessionId)
   }
+  for (const [castSessionId, cast] of screencasts.entries()) {
+    if (cast.tabId === tabId) screencasts.delete(castSessionId)
+  }
+  onDialogClosed(tabId)
+  persistSessionState()
 
   try {
-    await chrome.debugger.detach({ tabId })
+    await debuggerApi.detach({ tabId })
   } catch {
     // ignore
   }
@@ -278,43 +900,821 @@ async function detachTab(tabId, reason) {
   setBadge(tabId, 'off')
   void chrome.action.setTitle({
     tabId,
-    title: 'OpenClaw Browser Relay (click to attach/detach)',
+    title: 'OpenClaw Browser Relay',
   })
 }
 
-async function connectOrToggleForActiveTab() {
-  const [active] = await chrome.tabs.query({ active: true, currentWindow: true })
-  const tabId = active?.id
-  if (!tabId) return
+/**
+ * "Take over": the user drives the tab (CAPTCHA, MFA prompt, …) while the agent's
+ * commands for it fail with a retryable `paused_by_user` error. Events keep flowing.
+ */
+function takeOverTab(tabId) {
+  const tab = tabs.get(tabId)
+  if (tab?.state !== 'connected' || tab.pausedAt) return
+  tab.pausedAt = Date.now()
+  persistSessionState()
+  setBadge(tabId, 'paused')
+  void chrome.action.setTitle({ tabId, title: PAUSED_TITLE })
+  recordAudit({ type: 'takeover', tabId, sessionId: tab.sessionId, targetId: tab.targetId })
+  sendHandoffEvent(tab, TAB_TAKEN_OVER_EVENT, { pausedAt: tab.pausedAt })
+}
 
-  const existing = tabs.get(tabId)
-  if (existing?.state === 'connected') {
-    await detachTab(tabId, 'toggle')
-    return
+/** "Hand back": resume forwarding and tell the agent the user is done. */
+function handBackTab(tabId) {
+  const tab = tabs.get(tabId)
+  if (tab?.state !== 'connected' || !tab.pausedAt) return
+  const pausedMs = Date.now() - tab.pausedAt
+  delete tab.pausedAt
+  persistSessionState()
+  setBadge(tabId, 'on')
+  void chrome.action.setTitle({ tabId, title: 'OpenClaw Browser Relay: attached' })
+  recordAudit({ type: 'handback', tabId, sessionId: tab.sessionId, targetId: tab.targetId, pausedMs })
+  sendHandoffEvent(tab, TAB_HANDED_BACK_EVENT, { pausedMs })
+}
+
+function sendHandoffEvent(tab, method, extra) {
+  try {
+    sendToRelay({
+      method: 'forwardCDPEvent',
+      params: { sessionId: tab.sessionId, method, params: { targetId: tab.targetId, ...extra } },
+    })
+  } catch {
+    // Relay down: the reconnect re-announces the tab, and commands report the pause themselves.
+  }
+}
+
+function pausedByUserError(tab) {
+  const err = new Error('The user has taken over this tab; retry once they hand it back')
+  return Object.assign(err, {
+    data: { code: 'paused_by_user', retryable: true, targetId: tab.targetId, pausedAt: tab.pausedAt },
+  })
+}
+
+/**
+ * Attach a tab from a user gesture (popup, shortcut, context menu): badge progress,
+ * connect to the relay if needed, and explain failures in the toolbar title.
+ * Resolves true once the tab is attached.
+ */
+async function attachTabFromUi(tab) {
+  const tabId = tab.id
+  const block = privacyBlockFor(tab, await getPrivacySettings())
+  if (block) {
+    setBadge(tabId, 'error')
+    void chrome.action.setTitle({ tabId, title: attachFailureTitle(privacyBlockedError(block, 'This tab is'), '') })
+    return false
   }
 
   tabs.set(tabId, { state: 'connecting' })
   setBadge(tabId, 'connecting')
   void chrome.action.setTitle({
     tabId,
-    title: 'OpenClaw Browser Relay: connecting to local relay…',
+    title: 'OpenClaw Browser Relay: connecting to relay…',
   })
 
   try {
     await ensureRelayConnection()
     await attachTab(tabId)
+    return true
   } catch (err) {
     tabs.delete(tabId)
     setBadge(tabId, 'error')
     void chrome.action.setTitle({
       tabId,
-      title: 'OpenClaw Browser Relay: relay not running (open options for setup)',
+      title: attachFailureTitle(err, 'OpenClaw Browser Relay: relay not running (open options for setup)'),
     })
-    void maybeOpenHelpOnce()
+    if (err?.data?.code !== 'privacy_blocked') void maybeOpenHelpOnce()
     // Extra breadcrumbs in chrome://extensions service worker logs.
     const message = err instanceof Error ? err.message : String(err)
     console.warn('attach failed', message, nowStack())
+    return false
+  }
+}
+
+/** Detach the tab if it is attached, attach it otherwise. */
+async function toggleTab(tab) {
+  await sessionStateRestored
+  const tabId = tab?.id
+  if (!tabId) return
+
+  const existing = tabs.get(tabId)
+  if (existing?.state === 'connected') {
+    await detachTab(tabId, 'toggle')
+    return
+  }
+  // A second click while the first attach is still in flight.
+  if (existing) return
+  await attachTabFromUi(tab)
+}
+
+async function connectOrToggleForActiveTab() {
+  const [active] = await chrome.tabs.query({ active: true, currentWindow: true })
+  await toggleTab(active)
+}
+
+/** Attach every web page in the current window that is neither attached nor privacy-blocked. */
+async function attachWindowTabs() {
+  await sessionStateRestored
+  const windowTabs = await chrome.tabs.query({ currentWindow: true })
+  const privacy = await getPrivacySettings()
+  for (const tab of windowTabs) {
+    if (!tab.id || tabs.has(tab.id) || !urlOrigin(tab.url)) continue
+    if (privacyBlockFor(tab, privacy)) continue
+    // One at a time: the first attach opens the relay connection, and a dead relay stops the rest.
+    if (!(await attachTabFromUi(tab)) && !relayWs) return
+  }
+}
+
+async function onCommand(command, tab) {
+  switch (command) {
+    case 'toggle-attach':
+      if (tab?.id) await toggleTab(tab)
+      else await connectOrToggleForActiveTab()
+      return
+    case 'attach-window':
+      await attachWindowTabs()
+      return
+    case 'detach-all':
+      await sessionStateRestored
+      await detachAllTabs('shortcut')
+      return
+  }
+}
+
+const CONTEXT_MENU_ID = 'openclaw-handle-page'
+const CONTEXT_MENU_TITLES = {
+  attach: 'Let the agent handle this page',
+  detach: 'Stop letting the agent handle this page',
+}
+
+function createContextMenu() {
+  if (!chrome.contextMenus) return
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_ID,
+      title: CONTEXT_MENU_TITLES.attach,
+      contexts: ['page', 'frame', 'selection', 'link', 'image'],
+      documentUrlPatterns: ['http://*/*', 'https://*/*'],
+    })
+    void refreshContextMenu()
+  })
+}
+
+/** Chrome has no per-tab menu titles, so follow the focused tab. */
+async function refreshContextMenu() {
+  if (!chrome.contextMenus) return
+  const [active] = await chrome.tabs.query({ active: true, lastFocusedWindow: true }).catch(() => [])
+  const attached = Boolean(active?.id && tabs.get(active.id)?.state === 'connected')
+  await chrome.contextMenus
+    .update(CONTEXT_MENU_ID, { title: attached ? CONTEXT_MENU_TITLES.detach : CONTEXT_MENU_TITLES.attach })
+    .catch(() => {})
+}
+
+async function getAutoAttachPatterns() {
+  const stored = await chrome.storage.local.get(['autoAttachPatterns'])
+  return parseUrlPatterns(stored.autoAttachPatterns).patterns
+}
+
+/**
+ * Attach tabs whose URL matches an allow-listed pattern, and detach tabs that were
+ * auto-attached once they navigate away. Manually attached tabs are left alone.
+ */
+async function applyAutoAttachPolicy(tabId, url, patterns) {
+  const allowed = patterns.length > 0 && matchesUrlPatterns(url, patterns)
+  const existing = tabs.get(tabId)
+
+  if (!allowed) {
+    if (existing?.state === 'connected' && existing.autoAttached) {
+      await detachTab(tabId, 'auto_detach')
+    }
+    return
+  }
+  if (existing) return
+
+  tabs.set(tabId, { state: 'connecting' })
+  setBadge(tabId, 'connecting')
+  try {
+    await ensureRelayConnection()
+    await attachTab(tabId, { autoAttached: true })
+  } catch (err) {
+    tabs.delete(tabId)
+    setBadge(tabId, 'error')
+    void chrome.action.setTitle({
+      tabId,
+      title: attachFailureTitle(err, 'OpenClaw Browser Relay: auto-attach failed (open options for setup)'),
+    })
+    const message = err instanceof Error ? err.message : String(err)
+    console.warn('auto-attach failed', tabId, message)
+  }
+}
+
+async function applyAutoAttachPolicyToAllTabs() {
+  const patterns = await getAutoAttachPatterns()
+  const hasAutoAttached = Array.from(tabs.values()).some((t) => t.autoAttached)
+  if (patterns.length === 0 && !hasAutoAttached) return
+  const all = await chrome.tabs.query({})
+  for (const tab of all) {
+    if (tab.id) await applyAutoAttachPolicy(tab.id, tab.url || '', patterns)
+  }
+}
+
+async function onTabUpdated(tabId, changeInfo) {
+  if (!changeInfo.url) return
+  await sessionStateRestored
+  const chromeTab = await chrome.tabs.get(tabId).catch(() => null)
+  const block = privacyBlockFor({ ...chromeTab, url: changeInfo.url }, await getPrivacySettings())
+  if (block) {
+    if (tabs.get(tabId)?.state === 'connected') await detachForPrivacy(tabId, block)
+    return
+  }
+  await applyAutoAttachPolicy(tabId, changeInfo.url, await getAutoAttachPatterns())
+}
+
+function getPrivacySettings() {
+  if (!privacySettingsPromise) {
+    privacySettingsPromise = chrome.storage.local
+      .get(['privacySettings'])
+      .then((stored) => normalizePrivacySettings(stored.privacySettings))
+      .catch(() => normalizePrivacySettings(undefined))
+  }
+  return privacySettingsPromise
+}
+
+function privacyBlockedError(block, what) {
+  const err = new Error(`${what} blocked by privacy settings (${block.label})`)
+  Object.assign(err, { data: { code: 'privacy_blocked', category: block.category } })
+  return err
+}
+
+/** Refuse to attach the debugger to incognito tabs and block-listed sites. */
+async function enforcePrivacy(chromeTab) {
+  if (!chromeTab) return
+  const block = privacyBlockFor(chromeTab, await getPrivacySettings())
+  if (block) throw privacyBlockedError(block, 'This tab is')
+}
+
+/** Refuse agent navigations (and new tabs) into block-listed sites before they happen. */
+async function enforcePrivacyForNavigation(method, params) {
+  if (method !== 'Page.navigate' && method !== 'Target.createTarget') return
+  const url = typeof params?.url === 'string' ? params.url : ''
+  const block = url ? privacyBlockFor({ url }, await getPrivacySettings()) : null
+  if (block) throw privacyBlockedError(block, `Navigation to ${urlOrigin(url) || url} is`)
+}
+
+async function detachForPrivacy(tabId, block) {
+  await detachTab(tabId, 'policy')
+  void chrome.action.setTitle({
+    tabId,
+    title: `OpenClaw Browser Relay: detached, site blocked by privacy settings (${block.label})`,
+  })
+}
+
+/** Detach attached tabs that a changed privacy setting now blocks. */
+async function applyPrivacyToAttachedTabs() {
+  const settings = await getPrivacySettings()
+  for (const [tabId, tab] of Array.from(tabs.entries())) {
+    if (tab.state !== 'connected') continue
+    const chromeTab = await chrome.tabs.get(tabId).catch(() => null)
+    const block = chromeTab ? privacyBlockFor(chromeTab, settings) : null
+    if (block) await detachForPrivacy(tabId, block)
+  }
+}
+
+function getCdpPolicy() {
+  if (!cdpPolicyPromise) {
+    cdpPolicyPromise = chrome.storage.local
+      .get(['cdpPolicy'])
+      .then((stored) => normalizeCdpPolicy(stored.cdpPolicy))
+      .catch(() => normalizeCdpPolicy(undefined))
+  }
+  return cdpPolicyPromise
+}
+
+/** Reject CDP methods the user's policy does not allow, before they reach the tab. */
+async function enforceCdpPolicy(method, params) {
+  const decision = evaluateCdpPolicy(await getCdpPolicy(), method, params)
+  if (decision.allowed) return
+  const blocked = decision.wrappedMethod ? `${method} (${decision.wrappedMethod})` : method
+  const err = new Error(`CDP method ${blocked} blocked by extension policy (${decision.preset})`)
+  Object.assign(err, {
+    data: {
+      code: 'cdp_method_blocked',
+      method,
+      ...(decision.wrappedMethod ? { wrappedMethod: decision.wrappedMethod } : {}),
+      policy: decision.preset,
+      rule: decision.rule,
+      source: decision.source,
+    },
+  })
+  throw err
+}
+
+function getApprovalSettings() {
+  if (!approvalSettingsPromise) {
+    approvalSettingsPromise = chrome.storage.local
+      .get(['approvalSettings'])
+      .then((stored) => normalizeApprovalSettings(stored.approvalSettings))
+      .catch(() => normalizeApprovalSettings(undefined))
+  }
+  return approvalSettingsPromise
+}
+
+function getScreencastSettings() {
+  if (!screencastSettingsPromise) {
+    screencastSettingsPromise = chrome.storage.local
+      .get(['screencastSettings'])
+      .then((stored) => normalizeScreencastSettings(stored.screencastSettings))
+      .catch(() => normalizeScreencastSettings(undefined))
+  }
+  return screencastSettingsPromise
+}
+
+/**
+ * Ships a screencast frame to the relay (binary when it supports that) and acks it once the
+ * fps budget has passed and the socket has drained, so Chrome never outpaces the relay.
+ */
+async function forwardScreencastFrame(source, relaySessionId, params) {
+  const startedAt = Date.now()
+  const ws = relayWs
+  try {
+    if (ws && ws.readyState === WebSocket.OPEN && relayFeatures.has('binaryScreencast')) {
+      ws.send(encodeScreencastFrame(relaySessionId, params))
+    } else {
+      sendToRelay({
+        method: 'forwardCDPEvent',
+        params: { sessionId: relaySessionId, method: 'Page.screencastFrame', params },
+      })
+    }
+  } catch {
+    // Relay gone: still ack below so the tab does not stall.
+  }
+
+  const minFrameIntervalMs =
+    screencasts.get(relaySessionId)?.minFrameIntervalMs ??
+    clampScreencastParams({}, await getScreencastSettings()).minFrameIntervalMs
+  const wait = startedAt + minFrameIntervalMs - Date.now()
+  if (wait > 0) await new Promise((r) => setTimeout(r, wait))
+  while (ws && ws.readyState === WebSocket.OPEN && ws.bufferedAmount > SCREENCAST_MAX_BUFFERED_BYTES) {
+    await new Promise((r) => setTimeout(r, 50))
+  }
+  try {
+    await debuggerApi.sendCommand(source, 'Page.screencastFrameAck', { sessionId: params?.sessionId })
+  } catch {
+    // Screencast stopped or tab detached meanwhile.
+  }
+}
+
+async function setFileInputFromPayloads(debuggee, params) {
+  let objectId = typeof params.objectId === 'string' ? params.objectId : ''
+  if (!objectId) {
+    const resolved = /** @type {any} */ (
+      await debuggerApi.sendCommand(debuggee, 'DOM.resolveNode', {
+        nodeId: params.nodeId,
+        backendNodeId: params.backendNodeId,
+      })
+    )
+    objectId = resolved?.object?.objectId || ''
+  }
+  if (!objectId) throw new Error('DOM.setFileInputFiles: could not resolve the file input')
+  await debuggerApi.sendCommand(debuggee, 'Runtime.callFunctionOn', {
+    objectId,
+    functionDeclaration: SET_INPUT_FILES_FN,
+    arguments: [{ value: params.payloads }],
+  })
+  return {}
+}
+
+function getBridgeSettings() {
+  if (!bridgeSettingsPromise) {
+    bridgeSettingsPromise = chrome.storage.local
+      .get(['bridgeSettings'])
+      .then((stored) => normalizeBridgeSettings(stored.bridgeSettings))
+      .catch(() => normalizeBridgeSettings(undefined))
+  }
+  return bridgeSettingsPromise
+}
+
+/** Dismiss a JS dialog nobody answered, so the tab (and the agent's next command) is not stuck. */
+async function onDialogOpening(tabId) {
+  if (!(await getBridgeSettings()).autoDismissDialogs) return
+  clearTimeout(dialogTimers.get(tabId))
+  dialogTimers.set(
+    tabId,
+    setTimeout(() => {
+      dialogTimers.delete(tabId)
+      void debuggerApi.sendCommand({ tabId }, 'Page.handleJavaScriptDialog', { accept: false }).catch(() => {})
+    }, DIALOG_AUTO_DISMISS_MS),
+  )
+}
+
+function onDialogClosed(tabId) {
+  clearTimeout(dialogTimers.get(tabId))
+  dialogTimers.delete(tabId)
+}
+
+function sendBrowserEvent(method, params) {
+  try {
+    sendToRelay({ method: 'forwardCDPEvent', params: { method, params } })
+  } catch {
+    // Relay gone; the agent's download waiter times out on its own.
+  }
+}
+
+/**
+ * Report downloads the agent starts the way Chrome's Browser domain does, so Playwright's
+ * `download` event (and the download tools) work on attached tabs.
+ */
+function bridgeDownload(item) {
+  if (!relayFeatures.has('downloads')) return
+  if (Date.now() - lastAgentCommandAt > AGENT_ACTIVITY_WINDOW_MS) return
+  // Registered right away so the filename and progress handlers wait for the source tab.
+  const bridged = agentDownloadTab(item)
+    .then((tabId) => {
+      const tab = tabId ? tabs.get(tabId) : null
+      if (tab?.state !== 'connected' || !tab.targetId) return null
+      return {
+        guid: crypto.randomUUID(),
+        // Chrome's main frame id is the target id, which is how Playwright finds the page.
+        frameId: tab.targetId,
+        url: item.finalUrl || item.url,
+        begun: false,
+      }
+    })
+    .catch(() => null)
+    .then((entry) => {
+      if (!entry) bridgedDownloads.delete(item.id)
+      return entry
+    })
+  bridgedDownloads.set(item.id, bridged)
+}
+
+function beginBridgedDownload(bridged, filename) {
+  bridged.begun = true
+  sendBrowserEvent('Browser.downloadWillBegin', {
+    guid: bridged.guid,
+    frameId: bridged.frameId,
+    url: bridged.url,
+    suggestedFilename: String(filename || '').split(/[\\/]/).pop() || 'download',
+  })
+}
+
+/** Agent downloads go into the configured subfolder of the browser's download directory. */
+function suggestDownloadFilename(item, suggest) {
+  const pending = bridgedDownloads.get(item.id)
+  if (!pending) return
+  void Promise.all([pending, getBridgeSettings()]).then(([bridged, settings]) => {
+    if (!bridged || !settings.downloadFolder) return suggest()
+    suggest({ filename: `${settings.downloadFolder}/${item.filename}`, conflictAction: 'uniquify' })
+  })
+  return true
+}
+
+async function onDownloadChanged(delta) {
+  const bridged = await bridgedDownloads.get(delta.id)
+  if (!bridged) return
+  const [item] = await chrome.downloads.search({ id: delta.id }).catch(() => [])
+  if (!item) return
+  if (!bridged.begun && item.filename) beginBridgedDownload(bridged, item.filename)
+
+  const state = delta.state?.current
+  if (state !== 'complete' && state !== 'interrupted') return
+  bridgedDownloads.delete(delta.id)
+  if (!bridged.begun) beginBridgedDownload(bridged, item.filename || bridged.url)
+  // The relay copies the file from `filePath` into the agent's download directory.
+  sendBrowserEvent('Browser.downloadProgress', {
+    guid: bridged.guid,
+    state: state === 'complete' ? 'completed' : 'canceled',
+    totalBytes: item.totalBytes,
+    receivedBytes: item.bytesReceived,
+    ...(state === 'complete' ? { filePath: item.filename } : {}),
+  })
+}
+
+function hasApprovalGrant(kind, origin) {
+  const now = Date.now()
+  for (const key of [`origin:${origin}`, `${kind}:${origin}`]) {
+    const expiresAt = approvalGrants.get(key)
+    if (expiresAt && expiresAt > now) return true
+    if (expiresAt) approvalGrants.delete(key)
+  }
+  return false
+}
+
+/**
+ * Ask the user to approve a sensitive action in a small extension window.
+ * Resolves `{approved:false}` on Deny, on timeout, or when the window is closed.
+ * `singleUse` approvals neither honor nor create grants; `permissions` are requested
+ * from the approval window when the user clicks Approve (it needs the user gesture).
+ */
+async function requestApproval({
+  kind,
+  origin,
+  summary,
+  tabId,
+  timeoutMs = APPROVAL_TIMEOUT_MS,
+  singleUse = false,
+  permissions,
+}) {
+  if (!singleUse && hasApprovalGrant(kind, origin)) return { approved: true, reason: 'grant' }
+
+  const id = nextApprovalId++
+  const result = new Promise((resolve) => {
+    const timer = setTimeout(() => settleApproval(id, { approved: false, reason: 'timeout' }), timeoutMs)
+    approvals.set(id, { id, kind, origin, summary, tabId, singleUse, permissions, timer, resolve })
+  })
+  try {
+    const win = await chrome.windows.create({
+      url: chrome.runtime.getURL(`approval.html?id=${id}`),
+      type: 'popup',
+      width: 420,
+      height: 320,
+      focused: true,
+    })
+    const entry = approvals.get(id)
+    if (entry) entry.windowId = win?.id
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err)
+    console.warn('approval window failed', message)
+    settleApproval(id, { approved: false, reason: 'prompt_failed' })
+  }
+  return await result
+}
+
+function settleApproval(id, result, allowOriginMinutes = 0) {
+  const entry = approvals.get(id)
+  if (!entry) return
+  approvals.delete(id)
+  clearTimeout(entry.timer)
+  if (result.approved && !entry.singleUse) {
+    approvalGrants.set(`${entry.kind}:${entry.origin}`, Date.now() + APPROVAL_BURST_MS)
+    if (allowOriginMinutes > 0) {
+      approvalGrants.set(`origin:${entry.origin}`, Date.now() + allowOriginMinutes * 60_000)
+    }
+  }
+  if (entry.windowId && result.reason !== 'window_closed') {
+    void chrome.windows.remove(entry.windowId).catch(() => {})
+  }
+  entry.resolve(result)
+}
+
+// Focused element, following focus through shadow roots and same-origin frames. A focused
+// cross-origin frame reports tag 'iframe'; its document is only reachable through its own session.
+const FOCUS_PROBE_EXPRESSION = `(() => {
+  let el = document.activeElement
+  while (el) {
+    if (el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement
+    else if (el.contentDocument && el.contentDocument.activeElement) el = el.contentDocument.activeElement
+    else break
+  }
+  if (!el) return null
+  return {
+    tag: el.tagName.toLowerCase(),
+    type: String(el.type || '').toLowerCase(),
+    inForm: Boolean(el.form || (el.closest && el.closest('form'))),
+    hasFocus: document.hasFocus(),
+  }
+})()`
+
+async function evaluateProbe(debuggee, expression) {
+  try {
+    const res = /** @type {any} */ (
+      await debuggerApi.sendCommand(debuggee, 'Runtime.evaluate', { expression, returnByValue: true })
+    )
+    return res?.result?.value ?? null
+  } catch {
+    return null
+  }
+}
+
+/** Read the page state `approvalProbeFor` asked for, straight from the tab (and its frames). */
+async function probePage(tabId, probe, params) {
+  if (probe === 'focus') {
+    const top = await evaluateProbe({ tabId }, FOCUS_PROBE_EXPRESSION)
+    if (top?.tag !== 'iframe' && top?.tag !== 'frame') return top
+    // Focus is inside an out-of-process frame: ask each of the tab's frame sessions, preferring
+    // the one holding focus (a background window has none, so fall back to any focused field).
+    const inner = []
+    for (const [childSessionId, child] of childTargets.entries()) {
+      if (childSessionToTab.get(childSessionId) !== tabId || child.targetInfo?.type !== 'iframe') continue
+      const found = await evaluateProbe({ tabId, sessionId: childSessionId }, FOCUS_PROBE_EXPRESSION)
+      if (found && !['iframe', 'frame', 'body', 'html'].includes(found.tag)) inner.push(found)
+    }
+    return inner.find((found) => found.hasFocus) ?? inner[0] ?? top
+  }
+  const expression = `((x, y) => {
+    const el = document.elementFromPoint(x, y)
+    const btn = el && el.closest && el.closest('button, input[type=submit], input[type=image]')
+    if (!btn) return { isSubmit: false }
+    const type = String(btn.type || '').toLowerCase()
+    return { isSubmit: Boolean(btn.form) && (type === 'submit' || type === 'image') }
+  })(${Number(params?.x) || 0}, ${Number(params?.y) || 0})`
+  return await evaluateProbe({ tabId }, expression)
+}
+
+/** Pause sensitive commands until the user approves them in Chrome. */
+async function enforceApproval(tabId, method, params) {
+  const settings = await getApprovalSettings()
+  if (!settings.navigation && !settings.formSubmit && !settings.passwordInput) return
+
+  const probeKind = approvalProbeFor(method, params, settings)
+  const probe = probeKind ? await probePage(tabId, probeKind, params) : null
+  const tab = await chrome.tabs.get(tabId).catch(() => null)
+  const action = classifySensitiveCommand(method, params, { settings, currentUrl: tab?.url, probe })
+  if (!action) return
+
+  const { approved, reason } = await requestApproval({ ...action, tabId })
+  if (approved) return
+  const err = new Error(`${action.summary}: not approved by the user (${reason})`)
+  Object.assign(err, { data: { code: 'approval_denied', kind: action.kind, origin: action.origin, reason } })
+  throw err
+}
+
+function storageExportError(code, message, extra = {}) {
+  return Object.assign(new Error(message), { data: { code, ...extra } })
+}
+
+/**
+ * Cookies that would reach `origin` or the tab's current page. With the optional
+ * `cookies` permission this is chrome.cookies (which also sees other paths on the
+ * host); otherwise the tab's own CDP view.
+ */
+async function readExportCookies(debuggee, origin, tabUrl) {
+  const urls = [...new Set([`${origin}/`, tabUrl])]
+  const granted = await chrome.permissions
+    .contains({ permissions: ['cookies'], origins: [`${origin}/*`] })
+    .catch(() => false)
+  if (granted && chrome.cookies) {
+    const lookups = [
+      ...urls.map((url) => chrome.cookies.getAll({ url })),
+      chrome.cookies.getAll({ domain: new URL(origin).hostname }),
+    ]
+    return (await Promise.all(lookups)).flat()
+  }
+  const res = await debuggerApi.sendCommand(debuggee, 'Network.getCookies', { urls })
+  return res?.cookies ?? []
+}
+
+/** The tab's localStorage, addressed by the frame's storage key when Chromium has one. */
+async function readExportLocalStorage(debuggee, frameId, origin) {
+  let storageId = { securityOrigin: origin, isLocalStorage: true }
+  try {
+    const res = await debuggerApi.sendCommand(debuggee, 'Storage.getStorageKeyForFrame', { frameId })
+    if (res?.storageKey) storageId = { storageKey: res.storageKey, isLocalStorage: true }
+  } catch {
+    // Older Chromium without storage keys; the security origin still works there.
+  }
+  const res = await debuggerApi.sendCommand(debuggee, 'DOMStorage.getDOMStorageItems', { storageId })
+  return res?.entries ?? []
+}
+
+/**
+ * `OpenClaw.exportStorageBundle`: cookies + localStorage for the attached tab's origin.
+ * The user approves every export; origin-wide approval grants never cover it.
+ */
+async function exportStorageBundle(tabId, params) {
+  const tab = await chrome.tabs.get(tabId)
+  const tabOrigin = urlOrigin(tab.url)
+  const requested = typeof params?.origin === 'string' && params.origin.trim() ? params.origin.trim() : ''
+  const origin = requested ? urlOrigin(requested) : tabOrigin
+  if (!origin) {
+    throw storageExportError('invalid_origin', `Cannot export storage for ${requested || tab.url || 'this tab'}`)
+  }
+  if (origin !== tabOrigin) {
+    throw storageExportError(
+      'origin_mismatch',
+      `Attached tab is on ${tabOrigin || tab.url}; navigate it to ${origin} before exporting`,
+      { origin, tabOrigin },
+    )
+  }
+
+  const { approved, reason } = await requestApproval({
+    kind: 'storageExport',
+    origin,
+    summary: `Export cookies and localStorage for ${origin}. The agent can reuse this signed-in session elsewhere.`,
+    tabId,
+    singleUse: true,
+    permissions: { permissions: ['cookies'], origins: [`${origin}/*`] },
+  })
+  if (!approved) {
+    throw storageExportError('approval_denied', `Storage export for ${origin}: not approved by the user (${reason})`, {
+      kind: 'storageExport',
+      origin,
+      reason,
+    })
+  }
+
+  const debuggee = { tabId }
+  const [cookies, localStorage] = await Promise.all([
+    readExportCookies(debuggee, origin, tab.url),
+    readExportLocalStorage(debuggee, tabs.get(tabId)?.targetId, origin),
+  ])
+  return buildStorageBundle({ origin, cookies, localStorage, browser: BROWSER.name })
+}
+
+/**
+ * The attached tab a download came from (by referrer origin; the agent's last tab when
+ * there is no referrer), or null for the user's own downloads in other tabs.
+ */
+async function agentDownloadTab(item) {
+  const attachedTabs = []
+  for (const [tabId, tab] of tabs.entries()) {
+    if (tab.state !== 'connected') continue
+    const info = await chrome.tabs.get(tabId).catch(() => null)
+    if (info?.url) attachedTabs.push({ tabId, url: info.url })
+  }
+  const agentTabId = lastAgentTabId && tabs.get(lastAgentTabId)?.state === 'connected' ? lastAgentTabId : null
+  return downloadSourceTab(item, attachedTabs, agentTabId)
+}
+
+async function onDownloadCreated(item) {
+  const settings = await getApprovalSettings()
+  if (!settings.downloads || !hasConnectedTabs()) return
+  if (Date.now() - lastAgentCommandAt > AGENT_ACTIVITY_WINDOW_MS) return
+
+  // Only gate what the agent's tabs download; the user's own downloads elsewhere pass.
+  const tabId = await agentDownloadTab(item)
+  if (!tabId) return
+
+  try {
+    await chrome.downloads.pause(item.id)
+  } catch {
+    // Already finished (or not pausable); nothing left to gate.
+    return
   }
+  const source = item.finalUrl || item.url
+  const { approved } = await requestApproval({
+    kind: 'download',
+    origin: urlOrigin(item.referrer) || urlOrigin(source),
+    summary: `Download ${item.filename || source}`,
+    tabId,
+    timeoutMs: DOWNLOAD_APPROVAL_TIMEOUT_MS,
+  })
+  if (approved) await chrome.downloads.resume(item.id).catch(() => {})
+  else await chrome.downloads.cancel(item.id).catch(() => {})
+}
+
+/** Open an agent tab per the user's settings: in the agent tab group, optionally in its own window. */
+async function createAgentTab(url) {
+  await agentTabsRestored
+  const stored = await chrome.storage.local.get(['agentTabs'])
+  const settings = normalizeAgentTabSettings(stored.agentTabs)
+
+  let tab = null
+  if (settings.separateWindow) {
+    const win = agentWindowId ? await chrome.windows.get(agentWindowId).catch(() => null) : null
+    if (win) {
+      tab = await chrome.tabs.create({ windowId: win.id, url, active: false })
+    } else {
+      const created = await chrome.windows.create({ url, focused: false })
+      agentWindowId = created?.id ?? null
+      tab = created?.tabs?.[0] ?? null
+      persistAgentTabs()
+    }
+  } else {
+    tab = await chrome.tabs.create({ url, active: false })
+  }
+  if (!tab?.id) throw new Error('Failed to create tab')
+
+  if (settings.groupTabs) {
+    try {
+      await addToAgentGroup(tab, settings)
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err)
+      console.warn('tab group failed', tab.id, message)
+    }
+  }
+  return tab
+}
+
+async function addToAgentGroup(tab, settings) {
+  const groups = await chrome.tabGroups.query({ windowId: tab.windowId })
+  const existing = groups.find((group) => agentGroupIds.has(group.id))
+  const groupId = await chrome.tabs.group(
+    existing
+      ? { tabIds: [tab.id], groupId: existing.id }
+      : { tabIds: [tab.id], createProperties: { windowId: tab.windowId } },
+  )
+  await chrome.tabGroups.update(groupId, { title: settings.groupTitle, color: settings.groupColor })
+  agentGroupIds.add(groupId)
+  persistAgentTabs()
+}
+
+/**
+ * Tab for commands without a usable session: the most recently attached tab in
+ * the agent tab group, else the first connected tab.
+ */
+async function resolveDefaultTab() {
+  await agentTabsRestored
+  const groupTabIds = new Set()
+  for (const groupId of agentGroupIds) {
+    const grouped = await chrome.tabs.query({ groupId }).catch(() => [])
+    for (const tab of grouped) if (tab.id) groupTabIds.add(tab.id)
+  }
+  const recent = pickMostRecentTab(tabs, groupTabIds)
+  if (recent) return recent
+  for (const [id, tab] of tabs.entries()) {
+    if (tab.state === 'connected') return id
+  }
+  return null
 }
 
 async function handleForwardCdpCommand(msg) {
@@ -322,39 +1722,43 @@ async function handleForwardCdpCommand(msg) {
   const params = msg?.params?.params || undefined
   const sessionId = typeof msg?.params?.sessionId === 'string' ? msg.params.sessionId : undefined
 
+  await enforceCdpPolicy(method, params)
+  await enforcePrivacyForNavigation(method, params)
+  lastAgentCommandAt = Date.now()
+
   // Map command to tab
   const bySession = sessionId ? getTabBySessionId(sessionId) : null
   const targetId = typeof params?.targetId === 'string' ? params.targetId : undefined
   const tabId =
-    bySession?.tabId ||
-    (targetId ? getTabByTargetId(targetId) : null) ||
-    (() => {
-      // No sessionId: pick the first connected tab (stable-ish).
-      for (const [id, tab] of tabs.entries()) {
-        if (tab.state === 'connected') return id
-      }
-      return null
-    })()
+    bySession?.tabId || (targetId ? getTabByTargetId(targetId) : null) || (await resolveDefaultTab())
 
   if (!tabId) throw new Error(`No attached tab for method ${method}`)
+  const tabState = tabs.get(tabId)
+  // Opening a new tab does not touch the paused one.
+  if (tabState?.pausedAt && method !== 'Target.createTarget') throw pausedByUserError(tabState)
+  lastAgentTabId = tabId
+  if (tabState) tabState.commandCount = (tabState.commandCount ?? 0) + 1
+
+  await enforceApproval(tabId, method, params)
+
+  if (method === 'OpenClaw.exportStorageBundle') return await exportStorageBundle(tabId, params)
 
   /** @type {chrome.debugger.DebuggerSession} */
   const debuggee = { tabId }
 
   if (method === 'Runtime.enable') {
     try {
-      await chrome.debugger.sendCommand(debuggee, 'Runtime.disable')
+      await debuggerApi.sendCommand(debuggee, 'Runtime.disable')
       await new Promise((r) => setTimeout(r, 50))
     } catch {
       // ignore
     }
-    return await chrome.debugger.sendCommand(debuggee, 'Runtime.enable', params)
+    return await debuggerApi.sendCommand(debuggee, 'Runtime.enable', params)
   }
 
   if (method === 'Target.createTarget') {
     const url = typeof params?.url === 'string' ? params.url : 'about:blank'
-    const tab = await chrome.tabs.create({ url, active: false })
-    if (!tab.id) throw new Error('Failed to create tab')
+    const tab = await createAgentTab(url)
     await new Promise((r) => setTimeout(r, 100))
     const attached = await attachTab(tab.id)
     return { targetId: attached.targetId }
@@ -385,14 +1789,150 @@ async function handleForwardCdpCommand(msg) {
     return {}
   }
 
-  const tabState = tabs.get(tabId)
   const mainSessionId = tabState?.sessionId
   const debuggerSession =
     sessionId && mainSessionId && sessionId !== mainSessionId
       ? { ...debuggee, sessionId }
       : debuggee
 
-  return await chrome.debugger.sendCommand(debuggerSession, method, params)
+  // chrome.debugger only speaks flat sessions; nested (non-flat) auto-attach would be unreachable.
+  let commandParams = method === 'Target.setAutoAttach' ? { ...params, flatten: true } : params
+
+  const relaySessionId = sessionId || mainSessionId
+  if (method === 'Page.startScreencast' && relaySessionId) {
+    const capped = clampScreencastParams(params, await getScreencastSettings())
+    commandParams = capped.params
+    screencasts.set(relaySessionId, { tabId, minFrameIntervalMs: capped.minFrameIntervalMs })
+  }
+  if (method === 'Page.stopScreencast' && relaySessionId) screencasts.delete(relaySessionId)
+  // The relay inlines upload contents, so the files need not exist on this machine.
+  if (method === 'DOM.setFileInputFiles' && Array.isArray(params?.payloads)) {
+    return await setFileInputFromPayloads(debuggerSession, params)
+  }
+  // We ack frames ourselves (paced to the fps cap); a second ack from the client would be a no-op at best.
+  if (method === 'Page.screencastFrameAck') return {}
+
+  try {
+    return await debuggerApi.sendCommand(debuggerSession, method, commandParams)
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err)
+    const data = debuggerErrorData(method, message)
+    if (data) Object.assign(err, { data: { ...data, browser: BROWSER.name } })
+    throw err
+  }
+}
+
+function getRelayState() {
+  if (relayWs && relayWs.readyState === WebSocket.OPEN) return 'connected'
+  if (relayConnectPromise) return 'connecting'
+  if (reconnectTimer) return 'reconnecting'
+  return 'disconnected'
+}
+
+/** Snapshot of relay health and attached tabs for the popup. */
+async function getRelayStatus() {
+  await sessionStateRestored
+  const endpoint = await getRelayEndpoint()
+  const url = new URL(endpoint.httpBase)
+  const [active] = await chrome.tabs.query({ active: true, currentWindow: true }).catch(() => [])
+
+  const attached = []
+  for (const [tabId, tab] of tabs.entries()) {
+    if (tab.state !== 'connected') continue
+    const info = await chrome.tabs.get(tabId).catch(() => null)
+    attached.push({
+      tabId,
+      sessionId: tab.sessionId,
+      targetId: tab.targetId,
+      title: info?.title || '',
+      url: info?.url || '',
+      attachedAt: tab.attachedAt ?? null,
+      commandCount: tab.commandCount ?? 0,
+      autoAttached: tab.autoAttached === true,
+      pausedAt: tab.pausedAt ?? null,
+    })
+  }
+  attached.sort((a, b) => (a.attachedAt ?? 0) - (b.attachedAt ?? 0))
+
+  return {
+    relay: {
+      state: getRelayState(),
+      httpBase: endpoint.httpBase,
+      port: Number(url.port) || (url.protocol === 'https:' ? 443 : 80),
+      latencyMs: relayLatencyMs,
+      reconnectAttempt,
+      protocolError: relayProtocolError,
+      eventsDropped,
+      eventsCoalesced,
+    },
+    browser: {
+      ...BROWSER,
+      ...(HAS_DEBUGGER ? {} : { bidi: { url: await getBidiUrl(), connected: debuggerApi.isConnected() } }),
+    },
+    activeTabId: active?.id ?? null,
+    activeTabAttached: Boolean(active?.id && tabs.get(active.id)?.state === 'connected'),
+    activeTabBlocked: active ? (privacyBlockFor(active, await getPrivacySettings())?.label ?? null) : null,
+    tabs: attached,
+  }
+}
+
+async function detachAllTabs(reason) {
+  for (const tabId of Array.from(tabs.keys())) {
+    await detachTab(tabId, reason)
+  }
+}
+
+async function onExtensionMessage(msg) {
+  switch (msg?.type) {
+    case 'getApproval': {
+      const entry = approvals.get(msg.id)
+      if (!entry) return { missing: true }
+      const tab = entry.tabId ? await chrome.tabs.get(entry.tabId).catch(() => null) : null
+      return {
+        kind: entry.kind,
+        origin: entry.origin,
+        summary: entry.summary,
+        singleUse: entry.singleUse,
+        permissions: entry.permissions,
+        tabTitle: tab?.title || '',
+        tabUrl: tab?.url || '',
+      }
+    }
+    case 'resolveApproval': {
+      const minutes = Number.isFinite(msg.allowOriginMinutes) ? Math.max(0, msg.allowOriginMinutes) : 0
+      settleApproval(msg.id, { approved: msg.approved === true, reason: msg.approved ? 'approved' : 'denied' }, minutes)
+      return { ok: true }
+    }
+    case 'getStatus':
+      return await getRelayStatus()
+    case 'toggleActiveTab':
+      await connectOrToggleForActiveTab()
+      return await getRelayStatus()
+    case 'detachTab':
+      if (Number.isInteger(msg.tabId) && tabs.has(msg.tabId)) await detachTab(msg.tabId, 'popup')
+      return await getRelayStatus()
+    case 'takeOverTab':
+      await sessionStateRestored
+      if (Number.isInteger(msg.tabId)) takeOverTab(msg.tabId)
+      return await getRelayStatus()
+    case 'handBackTab':
+      await sessionStateRestored
+      if (Number.isInteger(msg.tabId)) handBackTab(msg.tabId)
+      return await getRelayStatus()
+    case 'getAuditLog':
+      await auditLogRestored
+      return { entries: auditLog, pushToRelay: auditPushToRelay }
+    case 'clearAuditLog':
+      await auditLogRestored
+      auditLog = []
+      flushAuditLog()
+      return { entries: auditLog, pushToRelay: auditPushToRelay }
+    case 'detachAll':
+      await detachAllTabs('popup')
+      return await getRelayStatus()
+    default:
+      return undefined
+  }
 }
 
 function onDebuggerEvent(source, method, params) {
@@ -402,25 +1942,33 @@ function onDebuggerEvent(source, method, params) {
   if (!tab?.sessionId) return
 
   if (method === 'Target.attachedToTarget' && params?.sessionId) {
-    childSessionToTab.set(String(params.sessionId), tabId)
+    const childSessionId = String(params.sessionId)
+    childSessionToTab.set(childSessionId, tabId)
+    if (params.targetInfo?.targetId) {
+      childTargets.set(childSessionId, {
+        parentSessionId: source.sessionId || tab.sessionId,
+        targetInfo: params.targetInfo,
+      })
+    }
+    persistSessionState()
   }
 
   if (method === 'Target.detachedFromTarget' && params?.sessionId) {
     childSessionToTab.delete(String(params.sessionId))
+    childTargets.delete(String(params.sessionId))
+    screencasts.delete(String(params.sessionId))
+    persistSessionState()
   }
 
-  try {
-    sendToRelay({
-      method: 'forwardCDPEvent',
-      params: {
-        sessionId: source.sessionId || tab.sessionId,
-        method,
-        params,
-      },
-    })
-  } catch {
-    // ignore
+  if (method === 'Page.screencastFrame') {
+    void forwardScreencastFrame(source, source.sessionId || tab.sessionId, params)
+    return
   }
+
+  if (method === 'Page.javascriptDialogOpening') void onDialogOpening(tabId)
+  if (method === 'Page.javascriptDialogClosed') onDialogClosed(tabId)
+
+  queueRelayEvent({ sessionId: source.sessionId || tab.sessionId, method, params })
 }
 
 function onDebuggerDetach(source, reason) {
@@ -430,9 +1978,83 @@ function onDebuggerDetach(source, reason) {
   void detachTab(tabId, reason)
 }
 
-chrome.action.onClicked.addListener(() => void connectOrToggleForActiveTab())
+// Registered at top level so debugger events can reach a freshly woken worker.
+debuggerApi.onEvent.addListener(onDebuggerEvent)
+debuggerApi.onDetach.addListener(onDebuggerDetach)
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (sender.id !== chrome.runtime.id) return false
+  onExtensionMessage(msg).then(sendResponse, (err) =>
+    sendResponse({ error: err instanceof Error ? err.message : String(err) }),
+  )
+  // Keep the channel open for the async response.
+  return true
+})
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => void onTabUpdated(tabId, changeInfo))
+chrome.tabs.onActivated.addListener(() => void refreshContextMenu())
+chrome.windows.onFocusChanged.addListener(() => void refreshContextMenu())
+
+chrome.commands?.onCommand.addListener((command, tab) => void onCommand(command, tab))
+chrome.contextMenus?.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === CONTEXT_MENU_ID) void toggleTab(tab)
+})
+
+// Optional APIs: some Chromium forks ship without tab groups or downloads.
+chrome.tabGroups?.onRemoved.addListener((group) => {
+  if (agentGroupIds.delete(group.id)) persistAgentTabs()
+})
+
+chrome.windows.onRemoved.addListener((windowId) => {
+  if (windowId === agentWindowId) {
+    agentWindowId = null
+    persistAgentTabs()
+  }
+  for (const entry of approvals.values()) {
+    if (entry.windowId === windowId) settleApproval(entry.id, { approved: false, reason: 'window_closed' })
+  }
+})
+
+chrome.downloads?.onCreated.addListener((item) => {
+  bridgeDownload(item)
+  void onDownloadCreated(item)
+})
+chrome.downloads?.onChanged.addListener((delta) => void onDownloadChanged(delta))
+chrome.downloads?.onDeterminingFilename?.addListener(suggestDownloadFilename)
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return
+  if (changes.autoAttachPatterns) void applyAutoAttachPolicyToAllTabs()
+  if (changes.cdpPolicy) cdpPolicyPromise = null
+  if (changes.approvalSettings) approvalSettingsPromise = null
+  if (changes.screencastSettings) screencastSettingsPromise = null
+  if (changes.bridgeSettings) bridgeSettingsPromise = null
+  if (changes.privacySettings) {
+    privacySettingsPromise = null
+    void applyPrivacyToAttachedTabs()
+  }
+  if (changes.auditPushToRelay) auditPushToRelay = changes.auditPushToRelay.newValue === true
+  if (changes.eventSettings) eventSettings = normalizeEventSettings(changes.eventSettings.newValue)
+  if (changes.relayUrl || changes.relayPort || changes.relayToken) resetRelayConnection()
+})
+
+void chrome.storage.local
+  .get(['eventSettings'])
+  .then((stored) => {
+    eventSettings = normalizeEventSettings(stored.eventSettings)
+  })
+  .catch(() => {})
+
+const auditLogRestored = loadAuditLog()
+const agentTabsRestored = restoreAgentTabs()
+
+// MV3 unloads idle service workers; pick the attached tabs back up on wake.
+const sessionStateRestored = restoreSessionState()
+void sessionStateRestored.then(() => applyAutoAttachPolicyToAllTabs())
 
 chrome.runtime.onInstalled.addListener(() => {
+  // Menu entries survive worker restarts; (re)create them once per install/update.
+  createContextMenu()
   // Useful: first-time instructions.
   void chrome.runtime.openOptionsPage()
 })
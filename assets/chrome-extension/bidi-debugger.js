@@ -0,0 +1,258 @@
+import { BIDI_EVENTS, bidiEventContext, bidiEventToCdp, cdpCommandToBidi } from './cdp-bidi.js'
+
+const BIDI_CONNECT_TIMEOUT_MS = 5000
+// Stay under the relay's 30s command timeout so a stuck command still gets a clean error.
+const BIDI_COMMAND_TIMEOUT_MS = 25_000
+
+function createEvent() {
+  const listeners = new Set()
+  return {
+    addListener: (fn) => void listeners.add(fn),
+    removeListener: (fn) => void listeners.delete(fn),
+    hasListener: (fn) => listeners.has(fn),
+    fire: (...args) => {
+      for (const fn of listeners) fn(...args)
+    },
+  }
+}
+
+/**
+ * A `chrome.debugger` stand-in for Firefox: tabs are reached through WebDriver BiDi on
+ * Firefox's remote-debugging socket (`getUrl()`), CDP commands are translated by
+ * `cdp-bidi.js`, and BiDi events come back through `onEvent` as CDP events. Commands
+ * without a BiDi mapping fail with `data.code: 'cdp_unsupported'`.
+ */
+export function createBidiDebugger({ getUrl, browserName }) {
+  /** @type {WebSocket|null} */
+  let ws = null
+  let connectPromise = null
+  let nextId = 1
+  /** @type {Map<number, {resolve: Function, reject: Function, timer: ReturnType<typeof setTimeout>}>} */
+  const pending = new Map()
+  /** @type {Map<number, {context: string, subscription?: string}>} */
+  const attached = new Map()
+  /** @type {Map<string, number>} */
+  const tabByContext = new Map()
+  const onEvent = createEvent()
+  const onDetach = createEvent()
+
+  function unsupportedError(method) {
+    const err = new Error(`${browserName} has no WebDriver BiDi mapping for CDP method ${method}`)
+    return Object.assign(err, { data: { code: 'cdp_unsupported', method, browser: browserName } })
+  }
+
+  function send(method, params) {
+    const socket = ws
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error('WebDriver BiDi not connected'))
+    }
+    const id = nextId++
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id)
+        reject(new Error(`WebDriver BiDi ${method} timed out`))
+      }, BIDI_COMMAND_TIMEOUT_MS)
+      pending.set(id, { resolve, reject, timer })
+      socket.send(JSON.stringify({ id, method, params }))
+    })
+  }
+
+  function forget(tabId) {
+    const entry = attached.get(tabId)
+    if (!entry) return null
+    attached.delete(tabId)
+    tabByContext.delete(entry.context)
+    return entry
+  }
+
+  function onMessage(text) {
+    let msg = null
+    try {
+      msg = JSON.parse(text)
+    } catch {
+      return
+    }
+    if (typeof msg?.id === 'number') {
+      const p = pending.get(msg.id)
+      if (!p) return
+      pending.delete(msg.id)
+      clearTimeout(p.timer)
+      if (msg.type === 'error') p.reject(new Error(`WebDriver BiDi ${msg.error}: ${msg.message}`))
+      else p.resolve(msg.result ?? {})
+      return
+    }
+    if (msg?.type !== 'event') return
+
+    if (msg.method === 'browsingContext.contextDestroyed') {
+      const tabId = tabByContext.get(msg.params?.context)
+      if (tabId !== undefined && forget(tabId)) onDetach.fire({ tabId }, 'target_closed')
+      return
+    }
+    // Iframes have their own contexts; only the tab's top-level context is mapped back.
+    const tabId = tabByContext.get(bidiEventContext(msg.method, msg.params))
+    if (tabId === undefined) return
+    for (const evt of bidiEventToCdp(msg.method, msg.params)) onEvent.fire({ tabId }, evt.method, evt.params)
+  }
+
+  function onClosed() {
+    ws = null
+    for (const [id, p] of pending.entries()) {
+      pending.delete(id)
+      clearTimeout(p.timer)
+      p.reject(new Error('WebDriver BiDi connection closed'))
+    }
+    for (const tabId of Array.from(attached.keys())) {
+      forget(tabId)
+      onDetach.fire({ tabId }, 'bidi_disconnected')
+    }
+  }
+
+  async function connect() {
+    if (ws && ws.readyState === WebSocket.OPEN) return
+    if (connectPromise) return await connectPromise
+
+    connectPromise = (async () => {
+      const url = await getUrl()
+      const socket = new WebSocket(url)
+      await new Promise((resolve, reject) => {
+        const fail = () => {
+          clearTimeout(t)
+          const hint = `start ${browserName} with --remote-debugging-port`
+          reject(new Error(`WebDriver BiDi not reachable at ${url} (${hint})`))
+        }
+        const t = setTimeout(fail, BIDI_CONNECT_TIMEOUT_MS)
+        socket.onopen = () => {
+          clearTimeout(t)
+          resolve()
+        }
+        socket.onerror = fail
+        socket.onclose = fail
+      })
+      socket.onmessage = (event) => onMessage(String(event.data || ''))
+      socket.onerror = null
+      socket.onclose = () => onClosed()
+      ws = socket
+
+      try {
+        // A bare `/session` endpoint needs a session before anything else; `/session/<id>` has one.
+        if (new URL(url).pathname.replace(/\/+$/, '').endsWith('/session')) {
+          await send('session.new', { capabilities: {} })
+        }
+        await send('session.subscribe', { events: ['browsingContext.contextDestroyed'] })
+      } catch (err) {
+        socket.onclose = null
+        socket.close()
+        ws = null
+        throw err
+      }
+    })()
+
+    try {
+      await connectPromise
+    } finally {
+      connectPromise = null
+    }
+  }
+
+  /**
+   * BiDi knows nothing of extension tab ids: mark the tab's page from the extension,
+   * then ask each top-level browsing context whether it carries the mark.
+   */
+  async function findContext(tabId) {
+    const tab = await chrome.tabs.get(tabId)
+    const marker = `__openclawRelay_${crypto.randomUUID().replaceAll('-', '')}`
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      world: 'MAIN',
+      func: (key) => {
+        globalThis[key] = true
+      },
+      args: [marker],
+    })
+    try {
+      const { contexts } = await send('browsingContext.getTree', { maxDepth: 0 })
+      const candidates = Array.isArray(contexts) ? [...contexts] : []
+      // Same URL first: usually the first probe is the hit.
+      candidates.sort((a, b) => Number(b?.url === tab.url) - Number(a?.url === tab.url))
+      for (const candidate of candidates) {
+        const res = await send('script.evaluate', {
+          expression: `globalThis[${JSON.stringify(marker)}] === true`,
+          target: { context: candidate.context },
+          awaitPromise: false,
+          resultOwnership: 'none',
+        }).catch(() => null)
+        if (res?.result?.value === true) return String(candidate.context)
+      }
+    } finally {
+      void chrome.scripting
+        .executeScript({
+          target: { tabId },
+          world: 'MAIN',
+          func: (key) => {
+            delete globalThis[key]
+          },
+          args: [marker],
+        })
+        .catch(() => {})
+    }
+    throw new Error(`WebDriver BiDi has no browsing context for tab ${tabId}`)
+  }
+
+  async function attach({ tabId }) {
+    if (attached.has(tabId)) throw new Error(`Already attached to the tab with id: ${tabId}.`)
+    await connect()
+    const context = await findContext(tabId)
+    const res = await send('session.subscribe', { events: BIDI_EVENTS, contexts: [context] })
+    attached.set(tabId, {
+      context,
+      ...(typeof res?.subscription === 'string' ? { subscription: res.subscription } : {}),
+    })
+    tabByContext.set(context, tabId)
+  }
+
+  async function detach({ tabId }) {
+    const entry = forget(tabId)
+    if (!entry) throw new Error(`Not attached to the tab with id: ${tabId}.`)
+    await send(
+      'session.unsubscribe',
+      entry.subscription ? { subscriptions: [entry.subscription] } : { events: BIDI_EVENTS, contexts: [entry.context] },
+    ).catch(() => {})
+  }
+
+  async function sendCommand({ tabId, sessionId }, method, params) {
+    const entry = attached.get(tabId)
+    if (!entry) throw new Error(`Not attached to the tab with id: ${tabId}.`)
+    // Child sessions (iframes, workers) never exist here.
+    if (sessionId) throw unsupportedError(method)
+
+    if (method === 'Target.getTargetInfo') {
+      const tab = await chrome.tabs.get(tabId)
+      return {
+        targetInfo: { targetId: entry.context, type: 'page', title: tab.title, url: tab.url, attached: true },
+      }
+    }
+    const mapped = cdpCommandToBidi(method, params ?? {}, entry.context)
+    if (!mapped) throw unsupportedError(method)
+    if ('result' in mapped) return mapped.result
+    return mapped.toCdp(await send(mapped.method, mapped.params))
+  }
+
+  async function getTargets() {
+    return Array.from(attached.entries(), ([tabId, entry]) => ({
+      id: entry.context,
+      tabId,
+      type: 'page',
+      attached: true,
+    }))
+  }
+
+  return {
+    attach,
+    detach,
+    sendCommand,
+    getTargets,
+    onEvent,
+    onDetach,
+    isConnected: () => Boolean(ws && ws.readyState === WebSocket.OPEN),
+  }
+}
@@ -0,0 +1,671 @@
+/**
+ * CDP ↔ WebDriver BiDi translation for Firefox, whose extensions have no `chrome.debugger`.
+ * Pure functions only; `bidi-debugger.js` owns the socket to Firefox's remote agent.
+ */
+
+// Firefox started with `--remote-debugging-port 9222`; `/session` opens a fresh BiDi session.
+export const DEFAULT_BIDI_URL = 'ws://127.0.0.1:9222/session'
+
+/** BiDi events subscribed per attached tab; `bidiEventToCdp` turns them into CDP events. */
+export const BIDI_EVENTS = [
+  'browsingContext.load',
+  'browsingContext.domContentLoaded',
+  'browsingContext.navigationStarted',
+  'browsingContext.fragmentNavigated',
+  'browsingContext.userPromptOpened',
+  'browsingContext.userPromptClosed',
+  'log.entryAdded',
+  'network.beforeRequestSent',
+  'network.responseCompleted',
+  'network.fetchError',
+]
+
+// Their events come from the BiDi subscription, so `enable`/`disable` have nothing to do.
+const EVENT_DOMAINS = new Set(['Page', 'Runtime', 'Network', 'Log'])
+
+const MOUSE_BUTTONS = { left: 0, middle: 1, right: 2, back: 3, forward: 4 }
+
+// WebDriver key codes for the non-printable keys CDP names by `key`.
+const KEY_CODES = {
+  Cancel: '\uE001',
+  Help: '\uE002',
+  Backspace: '\uE003',
+  Tab: '\uE004',
+  Clear: '\uE005',
+  Enter: '\uE007',
+  Shift: '\uE008',
+  Control: '\uE009',
+  Alt: '\uE00A',
+  Pause: '\uE00B',
+  Escape: '\uE00C',
+  PageUp: '\uE00E',
+  PageDown: '\uE00F',
+  End: '\uE010',
+  Home: '\uE011',
+  ArrowLeft: '\uE012',
+  ArrowUp: '\uE013',
+  ArrowRight: '\uE014',
+  ArrowDown: '\uE015',
+  Insert: '\uE016',
+  Delete: '\uE017',
+  Meta: '\uE03D',
+  ...Object.fromEntries(Array.from({ length: 12 }, (_, i) => [`F${i + 1}`, String.fromCharCode(0xe031 + i)])),
+}
+
+const REMOTE_OBJECT_TYPES = {
+  undefined: 'undefined',
+  string: 'string',
+  number: 'number',
+  boolean: 'boolean',
+  bigint: 'bigint',
+  symbol: 'symbol',
+  function: 'function',
+}
+
+const REMOTE_OBJECT_SUBTYPES = new Set([
+  'null',
+  'array',
+  'node',
+  'regexp',
+  'date',
+  'map',
+  'set',
+  'weakmap',
+  'weakset',
+  'error',
+  'proxy',
+  'promise',
+  'typedarray',
+  'arraybuffer',
+])
+
+const CONSOLE_TYPES = { warn: 'warning' }
+const LOG_LEVELS = { debug: 'verbose', info: 'info', warn: 'warning', error: 'error' }
+const RESOURCE_TYPES = {
+  document: 'Document',
+  iframe: 'Document',
+  script: 'Script',
+  style: 'Stylesheet',
+  image: 'Image',
+  font: 'Font',
+  audio: 'Media',
+  video: 'Media',
+  manifest: 'Manifest',
+}
+
+/** The BiDi WebSocket URL from the options page (blank means the default); null if invalid. */
+export function normalizeBidiUrl(raw) {
+  const text = String(raw ?? '').trim()
+  if (!text) return DEFAULT_BIDI_URL
+  let url
+  try {
+    url = new URL(text)
+  } catch {
+    return null
+  }
+  return url.protocol === 'ws:' || url.protocol === 'wss:' ? url.href : null
+}
+
+/** Plain JSON for a BiDi RemoteValue, as CDP's `returnByValue` would give it. */
+export function deserializeBidiValue(value) {
+  switch (value?.type) {
+    case 'undefined':
+      return undefined
+    case 'null':
+      return null
+    case 'string':
+    case 'boolean':
+    case 'bigint':
+    case 'date':
+      return value.value
+    case 'number':
+      // NaN, -0 and the infinities arrive as strings.
+      return typeof value.value === 'number' ? value.value : Number(value.value)
+    case 'array':
+    case 'set':
+      return Array.isArray(value.value) ? value.value.map(deserializeBidiValue) : []
+    case 'object':
+    case 'map':
+      return Object.fromEntries(
+        (Array.isArray(value.value) ? value.value : []).map(([key, item]) => [
+          typeof key === 'string' ? key : String(deserializeBidiValue(key)),
+          deserializeBidiValue(item),
+        ]),
+      )
+    default:
+      // Nodes, functions, windows, …: CDP has no JSON form for them either.
+      return {}
+  }
+}
+
+/** A CDP `Runtime.RemoteObject` for a BiDi RemoteValue; `handle` becomes the `objectId`. */
+export function bidiValueToCdp(value, returnByValue = false) {
+  const bidiType = String(value?.type || 'undefined')
+  const out = { type: REMOTE_OBJECT_TYPES[bidiType] ?? 'object' }
+  if (REMOTE_OBJECT_SUBTYPES.has(bidiType)) out.subtype = bidiType
+  if (bidiType === 'number' && typeof value.value === 'string') {
+    out.unserializableValue = value.value
+    out.description = value.value
+  } else if (bidiType === 'bigint') {
+    out.unserializableValue = `${value.value}n`
+    out.description = `${value.value}n`
+  } else if (bidiType === 'string' || bidiType === 'number' || bidiType === 'boolean') {
+    out.value = value.value
+  } else if (bidiType === 'null') {
+    out.value = null
+  } else if (returnByValue && out.type === 'object') {
+    out.value = deserializeBidiValue(value)
+  }
+  if (typeof value?.handle === 'string') out.objectId = value.handle
+  return out
+}
+
+/** A BiDi LocalValue for a JSON value passed as a CDP call argument. */
+export function serializeLocalValue(value) {
+  if (value === undefined) return { type: 'undefined' }
+  if (value === null) return { type: 'null' }
+  if (typeof value === 'string' || typeof value === 'boolean') return { type: typeof value, value }
+  if (typeof value === 'number') {
+    if (Object.is(value, -0)) return { type: 'number', value: '-0' }
+    return { type: 'number', value: Number.isFinite(value) ? value : String(value) }
+  }
+  if (Array.isArray(value)) return { type: 'array', value: value.map(serializeLocalValue) }
+  return {
+    type: 'object',
+    value: Object.entries(value).map(([key, item]) => [key, serializeLocalValue(item)]),
+  }
+}
+
+function cdpArgumentToBidi(arg) {
+  if (typeof arg?.objectId === 'string') return { handle: arg.objectId }
+  if (typeof arg?.unserializableValue === 'string') {
+    const raw = arg.unserializableValue
+    return raw.endsWith('n') ? { type: 'bigint', value: raw.slice(0, -1) } : { type: 'number', value: raw }
+  }
+  return serializeLocalValue(arg?.value)
+}
+
+function exceptionDetailsToCdp(details) {
+  const exception = bidiValueToCdp(details?.exception)
+  exception.description = String(details?.text || 'Error')
+  return {
+    result: exception,
+    exceptionDetails: {
+      exceptionId: 1,
+      text: 'Uncaught',
+      lineNumber: details?.lineNumber ?? 0,
+      columnNumber: details?.columnNumber ?? 0,
+      exception,
+      ...(details?.stackTrace ? { stackTrace: stackTraceToCdp(details.stackTrace) } : {}),
+    },
+  }
+}
+
+function stackTraceToCdp(stackTrace) {
+  const frames = Array.isArray(stackTrace?.callFrames) ? stackTrace.callFrames : []
+  return {
+    callFrames: frames.map((frame) => ({
+      functionName: String(frame?.functionName || ''),
+      scriptId: '',
+      url: String(frame?.url || ''),
+      lineNumber: frame?.lineNumber ?? 0,
+      columnNumber: frame?.columnNumber ?? 0,
+    })),
+  }
+}
+
+function scriptResultToCdp(res, returnByValue) {
+  if (res?.type === 'exception') return exceptionDetailsToCdp(res.exceptionDetails)
+  return { result: bidiValueToCdp(res?.result, returnByValue) }
+}
+
+function securityOrigin(url) {
+  try {
+    const origin = new URL(url).origin
+    return origin === 'null' ? '' : origin
+  } catch {
+    return ''
+  }
+}
+
+function frameTreeToCdp(info, parentId) {
+  const children = Array.isArray(info?.children) ? info.children : []
+  return {
+    frame: {
+      id: info.context,
+      ...(parentId ? { parentId } : {}),
+      loaderId: '',
+      url: String(info.url || ''),
+      securityOrigin: securityOrigin(info.url),
+      mimeType: 'text/html',
+    },
+    ...(children.length > 0 ? { childFrames: children.map((child) => frameTreeToCdp(child, info.context)) } : {}),
+  }
+}
+
+function keyValue(params) {
+  const text = typeof params?.text === 'string' ? params.text : ''
+  if ([...text].length === 1 && text !== '\r') return text
+  const key = typeof params?.key === 'string' ? params.key : ''
+  if (KEY_CODES[key]) return KEY_CODES[key]
+  return [...key].length === 1 ? key : null
+}
+
+function keyActions(context, actions) {
+  return {
+    method: 'input.performActions',
+    params: { context, actions: [{ type: 'key', id: 'keyboard', actions }] },
+    toCdp: () => ({}),
+  }
+}
+
+function mouseActions(context, params) {
+  const x = Math.round(Number(params?.x) || 0)
+  const y = Math.round(Number(params?.y) || 0)
+  if (params?.type === 'mouseWheel') {
+    const scroll = {
+      type: 'scroll',
+      x,
+      y,
+      deltaX: Math.round(Number(params.deltaX) || 0),
+      deltaY: Math.round(Number(params.deltaY) || 0),
+    }
+    return { type: 'wheel', id: 'wheel', actions: [scroll] }
+  }
+  const actions = [{ type: 'pointerMove', x, y }]
+  const button = MOUSE_BUTTONS[params?.button] ?? 0
+  if (params?.type === 'mousePressed') actions.push({ type: 'pointerDown', button })
+  else if (params?.type === 'mouseReleased') actions.push({ type: 'pointerUp', button })
+  else if (params?.type !== 'mouseMoved') return null
+  return { type: 'pointer', id: 'mouse', parameters: { pointerType: 'mouse' }, actions }
+}
+
+const CM_PER_INCH = 2.54
+
+function printParamsToBidi(context, params) {
+  const inches = (value) => (typeof value === 'number' ? value * CM_PER_INCH : undefined)
+  const page = { width: inches(params?.paperWidth), height: inches(params?.paperHeight) }
+  const margin = {
+    top: inches(params?.marginTop),
+    bottom: inches(params?.marginBottom),
+    left: inches(params?.marginLeft),
+    right: inches(params?.marginRight),
+  }
+  const ranges = typeof params?.pageRanges === 'string' ? params.pageRanges.split(',') : []
+  return {
+    context,
+    background: params?.printBackground === true,
+    orientation: params?.landscape === true ? 'landscape' : 'portrait',
+    ...(typeof params?.scale === 'number' ? { scale: params.scale } : {}),
+    page,
+    margin,
+    ...(ranges.some((r) => r.trim()) ? { pageRanges: ranges.map((r) => r.trim()).filter(Boolean) } : {}),
+  }
+}
+
+/**
+ * How to run a CDP command against the BiDi browsing context `context`:
+ * `{ method, params, toCdp(result) }` for one BiDi command, `{ result }` when there is
+ * nothing to send, or null when the method (or this use of it) has no BiDi equivalent.
+ */
+export function cdpCommandToBidi(method, params, context) {
+  const [domain, command] = method.split('.')
+  if (EVENT_DOMAINS.has(domain) && (command === 'enable' || command === 'disable')) return { result: {} }
+
+  switch (method) {
+    // Iframes and workers are not separate sessions here; there is nothing to auto-attach.
+    case 'Target.setAutoAttach':
+      return { result: {} }
+
+    case 'Runtime.evaluate': {
+      // CDP execution context ids have no BiDi counterpart (realms are per browsing context).
+      if (params?.contextId !== undefined || params?.uniqueContextId !== undefined) return null
+      const returnByValue = params?.returnByValue === true
+      return {
+        method: 'script.evaluate',
+        params: {
+          expression: String(params?.expression ?? ''),
+          target: { context },
+          awaitPromise: params?.awaitPromise === true,
+          resultOwnership: returnByValue ? 'none' : 'root',
+          userActivation: params?.userGesture === true,
+        },
+        toCdp: (res) => scriptResultToCdp(res, returnByValue),
+      }
+    }
+
+    case 'Runtime.callFunctionOn': {
+      if (params?.executionContextId !== undefined || params?.uniqueContextId !== undefined) return null
+      const returnByValue = params?.returnByValue === true
+      return {
+        method: 'script.callFunction',
+        params: {
+          functionDeclaration: String(params?.functionDeclaration ?? ''),
+          target: { context },
+          ...(typeof params?.objectId === 'string' ? { this: { handle: params.objectId } } : {}),
+          arguments: (Array.isArray(params?.arguments) ? params.arguments : []).map(cdpArgumentToBidi),
+          awaitPromise: params?.awaitPromise === true,
+          resultOwnership: returnByValue ? 'none' : 'root',
+          userActivation: params?.userGesture === true,
+        },
+        toCdp: (res) => scriptResultToCdp(res, returnByValue),
+      }
+    }
+
+    case 'Runtime.releaseObject':
+      if (typeof params?.objectId !== 'string') return { result: {} }
+      return {
+        method: 'script.disown',
+        params: { handles: [params.objectId], target: { context } },
+        toCdp: () => ({}),
+      }
+
+    case 'Page.navigate':
+      return {
+        // CDP answers once the new document commits; `interactive` is the closest BiDi wait.
+        method: 'browsingContext.navigate',
+        params: { context, url: String(params?.url ?? ''), wait: 'interactive' },
+        toCdp: (res) => ({ frameId: context, loaderId: String(res?.navigation ?? '') }),
+      }
+
+    case 'Page.reload':
+      return {
+        method: 'browsingContext.reload',
+        params: { context, ignoreCache: params?.ignoreCache === true, wait: 'interactive' },
+        toCdp: () => ({}),
+      }
+
+    case 'Page.captureScreenshot': {
+      const format = params?.format === 'jpeg' || params?.format === 'webp' ? params.format : 'png'
+      const { x = 0, y = 0, width, height } = params?.clip ?? {}
+      const clip = params?.clip ? { type: 'box', x, y, width, height } : null
+      return {
+        method: 'browsingContext.captureScreenshot',
+        params: {
+          context,
+          origin: params?.captureBeyondViewport === true ? 'document' : 'viewport',
+          format: {
+            type: `image/${format}`,
+            ...(format !== 'png' && typeof params?.quality === 'number' ? { quality: params.quality / 100 } : {}),
+          },
+          ...(clip ? { clip } : {}),
+        },
+        toCdp: (res) => ({ data: String(res?.data ?? '') }),
+      }
+    }
+
+    case 'Page.printToPDF':
+      return {
+        method: 'browsingContext.print',
+        params: printParamsToBidi(context, params),
+        toCdp: (res) => ({ data: String(res?.data ?? '') }),
+      }
+
+    case 'Page.bringToFront':
+      return { method: 'browsingContext.activate', params: { context }, toCdp: () => ({}) }
+
+    case 'Page.close':
+      return { method: 'browsingContext.close', params: { context }, toCdp: () => ({}) }
+
+    case 'Page.handleJavaScriptDialog':
+      return {
+        method: 'browsingContext.handleUserPrompt',
+        params: {
+          context,
+          accept: params?.accept === true,
+          ...(typeof params?.promptText === 'string' ? { userText: params.promptText } : {}),
+        },
+        toCdp: () => ({}),
+      }
+
+    case 'Page.getFrameTree':
+      return {
+        method: 'browsingContext.getTree',
+        params: { root: context },
+        toCdp: (res) => {
+          const root = Array.isArray(res?.contexts) ? res.contexts[0] : null
+          if (!root) throw new Error(`No browsing context ${context}`)
+          return { frameTree: frameTreeToCdp(root) }
+        },
+      }
+
+    case 'Page.addScriptToEvaluateOnNewDocument':
+      return {
+        method: 'script.addPreloadScript',
+        params: { functionDeclaration: `() => {\n${String(params?.source ?? '')}\n}`, contexts: [context] },
+        toCdp: (res) => ({ identifier: String(res?.script ?? '') }),
+      }
+
+    case 'Page.removeScriptToEvaluateOnNewDocument':
+      return {
+        method: 'script.removePreloadScript',
+        params: { script: String(params?.identifier ?? '') },
+        toCdp: () => ({}),
+      }
+
+    case 'Emulation.setDeviceMetricsOverride': {
+      // CDP treats a zero width/height as "no override".
+      const width = Number(params?.width) || 0
+      const height = Number(params?.height) || 0
+      return {
+        method: 'browsingContext.setViewport',
+        params: {
+          context,
+          viewport: width > 0 && height > 0 ? { width, height } : null,
+          devicePixelRatio: Number(params?.deviceScaleFactor) || null,
+        },
+        toCdp: () => ({}),
+      }
+    }
+
+    case 'Emulation.clearDeviceMetricsOverride':
+      return {
+        method: 'browsingContext.setViewport',
+        params: { context, viewport: null, devicePixelRatio: null },
+        toCdp: () => ({}),
+      }
+
+    case 'Input.dispatchMouseEvent': {
+      // Held modifiers would need a parallel key source; not worth guessing at.
+      if (params?.modifiers) return null
+      const source = mouseActions(context, params)
+      if (!source) return null
+      return { method: 'input.performActions', params: { context, actions: [source] }, toCdp: () => ({}) }
+    }
+
+    case 'Input.dispatchKeyEvent': {
+      // BiDi's keyDown already types the character; a separate `char` would type it twice.
+      if (params?.type === 'char') return { result: {} }
+      const value = keyValue(params)
+      if (value === null) return null
+      if (params?.type === 'keyUp') return keyActions(context, [{ type: 'keyUp', value }])
+      if (params?.type === 'keyDown' || params?.type === 'rawKeyDown') {
+        return keyActions(context, [{ type: 'keyDown', value }])
+      }
+      return null
+    }
+
+    case 'Input.insertText': {
+      // Unlike CDP this fires key events for each character.
+      const actions = [...String(params?.text ?? '')].flatMap((value) => [
+        { type: 'keyDown', value },
+        { type: 'keyUp', value },
+      ])
+      return keyActions(context, actions)
+    }
+
+    default:
+      return null
+  }
+}
+
+/** The browsing context a BiDi event belongs to. */
+export function bidiEventContext(method, params) {
+  if (method === 'log.entryAdded') return params?.source?.context
+  return params?.context
+}
+
+function seconds(ms) {
+  return (Number(ms) || 0) / 1000
+}
+
+function headersToCdp(headers) {
+  const out = {}
+  for (const header of Array.isArray(headers) ? headers : []) {
+    const name = String(header?.name || '')
+    if (!name) continue
+    const value = header?.value?.type === 'string' ? String(header.value.value ?? '') : ''
+    // CDP folds repeated headers into one newline-separated value.
+    out[name] = name in out ? `${out[name]}\n${value}` : value
+  }
+  return out
+}
+
+function responseToCdp(response) {
+  return {
+    url: String(response?.url || ''),
+    status: response?.status ?? 0,
+    statusText: String(response?.statusText || ''),
+    headers: headersToCdp(response?.headers),
+    mimeType: String(response?.mimeType || ''),
+    fromDiskCache: response?.fromCache === true,
+    ...(response?.protocol ? { protocol: response.protocol } : {}),
+    encodedDataLength: response?.bytesReceived ?? 0,
+  }
+}
+
+function logEntryToCdp(params) {
+  if (params?.type === 'console') {
+    const method = String(params.method || 'log')
+    return {
+      method: 'Runtime.consoleAPICalled',
+      params: {
+        type: CONSOLE_TYPES[method] ?? method,
+        args: (Array.isArray(params.args) ? params.args : []).map((arg) => bidiValueToCdp(arg, true)),
+        executionContextId: 0,
+        timestamp: params.timestamp ?? 0,
+        ...(params.stackTrace ? { stackTrace: stackTraceToCdp(params.stackTrace) } : {}),
+      },
+    }
+  }
+  if (params?.type === 'javascript') {
+    return {
+      method: 'Runtime.exceptionThrown',
+      params: {
+        timestamp: params.timestamp ?? 0,
+        exceptionDetails: {
+          exceptionId: 0,
+          text: String(params.text || ''),
+          lineNumber: 0,
+          columnNumber: 0,
+          ...(params.stackTrace ? { stackTrace: stackTraceToCdp(params.stackTrace) } : {}),
+        },
+      },
+    }
+  }
+  return {
+    method: 'Log.entryAdded',
+    params: {
+      entry: {
+        source: 'other',
+        level: LOG_LEVELS[params?.level] ?? 'info',
+        text: String(params?.text || ''),
+        timestamp: params?.timestamp ?? 0,
+      },
+    },
+  }
+}
+
+/** The CDP events (possibly none) a BiDi event stands for, in order. */
+export function bidiEventToCdp(method, params) {
+  const requestId = String(params?.request?.request ?? '')
+  const loaderId = String(params?.navigation ?? '')
+  const timestamp = seconds(params?.timestamp)
+  switch (method) {
+    case 'browsingContext.load':
+      return [{ method: 'Page.loadEventFired', params: { timestamp } }]
+    case 'browsingContext.domContentLoaded':
+      return [{ method: 'Page.domContentEventFired', params: { timestamp } }]
+    case 'browsingContext.navigationStarted':
+      return [{ method: 'Page.frameStartedLoading', params: { frameId: params?.context } }]
+    case 'browsingContext.fragmentNavigated':
+      return [{ method: 'Page.navigatedWithinDocument', params: { frameId: params?.context, url: params?.url } }]
+    case 'browsingContext.userPromptOpened':
+      return [
+        {
+          method: 'Page.javascriptDialogOpening',
+          params: {
+            url: '',
+            frameId: params?.context,
+            message: String(params?.message ?? ''),
+            type: params?.type,
+            hasBrowserHandler: false,
+            defaultPrompt: String(params?.defaultValue ?? ''),
+          },
+        },
+      ]
+    case 'browsingContext.userPromptClosed':
+      return [
+        {
+          method: 'Page.javascriptDialogClosed',
+          params: { result: params?.accepted === true, userInput: String(params?.userText ?? '') },
+        },
+      ]
+    case 'log.entryAdded':
+      return [logEntryToCdp(params)]
+    case 'network.beforeRequestSent':
+      return [
+        {
+          method: 'Network.requestWillBeSent',
+          params: {
+            requestId,
+            loaderId,
+            documentURL: '',
+            frameId: params?.context,
+            request: {
+              url: String(params?.request?.url || ''),
+              method: String(params?.request?.method || 'GET'),
+              headers: headersToCdp(params?.request?.headers),
+            },
+            timestamp,
+            wallTime: timestamp,
+            initiator: { type: 'other' },
+            type: RESOURCE_TYPES[params?.request?.destination] ?? 'Other',
+          },
+        },
+      ]
+    case 'network.responseCompleted':
+      return [
+        {
+          method: 'Network.responseReceived',
+          params: {
+            requestId,
+            loaderId,
+            timestamp,
+            type: RESOURCE_TYPES[params?.request?.destination] ?? 'Other',
+            frameId: params?.context,
+            response: responseToCdp(params?.response),
+          },
+        },
+        {
+          method: 'Network.loadingFinished',
+          params: { requestId, timestamp, encodedDataLength: params?.response?.bytesReceived ?? 0 },
+        },
+      ]
+    case 'network.fetchError':
+      return [
+        {
+          method: 'Network.loadingFailed',
+          params: {
+            requestId,
+            timestamp,
+            type: RESOURCE_TYPES[params?.request?.destination] ?? 'Other',
+            errorText: String(params?.errorText || ''),
+            canceled: false,
+          },
+        },
+      ]
+    default:
+      return []
+  }
+}
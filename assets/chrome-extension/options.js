@@ -1,59 +1,488 @@
-const DEFAULT_PORT = 18792
+import {
+  CDP_POLICY_PRESETS,
+  DEFAULT_RELAY_PORT,
+  formatAuditLogJsonl,
+  formatDuration,
+  normalizeAgentTabSettings,
+  normalizeApprovalSettings,
+  normalizeBridgeSettings,
+  normalizeCdpPolicy,
+  normalizeEventSettings,
+  normalizePrivacySettings,
+  normalizeScreencastSettings,
+  parseCdpMethodList,
+  parseUrlPatterns,
+  PRIVACY_CATEGORIES,
+  resolveRelayEndpoint,
+  TAB_GROUP_COLORS,
+} from './background-utils.js'
+import { normalizeBidiUrl } from './cdp-bidi.js'
 
-function clampPort(value) {
-  const n = Number.parseInt(String(value || ''), 10)
-  if (!Number.isFinite(n)) return DEFAULT_PORT
-  if (n <= 0 || n > 65535) return DEFAULT_PORT
-  return n
-}
+const RELAY_AUTH_HEADER = 'x-openclaw-relay-token'
 
-function updateRelayUrl(port) {
+function updateRelayUrl(endpoint) {
   const el = document.getElementById('relay-url')
   if (!el) return
-  el.textContent = `http://127.0.0.1:${port}/`
+  el.textContent = `${endpoint.httpBase}/`
 }
 
-function setStatus(kind, message) {
-  const status = document.getElementById('status')
+function setStatus(kind, message, id = 'status') {
+  const status = document.getElementById(id)
   if (!status) return
   status.dataset.kind = kind || ''
   status.textContent = message || ''
 }
 
-async function checkRelayReachable(port) {
-  const url = `http://127.0.0.1:${port}/`
+async function loadEndpoint() {
+  const stored = await chrome.storage.local.get(['relayUrl', 'relayPort', 'relayToken'])
+  return resolveRelayEndpoint(stored)
+}
+
+async function checkRelayReachable(endpoint) {
+  const url = `${endpoint.httpBase}/`
   const ctrl = new AbortController()
-  const t = setTimeout(() => ctrl.abort(), 900)
+  const t = setTimeout(() => ctrl.abort(), 1500)
   try {
+    if (endpoint.token) {
+      // Authenticated probe: proves the stored pairing token is still accepted.
+      const res = await fetch(`${endpoint.httpBase}/extension/status`, {
+        headers: { [RELAY_AUTH_HEADER]: endpoint.token },
+        signal: ctrl.signal,
+      })
+      if (res.status === 401) {
+        setStatus('error', `Relay at ${url} rejected the pairing. Create a new pairing code and pair again.`)
+        return
+      }
+      if (!res.ok) throw new Error(`HTTP ${res.status}`)
+      const body = await res.json().catch(() => ({}))
+      if (body?.authorized !== true) throw new Error('relay did not confirm the pairing')
+      setStatus('ok', `Paired with relay at ${url}`)
+      return
+    }
     const res = await fetch(url, { method: 'HEAD', signal: ctrl.signal })
     if (!res.ok) throw new Error(`HTTP ${res.status}`)
-    setStatus('ok', `Relay reachable at ${url}`)
+    if (endpoint.isLoopback) {
+      setStatus('ok', `Relay reachable at ${url}`)
+    } else {
+      setStatus('error', `Relay reachable at ${url}, but not paired yet. Paste a pairing code below.`)
+    }
   } catch {
     setStatus(
       'error',
-      `Relay not reachable at ${url}. Start OpenClaw’s browser relay on this machine, then click the toolbar button again.`,
+      endpoint.isLoopback
+        ? `Relay not reachable at ${url}. Start OpenClaw’s browser relay on this machine, then click the toolbar button again.`
+        : `Relay not reachable at ${url}. Check the URL and that browser.relayBindHost exposes the relay on that host.`,
     )
   } finally {
     clearTimeout(t)
   }
 }
 
+/** A version mismatch found by the background worker outranks plain reachability. */
+async function showRelayProtocolError() {
+  const { relayProtocolError } = await chrome.storage.local.get(['relayProtocolError'])
+  if (typeof relayProtocolError?.message !== 'string') return
+  // "Not reachable" is the more actionable message.
+  if (document.getElementById('status')?.dataset.kind === 'error') return
+  setStatus('error', `Relay reachable, but incompatible: ${relayProtocolError.message}`)
+}
+
+async function ensureHostPermission(endpoint) {
+  if (endpoint.isLoopback) return true
+  // Resolves immediately when the origin is already granted.
+  return await chrome.permissions.request({ origins: [`${endpoint.httpBase}/*`] })
+}
+
+async function loadBidi() {
+  // Only Firefox (no chrome.debugger) goes through WebDriver BiDi.
+  if (chrome.debugger) return
+  document.getElementById('bidi-card').hidden = false
+  const stored = await chrome.storage.local.get(['bidiUrl'])
+  const url = normalizeBidiUrl(stored.bidiUrl)
+  document.getElementById('bidi-url-input').value = url ?? ''
+  const port = url ? new URL(url).port || '9222' : '9222'
+  document.getElementById('bidi-command').textContent =
+    `--remote-debugging-port ${port} --remote-allow-origins ${location.origin}`
+}
+
+async function saveBidi() {
+  const url = normalizeBidiUrl(document.getElementById('bidi-url-input').value)
+  if (!url) {
+    setStatus('error', 'Enter a ws:// or wss:// URL.', 'bidi-status')
+    return
+  }
+  await chrome.storage.local.set({ bidiUrl: url })
+  await loadBidi()
+  setStatus('ok', 'Saved. Applies the next time the extension connects to Firefox.', 'bidi-status')
+}
+
+async function loadAutoAttach() {
+  const stored = await chrome.storage.local.get(['autoAttachPatterns'])
+  const { patterns } = parseUrlPatterns(stored.autoAttachPatterns)
+  document.getElementById('auto-attach').value = patterns.join('\n')
+}
+
+async function saveAutoAttach() {
+  const input = document.getElementById('auto-attach')
+  const { patterns, invalid } = parseUrlPatterns(input.value)
+  if (invalid.length > 0) {
+    setStatus('error', `Invalid pattern(s): ${invalid.join(', ')}`, 'auto-attach-status')
+    return
+  }
+  await chrome.storage.local.set({ autoAttachPatterns: patterns })
+  input.value = patterns.join('\n')
+  setStatus(
+    'ok',
+    patterns.length > 0
+      ? `Saved ${patterns.length} pattern(s). Matching tabs attach automatically.`
+      : 'Auto-attach disabled.',
+    'auto-attach-status',
+  )
+}
+
+async function loadAgentTabs() {
+  const stored = await chrome.storage.local.get(['agentTabs'])
+  const settings = normalizeAgentTabSettings(stored.agentTabs)
+  const color = document.getElementById('agent-group-color')
+  color.replaceChildren(
+    ...TAB_GROUP_COLORS.map((name) => {
+      const option = document.createElement('option')
+      option.value = name
+      option.textContent = name
+      return option
+    }),
+  )
+  color.value = settings.groupColor
+  document.getElementById('agent-group-tabs').checked = settings.groupTabs
+  document.getElementById('agent-separate-window').checked = settings.separateWindow
+  document.getElementById('agent-group-title').value = settings.groupTitle
+}
+
+async function saveAgentTabs() {
+  const settings = normalizeAgentTabSettings({
+    groupTabs: document.getElementById('agent-group-tabs').checked,
+    separateWindow: document.getElementById('agent-separate-window').checked,
+    groupTitle: document.getElementById('agent-group-title').value,
+    groupColor: document.getElementById('agent-group-color').value,
+  })
+  await chrome.storage.local.set({ agentTabs: settings })
+  await loadAgentTabs()
+  setStatus('ok', 'Saved. Applies to the next tab the agent opens.', 'agent-tabs-status')
+}
+
+async function loadEvents() {
+  const stored = await chrome.storage.local.get(['eventSettings'])
+  const settings = normalizeEventSettings(stored.eventSettings)
+  document.getElementById('event-drop').value = settings.drop.join('\n')
+  document.getElementById('event-batch-window').value = String(settings.batchWindowMs)
+  document.getElementById('event-max-queue').value = String(settings.maxQueuedEvents)
+}
+
+async function saveEvents() {
+  const drop = parseCdpMethodList(document.getElementById('event-drop').value)
+  if (drop.invalid.length > 0) {
+    const plural = drop.invalid.length === 1 ? 'y' : 'ies'
+    setStatus('error', `Invalid entr${plural}: ${drop.invalid.join(', ')}`, 'events-status')
+    return
+  }
+  const settings = normalizeEventSettings({
+    drop: drop.entries,
+    batchWindowMs: document.getElementById('event-batch-window').value,
+    maxQueuedEvents: document.getElementById('event-max-queue').value,
+  })
+  await chrome.storage.local.set({ eventSettings: settings })
+  await loadEvents()
+  setStatus('ok', 'Saved. Applies to the next event.', 'events-status')
+}
+
+async function loadScreencast() {
+  const stored = await chrome.storage.local.get(['screencastSettings'])
+  const settings = normalizeScreencastSettings(stored.screencastSettings)
+  document.getElementById('screencast-fps').value = String(settings.maxFps)
+  document.getElementById('screencast-quality').value = String(settings.maxQuality)
+  document.getElementById('screencast-dimension').value = String(settings.maxDimension)
+}
+
+async function saveScreencast() {
+  const settings = normalizeScreencastSettings({
+    maxFps: document.getElementById('screencast-fps').value,
+    maxQuality: document.getElementById('screencast-quality').value,
+    maxDimension: document.getElementById('screencast-dimension').value,
+  })
+  await chrome.storage.local.set({ screencastSettings: settings })
+  await loadScreencast()
+  setStatus('ok', 'Saved. Applies to the next screencast the agent starts.', 'screencast-status')
+}
+
+async function loadBridge() {
+  const stored = await chrome.storage.local.get(['bridgeSettings'])
+  const settings = normalizeBridgeSettings(stored.bridgeSettings)
+  document.getElementById('download-folder').value = settings.downloadFolder
+  document.getElementById('auto-dismiss-dialogs').checked = settings.autoDismissDialogs
+}
+
+async function saveBridge() {
+  const settings = normalizeBridgeSettings({
+    downloadFolder: document.getElementById('download-folder').value,
+    autoDismissDialogs: document.getElementById('auto-dismiss-dialogs').checked,
+  })
+  await chrome.storage.local.set({ bridgeSettings: settings })
+  await loadBridge()
+  setStatus('ok', 'Saved.', 'bridge-status')
+}
+
+function renderCdpPolicySummary(policy) {
+  const el = document.getElementById('cdp-policy-summary')
+  const blocked = CDP_POLICY_PRESETS[policy.preset].deny
+  const parts = [`Current policy: ${policy.preset}.`]
+  if (policy.preset === 'custom') parts.push('Only the allow list is forwarded.')
+  else if (blocked.length > 0) parts.push(`Preset blocks: ${blocked.join(', ')}.`)
+  if (policy.allow.length > 0) parts.push(`Also allowed: ${policy.allow.join(', ')}.`)
+  if (policy.deny.length > 0) parts.push(`Also denied: ${policy.deny.join(', ')}.`)
+  el.textContent = parts.join(' ')
+}
+
+async function loadCdpPolicy() {
+  const stored = await chrome.storage.local.get(['cdpPolicy'])
+  const policy = normalizeCdpPolicy(stored.cdpPolicy)
+  document.getElementById('cdp-preset').value = policy.preset
+  document.getElementById('cdp-allow').value = policy.allow.join('\n')
+  document.getElementById('cdp-deny').value = policy.deny.join('\n')
+  renderCdpPolicySummary(policy)
+}
+
+async function saveCdpPolicy() {
+  const allow = parseCdpMethodList(document.getElementById('cdp-allow').value)
+  const deny = parseCdpMethodList(document.getElementById('cdp-deny').value)
+  const invalid = [...allow.invalid, ...deny.invalid]
+  if (invalid.length > 0) {
+    setStatus('error', `Invalid entr${invalid.length === 1 ? 'y' : 'ies'}: ${invalid.join(', ')}`, 'cdp-policy-status')
+    return
+  }
+  const policy = normalizeCdpPolicy({
+    preset: document.getElementById('cdp-preset').value,
+    allow: allow.entries,
+    deny: deny.entries,
+  })
+  await chrome.storage.local.set({ cdpPolicy: policy })
+  await loadCdpPolicy()
+  setStatus('ok', 'Policy saved. It applies to the next forwarded command.', 'cdp-policy-status')
+}
+
+const APPROVAL_CHECKBOXES = {
+  navigation: 'approve-navigation',
+  formSubmit: 'approve-form-submit',
+  passwordInput: 'approve-password-input',
+  downloads: 'approve-downloads',
+}
+
+async function loadApprovals() {
+  const stored = await chrome.storage.local.get(['approvalSettings'])
+  const settings = normalizeApprovalSettings(stored.approvalSettings)
+  for (const [key, id] of Object.entries(APPROVAL_CHECKBOXES)) {
+    document.getElementById(id).checked = settings[key]
+  }
+}
+
+async function saveApprovals() {
+  const raw = {}
+  for (const [key, id] of Object.entries(APPROVAL_CHECKBOXES)) {
+    raw[key] = document.getElementById(id).checked
+  }
+  const settings = normalizeApprovalSettings(raw)
+  await chrome.storage.local.set({ approvalSettings: settings })
+  const enabled = Object.values(settings).filter(Boolean).length
+  setStatus(
+    'ok',
+    enabled > 0 ? `Saved. ${enabled} action type(s) need approval.` : 'Saved. No approvals required.',
+    'approvals-status',
+  )
+}
+
+async function loadPrivacy() {
+  const stored = await chrome.storage.local.get(['privacySettings'])
+  const settings = normalizePrivacySettings(stored.privacySettings)
+  document.getElementById('privacy-incognito').checked = settings.blockIncognito
+  document.getElementById('privacy-categories').replaceChildren(
+    ...Object.entries(PRIVACY_CATEGORIES).map(([name, category]) => {
+      const label = document.createElement('label')
+      label.className = 'check'
+      const input = document.createElement('input')
+      input.type = 'checkbox'
+      input.dataset.category = name
+      input.checked = settings.categories[name]
+      label.append(input, ` ${category.label} (${category.patterns.length} well-known sites)`)
+      return label
+    }),
+  )
+  document.getElementById('privacy-block-list').value = settings.blockList.join('\n')
+}
+
+async function savePrivacy() {
+  const { invalid } = parseUrlPatterns(document.getElementById('privacy-block-list').value)
+  if (invalid.length > 0) {
+    setStatus('error', `Invalid entr${invalid.length === 1 ? 'y' : 'ies'}: ${invalid.join(', ')}`, 'privacy-status')
+    return
+  }
+  const categories = {}
+  for (const input of document.querySelectorAll('#privacy-categories input')) {
+    categories[input.dataset.category] = input.checked
+  }
+  const settings = normalizePrivacySettings({
+    blockIncognito: document.getElementById('privacy-incognito').checked,
+    categories,
+    blockList: document.getElementById('privacy-block-list').value,
+  })
+  await chrome.storage.local.set({ privacySettings: settings })
+  await loadPrivacy()
+  setStatus('ok', 'Saved. Attached tabs on blocked sites were detached.', 'privacy-status')
+}
+
+const AUDIT_VISIBLE_ENTRIES = 200
+
+function describeAuditEntry(entry) {
+  const time = new Date(entry.ts).toLocaleTimeString()
+  if (entry.type === 'command') {
+    const duration = Number.isFinite(entry.durationMs) ? ` ${entry.durationMs}ms` : ''
+    const error = entry.error ? ` ✗ ${entry.error}` : ''
+    return `${time} ${entry.method} [${entry.sessionId || '-'}]${duration} ${entry.url || ''}${error}`
+  }
+  const detail =
+    entry.type === 'detach'
+      ? ` (${entry.reason})`
+      : entry.type === 'handback'
+        ? ` (user had it ${formatDuration(entry.pausedMs)})`
+        : ''
+  return `${time} ${entry.type} ${entry.sessionId || ''} ${entry.url || ''}${detail}`
+}
+
+function renderAuditLog({ entries, pushToRelay }) {
+  const el = document.getElementById('audit-log')
+  const lines = entries
+    .slice(-AUDIT_VISIBLE_ENTRIES)
+    .reverse()
+    .map((entry) => {
+      const line = document.createElement('div')
+      if (entry.error) line.className = 'error'
+      line.textContent = describeAuditEntry(entry)
+      return line
+    })
+  el.replaceChildren(...lines)
+  document.getElementById('audit-push').checked = pushToRelay
+  setStatus('', `${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}.`, 'audit-status')
+}
+
+async function loadAuditLog() {
+  renderAuditLog(await chrome.runtime.sendMessage({ type: 'getAuditLog' }))
+}
+
+async function exportAuditLog() {
+  const { entries } = await chrome.runtime.sendMessage({ type: 'getAuditLog' })
+  const blob = new Blob([formatAuditLogJsonl(entries)], { type: 'application/x-ndjson' })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = `openclaw-relay-audit-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`
+  a.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+async function clearAuditLog() {
+  renderAuditLog(await chrome.runtime.sendMessage({ type: 'clearAuditLog' }))
+}
+
 async function load() {
-  const stored = await chrome.storage.local.get(['relayPort'])
-  const port = clampPort(stored.relayPort)
-  document.getElementById('port').value = String(port)
-  updateRelayUrl(port)
-  await checkRelayReachable(port)
+  void loadBidi()
+  void loadAutoAttach()
+  void loadAgentTabs()
+  void loadScreencast()
+  void loadEvents()
+  void loadBridge()
+  void loadCdpPolicy()
+  void loadPrivacy()
+  void loadApprovals()
+  void loadAuditLog()
+  const endpoint = await loadEndpoint()
+  document.getElementById('relay-url-input').value = endpoint.httpBase
+  updateRelayUrl(endpoint)
+  await checkRelayReachable(endpoint)
+  await showRelayProtocolError()
 }
 
 async function save() {
-  const input = document.getElementById('port')
-  const port = clampPort(input.value)
-  await chrome.storage.local.set({ relayPort: port })
-  input.value = String(port)
-  updateRelayUrl(port)
-  await checkRelayReachable(port)
+  const input = document.getElementById('relay-url-input')
+  const endpoint = resolveRelayEndpoint({ relayUrl: input.value, relayPort: DEFAULT_RELAY_PORT })
+  // Must run first: permission prompts need the click's user gesture.
+  const granted = await ensureHostPermission(endpoint)
+  if (!granted) {
+    setStatus('error', `Chrome did not grant access to ${endpoint.httpBase}.`)
+    return
+  }
+
+  const previous = await loadEndpoint()
+  await chrome.storage.local.set({ relayUrl: endpoint.httpBase })
+  if (previous.httpBase !== endpoint.httpBase) {
+    // A token only belongs to the relay it was paired with.
+    await chrome.storage.local.remove(['relayToken'])
+  }
+  input.value = endpoint.httpBase
+  const next = await loadEndpoint()
+  updateRelayUrl(next)
+  await checkRelayReachable(next)
+}
+
+async function pair() {
+  const codeInput = document.getElementById('pairing-code')
+  const code = String(codeInput.value || '').trim()
+  if (!code) {
+    setStatus('error', 'Paste the code from `openclaw browser extension pair` first.')
+    return
+  }
+  const endpoint = await loadEndpoint()
+  try {
+    const res = await fetch(`${endpoint.httpBase}/extension/pair`, {
+      method: 'POST',
+      headers: { [RELAY_AUTH_HEADER]: code },
+      signal: AbortSignal.timeout(3000),
+    })
+    if (res.status === 401) {
+      setStatus('error', 'Pairing code rejected (expired or already used). Create a new one.')
+      return
+    }
+    if (!res.ok) throw new Error(`HTTP ${res.status}`)
+    const body = await res.json()
+    const token = typeof body?.token === 'string' ? body.token : ''
+    if (!token) throw new Error('relay returned no token')
+    await chrome.storage.local.set({ relayToken: token })
+    codeInput.value = ''
+  } catch (err) {
+    setStatus('error', `Pairing failed at ${endpoint.httpBase}/ (${String(err)})`)
+    return
+  }
+  await checkRelayReachable(await loadEndpoint())
+}
+
+async function unpair() {
+  await chrome.storage.local.remove(['relayToken'])
+  await checkRelayReachable(await loadEndpoint())
 }
 
 document.getElementById('save').addEventListener('click', () => void save())
+document.getElementById('save-bidi').addEventListener('click', () => void saveBidi())
+document.getElementById('pair').addEventListener('click', () => void pair())
+document.getElementById('unpair').addEventListener('click', () => void unpair())
+document.getElementById('save-auto-attach').addEventListener('click', () => void saveAutoAttach())
+document.getElementById('save-agent-tabs').addEventListener('click', () => void saveAgentTabs())
+document.getElementById('save-screencast').addEventListener('click', () => void saveScreencast())
+document.getElementById('save-events').addEventListener('click', () => void saveEvents())
+document.getElementById('save-bridge').addEventListener('click', () => void saveBridge())
+document.getElementById('save-cdp-policy').addEventListener('click', () => void saveCdpPolicy())
+document.getElementById('save-privacy').addEventListener('click', () => void savePrivacy())
+document.getElementById('save-approvals').addEventListener('click', () => void saveApprovals())
+document.getElementById('refresh-audit').addEventListener('click', () => void loadAuditLog())
+document.getElementById('export-audit').addEventListener('click', () => void exportAuditLog())
+document.getElementById('clear-audit').addEventListener('click', () => void clearAuditLog())
+document.getElementById('audit-push').addEventListener('change', (event) => {
+  void chrome.storage.local.set({ auditPushToRelay: event.target.checked })
+})
 void load()
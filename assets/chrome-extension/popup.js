@@ -0,0 +1,151 @@
+import { formatDuration } from './background-utils.js'
+
+const REFRESH_INTERVAL_MS = 1000
+
+const RELAY_STATE_LABELS = {
+  connected: 'Connected',
+  connecting: 'Connecting…',
+  reconnecting: 'Reconnecting…',
+  disconnected: 'Not connected',
+}
+
+let busy = false
+/** @type {any} */
+let lastStatus = null
+
+function setError(message) {
+  document.getElementById('error').textContent = message || ''
+}
+
+async function sendToBackground(type, extra = {}) {
+  const res = await chrome.runtime.sendMessage({ type, ...extra })
+  if (res?.error) throw new Error(res.error)
+  return res
+}
+
+function renderRelay(relay) {
+  document.getElementById('relay-dot').dataset.state = relay.state
+  const label = RELAY_STATE_LABELS[relay.state] || relay.state
+  document.getElementById('relay-state').textContent =
+    relay.state === 'reconnecting' ? `${label} (attempt ${relay.reconnectAttempt})` : label
+  document.getElementById('relay-port').textContent = String(relay.port)
+  document.getElementById('relay-port').title = relay.httpBase
+  document.getElementById('relay-latency').textContent =
+    relay.latencyMs === null || relay.latencyMs === undefined ? '—' : `${relay.latencyMs} ms`
+  const backedUp = relay.eventsDropped > 0 || relay.eventsCoalesced > 0
+  document.getElementById('relay-events-label').hidden = !backedUp
+  const events = document.getElementById('relay-events')
+  events.hidden = !backedUp
+  events.textContent = `${relay.eventsDropped} dropped, ${relay.eventsCoalesced} merged`
+  if (relay.protocolError) setError(`Version mismatch: ${relay.protocolError}`)
+}
+
+function renderTab(tab) {
+  const li = document.createElement('li')
+
+  const meta = document.createElement('div')
+  meta.className = 'meta'
+  const title = document.createElement('div')
+  title.className = 'title'
+  title.textContent = tab.title || tab.url || `Tab ${tab.tabId}`
+  title.title = tab.url
+  const ids = document.createElement('div')
+  ids.className = 'ids'
+  const session = document.createElement('code')
+  session.textContent = tab.sessionId
+  const target = document.createElement('code')
+  target.textContent = tab.targetId
+  ids.append(session, ' · ', target)
+  const stats = document.createElement('div')
+  stats.className = 'stats'
+  const attachedFor = tab.attachedAt ? formatDuration(Date.now() - tab.attachedAt) : '—'
+  const origin = tab.autoAttached ? ' · auto-attached' : ''
+  const paused = tab.pausedAt ? ` · you have control (${formatDuration(Date.now() - tab.pausedAt)})` : ''
+  stats.textContent = `attached ${attachedFor} · ${tab.commandCount} command(s)${origin}${paused}`
+  meta.append(title, ids, stats)
+
+  // Take over pauses the agent on this tab (e.g. to solve a CAPTCHA); Hand back resumes it.
+  const handoff = document.createElement('button')
+  handoff.className = tab.pausedAt ? '' : 'secondary'
+  handoff.type = 'button'
+  handoff.textContent = tab.pausedAt ? 'Hand back' : 'Take over'
+  handoff.title = tab.pausedAt
+    ? 'Let the agent continue on this tab'
+    : "Pause the agent's commands on this tab while you finish a step yourself"
+  handoff.addEventListener(
+    'click',
+    () => void run(tab.pausedAt ? 'handBackTab' : 'takeOverTab', { tabId: tab.tabId }),
+  )
+
+  const detach = document.createElement('button')
+  detach.className = 'secondary'
+  detach.type = 'button'
+  detach.textContent = 'Detach'
+  detach.addEventListener('click', () => void run('detachTab', { tabId: tab.tabId }))
+
+  li.append(meta, handoff, detach)
+  return li
+}
+
+function render(status) {
+  lastStatus = status
+  renderRelay(status.relay)
+  const bidi = status.browser.bidi
+  document.getElementById('browser-name').textContent = bidi
+    ? `${status.browser.name} via WebDriver BiDi (${bidi.connected ? 'connected' : `not connected: ${bidi.url}`})`
+    : status.browser.name
+
+  const list = document.getElementById('tabs')
+  list.replaceChildren(...status.tabs.map(renderTab))
+  document.getElementById('tabs-empty').hidden = status.tabs.length > 0
+
+  const toggle = document.getElementById('toggle-active')
+  const blocked = !status.activeTabAttached && status.activeTabBlocked
+  toggle.textContent = status.activeTabAttached
+    ? 'Detach this tab'
+    : blocked
+      ? `Blocked (${status.activeTabBlocked})`
+      : 'Attach this tab'
+  toggle.title = blocked ? 'This site is on the privacy block list (see Options).' : ''
+  toggle.disabled = busy || status.activeTabId === null || Boolean(blocked)
+  document.getElementById('detach-all').disabled = busy || status.tabs.length === 0
+}
+
+async function refresh() {
+  try {
+    render(await sendToBackground('getStatus'))
+  } catch (err) {
+    setError(String(err instanceof Error ? err.message : err))
+  }
+}
+
+async function toggleActiveTab() {
+  const wasAttached = lastStatus?.activeTabAttached === true
+  await run('toggleActiveTab')
+  if (!wasAttached && lastStatus && !lastStatus.activeTabAttached) {
+    setError('Could not attach this tab: relay not reachable. Open Options for setup.')
+  }
+}
+
+async function run(type, extra) {
+  if (busy) return
+  busy = true
+  setError('')
+  try {
+    render(await sendToBackground(type, extra))
+  } catch (err) {
+    setError(String(err instanceof Error ? err.message : err))
+  } finally {
+    busy = false
+    await refresh()
+  }
+}
+
+document.getElementById('toggle-active').addEventListener('click', () => void toggleActiveTab())
+document.getElementById('detach-all').addEventListener('click', () => void run('detachAll'))
+document.getElementById('open-options').addEventListener('click', () => void chrome.runtime.openOptionsPage())
+
+void refresh()
+setInterval(() => {
+  if (!busy) void refresh()
+}, REFRESH_INTERVAL_MS)
@@ -0,0 +1,897 @@
+import { describe, expect, it } from "vitest";
+
+type BackgroundUtilsModule = {
+  RECONNECT_BASE_DELAY_MS: number;
+  RECONNECT_MAX_DELAY_MS: number;
+  reconnectDelayMs: (
+    attempt: number,
+    opts?: { baseMs?: number; maxMs?: number; jitterMs?: number; random?: () => number },
+  ) => number;
+  serializeSessionState: (state: {
+    nextSession: number;
+    tabs: Map<
+      number,
+      {
+        state: string;
+        sessionId?: string;
+        targetId?: string;
+        attachOrder?: number;
+        attachedAt?: number;
+        pausedAt?: number;
+      }
+    >;
+    childSessionToTab: Map<string, number>;
+    childTargets?: Map<string, { parentSessionId: string; targetInfo: { targetId: string } }>;
+  }) => unknown;
+  parseSessionState: (raw: unknown) => {
+    nextSession: number;
+    tabs: Array<{ tabId: number; sessionId: string; targetId: string; attachOrder?: number }>;
+    childSessions: Array<[string, number] | [string, number, unknown]>;
+  } | null;
+  resolveRelayEndpoint: (opts?: {
+    relayUrl?: string;
+    relayPort?: number | string;
+    relayToken?: string;
+  }) => { httpBase: string; wsUrl: string; isLoopback: boolean; token: string };
+  formatDuration: (ms: number) => string;
+  parseUrlPatterns: (raw: unknown) => { patterns: string[]; invalid: string[] };
+  matchesUrlPatterns: (url: string, patterns: string[]) => boolean;
+  parseCdpMethodList: (raw: unknown) => { entries: string[]; invalid: string[] };
+  normalizeApprovalSettings: (raw: unknown) => Record<string, boolean>;
+  approvalProbeFor: (
+    method: string,
+    params: Record<string, unknown> | undefined,
+    settings: Record<string, boolean>,
+  ) => "focus" | "point" | null;
+  classifySensitiveCommand: (
+    method: string,
+    params: Record<string, unknown> | undefined,
+    ctx: { settings: Record<string, boolean>; currentUrl?: string; probe?: unknown },
+  ) => { kind: string; origin: string; summary: string } | null;
+  downloadSourceTab: (
+    item: { referrer?: string },
+    attachedTabs: Array<{ tabId: number; url: string }>,
+    fallbackTabId?: number | null,
+  ) => number | null;
+  redactCdpParams: (method: string, params: unknown) => unknown;
+  appendAuditEntry: <T>(log: T[], entry: T, limit?: number) => T[];
+  formatAuditLogJsonl: (entries: unknown[]) => string;
+  normalizeAgentTabSettings: (raw: unknown) => {
+    groupTabs: boolean;
+    separateWindow: boolean;
+    groupTitle: string;
+    groupColor: string;
+  };
+  pickMostRecentTab: (
+    tabs: Map<number, { state: string; attachOrder?: number }>,
+    candidateTabIds: Set<number>,
+  ) => number | null;
+  detectBrowser: (nav: unknown, hasDebugger: boolean) => { name: string; debugger: boolean };
+  debuggerErrorData: (method: string, message: string) => { code: string; method: string } | null;
+  RELAY_PROTOCOL_VERSION: number;
+  buildHelloMessage: (extensionVersion: string) => {
+    method: string;
+    params: { protocolVersion: number; extensionVersion: string; features: string[] };
+  };
+  checkRelayHello: (params: unknown) => string | null;
+  clampScreencastParams: (
+    params: unknown,
+    settings: unknown,
+  ) => { params: Record<string, unknown>; minFrameIntervalMs: number };
+  encodeScreencastFrame: (sessionId: string, params: Record<string, unknown>) => Uint8Array;
+  buildStorageBundle: (input: {
+    origin: string;
+    cookies: Array<Record<string, unknown>>;
+    localStorage: string[][];
+    browser?: string;
+    exportedAt?: number;
+  }) => Record<string, unknown>;
+  normalizeEventSettings: (raw: unknown) => {
+    drop: string[];
+    batchWindowMs: number;
+    maxQueuedEvents: number;
+  };
+  normalizeEventFilter: (raw: unknown) => { allow: string[]; drop: string[] };
+  eventAllowed: (
+    method: string,
+    drop: string[],
+    relayFilter: { allow: string[]; drop: string[] },
+  ) => boolean;
+  trimEventQueue: (
+    queue: Array<{ sessionId?: string; method: string; params?: Record<string, unknown> }>,
+    limit: number,
+  ) => {
+    queue: Array<{ sessionId?: string; method: string; params?: Record<string, unknown> }>;
+    coalesced: number;
+    dropped: number;
+  };
+  normalizeBridgeSettings: (raw: unknown) => {
+    downloadFolder: string;
+    autoDismissDialogs: boolean;
+  };
+  normalizePrivacySettings: (raw: unknown) => {
+    blockIncognito: boolean;
+    categories: Record<string, boolean>;
+    blockList: string[];
+  };
+  privacyBlockFor: (
+    tab: { url?: string; pendingUrl?: string; incognito?: boolean },
+    settings: unknown,
+  ) => { category: string; label: string; pattern?: string } | null;
+  evaluateCdpPolicy: (
+    policy: unknown,
+    method: string,
+    params?: unknown,
+  ) => {
+    allowed: boolean;
+    source: string;
+    rule: string | null;
+    preset: string;
+    wrappedMethod?: string;
+  };
+};
+
+// Plain JS shipped as a static asset; keep the import untyped for tsc.
+const BACKGROUND_UTILS_MODULE: string = "../../assets/chrome-extension/background-utils.js";
+
+async function loadBackgroundUtils(): Promise<BackgroundUtilsModule> {
+  return (await import(BACKGROUND_UTILS_MODULE)) as BackgroundUtilsModule;
+}
+
+describe("chrome extension background utils", () => {
+  it("backs off exponentially and caps the reconnect delay", async () => {
+    const { reconnectDelayMs, RECONNECT_MAX_DELAY_MS } = await loadBackgroundUtils();
+    const noJitter = { jitterMs: 0 };
+
+    expect(reconnectDelayMs(0, noJitter)).toBe(1000);
+    expect(reconnectDelayMs(1, noJitter)).toBe(2000);
+    expect(reconnectDelayMs(3, noJitter)).toBe(8000);
+    expect(reconnectDelayMs(20, noJitter)).toBe(RECONNECT_MAX_DELAY_MS);
+  });
+
+  it("adds bounded jitter and tolerates bad attempt values", async () => {
+    const { reconnectDelayMs } = await loadBackgroundUtils();
+
+    expect(reconnectDelayMs(0, { jitterMs: 500, random: () => 0.5 })).toBe(1250);
+    expect(reconnectDelayMs(-3, { jitterMs: 0 })).toBe(1000);
+    expect(reconnectDelayMs(Number.NaN, { jitterMs: 0, baseMs: 200 })).toBe(200);
+  });
+
+  it("round-trips the attached-tab session table through storage", async () => {
+    const { serializeSessionState, parseSessionState } = await loadBackgroundUtils();
+    const snapshot = serializeSessionState({
+      nextSession: 4,
+      tabs: new Map([
+        [
+          7,
+          {
+            state: "connected",
+            sessionId: "cb-tab-3",
+            targetId: "t7",
+            attachOrder: 4,
+            attachedAt: 1_700_000_000_000,
+          },
+        ],
+        [8, { state: "connecting" }],
+      ]),
+      childSessionToTab: new Map([
+        ["child-1", 7],
+        ["frame-1", 7],
+      ]),
+      childTargets: new Map([
+        [
+          "frame-1",
+          { parentSessionId: "cb-tab-3", targetInfo: { targetId: "f1", type: "iframe" } },
+        ],
+      ]),
+    });
+
+    // chrome.storage.session stores JSON-serializable values only.
+    const restored = parseSessionState(JSON.parse(JSON.stringify(snapshot)));
+    expect(restored).toEqual({
+      nextSession: 4,
+      tabs: [
+        {
+          tabId: 7,
+          sessionId: "cb-tab-3",
+          targetId: "t7",
+          attachOrder: 4,
+          autoAttached: false,
+          attachedAt: 1_700_000_000_000,
+        },
+      ],
+      childSessions: [
+        ["child-1", 7],
+        [
+          "frame-1",
+          7,
+          { parentSessionId: "cb-tab-3", targetInfo: { targetId: "f1", type: "iframe" } },
+        ],
+      ],
+    });
+  });
+
+  it("keeps a user take-over in the stored session table", async () => {
+    const { serializeSessionState, parseSessionState } = await loadBackgroundUtils();
+    const snapshot = serializeSessionState({
+      nextSession: 2,
+      tabs: new Map([
+        [
+          3,
+          {
+            state: "connected",
+            sessionId: "cb-tab-1",
+            targetId: "t3",
+            pausedAt: 1_700_000_000_000,
+          },
+        ],
+      ]),
+      childSessionToTab: new Map(),
+    });
+
+    expect(parseSessionState(JSON.parse(JSON.stringify(snapshot)))?.tabs[0]).toMatchObject({
+      tabId: 3,
+      pausedAt: 1_700_000_000_000,
+    });
+  });
+
+  it("ignores missing or malformed stored session state", async () => {
+    const { parseSessionState } = await loadBackgroundUtils();
+
+    expect(parseSessionState(undefined)).toBeNull();
+    expect(parseSessionState({ version: 2, tabs: [] })).toBeNull();
+    expect(
+      parseSessionState({
+        version: 1,
+        nextSession: -1,
+        tabs: [{ tabId: "7", sessionId: "cb-tab-1", targetId: "t" }, { tabId: 9 }],
+        childSessions: [
+          ["ok", 9],
+          [1, 2],
+        ],
+      }),
+    ).toEqual({ nextSession: 1, tabs: [], childSessions: [["ok", 9]] });
+  });
+
+  it("formats attached durations compactly", async () => {
+    const { formatDuration } = await loadBackgroundUtils();
+
+    expect(formatDuration(0)).toBe("0s");
+    expect(formatDuration(42_900)).toBe("42s");
+    expect(formatDuration(5 * 60_000 + 3_000)).toBe("5m 03s");
+    expect(formatDuration(2 * 3_600_000 + 7 * 60_000)).toBe("2h 07m");
+    expect(formatDuration(Number.NaN)).toBe("0s");
+  });
+
+  it("resolves the relay endpoint from a URL or the legacy port option", async () => {
+    const { resolveRelayEndpoint } = await loadBackgroundUtils();
+
+    expect(resolveRelayEndpoint({})).toEqual({
+      httpBase: "http://127.0.0.1:18792",
+      wsUrl: "ws://127.0.0.1:18792/extension",
+      isLoopback: true,
+      token: "",
+    });
+    expect(resolveRelayEndpoint({ relayPort: "19000" }).httpBase).toBe("http://127.0.0.1:19000");
+    expect(
+      resolveRelayEndpoint({ relayUrl: "https://relay.devbox.lan/some/path", relayToken: "a b" }),
+    ).toEqual({
+      httpBase: "https://relay.devbox.lan",
+      wsUrl: "wss://relay.devbox.lan/extension?token=a%20b",
+      isLoopback: false,
+      token: "a b",
+    });
+    expect(resolveRelayEndpoint({ relayUrl: "wss://10.0.0.5:18792" }).httpBase).toBe(
+      "https://10.0.0.5:18792",
+    );
+    expect(resolveRelayEndpoint({ relayUrl: "192.168.1.20:18792" }).wsUrl).toBe(
+      "ws://192.168.1.20:18792/extension",
+    );
+    expect(resolveRelayEndpoint({ relayUrl: "ftp://x", relayPort: 1 }).httpBase).toBe(
+      "http://127.0.0.1:1",
+    );
+  });
+
+  it("matches auto-attach URL patterns", async () => {
+    const { parseUrlPatterns, matchesUrlPatterns } = await loadBackgroundUtils();
+    const { patterns, invalid } = parseUrlPatterns(
+      [
+        "# staging",
+        "https://admin.staging.example.com/*",
+        "*://*.internal.example/app/*",
+        "tools.example.org",
+        "https://bad*.example.com/*",
+        "",
+      ].join("\n"),
+    );
+    expect(patterns).toHaveLength(3);
+    expect(invalid).toEqual(["https://bad*.example.com/*"]);
+
+    expect(matchesUrlPatterns("https://admin.staging.example.com/users?id=1", patterns)).toBe(true);
+    expect(matchesUrlPatterns("http://admin.staging.example.com/", patterns)).toBe(false);
+    expect(matchesUrlPatterns("http://wiki.internal.example/app/page", patterns)).toBe(true);
+    expect(matchesUrlPatterns("https://internal.example/app/", patterns)).toBe(true);
+    expect(matchesUrlPatterns("https://internal.example.evil.com/app/", patterns)).toBe(false);
+    expect(matchesUrlPatterns("http://tools.example.org/anything", patterns)).toBe(true);
+    expect(matchesUrlPatterns("https://example.com/", patterns)).toBe(false);
+    expect(matchesUrlPatterns("chrome://settings", patterns)).toBe(false);
+  });
+
+  it("evaluates CDP policy presets with custom allow/deny overrides", async () => {
+    const { evaluateCdpPolicy, parseCdpMethodList } = await loadBackgroundUtils();
+
+    expect(evaluateCdpPolicy(undefined, "Network.getAllCookies").allowed).toBe(true);
+    expect(evaluateCdpPolicy({ preset: "interact" }, "Network.getAllCookies")).toMatchObject({
+      allowed: false,
+      source: "preset-deny",
+      rule: "Network.getAllCookies",
+    });
+    expect(evaluateCdpPolicy({ preset: "interact" }, "Storage.getCookies").allowed).toBe(false);
+    expect(evaluateCdpPolicy({ preset: "interact" }, "Input.dispatchMouseEvent").allowed).toBe(
+      true,
+    );
+    expect(evaluateCdpPolicy({ preset: "read-only" }, "Input.dispatchMouseEvent").allowed).toBe(
+      false,
+    );
+    expect(evaluateCdpPolicy({ preset: "read-only" }, "DOM.getDocument").allowed).toBe(true);
+
+    // Custom allow re-enables a preset-denied method; custom deny wins over both.
+    const policy = { preset: "read-only", allow: ["Page.navigate"], deny: ["Runtime.*"] };
+    expect(evaluateCdpPolicy(policy, "Page.navigate").allowed).toBe(true);
+    expect(evaluateCdpPolicy(policy, "Runtime.evaluate")).toMatchObject({
+      allowed: false,
+      source: "custom-deny",
+    });
+
+    // The custom preset denies anything not listed.
+    const custom = { preset: "custom", allow: ["DOM", "Page.captureScreenshot"] };
+    expect(evaluateCdpPolicy(custom, "DOM.querySelector").allowed).toBe(true);
+    expect(evaluateCdpPolicy(custom, "Page.captureScreenshot").allowed).toBe(true);
+    expect(evaluateCdpPolicy(custom, "Page.navigate")).toMatchObject({
+      allowed: false,
+      source: "default-deny",
+    });
+
+    expect(parseCdpMethodList("DOM\nPage.*, Network.getCookies\nbad name\n# note")).toEqual({
+      entries: ["DOM", "Page.*", "Network.getCookies"],
+      invalid: ["bad name"],
+    });
+  });
+
+  it("judges Target.sendMessageToTarget by the command it carries", async () => {
+    const { evaluateCdpPolicy } = await loadBackgroundUtils();
+    const wrap = (method: string, params: Record<string, unknown> = {}) => ({
+      sessionId: "child-1",
+      message: JSON.stringify({ id: 1, method, params }),
+    });
+    const readOnly = { preset: "read-only" };
+
+    expect(
+      evaluateCdpPolicy(readOnly, "Target.sendMessageToTarget", wrap("DOM.getDocument")).allowed,
+    ).toBe(true);
+    expect(
+      evaluateCdpPolicy(readOnly, "Target.sendMessageToTarget", wrap("Input.insertText")),
+    ).toMatchObject({
+      allowed: false,
+      source: "preset-deny",
+      rule: "Input",
+      wrappedMethod: "Input.insertText",
+    });
+    // Nesting does not hide the inner command either.
+    const nested = wrap("Target.sendMessageToTarget", wrap("Page.navigate"));
+    expect(evaluateCdpPolicy(readOnly, "Target.sendMessageToTarget", nested)).toMatchObject({
+      allowed: false,
+      wrappedMethod: "Page.navigate",
+    });
+    expect(
+      evaluateCdpPolicy(readOnly, "Target.sendMessageToTarget", { message: "not json" }),
+    ).toMatchObject({ allowed: false, source: "wrapped-message" });
+    // The full preset still lets it through.
+    expect(
+      evaluateCdpPolicy({ preset: "full" }, "Target.sendMessageToTarget", wrap("Input.insertText"))
+        .allowed,
+    ).toBe(true);
+  });
+
+  it("classifies sensitive agent actions for approval", async () => {
+    const { normalizeApprovalSettings, approvalProbeFor, classifySensitiveCommand } =
+      await loadBackgroundUtils();
+    const off = normalizeApprovalSettings(undefined);
+    const all = normalizeApprovalSettings({
+      navigation: true,
+      formSubmit: true,
+      passwordInput: true,
+      downloads: true,
+    });
+    const currentUrl = "https://app.example.com/login";
+
+    expect(
+      classifySensitiveCommand("Page.navigate", { url: "https://evil.example" }, { settings: off }),
+    ).toBeNull();
+    expect(
+      classifySensitiveCommand(
+        "Page.navigate",
+        { url: "https://evil.example/x" },
+        { settings: all, currentUrl },
+      ),
+    ).toMatchObject({ kind: "navigation", origin: "https://evil.example" });
+    expect(
+      classifySensitiveCommand(
+        "Page.navigate",
+        { url: "https://app.example.com/home" },
+        { settings: all, currentUrl },
+      ),
+    ).toBeNull();
+
+    const key = { type: "keyDown", key: "a" };
+    expect(approvalProbeFor("Input.dispatchKeyEvent", key, all)).toBe("focus");
+    expect(approvalProbeFor("Input.dispatchKeyEvent", key, off)).toBeNull();
+    expect(
+      classifySensitiveCommand("Input.dispatchKeyEvent", key, {
+        settings: all,
+        currentUrl,
+        probe: { tag: "input", type: "password", inForm: true },
+      }),
+    ).toMatchObject({ kind: "passwordInput", origin: "https://app.example.com" });
+
+    const enter = { type: "keyDown", key: "Enter" };
+    expect(
+      classifySensitiveCommand("Input.dispatchKeyEvent", enter, {
+        settings: all,
+        currentUrl,
+        probe: { tag: "input", type: "text", inForm: true },
+      }),
+    ).toMatchObject({ kind: "formSubmit" });
+    expect(
+      classifySensitiveCommand("Input.dispatchKeyEvent", enter, {
+        settings: all,
+        currentUrl,
+        probe: { tag: "textarea", type: "textarea", inForm: true },
+      }),
+    ).toBeNull();
+
+    const press = { type: "mousePressed", x: 10, y: 20 };
+    expect(approvalProbeFor("Input.dispatchMouseEvent", press, all)).toBe("point");
+    expect(approvalProbeFor("Input.dispatchMouseEvent", { type: "mouseMoved" }, all)).toBeNull();
+    expect(
+      classifySensitiveCommand("Input.dispatchMouseEvent", press, {
+        settings: all,
+        currentUrl,
+        probe: { isSubmit: true },
+      }),
+    ).toMatchObject({ kind: "formSubmit", summary: "Submit a form (click)" });
+  });
+
+  it("credits downloads to the attached tab they came from", async () => {
+    const { downloadSourceTab } = await loadBackgroundUtils();
+    const attached = [
+      { tabId: 3, url: "https://shop.example/cart" },
+      { tabId: 7, url: "https://files.example/list" },
+    ];
+
+    expect(downloadSourceTab({ referrer: "https://files.example/report" }, attached, 3)).toBe(7);
+    // The user's own download from a tab the agent is not driving.
+    expect(downloadSourceTab({ referrer: "https://mail.example/inbox" }, attached, 3)).toBeNull();
+    expect(downloadSourceTab({ referrer: "chrome://newtab/" }, attached, 3)).toBeNull();
+    // No referrer: the agent navigated straight to the file.
+    expect(downloadSourceTab({ referrer: "" }, attached, 3)).toBe(3);
+    expect(downloadSourceTab({}, attached)).toBeNull();
+  });
+
+  it("redacts audit params and keeps a bounded JSONL-exportable log", async () => {
+    const { redactCdpParams, appendAuditEntry, formatAuditLogJsonl } = await loadBackgroundUtils();
+
+    expect(
+      redactCdpParams("Input.dispatchKeyEvent", { type: "keyDown", key: "s", text: "s" }),
+    ).toEqual({ type: "keyDown", key: "[redacted]", text: "[redacted]" });
+    expect(redactCdpParams("Input.insertText", { text: "hunter2" })).toEqual({
+      text: "[redacted]",
+    });
+    expect(
+      redactCdpParams("Network.setCookie", { name: "sid", value: "abc", domain: "example.com" }),
+    ).toEqual({ name: "sid", value: "[redacted]", domain: "example.com" });
+    expect(
+      redactCdpParams("Runtime.callFunctionOn", {
+        functionDeclaration: "(a) => a",
+        arguments: [{ objectId: "1" }, { value: "secret" }],
+      }),
+    ).toEqual({
+      functionDeclaration: "(a) => a",
+      arguments: [{ objectId: "1" }, { value: "[redacted]" }],
+    });
+    expect(
+      redactCdpParams("Network.setExtraHTTPHeaders", { headers: { Authorization: "Bearer x" } }),
+    ).toEqual({ headers: "[redacted]" });
+    const long = redactCdpParams("Runtime.evaluate", { expression: "x".repeat(250) }) as {
+      expression: string;
+    };
+    expect(long.expression).toBe(`${"x".repeat(200)}…(+50 chars)`);
+
+    const log: Array<{ n: number }> = [];
+    for (let n = 0; n < 5; n += 1) {
+      appendAuditEntry(log, { n }, 3);
+    }
+    expect(log).toEqual([{ n: 2 }, { n: 3 }, { n: 4 }]);
+    expect(formatAuditLogJsonl(log)).toBe('{"n":2}\n{"n":3}\n{"n":4}\n');
+    expect(formatAuditLogJsonl([])).toBe("");
+  });
+
+  it("routes session-less commands to the newest tab in the agent group", async () => {
+    const { normalizeAgentTabSettings, pickMostRecentTab } = await loadBackgroundUtils();
+
+    expect(normalizeAgentTabSettings(undefined)).toEqual({
+      groupTabs: true,
+      separateWindow: false,
+      groupTitle: "OpenClaw",
+      groupColor: "orange",
+    });
+    expect(
+      normalizeAgentTabSettings({ groupTabs: false, groupTitle: "  ", groupColor: "magenta" }),
+    ).toMatchObject({ groupTabs: false, groupTitle: "OpenClaw", groupColor: "orange" });
+
+    const tabs = new Map([
+      [1, { state: "connected", attachOrder: 2 }],
+      [2, { state: "connected", attachOrder: 5 }],
+      [3, { state: "connecting" }],
+      [4, { state: "connected", attachOrder: 9 }],
+    ]);
+    expect(pickMostRecentTab(tabs, new Set([1, 2, 3]))).toBe(2);
+    expect(pickMostRecentTab(tabs, new Set([3]))).toBeNull();
+    expect(pickMostRecentTab(tabs, new Set())).toBeNull();
+  });
+
+  it("detects Chromium forks and degrades for missing CDP support", async () => {
+    const { detectBrowser, debuggerErrorData } = await loadBackgroundUtils();
+
+    expect(
+      detectBrowser(
+        {
+          userAgent: "Mozilla/5.0 Chrome/126.0 Safari/537.36 Edg/126.0",
+          userAgentData: {
+            brands: [
+              { brand: "Not/A)Brand", version: "8" },
+              { brand: "Chromium", version: "126" },
+              { brand: "Microsoft Edge", version: "126" },
+            ],
+          },
+        },
+        true,
+      ),
+    ).toEqual({ name: "Microsoft Edge", debugger: true });
+    expect(detectBrowser({ userAgent: "Chrome/126", brave: {} }, true).name).toBe("Brave");
+    expect(
+      detectBrowser(
+        { userAgent: "Mozilla/5.0 (X11; rv:128.0) Gecko/20100101 Firefox/128.0" },
+        false,
+      ),
+    ).toEqual({ name: "Firefox", debugger: false });
+
+    expect(
+      debuggerErrorData("Foo.bar", '{"code":-32601,"message":"\'Foo.bar\' wasn\'t found"}'),
+    ).toEqual({ code: "cdp_method_unavailable", method: "Foo.bar" });
+    expect(debuggerErrorData("Page.navigate", "Cannot access a chrome:// URL")).toBeNull();
+  });
+
+  it("builds the relay hello and checks the relay's reply", async () => {
+    const { RELAY_PROTOCOL_VERSION, buildHelloMessage, checkRelayHello } =
+      await loadBackgroundUtils();
+    const hello = buildHelloMessage("0.2.0");
+    expect(hello.method).toBe("hello");
+    expect(hello.params).toMatchObject({
+      protocolVersion: RELAY_PROTOCOL_VERSION,
+      extensionVersion: "0.2.0",
+    });
+    expect(hello.params.features).toContain("childTargets");
+
+    expect(
+      checkRelayHello({ ok: true, protocolVersion: RELAY_PROTOCOL_VERSION, minProtocolVersion: 2 }),
+    ).toBeNull();
+    expect(checkRelayHello({ ok: false, error: "extension protocol v1 is too old" })).toBe(
+      "extension protocol v1 is too old",
+    );
+    expect(checkRelayHello({ ok: true, protocolVersion: 1 })).toContain("update OpenClaw");
+    expect(checkRelayHello({ ok: true, protocolVersion: 9, minProtocolVersion: 9 })).toContain(
+      "openclaw browser extension install",
+    );
+    expect(checkRelayHello(null)).toBe("relay sent an invalid hello reply");
+  });
+
+  it("caps screencast params and encodes frames as binary", async () => {
+    const { clampScreencastParams, encodeScreencastFrame } = await loadBackgroundUtils();
+    expect(
+      clampScreencastParams(
+        { format: "jpeg", quality: 95, maxWidth: 4000, everyNthFrame: 1 },
+        { maxFps: 4, maxQuality: 50, maxDimension: 1024 },
+      ),
+    ).toEqual({
+      params: { format: "jpeg", quality: 50, maxWidth: 1024, maxHeight: 1024, everyNthFrame: 1 },
+      minFrameIntervalMs: 250,
+    });
+    expect(clampScreencastParams({ quality: 30, maxHeight: 480 }, {}).params).toMatchObject({
+      format: "jpeg",
+      quality: 30,
+      maxWidth: 1280,
+      maxHeight: 480,
+    });
+
+    const image = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 9]);
+    const encoded = Buffer.from(
+      encodeScreencastFrame("cb-tab-1", {
+        sessionId: 3,
+        data: image.toString("base64"),
+        metadata: { deviceWidth: 640 },
+      }),
+    );
+    const headerLength = encoded.readUInt32BE(0);
+    expect(JSON.parse(encoded.subarray(4, 4 + headerLength).toString("utf8"))).toEqual({
+      method: "Page.screencastFrame",
+      sessionId: "cb-tab-1",
+      params: { sessionId: 3, metadata: { deviceWidth: 640 } },
+    });
+    expect(encoded.subarray(4 + headerLength)).toEqual(image);
+  });
+
+  it("blocks incognito tabs and block-listed sites", async () => {
+    const { normalizePrivacySettings, privacyBlockFor } = await loadBackgroundUtils();
+    expect(normalizePrivacySettings(undefined)).toEqual({
+      blockIncognito: true,
+      categories: { banking: false, health: false, passwordManagers: false },
+      blockList: [],
+    });
+
+    expect(privacyBlockFor({ url: "https://example.com/", incognito: true }, {})).toMatchObject({
+      category: "incognito",
+    });
+    expect(
+      privacyBlockFor({ url: "https://example.com/", incognito: true }, { blockIncognito: false }),
+    ).toBeNull();
+
+    const settings = {
+      categories: { banking: true, passwordManagers: true },
+      blockList: "https://my-bank.example\n*.clinic.example\nnot a pattern",
+    };
+    expect(privacyBlockFor({ url: "https://www.paypal.com/signin" }, settings)).toMatchObject({
+      category: "banking",
+      pattern: "*.paypal.com",
+    });
+    expect(privacyBlockFor({ url: "https://vault.bitwarden.com/#/" }, settings)?.category).toBe(
+      "passwordManagers",
+    );
+    expect(privacyBlockFor({ url: "https://www.zocdoc.com/" }, settings)).toBeNull();
+    expect(
+      privacyBlockFor(
+        { url: "about:blank", pendingUrl: "https://my-bank.example/login" },
+        settings,
+      ),
+    ).toMatchObject({ category: "custom", pattern: "https://my-bank.example" });
+    expect(privacyBlockFor({ url: "https://portal.clinic.example/" }, settings)?.category).toBe(
+      "custom",
+    );
+    expect(privacyBlockFor({ url: "https://my-bank.example.evil.test/" }, settings)).toBeNull();
+  });
+
+  it("normalizes download/dialog settings and keeps upload contents out of the audit log", async () => {
+    const { normalizeBridgeSettings, redactCdpParams } = await loadBackgroundUtils();
+    expect(normalizeBridgeSettings(undefined)).toEqual({
+      downloadFolder: "OpenClaw",
+      autoDismissDialogs: false,
+    });
+    expect(
+      normalizeBridgeSettings({ downloadFolder: "../agent/./runs:1\\", autoDismissDialogs: true }),
+    ).toEqual({ downloadFolder: "agent/runs1", autoDismissDialogs: true });
+    expect(normalizeBridgeSettings({ downloadFolder: "" }).downloadFolder).toBe("");
+
+    expect(
+      redactCdpParams("DOM.setFileInputFiles", {
+        files: ["/tmp/cv.pdf"],
+        backendNodeId: 7,
+        payloads: [{ name: "cv.pdf", mimeType: "application/pdf", data: "JVBERi0xLjQK" }],
+      }),
+    ).toEqual({ files: ["/tmp/cv.pdf"], backendNodeId: 7, payloads: [{ name: "cv.pdf" }] });
+  });
+
+  it("builds a storageState-shaped bundle from chrome.cookies and CDP cookies", async () => {
+    const { buildStorageBundle, evaluateCdpPolicy } = await loadBackgroundUtils();
+    const bundle = buildStorageBundle({
+      origin: "https://app.example.com",
+      browser: "Chrome",
+      exportedAt: Date.UTC(2026, 0, 2),
+      cookies: [
+        // chrome.cookies shape
+        {
+          name: "sid",
+          value: "abc",
+          domain: ".example.com",
+          path: "/",
+          secure: true,
+          httpOnly: true,
+          sameSite: "no_restriction",
+          session: false,
+          expirationDate: 1893456000,
+        },
+        {
+          name: "pref",
+          value: "1",
+          domain: "app.example.com",
+          path: "/",
+          sameSite: "unspecified",
+          session: true,
+        },
+        // CDP Network.Cookie shape, duplicating `sid` from a second lookup
+        {
+          name: "sid",
+          value: "abc",
+          domain: ".example.com",
+          path: "/",
+          expires: 1893456000,
+          secure: true,
+          httpOnly: true,
+          sameSite: "None",
+        },
+        {
+          name: "csrf",
+          value: "x",
+          domain: "app.example.com",
+          path: "/app",
+          expires: -1,
+          sameSite: "Strict",
+        },
+      ],
+      localStorage: [
+        ["token", "t-1"],
+        ["theme", "dark"],
+      ],
+    });
+    expect(bundle).toEqual({
+      format: "openclaw-storage-bundle",
+      version: 1,
+      origin: "https://app.example.com",
+      exportedAt: "2026-01-02T00:00:00.000Z",
+      browser: "Chrome",
+      cookies: [
+        {
+          name: "sid",
+          value: "abc",
+          domain: ".example.com",
+          path: "/",
+          expires: 1893456000,
+          httpOnly: true,
+          secure: true,
+          sameSite: "None",
+        },
+        {
+          name: "pref",
+          value: "1",
+          domain: "app.example.com",
+          path: "/",
+          expires: -1,
+          httpOnly: false,
+          secure: false,
+          sameSite: "Lax",
+        },
+        {
+          name: "csrf",
+          value: "x",
+          domain: "app.example.com",
+          path: "/app",
+          expires: -1,
+          httpOnly: false,
+          secure: false,
+          sameSite: "Strict",
+        },
+      ],
+      origins: [
+        {
+          origin: "https://app.example.com",
+          localStorage: [
+            { name: "token", value: "t-1" },
+            { name: "theme", value: "dark" },
+          ],
+        },
+      ],
+    });
+
+    // Only the full preset lets an agent ask for an export.
+    expect(evaluateCdpPolicy({ preset: "interact" }, "OpenClaw.exportStorageBundle").allowed).toBe(
+      false,
+    );
+    expect(evaluateCdpPolicy({ preset: "full" }, "OpenClaw.exportStorageBundle").allowed).toBe(
+      true,
+    );
+  });
+
+  it("filters forwarded events by the user's drop list and the relay's subscription", async () => {
+    const { normalizeEventSettings, normalizeEventFilter, eventAllowed } =
+      await loadBackgroundUtils();
+    expect(normalizeEventSettings(undefined)).toEqual({
+      drop: [],
+      batchWindowMs: 10,
+      maxQueuedEvents: 2000,
+    });
+    expect(
+      normalizeEventSettings({ drop: "Log\nbad entry", batchWindowMs: 900, maxQueuedEvents: 5 }),
+    ).toEqual({ drop: ["Log"], batchWindowMs: 250, maxQueuedEvents: 2000 });
+
+    const none = normalizeEventFilter(undefined);
+    expect(eventAllowed("Network.dataReceived", [], none)).toBe(true);
+    expect(eventAllowed("Log.entryAdded", ["Log"], none)).toBe(false);
+
+    const pageOnly = normalizeEventFilter({
+      allow: ["Page", "Runtime.*"],
+      drop: ["Page.lifecycleEvent"],
+    });
+    expect(eventAllowed("Page.frameNavigated", [], pageOnly)).toBe(true);
+    expect(eventAllowed("Runtime.executionContextCreated", [], pageOnly)).toBe(true);
+    expect(eventAllowed("Page.lifecycleEvent", [], pageOnly)).toBe(false);
+    expect(eventAllowed("Network.requestWillBeSent", [], pageOnly)).toBe(false);
+    // Session bookkeeping can't be filtered away.
+    expect(eventAllowed("Target.attachedToTarget", ["Target"], pageOnly)).toBe(true);
+  });
+
+  it("merges data chunks, then drops telemetry, then the oldest events when the queue is full", async () => {
+    const { trimEventQueue } = await loadBackgroundUtils();
+    const data = (requestId: string, dataLength: number) => ({
+      sessionId: "s1",
+      method: "Network.dataReceived",
+      params: { requestId, dataLength, encodedDataLength: dataLength },
+    });
+    const merged = trimEventQueue(
+      [
+        data("r1", 10),
+        { sessionId: "s1", method: "Network.loadingFinished", params: { requestId: "r2" } },
+        data("r1", 5),
+        data("r2", 1),
+      ],
+      3,
+    );
+    expect(merged).toEqual({
+      queue: [
+        { ...data("r1", 15) },
+        { sessionId: "s1", method: "Network.loadingFinished", params: { requestId: "r2" } },
+        data("r2", 1),
+      ],
+      coalesced: 1,
+      dropped: 0,
+    });
+
+    const trimmed = trimEventQueue(
+      [
+        { method: "Network.requestWillBeSent" },
+        { method: "Log.entryAdded" },
+        { method: "Target.attachedToTarget" },
+        { method: "Runtime.consoleAPICalled" },
+        { method: "Page.loadEventFired" },
+      ],
+      2,
+    );
+    expect(trimmed.queue.map((event) => event.method)).toEqual([
+      "Target.attachedToTarget",
+      "Page.loadEventFired",
+    ]);
+    expect(trimmed.dropped).toBe(3);
+  });
+
+  it("keeps execution-context and frame lifecycle events when the queue is full", async () => {
+    const { trimEventQueue } = await loadBackgroundUtils();
+    const trimmed = trimEventQueue(
+      [
+        { method: "Runtime.executionContextCreated", params: { context: { id: 1 } } },
+        { method: "Network.requestWillBeSent" },
+        { method: "Page.frameNavigated" },
+        { method: "Page.lifecycleEvent", params: { name: "load" } },
+        { method: "Network.responseReceived" },
+        { method: "Runtime.executionContextDestroyed", params: { executionContextId: 1 } },
+        { method: "Log.entryAdded" },
+      ],
+      2,
+    );
+    // Over the limit rather than desyncing the client's context tracking.
+    expect(trimmed.queue.map((event) => event.method)).toEqual([
+      "Runtime.executionContextCreated",
+      "Page.frameNavigated",
+      "Page.lifecycleEvent",
+      "Runtime.executionContextDestroyed",
+    ]);
+    expect(trimmed.dropped).toBe(3);
+  });
+});
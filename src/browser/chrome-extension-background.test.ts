@@ -0,0 +1,606 @@
+import type { AddressInfo } from "node:net";
+import { createServer } from "node:http";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import WebSocket, { WebSocketServer } from "ws";
+import { rawDataToString } from "../infra/ws.js";
+import {
+  createFakeChrome,
+  fakeTargetId,
+  loadBackgroundWorker,
+  type FakeChrome,
+} from "./chrome-extension.test-helpers.js";
+import {
+  ensureChromeExtensionRelayServer,
+  getChromeExtensionRelayAuthHeaders,
+  stopChromeExtensionRelayServer,
+} from "./extension-relay.js";
+
+async function getFreePort(): Promise<number> {
+  return await new Promise<number>((resolve, reject) => {
+    const s = createServer();
+    s.once("error", reject);
+    s.listen(0, "127.0.0.1", () => {
+      const assigned = (s.address() as AddressInfo).port;
+      s.close((err) => (err ? reject(err) : resolve(assigned)));
+    });
+  });
+}
+
+async function waitFor<T>(probe: () => T | Promise<T>, timeoutMs = 5000): Promise<NonNullable<T>> {
+  const deadline = Date.now() + timeoutMs;
+  while (true) {
+    const value = await probe();
+    if (value) {
+      return value;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error("timeout waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+}
+
+type CdpMessage = {
+  id?: number;
+  method?: string;
+  sessionId?: string;
+  params?: Record<string, unknown>;
+  result?: Record<string, unknown>;
+  error?: { message?: string };
+};
+
+/** Minimal CDP client on the relay's `/cdp` endpoint that keeps every message it receives. */
+async function connectCdp(port: number) {
+  const url = `ws://127.0.0.1:${port}/cdp`;
+  const ws = new WebSocket(url, { headers: getChromeExtensionRelayAuthHeaders(url) });
+  await new Promise<void>((resolve, reject) => {
+    ws.once("open", () => resolve());
+    ws.once("error", reject);
+  });
+  const messages: CdpMessage[] = [];
+  ws.on("message", (data) => messages.push(JSON.parse(rawDataToString(data)) as CdpMessage));
+  let nextId = 1;
+  return {
+    messages,
+    async send(method: string, params?: Record<string, unknown>, sessionId?: string) {
+      const id = nextId++;
+      ws.send(JSON.stringify({ id, method, params, ...(sessionId ? { sessionId } : {}) }));
+      const reply = await waitFor(() => messages.find((m) => m.id === id));
+      if (reply.error) {
+        throw new Error(reply.error.message);
+      }
+      return reply.result ?? {};
+    },
+    raw: (msg: Record<string, unknown>) => ws.send(JSON.stringify(msg)),
+    event(method: string, match: (msg: CdpMessage) => boolean = () => true) {
+      return waitFor(() => messages.find((m) => m.method === method && match(m)));
+    },
+    close: () => ws.close(),
+  };
+}
+
+async function listTargets(port: number) {
+  const base = `http://127.0.0.1:${port}`;
+  const res = await fetch(`${base}/json/list`, {
+    headers: getChromeExtensionRelayAuthHeaders(base),
+  });
+  return (await res.json()) as Array<{ id: string; url: string }>;
+}
+
+type BidiCommand = { id: number; method: string; params: Record<string, unknown> };
+
+/**
+ * Stand-in for Firefox's WebDriver BiDi socket: one top-level context per fake tab
+ * (`CTX-<tabId>`), marked pages found through the fake `chrome.scripting`.
+ */
+async function startFakeBidi(chrome: FakeChrome) {
+  const port = await getFreePort();
+  const server = new WebSocketServer({ host: "127.0.0.1", port });
+  await new Promise<void>((resolve) => server.once("listening", () => resolve()));
+  const commands: BidiCommand[] = [];
+  const tabOf = (context: unknown) => Number(String(context).replace("CTX-", ""));
+  const answer = (cmd: BidiCommand): unknown => {
+    switch (cmd.method) {
+      case "session.new":
+        return { sessionId: "bidi-session", capabilities: {} };
+      case "session.subscribe":
+        return { subscription: `sub-${cmd.id}` };
+      case "browsingContext.getTree":
+        return {
+          contexts: [...chrome.tabs.values()].map((t) => ({
+            context: `CTX-${t.id}`,
+            url: t.url,
+            children: [],
+          })),
+        };
+      case "script.evaluate": {
+        const target = cmd.params.target as { context: string };
+        const marker = /globalThis\["([^"]+)"\]/.exec(String(cmd.params.expression))?.[1];
+        if (marker) {
+          const marked = chrome.scriptCalls.some(
+            (c) => c.tabId === tabOf(target.context) && c.world === "MAIN" && c.args[0] === marker,
+          );
+          return { type: "success", result: { type: "boolean", value: marked }, realm: "r" };
+        }
+        return {
+          type: "success",
+          result: { type: "string", value: chrome.tabs.get(tabOf(target.context))?.title },
+          realm: "r",
+        };
+      }
+      default:
+        return {};
+    }
+  };
+  server.on("connection", (ws) => {
+    ws.on("message", (data) => {
+      const cmd = JSON.parse(rawDataToString(data)) as BidiCommand;
+      commands.push(cmd);
+      ws.send(JSON.stringify({ type: "success", id: cmd.id, result: answer(cmd) }));
+    });
+  });
+  return {
+    url: `ws://127.0.0.1:${port}/session`,
+    commands,
+    emit(method: string, params: Record<string, unknown>) {
+      for (const ws of server.clients) {
+        ws.send(JSON.stringify({ type: "event", method, params }));
+      }
+    },
+    async close() {
+      for (const ws of server.clients) {
+        ws.terminate();
+      }
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+describe("chrome extension service worker (fake chrome.*)", () => {
+  let port = 0;
+  let extraPorts: number[] = [];
+  let fake: FakeChrome | null = null;
+
+  afterEach(async () => {
+    fake?.dispose();
+    fake = null;
+    vi.unstubAllGlobals();
+    if (port) {
+      await stopChromeExtensionRelayServer({ cdpUrl: `http://127.0.0.1:${port}` }).catch(() => {});
+      port = 0;
+    }
+    for (const extra of extraPorts) {
+      await stopChromeExtensionRelayServer({ cdpUrl: `http://127.0.0.1:${extra}` }).catch(() => {});
+    }
+    extraPorts = [];
+  });
+
+  async function setup() {
+    port = await getFreePort();
+    await ensureChromeExtensionRelayServer({ cdpUrl: `http://127.0.0.1:${port}` });
+    const chrome = createFakeChrome();
+    fake = chrome;
+    const tab = chrome.addTab({ url: "https://example.com/", title: "Example", active: true });
+    await loadBackgroundWorker(chrome, { relayPort: port });
+    return { chrome, tab };
+  }
+
+  it("attaches the active tab from the popup and routes CDP commands to it", async () => {
+    const { chrome, tab } = await setup();
+
+    const status = (await chrome.sendMessage({ type: "toggleActiveTab" })) as {
+      activeTabAttached: boolean;
+    };
+    expect(status.activeTabAttached).toBe(true);
+    expect(chrome.attached.has(tab.id)).toBe(true);
+    expect(chrome.badges.get(tab.id)?.text).toBe("ON");
+
+    const targets = await waitFor(async () => {
+      const list = await listTargets(port);
+      return list.some((t) => t.id === fakeTargetId(tab.id)) ? list : null;
+    });
+    expect(targets[0]?.url).toBe("https://example.com/");
+
+    const cdp = await connectCdp(port);
+    const { sessionId } = (await cdp.send("Target.attachToTarget", {
+      targetId: fakeTargetId(tab.id),
+    })) as { sessionId: string };
+    expect(sessionId).toBe("cb-tab-1");
+
+    chrome.setCommandHandler((call) =>
+      call.method === "DOM.getDocument"
+        ? { root: { nodeId: 1, nodeName: "#document" } }
+        : undefined,
+    );
+    const doc = await cdp.send("DOM.getDocument", { depth: 1 }, sessionId);
+    expect(doc).toEqual({ root: { nodeId: 1, nodeName: "#document" } });
+    expect(chrome.debuggerCalls).toContainEqual({
+      tabId: tab.id,
+      method: "DOM.getDocument",
+      params: { depth: 1 },
+    });
+    cdp.close();
+  }, 15_000);
+
+  it("detaches from the popup and tells CDP clients the target is gone", async () => {
+    const { chrome, tab } = await setup();
+    await chrome.sendMessage({ type: "toggleActiveTab" });
+    const cdp = await connectCdp(port);
+    await cdp.send("Target.setDiscoverTargets", { discover: true });
+    await waitFor(async () => (await listTargets(port)).length === 1);
+
+    await chrome.sendMessage({ type: "detachTab", tabId: tab.id });
+
+    const detached = await cdp.event("Target.detachedFromTarget");
+    expect(detached.params).toMatchObject({
+      sessionId: "cb-tab-1",
+      targetId: fakeTargetId(tab.id),
+    });
+    expect(chrome.attached.has(tab.id)).toBe(false);
+    expect(chrome.badges.get(tab.id)?.text).toBe("");
+    await waitFor(async () => (await listTargets(port)).length === 0);
+    cdp.close();
+  }, 15_000);
+
+  it("re-announces attached tabs under the same session after the relay restarts", async () => {
+    const { chrome, tab } = await setup();
+    await chrome.sendMessage({ type: "toggleActiveTab" });
+    await waitFor(async () => (await listTargets(port)).length === 1);
+
+    const cdpUrl = `http://127.0.0.1:${port}`;
+    await stopChromeExtensionRelayServer({ cdpUrl });
+    await waitFor(() => chrome.badges.get(tab.id)?.text === "…");
+    // The debugger stays attached while the relay is away.
+    expect(chrome.attached.has(tab.id)).toBe(true);
+
+    await ensureChromeExtensionRelayServer({ cdpUrl });
+    const targets = await waitFor(async () => {
+      const list = await listTargets(port);
+      return list.length === 1 ? list : null;
+    }, 10_000);
+    expect(targets[0]?.id).toBe(fakeTargetId(tab.id));
+    await waitFor(() => chrome.badges.get(tab.id)?.text === "ON");
+
+    const cdp = await connectCdp(port);
+    const { sessionId } = (await cdp.send("Target.attachToTarget", {
+      targetId: fakeTargetId(tab.id),
+    })) as { sessionId: string };
+    expect(sessionId).toBe("cb-tab-1");
+    cdp.close();
+  }, 20_000);
+
+  it("moves attached tabs to a new relay when Options change the relay port", async () => {
+    const { chrome, tab } = await setup();
+    await chrome.sendMessage({ type: "toggleActiveTab" });
+    await waitFor(async () => (await listTargets(port)).length === 1);
+
+    const nextPort = await getFreePort();
+    extraPorts.push(nextPort);
+    await ensureChromeExtensionRelayServer({ cdpUrl: `http://127.0.0.1:${nextPort}` });
+    await chrome.chrome.storage.local.set({ relayPort: nextPort });
+
+    const targets = await waitFor(async () => {
+      const list = await listTargets(nextPort);
+      return list.length === 1 ? list : null;
+    });
+    expect(targets[0]?.id).toBe(fakeTargetId(tab.id));
+    // The old relay lost its extension connection, so it no longer lists the tab.
+    await waitFor(async () => (await listTargets(port)).length === 0);
+    expect(chrome.attached.has(tab.id)).toBe(true);
+    await waitFor(() => chrome.badges.get(tab.id)?.text === "ON");
+  }, 15_000);
+
+  it("toggles the focused tab with the keyboard shortcut", async () => {
+    const { chrome, tab } = await setup();
+
+    chrome.runCommand("toggle-attach", tab.id);
+    await waitFor(() => chrome.badges.get(tab.id)?.text === "ON");
+    expect(chrome.attached.has(tab.id)).toBe(true);
+    await waitFor(async () => (await listTargets(port)).length === 1);
+
+    chrome.runCommand("toggle-attach", tab.id);
+    await waitFor(() => chrome.badges.get(tab.id)?.text === "");
+    expect(chrome.attached.has(tab.id)).toBe(false);
+    await waitFor(async () => (await listTargets(port)).length === 0);
+
+    // Without a tab (e.g. the shortcut fired from a devtools window) it falls back to the active tab.
+    chrome.runCommand("toggle-attach");
+    await waitFor(() => chrome.badges.get(tab.id)?.text === "ON");
+    expect(chrome.attached.has(tab.id)).toBe(true);
+  }, 15_000);
+
+  it("attaches every web page in the window and detaches them all with shortcuts", async () => {
+    const { chrome, tab } = await setup();
+    const second = chrome.addTab({ url: "https://example.org/docs", title: "Docs" });
+    const newTab = chrome.addTab({ url: "chrome://newtab/", title: "New Tab" });
+    const otherWindow = chrome.addTab({ url: "https://example.net/", windowId: 2 });
+
+    chrome.runCommand("attach-window", tab.id);
+    await waitFor(() => chrome.badges.get(second.id)?.text === "ON");
+    expect(chrome.badges.get(tab.id)?.text).toBe("ON");
+    expect([...chrome.attached].toSorted((a, b) => a - b)).toEqual([tab.id, second.id]);
+    expect(chrome.attached.has(newTab.id)).toBe(false);
+    expect(chrome.attached.has(otherWindow.id)).toBe(false);
+    await waitFor(async () => (await listTargets(port)).length === 2);
+
+    chrome.runCommand("detach-all", tab.id);
+    await waitFor(() => chrome.attached.size === 0);
+    expect(chrome.badges.get(tab.id)?.text).toBe("");
+    expect(chrome.badges.get(second.id)?.text).toBe("");
+    await waitFor(async () => (await listTargets(port)).length === 0);
+  }, 15_000);
+
+  it("lets the page context menu attach and detach the tab", async () => {
+    const { chrome, tab } = await setup();
+    chrome.install();
+    const menu = await waitFor(() => chrome.contextMenus.get("openclaw-handle-page"));
+    expect(menu).toMatchObject({
+      title: "Let the agent handle this page",
+      documentUrlPatterns: ["http://*/*", "https://*/*"],
+    });
+
+    chrome.clickContextMenu("openclaw-handle-page", tab.id);
+    await waitFor(() => chrome.badges.get(tab.id)?.text === "ON");
+    expect(chrome.attached.has(tab.id)).toBe(true);
+    await waitFor(() => menu.title === "Stop letting the agent handle this page");
+
+    chrome.clickContextMenu("openclaw-handle-page", tab.id);
+    await waitFor(() => chrome.badges.get(tab.id)?.text === "");
+    expect(chrome.attached.has(tab.id)).toBe(false);
+    await waitFor(() => menu.title === "Let the agent handle this page");
+  }, 15_000);
+
+  it("opens and attaches a new tab for Target.createTarget", async () => {
+    const { chrome } = await setup();
+    await chrome.sendMessage({ type: "toggleActiveTab" });
+    const cdp = await connectCdp(port);
+
+    const { targetId } = (await cdp.send("Target.createTarget", {
+      url: "https://example.org/new",
+    })) as { targetId: string };
+
+    const created = [...chrome.tabs.values()].find((t) => t.url === "https://example.org/new");
+    expect(created).toBeDefined();
+    expect(targetId).toBe(fakeTargetId(created!.id));
+    expect(created?.active).toBe(false);
+    expect(chrome.attached.has(created!.id)).toBe(true);
+    const attached = await cdp.event(
+      "Target.attachedToTarget",
+      (m) => (m.params?.targetInfo as { targetId?: string } | undefined)?.targetId === targetId,
+    );
+    expect(attached.params?.sessionId).toBe("cb-tab-2");
+    cdp.close();
+  }, 15_000);
+
+  it("routes child (iframe) sessions through their parent tab", async () => {
+    const { chrome, tab } = await setup();
+    await chrome.sendMessage({ type: "toggleActiveTab" });
+    const cdp = await connectCdp(port);
+    await cdp.send("Target.setDiscoverTargets", { discover: true });
+    await waitFor(async () => (await listTargets(port)).length === 1);
+
+    chrome.emitDebuggerEvent(tab.id, "Target.attachedToTarget", {
+      sessionId: "IFRAME-1",
+      targetInfo: { targetId: "FRAME-1", type: "iframe", url: "https://ads.example/", title: "" },
+      waitingForDebugger: false,
+    });
+    const childAttached = await cdp.event(
+      "Target.attachedToTarget",
+      (m) => m.params?.sessionId === "IFRAME-1",
+    );
+    expect(childAttached.sessionId).toBe("cb-tab-1");
+
+    chrome.setCommandHandler((call) =>
+      call.sessionId === "IFRAME-1" && call.method === "Runtime.evaluate"
+        ? { result: { type: "string", value: "frame" } }
+        : undefined,
+    );
+    const evaluated = await cdp.send("Runtime.evaluate", { expression: "name" }, "IFRAME-1");
+    expect(evaluated).toEqual({ result: { type: "string", value: "frame" } });
+    expect(chrome.debuggerCalls.at(-1)).toMatchObject({
+      tabId: tab.id,
+      sessionId: "IFRAME-1",
+      method: "Runtime.evaluate",
+    });
+
+    chrome.emitDebuggerEvent(
+      tab.id,
+      "Page.frameNavigated",
+      { frame: { id: "FRAME-1" } },
+      "IFRAME-1",
+    );
+    const childEvent = await cdp.event("Page.frameNavigated");
+    expect(childEvent.sessionId).toBe("IFRAME-1");
+    cdp.close();
+  }, 15_000);
+
+  it("asks before typing into a password field inside a cross-origin iframe", async () => {
+    const { chrome, tab } = await setup();
+    await chrome.chrome.storage.local.set({ approvalSettings: { passwordInput: true } });
+    await chrome.sendMessage({ type: "toggleActiveTab" });
+    const cdp = await connectCdp(port);
+    const { sessionId } = (await cdp.send("Target.attachToTarget", {
+      targetId: fakeTargetId(tab.id),
+    })) as { sessionId: string };
+    chrome.emitDebuggerEvent(tab.id, "Target.attachedToTarget", {
+      sessionId: "IFRAME-1",
+      targetInfo: { targetId: "FRAME-1", type: "iframe", url: "https://login.example/", title: "" },
+      waitingForDebugger: false,
+    });
+    await cdp.event("Target.attachedToTarget", (m) => m.params?.sessionId === "IFRAME-1");
+
+    // The top document only sees the focused <iframe>; the field lives in the frame's own session.
+    chrome.setCommandHandler((call) => {
+      if (call.method !== "Runtime.evaluate") {
+        return undefined;
+      }
+      const value =
+        call.sessionId === "IFRAME-1"
+          ? { tag: "input", type: "password", inForm: true, hasFocus: true }
+          : { tag: "iframe", type: "", inForm: false, hasFocus: false };
+      return { result: { type: "object", value } };
+    });
+    const id = 901;
+    cdp.raw({ id, method: "Input.insertText", params: { text: "hunter2" }, sessionId });
+
+    const prompt = await waitFor(() =>
+      [...chrome.tabs.values()].find((t) => t.url.includes("approval.html?id=")),
+    );
+    const approvalId = Number(new URL(prompt.url).searchParams.get("id"));
+    await chrome.sendMessage({ type: "resolveApproval", id: approvalId, approved: false });
+
+    const denied = await waitFor(() => cdp.messages.find((m) => m.id === id));
+    expect(denied.error).toMatchObject({
+      data: { code: "approval_denied", kind: "passwordInput" },
+    });
+    expect(chrome.debuggerCalls.some((call) => call.method === "Input.insertText")).toBe(false);
+    cdp.close();
+  }, 15_000);
+
+  it("pauses a tab the user takes over and resumes it on hand back", async () => {
+    const { chrome, tab } = await setup();
+    await chrome.sendMessage({ type: "toggleActiveTab" });
+    const cdp = await connectCdp(port);
+    const { sessionId } = (await cdp.send("Target.attachToTarget", {
+      targetId: fakeTargetId(tab.id),
+    })) as { sessionId: string };
+
+    await chrome.sendMessage({ type: "takeOverTab", tabId: tab.id });
+    expect(chrome.badges.get(tab.id)?.text).toBe("YOU");
+    await cdp.event("OpenClaw.tabTakenOver", (m) => m.sessionId === sessionId);
+
+    const callsBefore = chrome.debuggerCalls.length;
+    const id = 900;
+    cdp.raw({ id, method: "DOM.getDocument", sessionId });
+    const paused = await waitFor(() => cdp.messages.find((m) => m.id === id));
+    expect(paused.error).toMatchObject({
+      message: expect.stringContaining("taken over"),
+      data: { code: "paused_by_user", retryable: true, targetId: fakeTargetId(tab.id) },
+    });
+    expect(chrome.debuggerCalls.length).toBe(callsBefore);
+
+    await chrome.sendMessage({ type: "handBackTab", tabId: tab.id });
+    const handedBack = await cdp.event("OpenClaw.tabHandedBack", (m) => m.sessionId === sessionId);
+    expect(handedBack.params).toMatchObject({ targetId: fakeTargetId(tab.id) });
+    expect(typeof handedBack.params?.pausedMs).toBe("number");
+    expect(chrome.badges.get(tab.id)?.text).toBe("ON");
+    await expect(cdp.send("DOM.getDocument", {}, sessionId)).resolves.toEqual({});
+    cdp.close();
+  }, 15_000);
+
+  it("reports only downloads from attached tabs to the relay", async () => {
+    const { chrome, tab } = await setup();
+    const userTab = chrome.addTab({ url: "https://user.example/inbox", title: "Inbox" });
+    await chrome.sendMessage({ type: "toggleActiveTab" });
+    const targetId = fakeTargetId(tab.id);
+    await waitFor(async () => (await listTargets(port)).some((t) => t.id === targetId));
+    const cdp = await connectCdp(port);
+    const { sessionId } = (await cdp.send("Target.attachToTarget", { targetId })) as {
+      sessionId: string;
+    };
+    // Any agent command opens the window in which new downloads may be the agent's.
+    await cdp.send("Runtime.evaluate", { expression: "1" }, sessionId);
+
+    // The user saves a file in a tab the agent never touched: left where Chrome puts it.
+    const user = await chrome.startDownload({
+      url: "https://user.example/statement.pdf",
+      referrer: userTab.url,
+    });
+    expect(user.suggestion).toBeUndefined();
+    chrome.completeDownload(user.id, "/home/me/Downloads/statement.pdf");
+
+    const agent = await chrome.startDownload({
+      url: "https://example.com/report.csv",
+      referrer: tab.url,
+    });
+    expect(agent.suggestion).toEqual({
+      filename: "OpenClaw/report.csv",
+      conflictAction: "uniquify",
+    });
+    chrome.completeDownload(agent.id, "/home/me/Downloads/OpenClaw/report.csv");
+
+    const begun = await cdp.event("Browser.downloadWillBegin");
+    expect(begun.params).toMatchObject({
+      frameId: targetId,
+      url: "https://example.com/report.csv",
+      suggestedFilename: "report.csv",
+    });
+    await cdp.event("Browser.downloadProgress");
+    const reported = cdp.messages.filter((m) => m.method?.startsWith("Browser.download"));
+    expect(reported.map((m) => m.params?.url).filter(Boolean)).toEqual([
+      "https://example.com/report.csv",
+    ]);
+    cdp.close();
+  }, 15_000);
+
+  it("drives Firefox tabs over WebDriver BiDi and refuses unmapped CDP methods", async () => {
+    port = await getFreePort();
+    await ensureChromeExtensionRelayServer({ cdpUrl: `http://127.0.0.1:${port}` });
+    const chrome = createFakeChrome({ debuggerApi: false });
+    fake = chrome;
+    const tab = chrome.addTab({ url: "https://example.com/", title: "Example", active: true });
+    const bidi = await startFakeBidi(chrome);
+    try {
+      await chrome.chrome.storage.local.set({ bidiUrl: bidi.url });
+      await loadBackgroundWorker(chrome, {
+        relayPort: port,
+        userAgent: "Mozilla/5.0 (X11; Linux x86_64; rv:128.0) Gecko/20100101 Firefox/128.0",
+        origin: "moz-extension://0b6f3c1e-5a2d-4f7e-9c8b-1d2e3f4a5b6c",
+      });
+
+      const status = (await chrome.sendMessage({ type: "toggleActiveTab" })) as {
+        activeTabAttached: boolean;
+        browser: { name: string; bidi?: { connected: boolean } };
+      };
+      expect(status.activeTabAttached).toBe(true);
+      expect(status.browser).toMatchObject({ name: "Firefox", bidi: { connected: true } });
+      expect(chrome.badges.get(tab.id)?.text).toBe("ON");
+      expect(bidi.commands[0]?.method).toBe("session.new");
+      expect(bidi.commands).toContainEqual(
+        expect.objectContaining({
+          method: "session.subscribe",
+          params: expect.objectContaining({ contexts: [`CTX-${tab.id}`] }),
+        }),
+      );
+
+      const targetId = `CTX-${tab.id}`;
+      await waitFor(async () => (await listTargets(port)).some((t) => t.id === targetId));
+      const cdp = await connectCdp(port);
+      const { sessionId } = (await cdp.send("Target.attachToTarget", { targetId })) as {
+        sessionId: string;
+      };
+
+      const evaluated = await cdp.send(
+        "Runtime.evaluate",
+        { expression: "document.title", returnByValue: true },
+        sessionId,
+      );
+      expect(evaluated).toEqual({ result: { type: "string", value: "Example" } });
+      expect(bidi.commands).toContainEqual(
+        expect.objectContaining({
+          method: "script.evaluate",
+          params: expect.objectContaining({
+            expression: "document.title",
+            target: { context: targetId },
+            resultOwnership: "none",
+          }),
+        }),
+      );
+
+      bidi.emit("browsingContext.load", { context: targetId, url: tab.url, timestamp: 1500 });
+      const load = await cdp.event("Page.loadEventFired", (m) => m.sessionId === sessionId);
+      expect(load.params).toEqual({ timestamp: 1.5 });
+
+      const id = 901;
+      cdp.raw({ id, method: "DOM.getDocument", sessionId });
+      const refused = await waitFor(() => cdp.messages.find((m) => m.id === id));
+      expect(refused.error).toMatchObject({
+        message: expect.stringContaining("DOM.getDocument"),
+        data: { code: "cdp_unsupported", method: "DOM.getDocument", browser: "Firefox" },
+      });
+      cdp.close();
+    } finally {
+      await bidi.close();
+    }
+  }, 15_000);
+});
@@ -0,0 +1,388 @@
+import { describe, expect, it } from "vitest";
+
+type BidiCommand = {
+  method: string;
+  params: Record<string, unknown>;
+  toCdp: (result: unknown) => unknown;
+};
+
+type CdpBidiModule = {
+  DEFAULT_BIDI_URL: string;
+  normalizeBidiUrl: (raw: unknown) => string | null;
+  deserializeBidiValue: (value: unknown) => unknown;
+  bidiValueToCdp: (value: unknown, returnByValue?: boolean) => Record<string, unknown>;
+  cdpCommandToBidi: (
+    method: string,
+    params: Record<string, unknown>,
+    context: string,
+  ) => BidiCommand | { result: unknown } | null;
+  bidiEventToCdp: (
+    method: string,
+    params: Record<string, unknown>,
+  ) => Array<{ method: string; params: Record<string, unknown> }>;
+};
+
+// Plain JS shipped as a static asset; keep the import untyped for tsc.
+const CDP_BIDI_MODULE: string = "../../assets/chrome-extension/cdp-bidi.js";
+
+async function loadCdpBidi(): Promise<CdpBidiModule> {
+  return (await import(CDP_BIDI_MODULE)) as CdpBidiModule;
+}
+
+async function mapCommand(method: string, params: Record<string, unknown> = {}) {
+  const { cdpCommandToBidi } = await loadCdpBidi();
+  return cdpCommandToBidi(method, params, "CTX-1") as BidiCommand;
+}
+
+describe("chrome extension CDP → WebDriver BiDi mapping", () => {
+  it("validates the BiDi socket URL", async () => {
+    const { normalizeBidiUrl, DEFAULT_BIDI_URL } = await loadCdpBidi();
+
+    expect(normalizeBidiUrl("")).toBe(DEFAULT_BIDI_URL);
+    expect(normalizeBidiUrl(" ws://127.0.0.1:9333/session ")).toBe("ws://127.0.0.1:9333/session");
+    expect(normalizeBidiUrl("http://127.0.0.1:9222")).toBeNull();
+    expect(normalizeBidiUrl("not a url")).toBeNull();
+  });
+
+  it("answers domain enables and auto-attach locally", async () => {
+    const { cdpCommandToBidi } = await loadCdpBidi();
+
+    expect(cdpCommandToBidi("Page.enable", {}, "CTX-1")).toEqual({ result: {} });
+    expect(cdpCommandToBidi("Network.disable", {}, "CTX-1")).toEqual({ result: {} });
+    expect(cdpCommandToBidi("Target.setAutoAttach", { autoAttach: true }, "CTX-1")).toEqual({
+      result: {},
+    });
+    expect(cdpCommandToBidi("DOM.enable", {}, "CTX-1")).toBeNull();
+  });
+
+  it("evaluates scripts in the tab's browsing context", async () => {
+    const byValue = await mapCommand("Runtime.evaluate", {
+      expression: "({ a: [1, NaN] })",
+      returnByValue: true,
+      awaitPromise: true,
+    });
+    expect(byValue.method).toBe("script.evaluate");
+    expect(byValue.params).toEqual({
+      expression: "({ a: [1, NaN] })",
+      target: { context: "CTX-1" },
+      awaitPromise: true,
+      resultOwnership: "none",
+      userActivation: false,
+    });
+    const object = {
+      type: "object",
+      value: [
+        [
+          "a",
+          {
+            type: "array",
+            value: [
+              { type: "number", value: 1 },
+              { type: "number", value: "NaN" },
+            ],
+          },
+        ],
+      ],
+    };
+    expect(byValue.toCdp({ type: "success", result: object })).toEqual({
+      result: { type: "object", value: { a: [1, Number.NaN] } },
+    });
+
+    const byHandle = await mapCommand("Runtime.evaluate", { expression: "document.body" });
+    expect(byHandle.params.resultOwnership).toBe("root");
+    expect(byHandle.toCdp({ type: "success", result: { type: "node", handle: "h-1" } })).toEqual({
+      result: { type: "object", subtype: "node", objectId: "h-1" },
+    });
+
+    expect(
+      byHandle.toCdp({
+        type: "exception",
+        exceptionDetails: {
+          text: "ReferenceError: nope is not defined",
+          lineNumber: 0,
+          columnNumber: 0,
+          exception: { type: "error" },
+        },
+      }),
+    ).toMatchObject({
+      result: {
+        type: "object",
+        subtype: "error",
+        description: "ReferenceError: nope is not defined",
+      },
+      exceptionDetails: { text: "Uncaught" },
+    });
+  });
+
+  it("calls functions on remote objects with serialized arguments", async () => {
+    const call = await mapCommand("Runtime.callFunctionOn", {
+      functionDeclaration: "function (x) { return this.id + x.n }",
+      objectId: "h-1",
+      arguments: [{ value: { n: 2 } }, { unserializableValue: "10n" }, { objectId: "h-2" }],
+      returnByValue: true,
+    });
+
+    expect(call.method).toBe("script.callFunction");
+    expect(call.params).toMatchObject({
+      this: { handle: "h-1" },
+      arguments: [
+        { type: "object", value: [["n", { type: "number", value: 2 }]] },
+        { type: "bigint", value: "10" },
+        { handle: "h-2" },
+      ],
+      resultOwnership: "none",
+    });
+  });
+
+  it("refuses CDP execution context ids, which BiDi does not have", async () => {
+    const { cdpCommandToBidi } = await loadCdpBidi();
+
+    expect(
+      cdpCommandToBidi("Runtime.evaluate", { expression: "1", contextId: 3 }, "CTX-1"),
+    ).toBeNull();
+    expect(
+      cdpCommandToBidi(
+        "Runtime.callFunctionOn",
+        { functionDeclaration: "() => 1", executionContextId: 3 },
+        "CTX-1",
+      ),
+    ).toBeNull();
+  });
+
+  it("maps navigation, screenshots and viewport changes", async () => {
+    const navigate = await mapCommand("Page.navigate", { url: "https://example.org/" });
+    expect(navigate.params).toEqual({
+      context: "CTX-1",
+      url: "https://example.org/",
+      wait: "interactive",
+    });
+    expect(navigate.toCdp({ navigation: "nav-1", url: "https://example.org/" })).toEqual({
+      frameId: "CTX-1",
+      loaderId: "nav-1",
+    });
+
+    const shot = await mapCommand("Page.captureScreenshot", {
+      format: "jpeg",
+      quality: 80,
+      clip: { x: 10, y: 20, width: 300, height: 200, scale: 1 },
+    });
+    expect(shot.params).toEqual({
+      context: "CTX-1",
+      origin: "viewport",
+      format: { type: "image/jpeg", quality: 0.8 },
+      clip: { type: "box", x: 10, y: 20, width: 300, height: 200 },
+    });
+    expect(shot.toCdp({ data: "aGk=" })).toEqual({ data: "aGk=" });
+
+    const viewport = await mapCommand("Emulation.setDeviceMetricsOverride", {
+      width: 0,
+      height: 0,
+      deviceScaleFactor: 2,
+      mobile: false,
+    });
+    expect(viewport.params).toEqual({ context: "CTX-1", viewport: null, devicePixelRatio: 2 });
+
+    const tree = await mapCommand("Page.getFrameTree");
+    expect(
+      tree.toCdp({
+        contexts: [
+          {
+            context: "CTX-1",
+            url: "https://example.com/",
+            children: [{ context: "CTX-2", url: "about:blank", children: [] }],
+          },
+        ],
+      }),
+    ).toMatchObject({
+      frameTree: {
+        frame: { id: "CTX-1", url: "https://example.com/", securityOrigin: "https://example.com" },
+        childFrames: [{ frame: { id: "CTX-2", parentId: "CTX-1", securityOrigin: "" } }],
+      },
+    });
+  });
+
+  it("turns mouse and keyboard input into input.performActions", async () => {
+    const press = await mapCommand("Input.dispatchMouseEvent", {
+      type: "mousePressed",
+      x: 10.6,
+      y: 20.2,
+      button: "right",
+      clickCount: 1,
+    });
+    expect(press.params.actions).toEqual([
+      {
+        type: "pointer",
+        id: "mouse",
+        parameters: { pointerType: "mouse" },
+        actions: [
+          { type: "pointerMove", x: 11, y: 20 },
+          { type: "pointerDown", button: 2 },
+        ],
+      },
+    ]);
+
+    const enter = await mapCommand("Input.dispatchKeyEvent", {
+      type: "keyDown",
+      key: "Enter",
+      text: "\r",
+    });
+    expect(enter.params.actions).toEqual([
+      { type: "key", id: "keyboard", actions: [{ type: "keyDown", value: "\uE007" }] },
+    ]);
+    const letter = await mapCommand("Input.dispatchKeyEvent", { type: "keyUp", key: "a" });
+    expect(letter.params.actions).toEqual([
+      { type: "key", id: "keyboard", actions: [{ type: "keyUp", value: "a" }] },
+    ]);
+
+    const typed = await mapCommand("Input.insertText", { text: "hé" });
+    expect(typed.params.actions).toEqual([
+      {
+        type: "key",
+        id: "keyboard",
+        actions: [
+          { type: "keyDown", value: "h" },
+          { type: "keyUp", value: "h" },
+          { type: "keyDown", value: "é" },
+          { type: "keyUp", value: "é" },
+        ],
+      },
+    ]);
+
+    const { cdpCommandToBidi } = await loadCdpBidi();
+    expect(
+      cdpCommandToBidi("Input.dispatchKeyEvent", { type: "char", text: "a" }, "CTX-1"),
+    ).toEqual({
+      result: {},
+    });
+    expect(
+      cdpCommandToBidi(
+        "Input.dispatchMouseEvent",
+        { type: "mousePressed", x: 1, y: 1, modifiers: 8 },
+        "CTX-1",
+      ),
+    ).toBeNull();
+    expect(
+      cdpCommandToBidi("Input.dispatchKeyEvent", { type: "keyDown", key: "Unidentified" }, "CTX-1"),
+    ).toBeNull();
+  });
+
+  it("has no mapping for the rest of CDP", async () => {
+    const { cdpCommandToBidi } = await loadCdpBidi();
+
+    for (const method of [
+      "DOM.getDocument",
+      "Page.startScreencast",
+      "Network.getCookies",
+      "Accessibility.getFullAXTree",
+    ]) {
+      expect(cdpCommandToBidi(method, {}, "CTX-1")).toBeNull();
+    }
+  });
+});
+
+describe("chrome extension WebDriver BiDi → CDP events", () => {
+  it("maps page lifecycle and dialog events", async () => {
+    const { bidiEventToCdp } = await loadCdpBidi();
+
+    expect(bidiEventToCdp("browsingContext.load", { context: "CTX-1", timestamp: 2500 })).toEqual([
+      { method: "Page.loadEventFired", params: { timestamp: 2.5 } },
+    ]);
+    expect(
+      bidiEventToCdp("browsingContext.userPromptOpened", {
+        context: "CTX-1",
+        type: "confirm",
+        message: "Leave?",
+      }),
+    ).toEqual([
+      {
+        method: "Page.javascriptDialogOpening",
+        params: {
+          url: "",
+          frameId: "CTX-1",
+          message: "Leave?",
+          type: "confirm",
+          hasBrowserHandler: false,
+          defaultPrompt: "",
+        },
+      },
+    ]);
+    expect(bidiEventToCdp("browsingContext.contextCreated", { context: "CTX-1" })).toEqual([]);
+  });
+
+  it("maps console output and page errors", async () => {
+    const { bidiEventToCdp } = await loadCdpBidi();
+
+    expect(
+      bidiEventToCdp("log.entryAdded", {
+        type: "console",
+        method: "warn",
+        level: "warn",
+        text: "careful",
+        timestamp: 1000,
+        args: [{ type: "string", value: "careful" }],
+        source: { context: "CTX-1" },
+      }),
+    ).toEqual([
+      {
+        method: "Runtime.consoleAPICalled",
+        params: {
+          type: "warning",
+          args: [{ type: "string", value: "careful" }],
+          executionContextId: 0,
+          timestamp: 1000,
+        },
+      },
+    ]);
+    expect(
+      bidiEventToCdp("log.entryAdded", {
+        type: "javascript",
+        level: "error",
+        text: "TypeError: x is undefined",
+        timestamp: 1000,
+        source: { context: "CTX-1" },
+      })[0],
+    ).toMatchObject({
+      method: "Runtime.exceptionThrown",
+      params: { exceptionDetails: { text: "TypeError: x is undefined" } },
+    });
+  });
+
+  it("maps a finished request to responseReceived plus loadingFinished", async () => {
+    const { bidiEventToCdp } = await loadCdpBidi();
+
+    const events = bidiEventToCdp("network.responseCompleted", {
+      context: "CTX-1",
+      navigation: "nav-1",
+      timestamp: 3000,
+      request: {
+        request: "req-7",
+        url: "https://example.com/app.js",
+        method: "GET",
+        destination: "script",
+      },
+      response: {
+        url: "https://example.com/app.js",
+        status: 200,
+        statusText: "OK",
+        mimeType: "text/javascript",
+        bytesReceived: 512,
+        headers: [
+          { name: "set-cookie", value: { type: "string", value: "a=1" } },
+          { name: "set-cookie", value: { type: "string", value: "b=2" } },
+        ],
+      },
+    });
+
+    expect(events.map((e) => e.method)).toEqual([
+      "Network.responseReceived",
+      "Network.loadingFinished",
+    ]);
+    expect(events[0]?.params).toMatchObject({
+      requestId: "req-7",
+      loaderId: "nav-1",
+      type: "Script",
+      response: { status: 200, headers: { "set-cookie": "a=1\nb=2" }, encodedDataLength: 512 },
+    });
+    expect(events[1]?.params).toEqual({ requestId: "req-7", timestamp: 3, encodedDataLength: 512 });
+  });
+});
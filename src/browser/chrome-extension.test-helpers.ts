@@ -0,0 +1,564 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { vi } from "vitest";
+import WebSocket from "ws";
+
+/**
+ * In-memory stand-in for the chrome.* APIs the relay extension's service worker uses,
+ * so `assets/chrome-extension/background.js` can run in Node against a real relay.
+ */
+
+const EXTENSION_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../assets/chrome-extension",
+);
+// Plain JS shipped as a static asset; keep the import untyped for tsc.
+const BACKGROUND_MODULE: string = "../../assets/chrome-extension/background.js";
+
+export const FAKE_EXTENSION_ID = "openclawfakeextensionid";
+
+type Listener = (...args: never[]) => unknown;
+
+export type FakeEvent = {
+  addListener: (fn: Listener) => void;
+  removeListener: (fn: Listener) => void;
+  hasListener: (fn: Listener) => boolean;
+  listeners: Listener[];
+};
+
+function createEvent(): FakeEvent {
+  const listeners: Listener[] = [];
+  return {
+    listeners,
+    addListener: (fn) => void listeners.push(fn),
+    removeListener: (fn) => {
+      const index = listeners.indexOf(fn);
+      if (index >= 0) {
+        listeners.splice(index, 1);
+      }
+    },
+    hasListener: (fn) => listeners.includes(fn),
+  };
+}
+
+function dispatch(event: FakeEvent, ...args: unknown[]): unknown[] {
+  return event.listeners.map((fn) => (fn as (...a: unknown[]) => unknown)(...args));
+}
+
+export type FakeTab = {
+  id: number;
+  windowId: number;
+  index: number;
+  url: string;
+  title: string;
+  active: boolean;
+  groupId: number;
+  incognito: boolean;
+};
+
+export type DebuggerCall = {
+  tabId: number;
+  sessionId?: string;
+  method: string;
+  params?: Record<string, unknown>;
+};
+
+type Debuggee = { tabId?: number; sessionId?: string };
+
+/** Chrome's main-frame target id for a tab (the fake derives it from the tab id). */
+export function fakeTargetId(tabId: number) {
+  return `TARGET-${tabId}`;
+}
+
+function storageArea(area: "local" | "session", onChanged: FakeEvent, isDisposed: () => boolean) {
+  const data = new Map<string, unknown>();
+  const pick = (keys?: string | string[] | null) => {
+    const out: Record<string, unknown> = {};
+    const list = keys == null ? [...data.keys()] : Array.isArray(keys) ? keys : [keys];
+    for (const key of list) {
+      if (data.has(key)) {
+        out[key] = structuredClone(data.get(key));
+      }
+    }
+    return out;
+  };
+  const write = (changes: Record<string, { oldValue?: unknown; newValue?: unknown }>) => {
+    if (Object.keys(changes).length > 0) {
+      dispatch(onChanged, changes, area);
+    }
+  };
+  // A disposed worker's pending storage reads never settle, which parks its reconnect loop.
+  const gate = <T>(fn: () => T) =>
+    isDisposed() ? new Promise<T>(() => {}) : Promise.resolve().then(fn);
+  return {
+    data,
+    get: (keys?: string | string[] | null) => gate(() => pick(keys)),
+    set: (items: Record<string, unknown>) =>
+      gate(() => {
+        const changes: Record<string, { oldValue?: unknown; newValue?: unknown }> = {};
+        for (const [key, value] of Object.entries(items)) {
+          changes[key] = { oldValue: data.get(key), newValue: structuredClone(value) };
+          data.set(key, structuredClone(value));
+        }
+        write(changes);
+      }),
+    remove: (keys: string | string[]) =>
+      gate(() => {
+        const changes: Record<string, { oldValue?: unknown }> = {};
+        for (const key of Array.isArray(keys) ? keys : [keys]) {
+          if (data.has(key)) {
+            changes[key] = { oldValue: data.get(key) };
+            data.delete(key);
+          }
+        }
+        write(changes);
+      }),
+  };
+}
+
+export type FakeDownload = {
+  id: number;
+  url: string;
+  finalUrl: string;
+  referrer: string;
+  filename: string;
+  state: "in_progress" | "complete" | "interrupted";
+  totalBytes: number;
+  bytesReceived: number;
+};
+
+/** A `chrome.scripting.executeScript` call (the Firefox build marks pages to find their BiDi context). */
+export type ScriptCall = { tabId: number; world?: string; args: unknown[] };
+
+/** Pass `debuggerApi: false` for a browser without `chrome.debugger` (Firefox). */
+export function createFakeChrome(options: { debuggerApi?: boolean } = {}) {
+  let disposed = false;
+  const isDisposed = () => disposed;
+  const disposers: Array<() => void> = [];
+  let nextTabId = 1;
+  let nextWindowId = 1;
+  let nextGroupId = 1;
+
+  const tabs = new Map<number, FakeTab>();
+  const attached = new Set<number>();
+  const debuggerCalls: DebuggerCall[] = [];
+  const badges = new Map<number, { text?: string; title?: string }>();
+  const scriptCalls: ScriptCall[] = [];
+  const downloads = new Map<number, FakeDownload>();
+  let nextDownloadId = 1;
+  /** Per-test CDP responses; return undefined to fall back to the defaults. */
+  let commandHandler: (call: DebuggerCall) => unknown = () => undefined;
+
+  const events = {
+    debuggerEvent: createEvent(),
+    debuggerDetach: createEvent(),
+    tabUpdated: createEvent(),
+    tabActivated: createEvent(),
+    windowRemoved: createEvent(),
+    windowFocusChanged: createEvent(),
+    tabGroupRemoved: createEvent(),
+    storageChanged: createEvent(),
+    runtimeMessage: createEvent(),
+    runtimeInstalled: createEvent(),
+    command: createEvent(),
+    contextMenuClicked: createEvent(),
+    downloadCreated: createEvent(),
+    downloadChanged: createEvent(),
+    downloadDeterminingFilename: createEvent(),
+  };
+  /** Context menu items by id, as the worker last created/updated them. */
+  const contextMenus = new Map<string, Record<string, unknown>>();
+
+  const getTab = (tabId: number) => {
+    const tab = tabs.get(tabId);
+    if (!tab) {
+      throw new Error(`No tab with id: ${tabId}.`);
+    }
+    return tab;
+  };
+
+  const addTab = (init: Partial<Omit<FakeTab, "id">> = {}): FakeTab => {
+    const windowId = init.windowId ?? 1;
+    const tab: FakeTab = {
+      id: nextTabId++,
+      windowId,
+      index: [...tabs.values()].filter((t) => t.windowId === windowId).length,
+      url: "https://example.com/",
+      title: "Example",
+      active: false,
+      groupId: -1,
+      incognito: false,
+      ...init,
+    };
+    if (tab.active) {
+      for (const other of tabs.values()) {
+        if (other.windowId === windowId) {
+          other.active = false;
+        }
+      }
+    }
+    tabs.set(tab.id, tab);
+    return tab;
+  };
+
+  const defaultResponse = (call: DebuggerCall): unknown => {
+    if (call.method === "Target.getTargetInfo" && !call.sessionId) {
+      const tab = getTab(call.tabId);
+      return {
+        targetInfo: {
+          targetId: fakeTargetId(tab.id),
+          type: "page",
+          title: tab.title,
+          url: tab.url,
+          attached: true,
+          canAccessOpener: false,
+          browserContextId: "CTX",
+        },
+      };
+    }
+    return {};
+  };
+
+  const chrome = {
+    runtime: {
+      id: FAKE_EXTENSION_ID,
+      getURL: (p: string) => `chrome-extension://${FAKE_EXTENSION_ID}/${p.replace(/^\//, "")}`,
+      getManifest: () =>
+        JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, "manifest.json"), "utf8")) as unknown,
+      openOptionsPage: vi.fn(async () => {}),
+      onMessage: events.runtimeMessage,
+      onInstalled: events.runtimeInstalled,
+    },
+    debugger:
+      options.debuggerApi === false
+        ? undefined
+        : {
+            attach: async (debuggee: Debuggee, _version: string) => {
+              const tabId = Number(debuggee.tabId);
+              getTab(tabId);
+              if (attached.has(tabId)) {
+                throw new Error(
+                  `Another debugger is already attached to the tab with id: ${tabId}.`,
+                );
+              }
+              attached.add(tabId);
+            },
+            detach: async (debuggee: Debuggee) => {
+              const tabId = Number(debuggee.tabId);
+              if (!attached.delete(tabId)) {
+                throw new Error(`Debugger is not attached to the tab with id: ${tabId}.`);
+              }
+            },
+            sendCommand: async (
+              debuggee: Debuggee,
+              method: string,
+              params?: Record<string, unknown>,
+            ) => {
+              const tabId = Number(debuggee.tabId);
+              if (!attached.has(tabId)) {
+                throw new Error(`Debugger is not attached to the tab with id: ${tabId}.`);
+              }
+              const call: DebuggerCall = {
+                tabId,
+                method,
+                ...(debuggee.sessionId ? { sessionId: debuggee.sessionId } : {}),
+                ...(params !== undefined ? { params } : {}),
+              };
+              debuggerCalls.push(call);
+              const custom = await commandHandler(call);
+              return custom === undefined ? defaultResponse(call) : custom;
+            },
+            getTargets: async () =>
+              [...tabs.values()].map((tab) => ({
+                id: fakeTargetId(tab.id),
+                tabId: tab.id,
+                type: "page",
+                url: tab.url,
+                title: tab.title,
+                attached: attached.has(tab.id),
+              })),
+            onEvent: events.debuggerEvent,
+            onDetach: events.debuggerDetach,
+          },
+    tabs: {
+      get: async (tabId: number) => ({ ...getTab(tabId) }),
+      query: async (
+        query: {
+          active?: boolean;
+          currentWindow?: boolean;
+          lastFocusedWindow?: boolean;
+          windowId?: number;
+        } = {},
+      ) =>
+        [...tabs.values()]
+          .filter((tab) => query.active === undefined || tab.active === query.active)
+          .filter((tab) => !(query.currentWindow || query.lastFocusedWindow) || tab.windowId === 1)
+          .filter((tab) => query.windowId === undefined || tab.windowId === query.windowId)
+          .map((tab) => ({ ...tab })),
+      create: async (props: { url?: string; active?: boolean; windowId?: number }) => ({
+        ...addTab({
+          url: props.url ?? "about:blank",
+          title: "",
+          active: props.active === true,
+          windowId: props.windowId,
+        }),
+      }),
+      update: async (tabId: number, props: { active?: boolean; url?: string }) => {
+        const tab = getTab(tabId);
+        if (props.url) {
+          tab.url = props.url;
+        }
+        if (props.active) {
+          for (const other of tabs.values()) {
+            other.active = other.windowId === tab.windowId ? other.id === tabId : other.active;
+          }
+        }
+        return { ...tab };
+      },
+      remove: async (tabId: number) => {
+        getTab(tabId);
+        tabs.delete(tabId);
+        if (attached.delete(tabId)) {
+          dispatch(events.debuggerDetach, { tabId }, "target_closed");
+        }
+      },
+      group: async (opts: { tabIds: number | number[]; groupId?: number }) => {
+        const groupId = opts.groupId ?? nextGroupId++;
+        for (const tabId of Array.isArray(opts.tabIds) ? opts.tabIds : [opts.tabIds]) {
+          getTab(tabId).groupId = groupId;
+        }
+        return groupId;
+      },
+      onUpdated: events.tabUpdated,
+      onActivated: events.tabActivated,
+    },
+    tabGroups: {
+      get: async (groupId: number) => ({ id: groupId, title: "", color: "grey", collapsed: false }),
+      query: async () => [],
+      update: async (groupId: number, props: Record<string, unknown>) => ({
+        id: groupId,
+        ...props,
+      }),
+      onRemoved: events.tabGroupRemoved,
+    },
+    windows: {
+      get: async (windowId: number) => ({ id: windowId, focused: windowId === 1 }),
+      create: async (props: { url?: string }) => {
+        const id = ++nextWindowId;
+        const tab = addTab({ windowId: id, url: props.url ?? "about:blank", active: true });
+        return { id, tabs: [{ ...tab }] };
+      },
+      update: async (windowId: number) => ({ id: windowId }),
+      remove: async (windowId: number) => {
+        dispatch(events.windowRemoved, windowId);
+      },
+      onRemoved: events.windowRemoved,
+      onFocusChanged: events.windowFocusChanged,
+    },
+    storage: {
+      local: storageArea("local", events.storageChanged, isDisposed),
+      session: storageArea("session", events.storageChanged, isDisposed),
+      onChanged: events.storageChanged,
+    },
+    action: {
+      setTitle: async ({ tabId, title }: { tabId: number; title: string }) => {
+        badges.set(tabId, { ...badges.get(tabId), title });
+      },
+      setBadgeText: async ({ tabId, text }: { tabId: number; text: string }) => {
+        badges.set(tabId, { ...badges.get(tabId), text });
+      },
+      setBadgeBackgroundColor: async () => {},
+      setBadgeTextColor: async () => {},
+    },
+    scripting: {
+      executeScript: async (injection: {
+        target: { tabId: number };
+        world?: string;
+        func: (...args: never[]) => unknown;
+        args?: unknown[];
+      }) => {
+        getTab(injection.target.tabId);
+        scriptCalls.push({
+          tabId: injection.target.tabId,
+          world: injection.world,
+          args: injection.args ?? [],
+        });
+        return [{ frameId: 0, result: undefined }];
+      },
+    },
+    downloads: {
+      search: async (query: { id?: number }) =>
+        [...downloads.values()]
+          .filter((item) => query.id === undefined || item.id === query.id)
+          .map((item) => ({ ...item })),
+      pause: async () => {},
+      resume: async () => {},
+      cancel: async () => {},
+      onCreated: events.downloadCreated,
+      onChanged: events.downloadChanged,
+      onDeterminingFilename: events.downloadDeterminingFilename,
+    },
+    permissions: {
+      contains: async () => false,
+      request: async () => false,
+    },
+    commands: {
+      onCommand: events.command,
+    },
+    contextMenus: {
+      create: (props: { id: string } & Record<string, unknown>) => {
+        contextMenus.set(props.id, { ...props });
+      },
+      update: async (id: string, props: Record<string, unknown>) => {
+        const item = contextMenus.get(id);
+        if (!item) {
+          throw new Error(`Cannot find menu item with id ${id}`);
+        }
+        Object.assign(item, props);
+      },
+      removeAll: (done?: () => void) => {
+        contextMenus.clear();
+        done?.();
+      },
+      onClicked: events.contextMenuClicked,
+    },
+  };
+
+  return {
+    chrome,
+    tabs,
+    attached,
+    debuggerCalls,
+    badges,
+    contextMenus,
+    scriptCalls,
+    addTab,
+    setCommandHandler(handler: (call: DebuggerCall) => unknown) {
+      commandHandler = handler;
+    },
+    /** Fire `chrome.debugger.onEvent` as Chrome would for an attached tab (or one of its child sessions). */
+    emitDebuggerEvent(tabId: number, method: string, params: unknown, sessionId?: string) {
+      dispatch(
+        events.debuggerEvent,
+        { tabId, ...(sessionId ? { sessionId } : {}) },
+        method,
+        params,
+      );
+    },
+    /**
+     * Start a download as Chrome would (`onCreated`, then `onDeterminingFilename`); resolves
+     * with the filename suggestion the worker made, or undefined when it kept Chrome's.
+     */
+    async startDownload(init: Partial<Omit<FakeDownload, "id">> & { url: string }) {
+      const item: FakeDownload = {
+        id: nextDownloadId++,
+        finalUrl: init.url,
+        referrer: "",
+        filename: init.url.split("/").pop() || "download",
+        state: "in_progress",
+        totalBytes: 8,
+        bytesReceived: 0,
+        ...init,
+      };
+      downloads.set(item.id, item);
+      dispatch(events.downloadCreated, { ...item });
+      const suggestion = await new Promise<unknown>((resolve) => {
+        const results = dispatch(events.downloadDeterminingFilename, { ...item }, resolve);
+        if (!results.includes(true)) {
+          resolve(undefined);
+        }
+      });
+      return { id: item.id, suggestion };
+    },
+    /** Finish a download started with `startDownload` and fire `chrome.downloads.onChanged`. */
+    completeDownload(id: number, filename: string) {
+      const item = downloads.get(id);
+      if (!item) {
+        throw new Error(`No download with id: ${id}.`);
+      }
+      Object.assign(item, { state: "complete", filename, bytesReceived: item.totalBytes });
+      dispatch(events.downloadChanged, {
+        id,
+        state: { previous: "in_progress", current: "complete" },
+      });
+    },
+    /** Fire `chrome.runtime.onInstalled` (the worker sets up its context menu there). */
+    install() {
+      dispatch(events.runtimeInstalled, { reason: "install" });
+    },
+    /** Press a keyboard shortcut from the manifest's `commands` (Chrome passes the focused tab). */
+    runCommand(command: string, tabId?: number) {
+      dispatch(events.command, command, tabId === undefined ? undefined : { ...getTab(tabId) });
+    },
+    /** Click a context menu item on a page in `tabId`. */
+    clickContextMenu(menuItemId: string, tabId: number) {
+      const tab = getTab(tabId);
+      dispatch(events.contextMenuClicked, { menuItemId, pageUrl: tab.url }, { ...tab });
+    },
+    /** Popup/options → service worker message; resolves with the worker's response. */
+    async sendMessage(msg: Record<string, unknown>): Promise<unknown> {
+      return await new Promise((resolve) => {
+        const results = dispatch(events.runtimeMessage, msg, { id: FAKE_EXTENSION_ID }, resolve);
+        if (!results.includes(true)) {
+          resolve(undefined);
+        }
+      });
+    },
+    /** Run `fn` on dispose (the loader uses it to cut the worker's relay sockets loose). */
+    onDispose(fn: () => void) {
+      disposers.push(fn);
+    },
+    /** Stop answering: parks the worker's timers and reconnect loop once the test is over. */
+    dispose() {
+      disposed = true;
+      for (const fn of disposers.splice(0)) {
+        fn();
+      }
+    },
+  };
+}
+
+export type FakeChrome = ReturnType<typeof createFakeChrome>;
+
+/**
+ * Evaluate a fresh copy of the service worker against `fake`. Call `fake.dispose()`
+ * (then stop the relay) when the test is done.
+ */
+export async function loadBackgroundWorker(
+  fake: FakeChrome,
+  opts: { relayPort: number; userAgent?: string; origin?: string },
+) {
+  await fake.chrome.storage.local.set({ relayPort: opts.relayPort });
+  vi.stubGlobal("chrome", fake.chrome);
+  const sockets = new Set<WebSocket>();
+  // Extension pages connect with their extension Origin (`chrome-extension://` unless the
+  // test says otherwise); the relay insists on one.
+  const origin = opts.origin ?? `chrome-extension://${FAKE_EXTENSION_ID}`;
+  class ExtensionWebSocket extends WebSocket {
+    constructor(url: string) {
+      super(url, { origin });
+      sockets.add(this);
+    }
+  }
+  // A disposed worker must not react to its socket closing after the globals are unstubbed.
+  fake.onDispose(() => {
+    for (const ws of sockets) {
+      ws.removeAllListeners();
+      ws.on("error", () => {});
+      ws.terminate();
+    }
+  });
+  vi.stubGlobal("WebSocket", ExtensionWebSocket);
+  vi.stubGlobal(
+    "navigator",
+    opts.userAgent
+      ? { userAgent: opts.userAgent }
+      : {
+          userAgent: "Mozilla/5.0 (X11; Linux x86_64) Chrome/131.0.0.0 Safari/537.36",
+          userAgentData: { brands: [{ brand: "Google Chrome", version: "131" }] },
+        },
+  );
+  vi.resetModules();
+  await import(BACKGROUND_MODULE);
+}
@@ -39,6 +39,15 @@ export type BrowserResetProfileResult = {
   to?: string;
 };
 
+export type BrowserExtensionPairResult = {
+  ok: true;
+  profile: string;
+  code: string;
+  expiresAt: number;
+  relayUrl: string;
+  bindHost: string;
+};
+
 export type BrowserTab = {
   targetId: string;
   title: string;
@@ -22,6 +22,7 @@ export type ResolvedBrowserConfig = {
   cdpProtocol: "http" | "https";
   cdpHost: string;
   cdpIsLoopback: boolean;
+  relayBindHost?: string;
   remoteCdpTimeoutMs: number;
   remoteCdpHandshakeTimeoutMs: number;
   color: string;
@@ -177,6 +178,7 @@ export function resolveBrowserConfig(
     };
   }
 
+  const relayBindHost = cfg?.relayBindHost?.trim() || undefined;
   const headless = cfg?.headless === true;
   const noSandbox = cfg?.noSandbox === true;
   const attachOnly = cfg?.attachOnly === true;
@@ -203,6 +205,7 @@ export function resolveBrowserConfig(
     cdpProtocol,
     cdpHost: cdpInfo.parsed.hostname,
     cdpIsLoopback: isLoopbackHost(cdpInfo.parsed.hostname),
+    relayBindHost,
     remoteCdpTimeoutMs,
     remoteCdpHandshakeTimeoutMs,
     color: defaultColor,
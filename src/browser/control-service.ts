@@ -1,7 +1,7 @@
 import { loadConfig } from "../config/config.js";
 import { createSubsystemLogger } from "../logging/subsystem.js";
 import { resolveBrowserConfig, resolveProfile } from "./config.js";
-import { ensureBrowserControlAuth } from "./control-auth.js";
+import { ensureBrowserControlAuth, resolveBrowserControlAuth } from "./control-auth.js";
 import { ensureChromeExtensionRelayServer } from "./extension-relay.js";
 import { type BrowserServerState, createBrowserRouteContext } from "./server-context.js";
 
@@ -29,8 +29,10 @@ export async function startBrowserControlServiceFromConfig(): Promise<BrowserSer
   if (!resolved.enabled) {
     return null;
   }
+  let browserAuth = resolveBrowserControlAuth(cfg);
   try {
     const ensured = await ensureBrowserControlAuth({ cfg });
+    browserAuth = ensured.auth;
     if (ensured.generatedToken) {
       logService.info("No browser auth configured; generated gateway.auth.token automatically.");
     }
@@ -38,11 +40,13 @@ export async function startBrowserControlServiceFromConfig(): Promise<BrowserSer
     logService.warn(`failed to auto-configure browser auth: ${String(err)}`);
   }
 
+  const relayAuthSecret = browserAuth.token ?? browserAuth.password;
   state = {
     server: null,
     port: resolved.controlPort,
     resolved,
     profiles: new Map(),
+    relayAuthSecret,
   };
 
   // If any profile uses the Chrome extension relay, start the local relay server eagerly
@@ -52,7 +56,11 @@ export async function startBrowserControlServiceFromConfig(): Promise<BrowserSer
     if (!profile || profile.driver !== "extension") {
       continue;
     }
-    await ensureChromeExtensionRelayServer({ cdpUrl: profile.cdpUrl }).catch((err) => {
+    await ensureChromeExtensionRelayServer({
+      cdpUrl: profile.cdpUrl,
+      bindHost: resolved.relayBindHost,
+      authSecret: relayAuthSecret,
+    }).catch((err) => {
       logService.warn(`Chrome extension relay init failed for profile "${name}": ${String(err)}`);
     });
   }
@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { parseEventFilter, unpackForwardedEvents } from "./extension-relay.events.js";
+
+describe("extension relay events", () => {
+  it("unpacks single events and batches in order", () => {
+    const load = { method: "Page.loadEventFired", params: { timestamp: 1 }, sessionId: "cb-tab-1" };
+    const log = { method: "Log.entryAdded", params: {} };
+
+    expect(unpackForwardedEvents({ method: "forwardCDPEvent", params: load })).toEqual([load]);
+    expect(
+      unpackForwardedEvents({ method: "forwardCDPEventBatch", params: { events: [load, log] } }),
+    ).toEqual([load, log]);
+  });
+
+  it("drops malformed entries and messages that carry no events", () => {
+    const log = { method: "Log.entryAdded" };
+
+    expect(
+      unpackForwardedEvents({
+        method: "forwardCDPEventBatch",
+        params: { events: [null, { params: {} }, { method: "" }, log] },
+      }),
+    ).toEqual([log]);
+    expect(unpackForwardedEvents({ method: "forwardCDPEventBatch", params: {} })).toEqual([]);
+    expect(unpackForwardedEvents({ method: "forwardCDPEvent" })).toEqual([]);
+    expect(unpackForwardedEvents({ method: "pong" })).toEqual([]);
+  });
+
+  it("validates event filter lists", () => {
+    expect(parseEventFilter({ allow: ["Page", "Network.*"], drop: ["Log.entryAdded"] })).toEqual({
+      allow: ["Page", "Network.*"],
+      drop: ["Log.entryAdded"],
+    });
+    expect(parseEventFilter(undefined)).toEqual({ allow: [], drop: [] });
+    expect(() => parseEventFilter({ allow: "Page" })).toThrow(/must be an array/);
+    expect(() => parseEventFilter({ drop: ["Page.*.x"] })).toThrow(/invalid drop entry/);
+  });
+});
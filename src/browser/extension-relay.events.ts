@@ -0,0 +1,66 @@
+/** One debugger event as the extension forwards it. */
+export type ForwardedEvent = { method: string; params?: unknown; sessionId?: string };
+
+export type ExtensionForwardEventMessage = {
+  method: "forwardCDPEvent";
+  params: ForwardedEvent;
+};
+
+/** Several events in one frame (feature `eventBatches`), in the order they happened. */
+export type ExtensionForwardEventBatchMessage = {
+  method: "forwardCDPEventBatch";
+  params: { events?: ForwardedEvent[] };
+};
+
+export type EventFilter = { allow: string[]; drop: string[] };
+
+/** Relay → extension (feature `eventFilter`): which debugger events the CDP clients want. */
+export type RelayEventFilterMessage = {
+  method: "setEventFilter";
+  params: EventFilter;
+};
+
+const EVENT_PATTERN_RE = /^(\*|[A-Za-z]+(\.(\*|[A-Za-z]+))?)$/;
+
+/** Validates `OpenClaw.setEventFilter` params: lists of `Domain`, `Domain.*` or `Domain.event`. */
+export function parseEventFilter(params: unknown): EventFilter {
+  const raw = (params ?? {}) as { allow?: unknown; drop?: unknown };
+  const readList = (value: unknown, field: string): string[] => {
+    if (value === undefined) {
+      return [];
+    }
+    if (!Array.isArray(value)) {
+      throw new Error(`${field} must be an array of CDP domains or events`);
+    }
+    for (const entry of value) {
+      if (typeof entry !== "string" || !EVENT_PATTERN_RE.test(entry)) {
+        throw new Error(`invalid ${field} entry: ${String(entry)}`);
+      }
+    }
+    return value as string[];
+  };
+  return { allow: readList(raw.allow, "allow"), drop: readList(raw.drop, "drop") };
+}
+
+/**
+ * The events carried by a `forwardCDPEvent` or `forwardCDPEventBatch` message, in order.
+ * Entries without a method name are dropped; any other message carries none.
+ */
+export function unpackForwardedEvents(msg: {
+  method?: unknown;
+  params?: unknown;
+}): ForwardedEvent[] {
+  const candidates =
+    msg.method === "forwardCDPEvent"
+      ? [msg.params]
+      : msg.method === "forwardCDPEventBatch"
+        ? (msg.params as ExtensionForwardEventBatchMessage["params"] | undefined)?.events
+        : undefined;
+  if (!Array.isArray(candidates)) {
+    return [];
+  }
+  return candidates.filter((evt): evt is ForwardedEvent => {
+    const method = (evt as Partial<ForwardedEvent> | null)?.method;
+    return typeof method === "string" && method !== "";
+  });
+}
@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import {
+  MIN_EXTENSION_PROTOCOL_VERSION,
+  RELAY_FEATURES,
+  RELAY_PROTOCOL_VERSION,
+  buildRelayHello,
+  checkExtensionHello,
+  extensionInfoFromHello,
+  helloCloseReason,
+} from "./extension-relay.hello.js";
+
+describe("extension relay hello", () => {
+  it("accepts extensions within the supported protocol range", () => {
+    expect(checkExtensionHello({ protocolVersion: RELAY_PROTOCOL_VERSION })).toBeNull();
+    expect(
+      checkExtensionHello({
+        protocolVersion: RELAY_PROTOCOL_VERSION + 1,
+        minProtocolVersion: RELAY_PROTOCOL_VERSION,
+      }),
+    ).toBeNull();
+  });
+
+  it("explains why a hello is refused", () => {
+    expect(checkExtensionHello(undefined)).toMatch(/invalid hello/);
+    expect(checkExtensionHello({ protocolVersion: "2" })).toMatch(/invalid hello/);
+    expect(checkExtensionHello({ protocolVersion: MIN_EXTENSION_PROTOCOL_VERSION - 1 })).toMatch(
+      /too old for this gateway.*openclaw browser extension install/,
+    );
+    expect(
+      checkExtensionHello({
+        protocolVersion: RELAY_PROTOCOL_VERSION,
+        minProtocolVersion: RELAY_PROTOCOL_VERSION + 1,
+      }),
+    ).toMatch(/update OpenClaw/);
+  });
+
+  it("answers with the relay's versions and features", () => {
+    expect(buildRelayHello(null)).toEqual({
+      method: "hello",
+      params: {
+        ok: true,
+        protocolVersion: RELAY_PROTOCOL_VERSION,
+        minProtocolVersion: MIN_EXTENSION_PROTOCOL_VERSION,
+        features: RELAY_FEATURES,
+      },
+    });
+    expect(buildRelayHello("too old").params).toMatchObject({ ok: false, error: "too old" });
+  });
+
+  it("keeps only well-formed extension details", () => {
+    expect(
+      extensionInfoFromHello({
+        protocolVersion: 2,
+        extensionVersion: "0.1.0",
+        features: ["eventBatches", 7, "eventFilter"],
+      }),
+    ).toEqual({
+      protocolVersion: 2,
+      extensionVersion: "0.1.0",
+      features: ["eventBatches", "eventFilter"],
+    });
+    expect(extensionInfoFromHello({ protocolVersion: 2, extensionVersion: 1 })).toEqual({
+      protocolVersion: 2,
+      features: [],
+    });
+  });
+
+  it("caps close reasons at the WebSocket limit", () => {
+    expect(Buffer.byteLength(helloCloseReason("x".repeat(300)))).toBe(123);
+    expect(helloCloseReason("short")).toBe("short");
+  });
+});
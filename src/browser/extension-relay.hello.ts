@@ -0,0 +1,98 @@
+/**
+ * Relay <-> extension protocol. Bump RELAY_PROTOCOL_VERSION on any wire change and raise
+ * MIN_EXTENSION_PROTOCOL_VERSION once the relay can no longer talk to older extensions.
+ * v1 = no handshake (pre-hello extensions); v2 = hello, pong, structured errors, child targets.
+ */
+export const RELAY_PROTOCOL_VERSION = 2;
+export const MIN_EXTENSION_PROTOCOL_VERSION = 2;
+export const RELAY_FEATURES = [
+  "pong",
+  "structuredErrors",
+  "childTargets",
+  "binaryScreencast",
+  "downloads",
+  "uploadPayloads",
+  "eventBatches",
+  "eventFilter",
+];
+export const EXTENSION_HELLO_TIMEOUT_MS = 3000;
+export const HELLO_REJECT_CLOSE_CODE = 4426;
+export const EXTENSION_REINSTALL_HINT = "run `openclaw browser extension install` and reload it";
+export const MISSING_HELLO_REASON = `extension did not send hello (outdated extension?); ${EXTENSION_REINSTALL_HINT}`;
+
+/** First message on `/extension`: what the extension speaks and needs from the relay. */
+export type ExtensionHelloMessage = {
+  method: "hello";
+  params?: {
+    protocolVersion?: unknown;
+    minProtocolVersion?: unknown;
+    extensionVersion?: unknown;
+    features?: unknown;
+  };
+};
+
+/** The relay's answer to `hello`; `ok: false` is followed by a close with {@link HELLO_REJECT_CLOSE_CODE}. */
+export type RelayHelloMessage = {
+  method: "hello";
+  params: {
+    ok: boolean;
+    protocolVersion: number;
+    minProtocolVersion: number;
+    features: string[];
+    error?: string;
+  };
+};
+
+export type ExtensionInfo = {
+  protocolVersion: number;
+  extensionVersion?: string;
+  features: string[];
+};
+
+/** Returns why the relay refuses this hello, or null when the versions are compatible. */
+export function checkExtensionHello(params: ExtensionHelloMessage["params"]): string | null {
+  const version = params?.protocolVersion;
+  if (typeof version !== "number" || !Number.isInteger(version)) {
+    return "extension sent an invalid hello (missing protocolVersion)";
+  }
+  if (version < MIN_EXTENSION_PROTOCOL_VERSION) {
+    return `extension protocol v${version} is too old for this gateway (needs v${MIN_EXTENSION_PROTOCOL_VERSION}+); ${EXTENSION_REINSTALL_HINT}`;
+  }
+  const min = params?.minProtocolVersion;
+  if (typeof min === "number" && min > RELAY_PROTOCOL_VERSION) {
+    return `extension needs relay protocol v${min}+ but this gateway speaks v${RELAY_PROTOCOL_VERSION}; update OpenClaw`;
+  }
+  return null;
+}
+
+/** The relay's `hello` reply; `problem` is the reason from {@link checkExtensionHello}. */
+export function buildRelayHello(problem: string | null): RelayHelloMessage {
+  return {
+    method: "hello",
+    params: {
+      ok: !problem,
+      protocolVersion: RELAY_PROTOCOL_VERSION,
+      minProtocolVersion: MIN_EXTENSION_PROTOCOL_VERSION,
+      features: RELAY_FEATURES,
+      ...(problem ? { error: problem } : {}),
+    },
+  };
+}
+
+/** What `/extension/status` reports about an accepted extension. */
+export function extensionInfoFromHello(params: ExtensionHelloMessage["params"]): ExtensionInfo {
+  const features = params?.features;
+  const extensionVersion = params?.extensionVersion;
+  return {
+    protocolVersion: params?.protocolVersion as number,
+    ...(typeof extensionVersion === "string" ? { extensionVersion } : {}),
+    features: Array.isArray(features)
+      ? features.filter((f): f is string => typeof f === "string")
+      : [],
+  };
+}
+
+/** Close reasons are capped at 123 bytes; the full text is in `/extension/status`. */
+export function helloCloseReason(reason: string): string {
+  return Buffer.from(reason).subarray(0, 123).toString();
+}
@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import {
+  PAIRING_CODE_TTL_MS,
+  createPairingCodes,
+  deriveExtensionToken,
+  normalizePairingCode,
+} from "./extension-relay.pairing.js";
+
+describe("extension relay pairing", () => {
+  it("normalizes pairing codes as users type them", () => {
+    expect(normalizePairingCode("abcd-efgh")).toBe("ABCD-EFGH");
+    expect(normalizePairingCode(" abcd efgh ")).toBe("ABCD-EFGH");
+    expect(normalizePairingCode("ABCDEFG")).toBe("");
+    expect(normalizePairingCode(undefined)).toBe("");
+  });
+
+  it("accepts each code once and only until it expires", () => {
+    let now = 1_000;
+    const codes = createPairingCodes(() => now);
+
+    const first = codes.create();
+    expect(first.code).toMatch(/^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+    expect(first.expiresAt).toBe(1_000 + PAIRING_CODE_TTL_MS);
+    expect(codes.consume(first.code.toLowerCase())).toBe(true);
+    expect(codes.consume(first.code)).toBe(false);
+
+    const second = codes.create();
+    now += PAIRING_CODE_TTL_MS;
+    expect(codes.consume(second.code)).toBe(false);
+  });
+
+  it("derives a stable per-port token from the auth secret", () => {
+    const token = deriveExtensionToken("secret", 18792);
+    expect(deriveExtensionToken(" secret ", 18792)).toBe(token);
+    expect(deriveExtensionToken("secret", 18793)).not.toBe(token);
+    // Without a secret every relay start gets a fresh random token.
+    expect(deriveExtensionToken(undefined, 18792)).not.toBe(deriveExtensionToken("", 18792));
+  });
+});
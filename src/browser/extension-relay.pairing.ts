@@ -0,0 +1,66 @@
+import { createHmac, randomBytes } from "node:crypto";
+
+export const PAIRING_CODE_TTL_MS = 5 * 60_000;
+const PAIRING_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+export type ChromeExtensionRelayPairingCode = {
+  code: string;
+  expiresAt: number;
+};
+
+/** `ABCD-EFGH`: 8 characters without the easily confused 0/O and 1/I. */
+export function createPairingCodeValue(): string {
+  const bytes = randomBytes(8);
+  let code = "";
+  for (const byte of bytes) {
+    code += PAIRING_CODE_ALPHABET[byte % PAIRING_CODE_ALPHABET.length];
+  }
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+/** Accepts the code as typed (any case, with or without the dash); empty when it cannot be one. */
+export function normalizePairingCode(raw: string | undefined): string {
+  const compact = (raw ?? "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return compact.length === 8 ? `${compact.slice(0, 4)}-${compact.slice(4)}` : "";
+}
+
+/**
+ * Token the extension presents on `/extension` (query param) and on authenticated
+ * HTTP requests. Derived from `authSecret` when given so pairings survive restarts.
+ */
+export function deriveExtensionToken(authSecret: string | undefined, port: number): string {
+  const secret = authSecret?.trim();
+  if (!secret) {
+    return randomBytes(32).toString("base64url");
+  }
+  return createHmac("sha256", secret)
+    .update(`openclaw-extension-relay:v1:${port}`)
+    .digest("base64url");
+}
+
+/** One-time pairing codes: each is accepted once, until it expires. */
+export function createPairingCodes(now: () => number = Date.now) {
+  const codes = new Map<string, number>();
+  return {
+    create(): ChromeExtensionRelayPairingCode {
+      const code = createPairingCodeValue();
+      const expiresAt = now() + PAIRING_CODE_TTL_MS;
+      codes.set(code, expiresAt);
+      return { code, expiresAt };
+    },
+    consume(raw: string | undefined): boolean {
+      const at = now();
+      for (const [code, expiresAt] of codes) {
+        if (expiresAt <= at) {
+          codes.delete(code);
+        }
+      }
+      const code = normalizePairingCode(raw);
+      if (!code || !codes.has(code)) {
+        return false;
+      }
+      codes.delete(code);
+      return true;
+    },
+  };
+}
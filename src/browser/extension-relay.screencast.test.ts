@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import WebSocket from "ws";
+import {
+  SCREENCAST_VIEWER_MAX_BUFFERED_BYTES,
+  decodeExtensionBinaryMessage,
+  fanOutScreencastFrame,
+} from "./extension-relay.screencast.js";
+
+function encodeFrame(header: Record<string, unknown>, data: Buffer) {
+  const json = Buffer.from(JSON.stringify(header));
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(json.length);
+  return Buffer.concat([length, json, data]);
+}
+
+function fakeViewer(init: { readyState?: number; bufferedAmount?: number } = {}) {
+  const sent: Buffer[] = [];
+  return {
+    sent,
+    readyState: init.readyState ?? WebSocket.OPEN,
+    bufferedAmount: init.bufferedAmount ?? 0,
+    send: (buf: Buffer) => void sent.push(buf),
+  };
+}
+
+describe("extension relay screencast", () => {
+  const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+  const frame = encodeFrame(
+    { method: "Page.screencastFrame", sessionId: "cb-tab-1", params: { sessionId: 3 } },
+    jpeg,
+  );
+
+  it("decodes the header and payload of a binary message", () => {
+    expect(decodeExtensionBinaryMessage(frame)).toEqual({
+      method: "Page.screencastFrame",
+      sessionId: "cb-tab-1",
+      params: { sessionId: 3 },
+      data: jpeg,
+    });
+    expect(decodeExtensionBinaryMessage(Buffer.from([0, 0]))).toBeNull();
+    expect(decodeExtensionBinaryMessage(encodeFrame({ params: {} }, jpeg))).toBeNull();
+    const truncated = Buffer.alloc(8);
+    truncated.writeUInt32BE(100);
+    expect(decodeExtensionBinaryMessage(truncated)).toBeNull();
+  });
+
+  it("sends CDP clients a base64 event and viewers the untouched frame", () => {
+    const events: unknown[] = [];
+    const viewer = fakeViewer();
+
+    expect(
+      fanOutScreencastFrame(frame, { viewers: [viewer], toCdpClients: (evt) => events.push(evt) }),
+    ).toBe(true);
+
+    expect(events).toEqual([
+      {
+        method: "Page.screencastFrame",
+        params: { sessionId: 3, data: jpeg.toString("base64") },
+        sessionId: "cb-tab-1",
+      },
+    ]);
+    expect(viewer.sent).toEqual([frame]);
+  });
+
+  it("skips viewers that are closed or too far behind", () => {
+    const closed = fakeViewer({ readyState: WebSocket.CLOSED });
+    const behind = fakeViewer({ bufferedAmount: SCREENCAST_VIEWER_MAX_BUFFERED_BYTES + 1 });
+    const live = fakeViewer();
+
+    fanOutScreencastFrame(frame, { viewers: [closed, behind, live] });
+
+    expect(closed.sent).toEqual([]);
+    expect(behind.sent).toEqual([]);
+    expect(live.sent).toEqual([frame]);
+  });
+
+  it("ignores binary messages that are not screencast frames", () => {
+    const viewer = fakeViewer();
+    const other = encodeFrame({ method: "Page.somethingElse" }, jpeg);
+
+    expect(fanOutScreencastFrame(other, { viewers: [viewer], toCdpClients: () => {} })).toBe(false);
+    expect(viewer.sent).toEqual([]);
+  });
+});
@@ -0,0 +1,88 @@
+import WebSocket from "ws";
+
+// Live-preview viewers that fall this far behind skip frames instead of queueing them.
+export const SCREENCAST_VIEWER_MAX_BUFFERED_BYTES = 2 * 1024 * 1024;
+
+export type ExtensionBinaryMessage = {
+  method: string;
+  sessionId?: string;
+  params: Record<string, unknown>;
+  data: Buffer;
+};
+
+export type ScreencastFrameEvent = {
+  method: "Page.screencastFrame";
+  params: Record<string, unknown>;
+  sessionId?: string;
+};
+
+type ScreencastViewer = {
+  readyState: number;
+  bufferedAmount: number;
+  send: (data: Buffer, opts: { binary: boolean }) => void;
+};
+
+/**
+ * Decodes a binary message from the extension (screencast frames): a 4-byte
+ * big-endian header length, the JSON header (`method`, `sessionId`, `params`), then the raw bytes.
+ */
+export function decodeExtensionBinaryMessage(buf: Buffer): ExtensionBinaryMessage | null {
+  if (buf.length < 4) {
+    return null;
+  }
+  const headerLength = buf.readUInt32BE(0);
+  if (4 + headerLength > buf.length) {
+    return null;
+  }
+  let header: { method?: unknown; sessionId?: unknown; params?: unknown };
+  try {
+    header = JSON.parse(buf.subarray(4, 4 + headerLength).toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (typeof header?.method !== "string") {
+    return null;
+  }
+  return {
+    method: header.method,
+    sessionId: typeof header.sessionId === "string" ? header.sessionId : undefined,
+    params:
+      header.params && typeof header.params === "object"
+        ? (header.params as Record<string, unknown>)
+        : {},
+    data: buf.subarray(4 + headerLength),
+  };
+}
+
+/**
+ * Hands a binary screencast frame to its audiences: CDP clients get the regular base64
+ * event (skipped when `toCdpClients` is omitted), viewers get the binary frame untouched.
+ * Returns false for anything that is not a screencast frame.
+ */
+export function fanOutScreencastFrame(
+  buf: Buffer,
+  opts: {
+    viewers: Iterable<ScreencastViewer>;
+    toCdpClients?: (evt: ScreencastFrameEvent) => void;
+  },
+): boolean {
+  const frame = decodeExtensionBinaryMessage(buf);
+  if (frame?.method !== "Page.screencastFrame") {
+    return false;
+  }
+  opts.toCdpClients?.({
+    method: "Page.screencastFrame",
+    params: { ...frame.params, data: frame.data.toString("base64") },
+    sessionId: frame.sessionId,
+  });
+  for (const viewer of opts.viewers) {
+    if (
+      viewer.readyState !== WebSocket.OPEN ||
+      viewer.bufferedAmount > SCREENCAST_VIEWER_MAX_BUFFERED_BYTES
+    ) {
+      continue;
+    }
+    viewer.send(buf, { binary: true });
+  }
+  return true;
+}
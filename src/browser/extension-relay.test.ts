@@ -1,7 +1,11 @@
 import type { AddressInfo } from "node:net";
+import fsp from "node:fs/promises";
 import { createServer } from "node:http";
+import os from "node:os";
+import path from "node:path";
 import { afterEach, describe, expect, it } from "vitest";
 import WebSocket from "ws";
+import { rawDataToString } from "../infra/ws.js";
 import {
   ensureChromeExtensionRelayServer,
   getChromeExtensionRelayAuthHeaders,
@@ -42,6 +46,31 @@ function relayAuthHeaders(url: string) {
   return getChromeExtensionRelayAuthHeaders(url);
 }
 
+/** Opens `/extension` and completes the hello handshake like the real extension does. */
+async function connectExtension(url: string, hello: Record<string, unknown> = {}) {
+  const ws = new WebSocket(url);
+  await waitForOpen(ws);
+  const reply = new Promise<{ ok?: boolean; error?: string }>((resolve) => {
+    ws.once("message", (data) => resolve(JSON.parse(rawDataToString(data)).params));
+  });
+  ws.send(
+    JSON.stringify({
+      method: "hello",
+      params: {
+        protocolVersion: 2,
+        minProtocolVersion: 2,
+        extensionVersion: "0.0.0-test",
+        ...hello,
+      },
+    }),
+  );
+  const params = await reply;
+  if (!params?.ok) {
+    throw new Error(`hello rejected: ${params?.error}`);
+  }
+  return ws;
+}
+
 function createMessageQueue(ws: WebSocket) {
   const queue: string[] = [];
   let waiter: ((value: string) => void) | null = null;
@@ -156,8 +185,7 @@ describe("chrome extension relay server", () => {
     };
     expect(v1.webSocketDebuggerUrl).toBeUndefined();
 
-    const ext = new WebSocket(`ws://127.0.0.1:${port}/extension`);
-    await waitForOpen(ext);
+    const ext = await connectExtension(`ws://127.0.0.1:${port}/extension`);
 
     const v2 = (await fetch(`${cdpUrl}/json/version`, {
       headers: relayAuthHeaders(cdpUrl),
@@ -169,6 +197,68 @@ describe("chrome extension relay server", () => {
     ext.close();
   });
 
+  it("answers extension pings with pong", async () => {
+    const port = await getFreePort();
+    cdpUrl = `http://127.0.0.1:${port}`;
+    await ensureChromeExtensionRelayServer({ cdpUrl });
+
+    const ext = await connectExtension(`ws://127.0.0.1:${port}/extension`);
+    const q = createMessageQueue(ext);
+    ext.send(JSON.stringify({ method: "ping" }));
+    expect(JSON.parse(await q.next())).toEqual({ method: "pong" });
+
+    ext.close();
+  });
+
+  it("rejects extensions with an incompatible protocol version", async () => {
+    const port = await getFreePort();
+    cdpUrl = `http://127.0.0.1:${port}`;
+    const relay = await ensureChromeExtensionRelayServer({ cdpUrl });
+    const extUrl = `ws://127.0.0.1:${port}/extension`;
+
+    await expect(connectExtension(extUrl, { protocolVersion: 1 })).rejects.toThrow(
+      /protocol v1 is too old/,
+    );
+    await expect(connectExtension(extUrl, { minProtocolVersion: 99 })).rejects.toThrow(
+      /update OpenClaw/,
+    );
+    expect(relay.extensionConnected()).toBe(false);
+
+    // Pre-hello extensions never introduce themselves; their keepalive pong gives them away.
+    const legacy = new WebSocket(extUrl);
+    await waitForOpen(legacy);
+    const closed = new Promise<number>((resolve) => legacy.once("close", (code) => resolve(code)));
+    legacy.send(JSON.stringify({ method: "pong" }));
+    expect(await closed).toBe(4426);
+
+    // Anyone on the machine may ask whether an extension is connected, but not why one was refused.
+    const open = (await fetch(`${cdpUrl}/extension/status`).then((r) => r.json())) as unknown;
+    expect(open).toEqual({ connected: false });
+
+    const status = (await fetch(`${cdpUrl}/extension/status`, {
+      headers: relayAuthHeaders(cdpUrl),
+    }).then((r) => r.json())) as {
+      connected?: boolean;
+      lastRejection?: { reason?: string };
+    };
+    expect(status.connected).toBe(false);
+    expect(status.lastRejection?.reason).toContain("did not send hello");
+
+    const ext = await connectExtension(extUrl);
+    const connected = (await fetch(`${cdpUrl}/extension/status`, {
+      headers: relayAuthHeaders(cdpUrl),
+    }).then((r) => r.json())) as {
+      extension?: { protocolVersion?: number; extensionVersion?: string };
+      lastRejection?: unknown;
+    };
+    expect(connected.extension).toMatchObject({
+      protocolVersion: 2,
+      extensionVersion: "0.0.0-test",
+    });
+    expect(connected.lastRejection).toBeUndefined();
+    ext.close();
+  });
+
   it("rejects CDP access without relay auth token", async () => {
     const port = await getFreePort();
     cdpUrl = `http://127.0.0.1:${port}`;
@@ -182,13 +272,73 @@ describe("chrome extension relay server", () => {
     expect(err.message).toContain("401");
   });
 
+  it("exchanges a one-time pairing code for an extension token", async () => {
+    const port = await getFreePort();
+    cdpUrl = `http://127.0.0.1:${port}`;
+    const relay = await ensureChromeExtensionRelayServer({ cdpUrl, authSecret: "gateway-secret" });
+
+    const { code } = relay.createPairingCode();
+    expect(code).toMatch(/^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+
+    const pair = (pairingCode: string) =>
+      fetch(`${cdpUrl}/extension/pair`, {
+        method: "POST",
+        headers: { "x-openclaw-relay-token": pairingCode },
+      });
+
+    const paired = await pair(code.toLowerCase().replace("-", ""));
+    expect(paired.status).toBe(200);
+    const { token } = (await paired.json()) as { token: string };
+    expect(token).toBeTruthy();
+
+    // Single use.
+    expect((await pair(code)).status).toBe(401);
+
+    const status = (await fetch(`${cdpUrl}/extension/status`, {
+      headers: { "x-openclaw-relay-token": token },
+    }).then((r) => r.json())) as { connected?: boolean; authorized?: boolean };
+    expect(status).toEqual({ connected: false, authorized: true });
+
+    const denied = await fetch(`${cdpUrl}/extension/status`, {
+      headers: { "x-openclaw-relay-token": "nope" },
+    });
+    expect(denied.status).toBe(401);
+
+    const bad = new WebSocket(`ws://127.0.0.1:${port}/extension?token=nope`);
+    expect((await waitForError(bad)).message).toContain("401");
+
+    const ext = await connectExtension(`ws://127.0.0.1:${port}/extension?token=${token}`);
+    expect(relay.extensionConnected()).toBe(true);
+    ext.close();
+  });
+
+  it("derives a stable extension token from the auth secret", async () => {
+    const port = await getFreePort();
+    cdpUrl = `http://127.0.0.1:${port}`;
+
+    const pairToken = async () => {
+      const relay = await ensureChromeExtensionRelayServer({
+        cdpUrl,
+        authSecret: "gateway-secret",
+      });
+      const res = await fetch(`${cdpUrl}/extension/pair`, {
+        method: "POST",
+        headers: { "x-openclaw-relay-token": relay.createPairingCode().code },
+      });
+      return ((await res.json()) as { token: string }).token;
+    };
+
+    const first = await pairToken();
+    await stopChromeExtensionRelayServer({ cdpUrl });
+    expect(await pairToken()).toBe(first);
+  });
+
   it("tracks attached page targets and exposes them via CDP + /json/list", async () => {
     const port = await getFreePort();
     cdpUrl = `http://127.0.0.1:${port}`;
     await ensureChromeExtensionRelayServer({ cdpUrl });
 
-    const ext = new WebSocket(`ws://127.0.0.1:${port}/extension`);
-    await waitForOpen(ext);
+    const ext = await connectExtension(`ws://127.0.0.1:${port}/extension`);
 
     // Simulate a tab attach coming from the extension.
     ext.send(
@@ -303,8 +453,7 @@ describe("chrome extension relay server", () => {
     cdpUrl = `http://127.0.0.1:${port}`;
     await ensureChromeExtensionRelayServer({ cdpUrl });
 
-    const ext = new WebSocket(`ws://127.0.0.1:${port}/extension`);
-    await waitForOpen(ext);
+    const ext = await connectExtension(`ws://127.0.0.1:${port}/extension`);
 
     const cdp = new WebSocket(`ws://127.0.0.1:${port}/cdp`, {
       headers: relayAuthHeaders(`ws://127.0.0.1:${port}/cdp`),
@@ -366,4 +515,343 @@ describe("chrome extension relay server", () => {
     cdp.close();
     ext.close();
   });
+
+  it("passes structured extension errors through to CDP clients", async () => {
+    const port = await getFreePort();
+    cdpUrl = `http://127.0.0.1:${port}`;
+    await ensureChromeExtensionRelayServer({ cdpUrl });
+
+    const ext = await connectExtension(`ws://127.0.0.1:${port}/extension`);
+    const extQ = createMessageQueue(ext);
+
+    const cdp = new WebSocket(`ws://127.0.0.1:${port}/cdp`, {
+      headers: relayAuthHeaders(`ws://127.0.0.1:${port}/cdp`),
+    });
+    await waitForOpen(cdp);
+    const q = createMessageQueue(cdp);
+
+    cdp.send(JSON.stringify({ id: 7, method: "Network.getAllCookies", sessionId: "cb-tab-1" }));
+    let forwarded: { id?: number; method?: string } = {};
+    while (forwarded.method !== "forwardCDPCommand") {
+      forwarded = JSON.parse(await extQ.next()) as typeof forwarded;
+    }
+    const errorData = { code: "cdp_method_blocked", method: "Network.getAllCookies" };
+    ext.send(
+      JSON.stringify({
+        id: forwarded.id,
+        error: "CDP method Network.getAllCookies blocked by extension policy (interact)",
+        errorData,
+      }),
+    );
+
+    const res = JSON.parse(await q.next()) as {
+      id: number;
+      error?: { code?: number; message?: string; data?: unknown };
+    };
+    expect(res.id).toBe(7);
+    expect(res.error?.code).toBe(-32000);
+    expect(res.error?.message).toContain("blocked by extension policy");
+    expect(res.error?.data).toEqual(errorData);
+
+    cdp.close();
+    ext.close();
+  });
+
+  it("unpacks event batches and forwards the clients' event filter", async () => {
+    const port = await getFreePort();
+    cdpUrl = `http://127.0.0.1:${port}`;
+    await ensureChromeExtensionRelayServer({ cdpUrl });
+
+    const ext = await connectExtension(`ws://127.0.0.1:${port}/extension`, {
+      features: ["eventBatches", "eventFilter"],
+    });
+    const extQ = createMessageQueue(ext);
+    const nextFilter = async () => {
+      let msg: { method?: string; params?: unknown } = {};
+      while (msg.method !== "setEventFilter") {
+        msg = JSON.parse(await extQ.next()) as typeof msg;
+      }
+      return msg.params;
+    };
+
+    const cdp = new WebSocket(`ws://127.0.0.1:${port}/cdp`, {
+      headers: relayAuthHeaders(`ws://127.0.0.1:${port}/cdp`),
+    });
+    await waitForOpen(cdp);
+    const q = createMessageQueue(cdp);
+
+    cdp.send(
+      JSON.stringify({
+        id: 1,
+        method: "OpenClaw.setEventFilter",
+        params: { allow: ["Page", "Runtime.*"], drop: ["Network.dataReceived"] },
+      }),
+    );
+    expect(await nextFilter()).toEqual({
+      allow: ["Page", "Runtime.*"],
+      drop: ["Network.dataReceived"],
+    });
+    expect(JSON.parse(await q.next())).toEqual({ id: 1, result: { applied: true } });
+
+    cdp.send(
+      JSON.stringify({ id: 2, method: "OpenClaw.setEventFilter", params: { drop: ["no spaces"] } }),
+    );
+    const rejected = JSON.parse(await q.next()) as { id: number; error?: { message?: string } };
+    expect(rejected.id).toBe(2);
+    expect(rejected.error?.message).toContain("invalid drop entry: no spaces");
+
+    ext.send(
+      JSON.stringify({
+        method: "forwardCDPEventBatch",
+        params: {
+          events: [
+            {
+              sessionId: "cb-tab-1",
+              method: "Page.frameNavigated",
+              params: { frame: { id: "F" } },
+            },
+            { sessionId: "cb-tab-1", method: "Page.loadEventFired", params: { timestamp: 1 } },
+          ],
+        },
+      }),
+    );
+    expect(JSON.parse(await q.next())).toEqual({
+      method: "Page.frameNavigated",
+      params: { frame: { id: "F" } },
+      sessionId: "cb-tab-1",
+    });
+    expect(JSON.parse(await q.next())).toMatchObject({ method: "Page.loadEventFired" });
+
+    // The last client going away lifts its subscription.
+    cdp.close();
+    expect(await nextFilter()).toEqual({ allow: [], drop: [] });
+    ext.close();
+  });
+
+  it("turns binary screencast frames into CDP events and feeds /screencast viewers", async () => {
+    const port = await getFreePort();
+    cdpUrl = `http://127.0.0.1:${port}`;
+    await ensureChromeExtensionRelayServer({ cdpUrl });
+
+    const ext = await connectExtension(`ws://127.0.0.1:${port}/extension`);
+    const cdp = new WebSocket(`ws://127.0.0.1:${port}/cdp`, {
+      headers: relayAuthHeaders(`ws://127.0.0.1:${port}/cdp`),
+    });
+    await waitForOpen(cdp);
+    const q = createMessageQueue(cdp);
+
+    const denied = new WebSocket(`ws://127.0.0.1:${port}/screencast`);
+    expect((await waitForError(denied)).message).toContain("401");
+    const viewer = new WebSocket(`ws://127.0.0.1:${port}/screencast`, {
+      headers: relayAuthHeaders(`ws://127.0.0.1:${port}/screencast`),
+    });
+    await waitForOpen(viewer);
+    const viewerFrame = new Promise<Buffer>((resolve) => {
+      viewer.once("message", (data) => resolve(data as Buffer));
+    });
+
+    const image = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3]);
+    const header = Buffer.from(
+      JSON.stringify({
+        method: "Page.screencastFrame",
+        sessionId: "cb-tab-1",
+        params: { sessionId: 4, metadata: { deviceWidth: 800, deviceHeight: 600 } },
+      }),
+    );
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(header.length);
+    const frame = Buffer.concat([length, header, image]);
+    ext.send(frame, { binary: true });
+
+    const evt = JSON.parse(await q.next()) as {
+      method?: string;
+      sessionId?: string;
+      params?: { sessionId?: number; data?: string; metadata?: { deviceWidth?: number } };
+    };
+    expect(evt.method).toBe("Page.screencastFrame");
+    expect(evt.sessionId).toBe("cb-tab-1");
+    expect(evt.params?.sessionId).toBe(4);
+    expect(evt.params?.metadata?.deviceWidth).toBe(800);
+    expect(Buffer.from(evt.params?.data ?? "", "base64")).toEqual(image);
+    expect(Buffer.compare(await viewerFrame, frame)).toBe(0);
+
+    viewer.close();
+    cdp.close();
+    ext.close();
+  });
+
+  it("inlines upload files and hands finished downloads to the CDP client", async () => {
+    const port = await getFreePort();
+    cdpUrl = `http://127.0.0.1:${port}`;
+    await ensureChromeExtensionRelayServer({ cdpUrl });
+    const dir = await fsp.mkdtemp(path.join(os.tmpdir(), "openclaw-relay-test-"));
+
+    try {
+      const ext = await connectExtension(`ws://127.0.0.1:${port}/extension`);
+      const extQ = createMessageQueue(ext);
+      const cdp = new WebSocket(`ws://127.0.0.1:${port}/cdp`, {
+        headers: relayAuthHeaders(`ws://127.0.0.1:${port}/cdp`),
+      });
+      await waitForOpen(cdp);
+      const q = createMessageQueue(cdp);
+
+      const upload = path.join(dir, "notes.txt");
+      await fsp.writeFile(upload, "hello upload");
+      cdp.send(
+        JSON.stringify({
+          id: 1,
+          method: "DOM.setFileInputFiles",
+          params: { files: [upload], backendNodeId: 42 },
+          sessionId: "cb-tab-1",
+        }),
+      );
+      const forwarded = JSON.parse(await extQ.next()) as {
+        id: number;
+        params: {
+          method: string;
+          params: { backendNodeId?: number; payloads?: Array<Record<string, unknown>> };
+        };
+      };
+      expect(forwarded.params.method).toBe("DOM.setFileInputFiles");
+      expect(forwarded.params.params.backendNodeId).toBe(42);
+      expect(forwarded.params.params.payloads).toEqual([
+        expect.objectContaining({
+          name: "notes.txt",
+          mimeType: "text/plain",
+          data: Buffer.from("hello upload").toString("base64"),
+        }),
+      ]);
+      ext.send(JSON.stringify({ id: forwarded.id, result: {} }));
+      expect(JSON.parse(await q.next())).toMatchObject({ id: 1, result: {} });
+
+      cdp.send(
+        JSON.stringify({
+          id: 2,
+          method: "DOM.setFileInputFiles",
+          params: { files: [path.join(dir, "missing.txt")], backendNodeId: 42 },
+        }),
+      );
+      const missing = JSON.parse(await q.next()) as { id: number; error?: { message?: string } };
+      expect(missing.id).toBe(2);
+      expect(missing.error?.message).toContain("not a readable file");
+
+      const downloads = path.join(dir, "downloads");
+      cdp.send(
+        JSON.stringify({
+          id: 3,
+          method: "Browser.setDownloadBehavior",
+          params: { behavior: "allowAndName", downloadPath: downloads, eventsEnabled: true },
+        }),
+      );
+      expect(JSON.parse(await q.next())).toMatchObject({ id: 3, result: {} });
+
+      const saved = path.join(dir, "report.csv");
+      await fsp.writeFile(saved, "a,b\n1,2\n");
+      const sendEvent = (method: string, params: unknown) =>
+        ext.send(JSON.stringify({ method: "forwardCDPEvent", params: { method, params } }));
+      const guid = "0b6f6a4e-2f7b-4c8e-9f5d-0c7a1f2e3d4c";
+      sendEvent("Browser.downloadWillBegin", {
+        guid,
+        frameId: "t1",
+        url: "https://example.com/report.csv",
+        suggestedFilename: "report.csv",
+      });
+      expect(JSON.parse(await q.next())).toMatchObject({
+        method: "Browser.downloadWillBegin",
+        params: { guid, suggestedFilename: "report.csv" },
+      });
+      sendEvent("Browser.downloadProgress", { guid, state: "completed", filePath: saved });
+      const done = JSON.parse(await q.next()) as { params: Record<string, unknown> };
+      expect(done.params).toEqual({ guid, state: "completed" });
+      expect(await fsp.readFile(path.join(downloads, guid), "utf8")).toBe("a,b\n1,2\n");
+
+      sendEvent("Browser.downloadProgress", {
+        guid: "1b6f6a4e-2f7b-4c8e-9f5d-0c7a1f2e3d4c",
+        state: "completed",
+        filePath: path.join(dir, "gone.csv"),
+      });
+      expect(JSON.parse(await q.next())).toMatchObject({ params: { state: "canceled" } });
+
+      cdp.close();
+      ext.close();
+    } finally {
+      await fsp.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("relays iframe/worker child targets and forwards session auto-attach", async () => {
+    const port = await getFreePort();
+    cdpUrl = `http://127.0.0.1:${port}`;
+    await ensureChromeExtensionRelayServer({ cdpUrl });
+
+    const ext = await connectExtension(`ws://127.0.0.1:${port}/extension`);
+    const extQ = createMessageQueue(ext);
+
+    const cdp = new WebSocket(`ws://127.0.0.1:${port}/cdp`, {
+      headers: relayAuthHeaders(`ws://127.0.0.1:${port}/cdp`),
+    });
+    await waitForOpen(cdp);
+    const q = createMessageQueue(cdp);
+
+    const sendEvent = (method: string, params: unknown, sessionId?: string) =>
+      ext.send(
+        JSON.stringify({ method: "forwardCDPEvent", params: { method, params, sessionId } }),
+      );
+
+    sendEvent("Target.attachedToTarget", {
+      sessionId: "cb-tab-1",
+      targetInfo: { targetId: "page-1", type: "page", title: "Shop", url: "https://shop.example" },
+      waitingForDebugger: false,
+    });
+    expect((JSON.parse(await q.next()) as { method?: string }).method).toBe(
+      "Target.attachedToTarget",
+    );
+
+    const iframe = {
+      sessionId: "child-1",
+      targetInfo: { targetId: "frame-1", type: "iframe", url: "https://pay.example/widget" },
+      waitingForDebugger: false,
+    };
+    sendEvent("Target.attachedToTarget", iframe, "cb-tab-1");
+    const childEvt = JSON.parse(await q.next()) as {
+      method?: string;
+      sessionId?: string;
+      params?: { sessionId?: string };
+    };
+    expect(childEvt).toMatchObject({
+      method: "Target.attachedToTarget",
+      sessionId: "cb-tab-1",
+      params: { sessionId: "child-1" },
+    });
+
+    // Child targets are sessions, not top-level pages.
+    const list = (await fetch(`${cdpUrl}/json/list`, {
+      headers: relayAuthHeaders(cdpUrl),
+    }).then((r) => r.json())) as Array<{ id?: string }>;
+    expect(list.map((t) => t.id)).toEqual(["page-1"]);
+
+    // Session-scoped auto-attach reaches the extension; known children are replayed.
+    cdp.send(
+      JSON.stringify({
+        id: 1,
+        method: "Target.setAutoAttach",
+        sessionId: "cb-tab-1",
+        params: { autoAttach: true, waitForDebuggerOnStart: true, flatten: true },
+      }),
+    );
+    let forwarded: { id?: number; method?: string; params?: { method?: string } } = {};
+    while (forwarded.method !== "forwardCDPCommand") {
+      forwarded = JSON.parse(await extQ.next()) as typeof forwarded;
+    }
+    expect(forwarded.params?.method).toBe("Target.setAutoAttach");
+    ext.send(JSON.stringify({ id: forwarded.id, result: {} }));
+
+    const replay = JSON.parse(await q.next()) as { method?: string; sessionId?: string };
+    expect(replay).toMatchObject({ method: "Target.attachedToTarget", sessionId: "cb-tab-1" });
+    const res = JSON.parse(await q.next()) as { id?: number };
+    expect(res.id).toBe(1);
+
+    cdp.close();
+    ext.close();
+  });
 });
@@ -2,10 +2,41 @@ import type { IncomingMessage } from "node:http";
 import type { AddressInfo } from "node:net";
 import type { Duplex } from "node:stream";
 import { randomBytes } from "node:crypto";
+import fs from "node:fs/promises";
 import { createServer } from "node:http";
+import path from "node:path";
 import WebSocket, { WebSocketServer } from "ws";
 import { isLoopbackAddress, isLoopbackHost } from "../gateway/net.js";
 import { rawDataToString } from "../infra/ws.js";
+import { safeEqualSecret } from "../security/secret-equal.js";
+import {
+  type EventFilter,
+  type ExtensionForwardEventBatchMessage,
+  type ExtensionForwardEventMessage,
+  type ForwardedEvent,
+  type RelayEventFilterMessage,
+  parseEventFilter,
+  unpackForwardedEvents,
+} from "./extension-relay.events.js";
+import {
+  EXTENSION_HELLO_TIMEOUT_MS,
+  type ExtensionHelloMessage,
+  type ExtensionInfo,
+  HELLO_REJECT_CLOSE_CODE,
+  MISSING_HELLO_REASON,
+  RELAY_PROTOCOL_VERSION,
+  buildRelayHello,
+  checkExtensionHello,
+  extensionInfoFromHello,
+  helloCloseReason,
+} from "./extension-relay.hello.js";
+import {
+  type ChromeExtensionRelayPairingCode,
+  createPairingCodes,
+  deriveExtensionToken,
+} from "./extension-relay.pairing.js";
+import { fanOutScreencastFrame } from "./extension-relay.screencast.js";
+import { readUploadPayloads } from "./extension-relay.uploads.js";
 
 type CdpCommand = {
   id: number;
@@ -17,7 +48,7 @@ type CdpCommand = {
 type CdpResponse = {
   id: number;
   result?: unknown;
-  error?: { message: string };
+  error?: { message: string; code?: number; data?: unknown };
   sessionId?: string;
 };
 
@@ -37,19 +68,19 @@ type ExtensionResponseMessage = {
   id: number;
   result?: unknown;
   error?: string;
-};
-
-type ExtensionForwardEventMessage = {
-  method: "forwardCDPEvent";
-  params: { method: string; params?: unknown; sessionId?: string };
+  /** Machine-readable details for `error` (e.g. a blocked-by-policy decision). */
+  errorData?: unknown;
 };
 
 type ExtensionPingMessage = { method: "ping" };
 type ExtensionPongMessage = { method: "pong" };
 
 type ExtensionMessage =
+  | ExtensionHelloMessage
   | ExtensionResponseMessage
   | ExtensionForwardEventMessage
+  | ExtensionForwardEventBatchMessage
+  | ExtensionPingMessage
   | ExtensionPongMessage;
 
 type TargetInfo = {
@@ -77,8 +108,29 @@ type ConnectedTarget = {
   targetInfo: TargetInfo;
 };
 
+/** An iframe/worker session the extension auto-attached under a page (or another child). */
+type ChildTarget = ConnectedTarget & { parentSessionId: string };
+
 const RELAY_AUTH_HEADER = "x-openclaw-relay-token";
 
+type DownloadProgressEvent = {
+  guid: string;
+  state: string;
+  /** Where the browser saved the file; only readable here when the relay runs on the same machine. */
+  filePath?: string;
+  [key: string]: unknown;
+};
+
+/** A command the extension refused, with its structured reason for CDP clients. */
+class ExtensionCommandError extends Error {
+  data: unknown;
+
+  constructor(message: string, data: unknown) {
+    super(message);
+    this.data = data;
+  }
+}
+
 function headerValue(value: string | string[] | undefined): string | undefined {
   if (!value) {
     return undefined;
@@ -95,13 +147,17 @@ function getHeader(req: IncomingMessage, name: string): string | undefined {
 
 export type ChromeExtensionRelayServer = {
   host: string;
+  bindHost: string;
   port: number;
   baseUrl: string;
   cdpWsUrl: string;
   extensionConnected: () => boolean;
+  createPairingCode: () => ChromeExtensionRelayPairingCode;
   stop: () => Promise<void>;
 };
 
+export type { ChromeExtensionRelayPairingCode } from "./extension-relay.pairing.js";
+
 function parseBaseUrl(raw: string): {
   host: string;
   port: number;
@@ -176,20 +232,37 @@ export function getChromeExtensionRelayAuthHeaders(url: string): Record<string,
 
 export async function ensureChromeExtensionRelayServer(opts: {
   cdpUrl: string;
+  /** Interface to listen on (default: the cdpUrl host). Non-loopback binds require pairing. */
+  bindHost?: string;
+  /** Secret used to derive a stable extension token (typically the gateway auth token). */
+  authSecret?: string;
 }): Promise<ChromeExtensionRelayServer> {
   const info = parseBaseUrl(opts.cdpUrl);
   if (!isLoopbackHost(info.host)) {
     throw new Error(`extension relay requires loopback cdpUrl host (got ${info.host})`);
   }
+  const bindHost = opts.bindHost?.trim() || info.host;
 
   const existing = serversByPort.get(info.port);
   if (existing) {
     return existing;
   }
 
+  // Only set once the extension's hello is accepted; `handshakingWs` holds it until then.
   let extensionWs: WebSocket | null = null;
+  let handshakingWs: WebSocket | null = null;
+  let extensionInfo: ExtensionInfo | null = null;
+  let lastExtensionRejection: { reason: string; at: number } | null = null;
   const cdpClients = new Set<WebSocket>();
+  const screencastViewers = new Set<WebSocket>();
+  // Set by the CDP client's Browser.setDownloadBehavior (Playwright: allowAndName + a temp dir).
+  let downloadPath: string | null = null;
+  // Browser download paths are only meaningful (and only trusted) for an extension on this machine.
+  let extensionIsLocal = false;
+  // Set by a CDP client's OpenClaw.setEventFilter; cleared when the last client disconnects.
+  let eventFilter: EventFilter | null = null;
   const connectedTargets = new Map<string, ConnectedTarget>();
+  const childTargets = new Map<string, ChildTarget>();
 
   const pendingExtension = new Map<
     number,
@@ -216,6 +289,22 @@ export async function ensureChromeExtensionRelayServer(opts: {
     });
   };
 
+  const pushEventFilter = () => {
+    const ws = extensionWs;
+    if (
+      !ws ||
+      ws.readyState !== WebSocket.OPEN ||
+      !extensionInfo?.features.includes("eventFilter")
+    ) {
+      return;
+    }
+    const msg: RelayEventFilterMessage = {
+      method: "setEventFilter",
+      params: eventFilter ?? { allow: [], drop: [] },
+    };
+    ws.send(JSON.stringify(msg));
+  };
+
   const broadcastToCdpClients = (evt: CdpEvent) => {
     const msg = JSON.stringify(evt);
     for (const ws of cdpClients) {
@@ -226,6 +315,125 @@ export async function ensureChromeExtensionRelayServer(opts: {
     }
   };
 
+  // Playwright expects a finished download at `<downloadPath>/<guid>`; guids come from the extension.
+  const downloadFileFor = (guid: string): string | null =>
+    downloadPath && /^[A-Za-z0-9-]{1,64}$/.test(guid) ? path.join(downloadPath, guid) : null;
+
+  /** Puts the file where the CDP client looks for it, then reports the final state. */
+  const finishDownload = async (sessionId: string | undefined, progress: DownloadProgressEvent) => {
+    const { filePath, ...event } = progress;
+    const target = downloadFileFor(event.guid);
+    if (event.state === "completed" && target) {
+      const copied =
+        filePath && extensionIsLocal
+          ? await fs
+              .mkdir(path.dirname(target), { recursive: true })
+              .then(() => fs.copyFile(filePath, target))
+              .then(
+                () => true,
+                () => false,
+              )
+          : false;
+      if (!copied) {
+        event.state = "canceled";
+      }
+    }
+    broadcastToCdpClients({ method: "Browser.downloadProgress", params: event, sessionId });
+  };
+
+  const handleExtensionEvent = ({ method, params, sessionId }: ForwardedEvent) => {
+    if (method === "Target.attachedToTarget") {
+      const attached = (params ?? {}) as AttachedToTargetEvent;
+      const targetType = attached?.targetInfo?.type ?? "page";
+      if (targetType !== "page") {
+        // iframe/worker: announced on its parent session, like Chrome does with flatten.
+        if (!attached?.sessionId || !attached?.targetInfo?.targetId || !sessionId) {
+          return;
+        }
+        const prev = childTargets.get(attached.sessionId);
+        childTargets.set(attached.sessionId, {
+          sessionId: attached.sessionId,
+          targetId: attached.targetInfo.targetId,
+          targetInfo: attached.targetInfo,
+          parentSessionId: sessionId,
+        });
+        if (prev?.targetId !== attached.targetInfo.targetId) {
+          broadcastToCdpClients({ method, params, sessionId });
+        }
+        return;
+      }
+      if (attached?.sessionId && attached?.targetInfo?.targetId) {
+        const prev = connectedTargets.get(attached.sessionId);
+        const nextTargetId = attached.targetInfo.targetId;
+        const prevTargetId = prev?.targetId;
+        const changedTarget = Boolean(prev && prevTargetId && prevTargetId !== nextTargetId);
+        connectedTargets.set(attached.sessionId, {
+          sessionId: attached.sessionId,
+          targetId: nextTargetId,
+          targetInfo: attached.targetInfo,
+        });
+        if (changedTarget && prevTargetId) {
+          broadcastToCdpClients({
+            method: "Target.detachedFromTarget",
+            params: { sessionId: attached.sessionId, targetId: prevTargetId },
+            sessionId: attached.sessionId,
+          });
+        }
+        if (!prev || changedTarget) {
+          broadcastToCdpClients({ method, params, sessionId });
+        }
+        return;
+      }
+    }
+
+    if (method === "Browser.downloadProgress") {
+      const progress = (params ?? {}) as DownloadProgressEvent;
+      if (progress.state === "completed" || progress.state === "canceled") {
+        void finishDownload(sessionId, progress);
+        return;
+      }
+    }
+
+    if (method === "Target.detachedFromTarget") {
+      const detached = (params ?? {}) as DetachedFromTargetEvent;
+      if (detached?.sessionId) {
+        connectedTargets.delete(detached.sessionId);
+        childTargets.delete(detached.sessionId);
+        removeChildTargets(detached.sessionId);
+      }
+      broadcastToCdpClients({ method, params, sessionId });
+      return;
+    }
+
+    // Keep cached tab metadata fresh for /json/list.
+    // After navigation, Chrome updates URL/title via Target.targetInfoChanged.
+    if (method === "Target.targetInfoChanged") {
+      const changed = (params ?? {}) as { targetInfo?: { targetId?: string; type?: string } };
+      const targetInfo = changed?.targetInfo;
+      const targetId = targetInfo?.targetId;
+      if (targetId && (targetInfo?.type ?? "page") === "page") {
+        for (const [sid, target] of connectedTargets) {
+          if (target.targetId !== targetId) {
+            continue;
+          }
+          connectedTargets.set(sid, {
+            ...target,
+            targetInfo: { ...target.targetInfo, ...(targetInfo as object) },
+          });
+        }
+      }
+    }
+
+    broadcastToCdpClients({ method, params, sessionId });
+  };
+
+  const handleExtensionBinary = (buf: Buffer) => {
+    fanOutScreencastFrame(buf, {
+      viewers: screencastViewers,
+      toCdpClients: cdpClients.size > 0 ? broadcastToCdpClients : undefined,
+    });
+  };
+
   const sendResponseToCdp = (ws: WebSocket, res: CdpResponse) => {
     if (ws.readyState !== WebSocket.OPEN) {
       return;
@@ -257,6 +465,47 @@ export async function ensureChromeExtensionRelayServer(opts: {
     }
   };
 
+  const sendChildTargetsToClient = (ws: WebSocket, parentSessionId: string) => {
+    for (const child of childTargets.values()) {
+      if (child.parentSessionId !== parentSessionId) {
+        continue;
+      }
+      ws.send(
+        JSON.stringify({
+          method: "Target.attachedToTarget",
+          params: {
+            sessionId: child.sessionId,
+            targetInfo: { ...child.targetInfo, attached: true },
+            waitingForDebugger: false,
+          },
+          sessionId: parentSessionId,
+        } satisfies CdpEvent),
+      );
+    }
+  };
+
+  const removeChildTargets = (parentSessionId: string) => {
+    for (const [sid, child] of childTargets) {
+      if (child.parentSessionId === parentSessionId) {
+        childTargets.delete(sid);
+        removeChildTargets(sid);
+      }
+    }
+  };
+
+  const forwardToExtension = async (cmd: CdpCommand): Promise<unknown> => {
+    const id = nextExtensionId++;
+    return await sendToExtension({
+      id,
+      method: "forwardCDPCommand",
+      params: {
+        method: cmd.method,
+        sessionId: cmd.sessionId,
+        params: cmd.params,
+      },
+    });
+  };
+
   const routeCdpCommand = async (cmd: CdpCommand): Promise<unknown> => {
     switch (cmd.method) {
       case "Browser.getVersion":
@@ -267,11 +516,35 @@ export async function ensureChromeExtensionRelayServer(opts: {
           userAgent: "OpenClaw-Extension-Relay",
           jsVersion: "V8",
         };
-      case "Browser.setDownloadBehavior":
+      case "Browser.setDownloadBehavior": {
+        const params = (cmd.params ?? {}) as { behavior?: unknown; downloadPath?: unknown };
+        downloadPath =
+          params.behavior === "allowAndName" && typeof params.downloadPath === "string"
+            ? params.downloadPath
+            : null;
         return {};
+      }
+      case "DOM.setFileInputFiles": {
+        // The paths are on this machine; the browser may not be (or may lack file access).
+        const params = (cmd.params ?? {}) as { files?: unknown };
+        return await forwardToExtension({
+          ...cmd,
+          params: { ...params, payloads: await readUploadPayloads(params.files) },
+        });
+      }
       case "Target.setAutoAttach":
+        // Page/child sessions auto-attach for real so iframes and workers show up as child sessions.
+        if (cmd.sessionId) {
+          return await forwardToExtension(cmd);
+        }
+        return {};
       case "Target.setDiscoverTargets":
         return {};
+      case "OpenClaw.setEventFilter":
+        // Subscribe to less: the extension stops forwarding the other events at the source.
+        eventFilter = parseEventFilter(cmd.params);
+        pushEventFilter();
+        return { applied: Boolean(extensionInfo?.features.includes("eventFilter")) };
       case "Target.getTargets":
         return {
           targetInfos: Array.from(connectedTargets.values()).map((t) => ({
@@ -311,28 +584,20 @@ export async function ensureChromeExtensionRelayServer(opts: {
         }
         throw new Error("target not found");
       }
-      default: {
-        const id = nextExtensionId++;
-        return await sendToExtension({
-          id,
-          method: "forwardCDPCommand",
-          params: {
-            method: cmd.method,
-            sessionId: cmd.sessionId,
-            params: cmd.params,
-          },
-        });
-      }
+      default:
+        return await forwardToExtension(cmd);
     }
   };
 
   const relayAuthToken = randomBytes(32).toString("base64url");
+  const extensionToken = deriveExtensionToken(opts.authSecret, info.port);
+  const pairingCodes = createPairingCodes();
 
   const server = createServer((req, res) => {
     const url = new URL(req.url ?? "/", info.baseUrl);
-    const path = url.pathname;
+    const pathname = url.pathname;
 
-    if (path.startsWith("/json")) {
+    if (pathname.startsWith("/json")) {
       const token = getHeader(req, RELAY_AUTH_HEADER);
       if (!token || token !== relayAuthToken) {
         res.writeHead(401);
@@ -341,21 +606,55 @@ export async function ensureChromeExtensionRelayServer(opts: {
       }
     }
 
-    if (req.method === "HEAD" && path === "/") {
+    if (req.method === "HEAD" && pathname === "/") {
       res.writeHead(200);
       res.end();
       return;
     }
 
-    if (path === "/") {
+    if (pathname === "/") {
       res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
       res.end("OK");
       return;
     }
 
-    if (path === "/extension/status") {
+    if (pathname === "/extension/pair" && req.method === "POST") {
+      if (!pairingCodes.consume(getHeader(req, RELAY_AUTH_HEADER))) {
+        res.writeHead(401);
+        res.end("Unauthorized");
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ token: extensionToken }));
+      return;
+    }
+
+    if (pathname === "/extension/status") {
+      // Without a token this stays a public liveness probe; the pairing token verifies pairing,
+      // and only the relay auth token (as on /json) sees the extension details and rejections.
+      const token = getHeader(req, RELAY_AUTH_HEADER);
+      const diagnostics = token !== undefined && safeEqualSecret(token, relayAuthToken);
+      if (token !== undefined && !diagnostics && !safeEqualSecret(token, extensionToken)) {
+        res.writeHead(401);
+        res.end("Unauthorized");
+        return;
+      }
       res.writeHead(200, { "Content-Type": "application/json" });
-      res.end(JSON.stringify({ connected: Boolean(extensionWs) }));
+      res.end(
+        JSON.stringify({
+          connected: Boolean(extensionWs),
+          ...(token !== undefined ? { authorized: true } : {}),
+          ...(diagnostics
+            ? {
+                protocolVersion: RELAY_PROTOCOL_VERSION,
+                ...(extensionWs && extensionInfo ? { extension: extensionInfo } : {}),
+                ...(!extensionWs && lastExtensionRejection
+                  ? { lastRejection: lastExtensionRejection }
+                  : {}),
+              }
+            : {}),
+        }),
+      );
       return;
     }
 
@@ -364,7 +663,7 @@ export async function ensureChromeExtensionRelayServer(opts: {
     const cdpWsUrl = `${wsHost}/cdp`;
 
     if (
-      (path === "/json/version" || path === "/json/version/") &&
+      (pathname === "/json/version" || pathname === "/json/version/") &&
       (req.method === "GET" || req.method === "PUT")
     ) {
       const payload: Record<string, unknown> = {
@@ -381,7 +680,7 @@ export async function ensureChromeExtensionRelayServer(opts: {
     }
 
     const listPaths = new Set(["/json", "/json/", "/json/list", "/json/list/"]);
-    if (listPaths.has(path) && (req.method === "GET" || req.method === "PUT")) {
+    if (listPaths.has(pathname) && (req.method === "GET" || req.method === "PUT")) {
       const list = Array.from(connectedTargets.values()).map((t) => ({
         id: t.targetId,
         type: t.targetInfo.type ?? "page",
@@ -396,7 +695,7 @@ export async function ensureChromeExtensionRelayServer(opts: {
       return;
     }
 
-    const activateMatch = path.match(/^\/json\/activate\/(.+)$/);
+    const activateMatch = pathname.match(/^\/json\/activate\/(.+)$/);
     if (activateMatch && (req.method === "GET" || req.method === "PUT")) {
       const targetId = decodeURIComponent(activateMatch[1] ?? "").trim();
       if (!targetId) {
@@ -420,7 +719,7 @@ export async function ensureChromeExtensionRelayServer(opts: {
       return;
     }
 
-    const closeMatch = path.match(/^\/json\/close\/(.+)$/);
+    const closeMatch = pathname.match(/^\/json\/close\/(.+)$/);
     if (closeMatch && (req.method === "GET" || req.method === "PUT")) {
       const targetId = decodeURIComponent(closeMatch[1] ?? "").trim();
       if (!targetId) {
@@ -450,25 +749,35 @@ export async function ensureChromeExtensionRelayServer(opts: {
 
   const wssExtension = new WebSocketServer({ noServer: true });
   const wssCdp = new WebSocketServer({ noServer: true });
+  const wssScreencast = new WebSocketServer({ noServer: true });
 
   server.on("upgrade", (req, socket, head) => {
     const url = new URL(req.url ?? "/", info.baseUrl);
     const pathname = url.pathname;
     const remote = req.socket.remoteAddress;
-
-    if (!isLoopbackAddress(remote)) {
-      rejectUpgrade(socket, 403, "Forbidden");
-      return;
-    }
+    const remoteIsLoopback = isLoopbackAddress(remote);
 
     const origin = headerValue(req.headers.origin);
-    if (origin && !origin.startsWith("chrome-extension://")) {
+    // Firefox extensions (`moz-extension://`) only ever open the `/extension` socket.
+    const originAllowed =
+      !origin ||
+      origin.startsWith("chrome-extension://") ||
+      (pathname === "/extension" && origin.startsWith("moz-extension://"));
+    if (!originAllowed) {
       rejectUpgrade(socket, 403, "Forbidden: invalid origin");
       return;
     }
 
     if (pathname === "/extension") {
-      if (extensionWs) {
+      // Loopback extensions connect as before; anything else must present the paired token.
+      const token = url.searchParams.get("token") ?? undefined;
+      if (token !== undefined || !remoteIsLoopback) {
+        if (!safeEqualSecret(token, extensionToken)) {
+          rejectUpgrade(socket, remoteIsLoopback ? 401 : 403, "Unauthorized");
+          return;
+        }
+      }
+      if (extensionWs || handshakingWs) {
         rejectUpgrade(socket, 409, "Extension already connected");
         return;
       }
@@ -479,6 +788,10 @@ export async function ensureChromeExtensionRelayServer(opts: {
     }
 
     if (pathname === "/cdp") {
+      if (!remoteIsLoopback) {
+        rejectUpgrade(socket, 403, "Forbidden");
+        return;
+      }
       const token = getHeader(req, RELAY_AUTH_HEADER);
       if (!token || token !== relayAuthToken) {
         rejectUpgrade(socket, 401, "Unauthorized");
@@ -494,11 +807,40 @@ export async function ensureChromeExtensionRelayServer(opts: {
       return;
     }
 
+    if (pathname === "/screencast") {
+      if (!remoteIsLoopback) {
+        rejectUpgrade(socket, 403, "Forbidden");
+        return;
+      }
+      const token = getHeader(req, RELAY_AUTH_HEADER);
+      if (!token || token !== relayAuthToken) {
+        rejectUpgrade(socket, 401, "Unauthorized");
+        return;
+      }
+      wssScreencast.handleUpgrade(req, socket, head, (ws) => {
+        screencastViewers.add(ws);
+        ws.on("close", () => screencastViewers.delete(ws));
+      });
+      return;
+    }
+
     rejectUpgrade(socket, 404, "Not Found");
   });
 
-  wssExtension.on("connection", (ws) => {
-    extensionWs = ws;
+  wssExtension.on("connection", (ws, req: IncomingMessage) => {
+    handshakingWs = ws;
+    extensionIsLocal = isLoopbackAddress(req.socket.remoteAddress);
+
+    const rejectExtension = (reason: string) => {
+      lastExtensionRejection = { reason, at: Date.now() };
+      if (handshakingWs === ws) {
+        handshakingWs = null;
+      }
+      ws.close(HELLO_REJECT_CLOSE_CODE, helloCloseReason(reason));
+    };
+    const helloTimer = setTimeout(() => {
+      rejectExtension(MISSING_HELLO_REASON);
+    }, EXTENSION_HELLO_TIMEOUT_MS);
 
     const ping = setInterval(() => {
       if (ws.readyState !== WebSocket.OPEN) {
@@ -507,7 +849,19 @@ export async function ensureChromeExtensionRelayServer(opts: {
       ws.send(JSON.stringify({ method: "ping" } satisfies ExtensionPingMessage));
     }, 5000);
 
-    ws.on("message", (data) => {
+    ws.on("message", (data, isBinary) => {
+      if (isBinary) {
+        if (extensionWs === ws) {
+          handleExtensionBinary(
+            Buffer.isBuffer(data)
+              ? data
+              : Array.isArray(data)
+                ? Buffer.concat(data)
+                : Buffer.from(data),
+          );
+        }
+        return;
+      }
       let parsed: ExtensionMessage | null = null;
       try {
         parsed = JSON.parse(rawDataToString(data)) as ExtensionMessage;
@@ -515,6 +869,33 @@ export async function ensureChromeExtensionRelayServer(opts: {
         return;
       }
 
+      if (extensionWs !== ws) {
+        if (!parsed || typeof parsed !== "object" || !("method" in parsed)) {
+          return;
+        }
+        if (parsed.method !== "hello") {
+          // Pre-hello extensions answer the keepalive (or forward events) straight away.
+          clearTimeout(helloTimer);
+          rejectExtension(MISSING_HELLO_REASON);
+          return;
+        }
+        clearTimeout(helloTimer);
+        const problem = checkExtensionHello(parsed.params);
+        ws.send(JSON.stringify(buildRelayHello(problem)));
+        if (problem) {
+          rejectExtension(problem);
+          return;
+        }
+        extensionInfo = extensionInfoFromHello(parsed.params);
+        handshakingWs = null;
+        extensionWs = ws;
+        lastExtensionRejection = null;
+        if (eventFilter) {
+          pushEventFilter();
+        }
+        return;
+      }
+
       if (parsed && typeof parsed === "object" && "id" in parsed && typeof parsed.id === "number") {
         const pending = pendingExtension.get(parsed.id);
         if (!pending) {
@@ -523,7 +904,11 @@ export async function ensureChromeExtensionRelayServer(opts: {
         pendingExtension.delete(parsed.id);
         clearTimeout(pending.timer);
         if ("error" in parsed && typeof parsed.error === "string" && parsed.error.trim()) {
-          pending.reject(new Error(parsed.error));
+          pending.reject(
+            parsed.errorData !== undefined
+              ? new ExtensionCommandError(parsed.error, parsed.errorData)
+              : new Error(parsed.error),
+          );
         } else {
           pending.resolve(parsed.result);
         }
@@ -534,88 +919,35 @@ export async function ensureChromeExtensionRelayServer(opts: {
         if ((parsed as ExtensionPongMessage).method === "pong") {
           return;
         }
-        if ((parsed as ExtensionForwardEventMessage).method !== "forwardCDPEvent") {
-          return;
-        }
-        const evt = parsed as ExtensionForwardEventMessage;
-        const method = evt.params?.method;
-        const params = evt.params?.params;
-        const sessionId = evt.params?.sessionId;
-        if (!method || typeof method !== "string") {
-          return;
-        }
-
-        if (method === "Target.attachedToTarget") {
-          const attached = (params ?? {}) as AttachedToTargetEvent;
-          const targetType = attached?.targetInfo?.type ?? "page";
-          if (targetType !== "page") {
-            return;
-          }
-          if (attached?.sessionId && attached?.targetInfo?.targetId) {
-            const prev = connectedTargets.get(attached.sessionId);
-            const nextTargetId = attached.targetInfo.targetId;
-            const prevTargetId = prev?.targetId;
-            const changedTarget = Boolean(prev && prevTargetId && prevTargetId !== nextTargetId);
-            connectedTargets.set(attached.sessionId, {
-              sessionId: attached.sessionId,
-              targetId: nextTargetId,
-              targetInfo: attached.targetInfo,
-            });
-            if (changedTarget && prevTargetId) {
-              broadcastToCdpClients({
-                method: "Target.detachedFromTarget",
-                params: { sessionId: attached.sessionId, targetId: prevTargetId },
-                sessionId: attached.sessionId,
-              });
-            }
-            if (!prev || changedTarget) {
-              broadcastToCdpClients({ method, params, sessionId });
-            }
-            return;
-          }
-        }
-
-        if (method === "Target.detachedFromTarget") {
-          const detached = (params ?? {}) as DetachedFromTargetEvent;
-          if (detached?.sessionId) {
-            connectedTargets.delete(detached.sessionId);
-          }
-          broadcastToCdpClients({ method, params, sessionId });
+        // The extension pings us too, to measure relay round-trip latency.
+        if ((parsed as ExtensionPingMessage).method === "ping") {
+          ws.send(JSON.stringify({ method: "pong" } satisfies ExtensionPongMessage));
           return;
         }
-
-        // Keep cached tab metadata fresh for /json/list.
-        // After navigation, Chrome updates URL/title via Target.targetInfoChanged.
-        if (method === "Target.targetInfoChanged") {
-          const changed = (params ?? {}) as { targetInfo?: { targetId?: string; type?: string } };
-          const targetInfo = changed?.targetInfo;
-          const targetId = targetInfo?.targetId;
-          if (targetId && (targetInfo?.type ?? "page") === "page") {
-            for (const [sid, target] of connectedTargets) {
-              if (target.targetId !== targetId) {
-                continue;
-              }
-              connectedTargets.set(sid, {
-                ...target,
-                targetInfo: { ...target.targetInfo, ...(targetInfo as object) },
-              });
-            }
-          }
+        for (const evt of unpackForwardedEvents(parsed)) {
+          handleExtensionEvent(evt);
         }
-
-        broadcastToCdpClients({ method, params, sessionId });
       }
     });
 
     ws.on("close", () => {
+      clearTimeout(helloTimer);
       clearInterval(ping);
+      if (handshakingWs === ws) {
+        handshakingWs = null;
+      }
+      if (extensionWs !== ws) {
+        return;
+      }
       extensionWs = null;
+      extensionInfo = null;
       for (const [, pending] of pendingExtension) {
         clearTimeout(pending.timer);
         pending.reject(new Error("extension disconnected"));
       }
       pendingExtension.clear();
       connectedTargets.clear();
+      childTargets.clear();
 
       for (const client of cdpClients) {
         try {
@@ -649,7 +981,11 @@ export async function ensureChromeExtensionRelayServer(opts: {
         sendResponseToCdp(ws, {
           id: cmd.id,
           sessionId: cmd.sessionId,
-          error: { message: "Extension not connected" },
+          error: {
+            message: lastExtensionRejection
+              ? `Extension not connected (last connection rejected: ${lastExtensionRejection.reason})`
+              : "Extension not connected",
+          },
         });
         return;
       }
@@ -660,6 +996,10 @@ export async function ensureChromeExtensionRelayServer(opts: {
         if (cmd.method === "Target.setAutoAttach" && !cmd.sessionId) {
           ensureTargetEventsForClient(ws, "autoAttach");
         }
+        if (cmd.method === "Target.setAutoAttach" && cmd.sessionId) {
+          // Children attached before this client asked are not re-announced by Chrome.
+          sendChildTargetsToClient(ws, cmd.sessionId);
+        }
         if (cmd.method === "Target.setDiscoverTargets") {
           const discover = (cmd.params ?? {}) as { discover?: boolean };
           if (discover.discover === true) {
@@ -693,18 +1033,25 @@ export async function ensureChromeExtensionRelayServer(opts: {
         sendResponseToCdp(ws, {
           id: cmd.id,
           sessionId: cmd.sessionId,
-          error: { message: err instanceof Error ? err.message : String(err) },
+          error:
+            err instanceof ExtensionCommandError
+              ? { code: -32000, message: err.message, data: err.data }
+              : { message: err instanceof Error ? err.message : String(err) },
         });
       }
     });
 
     ws.on("close", () => {
       cdpClients.delete(ws);
+      if (cdpClients.size === 0 && eventFilter) {
+        eventFilter = null;
+        pushEventFilter();
+      }
     });
   });
 
   await new Promise<void>((resolve, reject) => {
-    server.listen(info.port, info.host, () => resolve());
+    server.listen(info.port, bindHost, () => resolve());
     server.once("error", reject);
   });
 
@@ -715,19 +1062,22 @@ export async function ensureChromeExtensionRelayServer(opts: {
 
   const relay: ChromeExtensionRelayServer = {
     host,
+    bindHost,
     port,
     baseUrl,
     cdpWsUrl: `ws://${host}:${port}/cdp`,
     extensionConnected: () => Boolean(extensionWs),
+    createPairingCode: () => pairingCodes.create(),
     stop: async () => {
       serversByPort.delete(port);
       relayAuthByPort.delete(port);
       try {
         extensionWs?.close(1001, "server stopping");
+        handshakingWs?.close(1001, "server stopping");
       } catch {
         // ignore
       }
-      for (const ws of cdpClients) {
+      for (const ws of [...cdpClients, ...screencastViewers]) {
         try {
           ws.close(1001, "server stopping");
         } catch {
@@ -739,6 +1089,7 @@ export async function ensureChromeExtensionRelayServer(opts: {
       });
       wssExtension.close();
       wssCdp.close();
+      wssScreencast.close();
     },
   };
 
@@ -0,0 +1,39 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { readUploadPayloads } from "./extension-relay.uploads.js";
+
+describe("extension relay uploads", () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "openclaw-relay-uploads-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("reads each file into an inline payload", async () => {
+    const file = path.join(dir, "notes.txt");
+    await fs.writeFile(file, "hello");
+
+    const [payload] = await readUploadPayloads([file]);
+
+    expect(payload).toMatchObject({
+      name: "notes.txt",
+      data: Buffer.from("hello").toString("base64"),
+    });
+    expect(typeof payload?.lastModified).toBe("number");
+  });
+
+  it("rejects bad input and missing files", async () => {
+    await expect(readUploadPayloads("notes.txt")).rejects.toThrow(/must be an array of paths/);
+    await expect(readUploadPayloads([42])).rejects.toThrow(/must be an array of paths/);
+    await expect(readUploadPayloads([dir])).rejects.toThrow(/not a readable file/);
+    await expect(readUploadPayloads([path.join(dir, "missing.txt")])).rejects.toThrow(
+      /not a readable file/,
+    );
+  });
+});
@@ -0,0 +1,36 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { detectMime } from "../media/mime.js";
+
+// Files are read here (where the agent's paths live) and shipped to the extension inline.
+export const UPLOAD_MAX_TOTAL_BYTES = 50 * 1024 * 1024;
+
+export type UploadPayload = { name: string; mimeType: string; lastModified: number; data: string };
+
+/** Reads `DOM.setFileInputFiles` paths so the extension can set them in a browser on another machine. */
+export async function readUploadPayloads(files: unknown): Promise<UploadPayload[]> {
+  if (!Array.isArray(files) || files.some((f) => typeof f !== "string")) {
+    throw new Error("DOM.setFileInputFiles: files must be an array of paths");
+  }
+  const payloads: UploadPayload[] = [];
+  let total = 0;
+  for (const file of files as string[]) {
+    const stat = await fs.stat(file).catch(() => null);
+    if (!stat?.isFile()) {
+      throw new Error(`DOM.setFileInputFiles: not a readable file: ${file}`);
+    }
+    total += stat.size;
+    if (total > UPLOAD_MAX_TOTAL_BYTES) {
+      throw new Error(
+        `DOM.setFileInputFiles: files exceed ${UPLOAD_MAX_TOTAL_BYTES / (1024 * 1024)} MB (extension relay limit)`,
+      );
+    }
+    payloads.push({
+      name: path.basename(file),
+      mimeType: (await detectMime({ filePath: file })) ?? "",
+      lastModified: stat.mtimeMs,
+      data: (await fs.readFile(file)).toString("base64"),
+    });
+  }
+  return payloads;
+}
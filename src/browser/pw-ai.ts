@@ -49,6 +49,8 @@ export {
   snapshotAriaViaPlaywright,
   snapshotRoleViaPlaywright,
   screenshotWithLabelsViaPlaywright,
+  storageBundleExportViaPlaywright,
+  storageBundleImportViaPlaywright,
   storageClearViaPlaywright,
   storageGetViaPlaywright,
   storageSetViaPlaywright,
@@ -1,4 +1,5 @@
 import { ensurePageState, getPageForTargetId } from "./pw-session.js";
+import { parseStorageBundle, type StorageBundle } from "./storage-bundle.js";
 
 export async function cookiesGetViaPlaywright(opts: {
   cdpUrl: string;
@@ -126,3 +127,68 @@ export async function storageClearViaPlaywright(opts: {
     { kind: opts.kind },
   );
 }
+
+/** Ask the extension relay for a bundle; the user approves it in their browser first. */
+export async function storageBundleExportViaPlaywright(opts: {
+  cdpUrl: string;
+  targetId?: string;
+  origin?: string;
+}): Promise<{ bundle: StorageBundle }> {
+  const page = await getPageForTargetId(opts);
+  ensurePageState(page);
+  const session = await page.context().newCDPSession(page);
+  try {
+    // Relay-only method, so it is not in Playwright's protocol typings.
+    const send = session.send.bind(session) as (
+      method: string,
+      params?: object,
+    ) => Promise<unknown>;
+    const raw = await send(
+      "OpenClaw.exportStorageBundle",
+      opts.origin ? { origin: opts.origin } : {},
+    );
+    return { bundle: parseStorageBundle(raw) };
+  } finally {
+    await session.detach().catch(() => {});
+  }
+}
+
+/**
+ * Load a bundle into the profile's browser context. localStorage is written from a
+ * scratch page whose requests are answered locally, so the origin's server never sees it.
+ */
+export async function storageBundleImportViaPlaywright(opts: {
+  cdpUrl: string;
+  targetId?: string;
+  bundle: StorageBundle;
+}): Promise<{ cookies: number; localStorage: number }> {
+  const page = await getPageForTargetId(opts);
+  ensurePageState(page);
+  const context = page.context();
+  if (opts.bundle.cookies.length > 0) {
+    await context.addCookies(opts.bundle.cookies);
+  }
+  let localStorageCount = 0;
+  const origins = opts.bundle.origins.filter((entry) => entry.localStorage.length > 0);
+  if (origins.length === 0) {
+    return { cookies: opts.bundle.cookies.length, localStorage: 0 };
+  }
+  const scratch = await context.newPage();
+  try {
+    await scratch.route("**/*", (route) =>
+      route.fulfill({ status: 200, contentType: "text/html", body: "<!doctype html>" }),
+    );
+    for (const entry of origins) {
+      await scratch.goto(`${entry.origin}/`);
+      await scratch.evaluate((items) => {
+        for (const item of items) {
+          window.localStorage.setItem(item.name, item.value);
+        }
+      }, entry.localStorage);
+      localStorageCount += entry.localStorage.length;
+    }
+  } finally {
+    await scratch.close().catch(() => {});
+  }
+  return { cookies: opts.bundle.cookies.length, localStorage: localStorageCount };
+}
@@ -1,5 +1,6 @@
 import type { BrowserRouteContext } from "../server-context.js";
 import type { BrowserRouteRegistrar } from "./types.js";
+import { parseStorageBundle, type StorageBundle } from "../storage-bundle.js";
 import { handleRouteError, readBody, requirePwAi, resolveProfileContext } from "./agent.shared.js";
 import { jsonError, toBoolean, toNumber, toStringOrEmpty } from "./utils.js";
 
@@ -188,6 +189,68 @@ export function registerBrowserAgentStorageRoutes(
     }
   });
 
+  app.post("/storage/bundle/export", async (req, res) => {
+    const profileCtx = resolveProfileContext(req, res, ctx);
+    if (!profileCtx) {
+      return;
+    }
+    if (profileCtx.profile.driver !== "extension") {
+      return jsonError(
+        res,
+        400,
+        `Profile "${profileCtx.profile.name}" does not use the Chrome extension relay`,
+      );
+    }
+    const body = readBody(req);
+    const targetId = toStringOrEmpty(body.targetId) || undefined;
+    const origin = toStringOrEmpty(body.origin) || undefined;
+    try {
+      const tab = await profileCtx.ensureTabAvailable(targetId);
+      const pw = await requirePwAi(res, "storage bundle export");
+      if (!pw) {
+        return;
+      }
+      const result = await pw.storageBundleExportViaPlaywright({
+        cdpUrl: profileCtx.profile.cdpUrl,
+        targetId: tab.targetId,
+        origin,
+      });
+      res.json({ ok: true, targetId: tab.targetId, ...result });
+    } catch (err) {
+      handleRouteError(ctx, res, err);
+    }
+  });
+
+  app.post("/storage/bundle/import", async (req, res) => {
+    const profileCtx = resolveProfileContext(req, res, ctx);
+    if (!profileCtx) {
+      return;
+    }
+    const body = readBody(req);
+    const targetId = toStringOrEmpty(body.targetId) || undefined;
+    let bundle: StorageBundle;
+    try {
+      bundle = parseStorageBundle(body.bundle);
+    } catch (err) {
+      return jsonError(res, 400, String(err instanceof Error ? err.message : err));
+    }
+    try {
+      const tab = await profileCtx.ensureTabAvailable(targetId);
+      const pw = await requirePwAi(res, "storage bundle import");
+      if (!pw) {
+        return;
+      }
+      const imported = await pw.storageBundleImportViaPlaywright({
+        cdpUrl: profileCtx.profile.cdpUrl,
+        targetId: tab.targetId,
+        bundle,
+      });
+      res.json({ ok: true, targetId: tab.targetId, origin: bundle.origin, imported });
+    } catch (err) {
+      handleRouteError(ctx, res, err);
+    }
+  });
+
   app.post("/set/offline", async (req, res) => {
     const profileCtx = resolveProfileContext(req, res, ctx);
     if (!profileCtx) {
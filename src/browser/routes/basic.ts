@@ -1,6 +1,7 @@
 import type { BrowserRouteContext } from "../server-context.js";
 import type { BrowserRouteRegistrar } from "./types.js";
 import { resolveBrowserExecutableForPlatform } from "../chrome.executables.js";
+import { ensureChromeExtensionRelayServer } from "../extension-relay.js";
 import { createBrowserProfilesService } from "../profiles-service.js";
 import { getProfileContext, jsonError, toStringOrEmpty } from "./utils.js";
 
@@ -121,6 +122,41 @@ export function registerBrowserBasicRoutes(app: BrowserRouteRegistrar, ctx: Brow
     }
   });
 
+  // Mint a one-time pairing code for a (remote) Chrome extension relay client
+  app.post("/extension/pair", async (req, res) => {
+    const profileCtx = getProfileContext(req, ctx);
+    if ("error" in profileCtx) {
+      return jsonError(res, profileCtx.status, profileCtx.error);
+    }
+    if (profileCtx.profile.driver !== "extension") {
+      return jsonError(
+        res,
+        400,
+        `Profile "${profileCtx.profile.name}" does not use the Chrome extension relay`,
+      );
+    }
+
+    try {
+      const current = ctx.state();
+      const relay = await ensureChromeExtensionRelayServer({
+        cdpUrl: profileCtx.profile.cdpUrl,
+        bindHost: current.resolved.relayBindHost,
+        authSecret: current.relayAuthSecret,
+      });
+      const pairing = relay.createPairingCode();
+      res.json({
+        ok: true,
+        profile: profileCtx.profile.name,
+        code: pairing.code,
+        expiresAt: pairing.expiresAt,
+        relayUrl: relay.baseUrl,
+        bindHost: relay.bindHost,
+      });
+    } catch (err) {
+      jsonError(res, 500, String(err));
+    }
+  });
+
   // Create a new profile
   app.post("/profiles/create", async (req, res) => {
     const name = toStringOrEmpty((req.body as { name?: unknown })?.name);
@@ -20,6 +20,8 @@ export type BrowserServerState = {
   port: number;
   resolved: ResolvedBrowserConfig;
   profiles: Map<string, ProfileRuntimeState>;
+  /** Secret for deriving the extension relay pairing token (gateway auth token/password). */
+  relayAuthSecret?: string;
 };
 
 export type BrowserRouteContext = {
@@ -140,11 +140,13 @@ export async function startBrowserControlServerFromConfig(): Promise<BrowserServ
     return null;
   }
 
+  const relayAuthSecret = browserAuth.token ?? browserAuth.password;
   state = {
     server,
     port,
     resolved,
     profiles: new Map(),
+    relayAuthSecret,
   };
 
   // If any profile uses the Chrome extension relay, start the local relay server eagerly
@@ -154,7 +156,11 @@ export async function startBrowserControlServerFromConfig(): Promise<BrowserServ
     if (!profile || profile.driver !== "extension") {
       continue;
     }
-    await ensureChromeExtensionRelayServer({ cdpUrl: profile.cdpUrl }).catch((err) => {
+    await ensureChromeExtensionRelayServer({
+      cdpUrl: profile.cdpUrl,
+      bindHost: resolved.relayBindHost,
+      authSecret: relayAuthSecret,
+    }).catch((err) => {
       logServer.warn(`Chrome extension relay init failed for profile "${name}": ${String(err)}`);
     });
   }
@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+import { parseStorageBundle } from "./storage-bundle.js";
+
+const bundle = {
+  format: "openclaw-storage-bundle",
+  version: 1,
+  origin: "https://app.example.com",
+  exportedAt: "2026-01-02T00:00:00.000Z",
+  browser: "Chrome",
+  cookies: [
+    {
+      name: "sid",
+      value: "abc",
+      domain: ".example.com",
+      path: "/",
+      expires: 1893456000,
+      httpOnly: true,
+      secure: true,
+      sameSite: "None",
+    },
+  ],
+  origins: [{ origin: "https://app.example.com", localStorage: [{ name: "token", value: "t-1" }] }],
+};
+
+describe("storage bundles", () => {
+  it("accepts bundles exported by the Chrome extension", () => {
+    expect(parseStorageBundle(bundle)).toEqual(bundle);
+  });
+
+  it("fills cookie defaults Playwright needs", () => {
+    const parsed = parseStorageBundle({
+      ...bundle,
+      cookies: [{ name: "pref", domain: "app.example.com", sameSite: "bogus", expires: 0 }],
+    });
+    expect(parsed.cookies).toEqual([
+      {
+        name: "pref",
+        value: "",
+        domain: "app.example.com",
+        path: "/",
+        expires: -1,
+        httpOnly: false,
+        secure: false,
+        sameSite: "Lax",
+      },
+    ]);
+  });
+
+  it("rejects other formats, versions and origins", () => {
+    expect(() => parseStorageBundle({ cookies: [], origins: [] })).toThrow(/not a storage bundle/);
+    expect(() => parseStorageBundle({ ...bundle, version: 2 })).toThrow(/version: 2/);
+    expect(() => parseStorageBundle({ ...bundle, origin: "file:///etc" })).toThrow(
+      /http\(s\) origin/,
+    );
+    expect(() =>
+      parseStorageBundle({
+        ...bundle,
+        origins: [{ origin: "https://a.test/path", localStorage: [] }],
+      }),
+    ).toThrow(/origins must be/);
+    expect(() => parseStorageBundle({ ...bundle, cookies: [{ name: "x" }] })).toThrow(
+      /needs a domain/,
+    );
+  });
+
+  it("keeps primitive localStorage values as text and rejects objects", () => {
+    const withValues = (localStorage: unknown[]) => ({
+      ...bundle,
+      origins: [{ origin: "https://app.example.com", localStorage }],
+    });
+    expect(
+      parseStorageBundle(
+        withValues([
+          { name: "count", value: 3 },
+          { name: "seen", value: true },
+          { name: "empty", value: null },
+        ]),
+      ).origins[0]?.localStorage,
+    ).toEqual([
+      { name: "count", value: "3" },
+      { name: "seen", value: "true" },
+      { name: "empty", value: "" },
+    ]);
+    expect(() => parseStorageBundle(withValues([{ name: "prefs", value: { a: 1 } }]))).toThrow(
+      /localStorage "prefs" must be a string/,
+    );
+  });
+});
@@ -0,0 +1,114 @@
+export const STORAGE_BUNDLE_FORMAT = "openclaw-storage-bundle";
+
+type BundleCookie = {
+  name: string;
+  value: string;
+  domain: string;
+  path: string;
+  expires: number;
+  httpOnly: boolean;
+  secure: boolean;
+  sameSite: "Lax" | "None" | "Strict";
+};
+
+/**
+ * Cookies + localStorage for one origin, exported from a user's tab by the Chrome
+ * extension relay. `cookies`/`origins` follow Playwright's `storageState` shape.
+ */
+export type StorageBundle = {
+  format: typeof STORAGE_BUNDLE_FORMAT;
+  version: 1;
+  origin: string;
+  exportedAt: string;
+  browser?: string;
+  cookies: BundleCookie[];
+  origins: Array<{ origin: string; localStorage: Array<{ name: string; value: string }> }>;
+};
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// localStorage only holds strings; numbers and booleans from hand-edited bundles are kept as text.
+function localStorageValue(name: string, value: unknown): string {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  if (typeof value === "string") {
+    return value;
+  }
+  if (typeof value === "number" || typeof value === "boolean" || typeof value === "bigint") {
+    return `${value}`;
+  }
+  throw new Error(`storage bundle localStorage "${name}" must be a string`);
+}
+
+function httpOrigin(raw: unknown): string | null {
+  try {
+    const url = new URL(String(raw));
+    return (url.protocol === "http:" || url.protocol === "https:") && url.origin === raw
+      ? url.origin
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+export function parseStorageBundle(raw: unknown): StorageBundle {
+  if (!isRecord(raw) || raw.format !== STORAGE_BUNDLE_FORMAT) {
+    throw new Error(`not a storage bundle (expected format "${STORAGE_BUNDLE_FORMAT}")`);
+  }
+  if (raw.version !== 1) {
+    throw new Error(`unsupported storage bundle version: ${String(raw.version)}`);
+  }
+  const origin = httpOrigin(raw.origin);
+  if (!origin) {
+    throw new Error("storage bundle origin must be an http(s) origin");
+  }
+  const cookies: BundleCookie[] = [];
+  for (const cookie of Array.isArray(raw.cookies) ? raw.cookies : []) {
+    if (!isRecord(cookie) || typeof cookie.name !== "string" || !cookie.name) {
+      throw new Error("storage bundle cookies need a name");
+    }
+    if (typeof cookie.domain !== "string" || !cookie.domain) {
+      throw new Error(`storage bundle cookie "${cookie.name}" needs a domain`);
+    }
+    const expires = typeof cookie.expires === "number" ? cookie.expires : -1;
+    cookies.push({
+      name: cookie.name,
+      value: typeof cookie.value === "string" ? cookie.value : "",
+      domain: cookie.domain,
+      path: typeof cookie.path === "string" && cookie.path ? cookie.path : "/",
+      expires: Number.isFinite(expires) && expires > 0 ? expires : -1,
+      httpOnly: cookie.httpOnly === true,
+      secure: cookie.secure === true,
+      sameSite:
+        cookie.sameSite === "Strict" || cookie.sameSite === "None" ? cookie.sameSite : "Lax",
+    });
+  }
+  const origins: StorageBundle["origins"] = [];
+  for (const entry of Array.isArray(raw.origins) ? raw.origins : []) {
+    const entryOrigin = isRecord(entry) ? httpOrigin(entry.origin) : null;
+    if (!entryOrigin || !isRecord(entry)) {
+      throw new Error("storage bundle origins must be http(s) origins");
+    }
+    const items = Array.isArray(entry.localStorage) ? entry.localStorage : [];
+    origins.push({
+      origin: entryOrigin,
+      localStorage: items
+        .filter((item): item is { name: string; value: unknown } => {
+          return isRecord(item) && typeof item.name === "string";
+        })
+        .map((item) => ({ name: item.name, value: localStorageValue(item.name, item.value) })),
+    });
+  }
+  return {
+    format: STORAGE_BUNDLE_FORMAT,
+    version: 1,
+    origin,
+    exportedAt: typeof raw.exportedAt === "string" ? raw.exportedAt : "",
+    browser: typeof raw.browser === "string" ? raw.browser : undefined,
+    cookies,
+    origins,
+  };
+}
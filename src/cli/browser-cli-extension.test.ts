@@ -76,6 +76,36 @@ describe("browser extension install", () => {
     }
   });
 
+  it("installs the Firefox build under its own manifest", async () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "openclaw-ext-"));
+
+    try {
+      const { installChromeExtension } = await import("./browser-cli-extension.js");
+      const sourceDir = path.resolve(process.cwd(), "assets/chrome-extension");
+      const result = await installChromeExtension({ stateDir: tmp, sourceDir, browser: "firefox" });
+
+      expect(result.path).toBe(path.join(tmp, "browser", "firefox-extension"));
+      const manifest = JSON.parse(fs.readFileSync(path.join(result.path, "manifest.json"), "utf8"));
+      expect(manifest.background).toEqual({ scripts: ["background.js"], type: "module" });
+      expect(manifest.browser_specific_settings?.gecko?.id).toBeTruthy();
+      expect(fs.existsSync(path.join(result.path, "manifest.firefox.json"))).toBe(false);
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+
+  it("keeps the Firefox manifest in step with the Chrome one", () => {
+    const dir = path.resolve(process.cwd(), "assets/chrome-extension");
+    const read = (name: string) => JSON.parse(fs.readFileSync(path.join(dir, name), "utf8"));
+    const chrome = read("manifest.json");
+    const firefox = read("manifest.firefox.json");
+
+    expect(firefox.version).toBe(chrome.version);
+    expect(firefox.commands).toEqual(chrome.commands);
+    expect(firefox.action).toEqual(chrome.action);
+    expect(firefox.permissions).not.toContain("debugger");
+  });
+
   it("copies extension path to clipboard", async () => {
     const prev = process.env.OPENCLAW_STATE_DIR;
     const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "openclaw-ext-path-"));
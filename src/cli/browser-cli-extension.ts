@@ -2,6 +2,7 @@ import type { Command } from "commander";
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import type { BrowserExtensionPairResult } from "../browser/client.js";
 import { movePathToTrash } from "../browser/trash.js";
 import { STATE_DIR } from "../config/paths.js";
 import { danger, info } from "../globals.js";
@@ -10,6 +11,8 @@ import { defaultRuntime } from "../runtime.js";
 import { formatDocsLink } from "../terminal/links.js";
 import { theme } from "../terminal/theme.js";
 import { shortenHomePath } from "../utils.js";
+import { callBrowserRequest, type BrowserParentOpts } from "./browser-cli-shared.js";
+import { runCommandWithRuntime } from "./cli-utils.js";
 import { formatCliCommand } from "./command-format.js";
 
 export function resolveBundledExtensionRootDir(
@@ -31,8 +34,24 @@ export function resolveBundledExtensionRootDir(
   return path.resolve(here, "../../assets/chrome-extension");
 }
 
-function installedExtensionRootDir() {
-  return path.join(STATE_DIR, "browser", "chrome-extension");
+export type ExtensionBrowser = "chrome" | "firefox";
+
+// Firefox loads the same files under its own manifest (WebDriver BiDi instead of chrome.debugger).
+const FIREFOX_MANIFEST = "manifest.firefox.json";
+
+function parseExtensionBrowser(raw: unknown): ExtensionBrowser {
+  const value = typeof raw === "string" ? raw.trim().toLowerCase() : "";
+  if (!value || value === "chrome") {
+    return "chrome";
+  }
+  if (value === "firefox") {
+    return "firefox";
+  }
+  throw new Error(`Unknown browser "${String(raw)}" (expected chrome or firefox)`);
+}
+
+function installedExtensionRootDir(browser: ExtensionBrowser = "chrome", stateDir = STATE_DIR) {
+  return path.join(stateDir, "browser", `${browser}-extension`);
 }
 
 function hasManifest(dir: string) {
@@ -42,14 +61,18 @@ function hasManifest(dir: string) {
 export async function installChromeExtension(opts?: {
   stateDir?: string;
   sourceDir?: string;
+  browser?: ExtensionBrowser;
 }): Promise<{ path: string }> {
+  const browser = opts?.browser ?? "chrome";
   const src = opts?.sourceDir ?? resolveBundledExtensionRootDir();
   if (!hasManifest(src)) {
     throw new Error("Bundled Chrome extension is missing. Reinstall OpenClaw and try again.");
   }
+  if (browser === "firefox" && !fs.existsSync(path.join(src, FIREFOX_MANIFEST))) {
+    throw new Error("Bundled Firefox manifest is missing. Reinstall OpenClaw and try again.");
+  }
 
-  const stateDir = opts?.stateDir ?? STATE_DIR;
-  const dest = path.join(stateDir, "browser", "chrome-extension");
+  const dest = installedExtensionRootDir(browser, opts?.stateDir);
   fs.mkdirSync(path.dirname(dest), { recursive: true });
 
   if (fs.existsSync(dest)) {
@@ -60,6 +83,9 @@ export async function installChromeExtension(opts?: {
   }
 
   await fs.promises.cp(src, dest, { recursive: true });
+  if (browser === "firefox") {
+    await fs.promises.rename(path.join(dest, FIREFOX_MANIFEST), path.join(dest, "manifest.json"));
+  }
   if (!hasManifest(dest)) {
     throw new Error("Chrome extension install failed (manifest.json missing). Try again.");
   }
@@ -69,18 +95,21 @@ export async function installChromeExtension(opts?: {
 
 export function registerBrowserExtensionCommands(
   browser: Command,
-  parentOpts: (cmd: Command) => { json?: boolean },
+  parentOpts: (cmd: Command) => BrowserParentOpts,
 ) {
   const ext = browser.command("extension").description("Chrome extension helpers");
 
   ext
     .command("install")
     .description("Install the Chrome extension to a stable local path")
-    .action(async (_opts, cmd) => {
+    .option("--browser <browser>", "chrome (also Edge, Brave, …) or firefox", "chrome")
+    .action(async (opts: { browser?: string }, cmd) => {
       const parent = parentOpts(cmd);
+      let target: ExtensionBrowser;
       let installed: { path: string };
       try {
-        installed = await installChromeExtension();
+        target = parseExtensionBrowser(opts.browser);
+        installed = await installChromeExtension({ browser: target });
       } catch (err) {
         defaultRuntime.error(danger(String(err)));
         defaultRuntime.exit(1);
@@ -98,8 +127,16 @@ export function registerBrowserExtensionCommands(
           [
             copied ? "Copied to clipboard." : "Copy to clipboard unavailable.",
             "Next:",
-            `- Chrome → chrome://extensions → enable “Developer mode”`,
-            `- “Load unpacked” → select: ${displayPath}`,
+            ...(target === "firefox"
+              ? [
+                  `- Firefox → about:debugging#/runtime/this-firefox → “Load Temporary Add-on…”`,
+                  `- Select: ${path.join(displayPath, "manifest.json")}`,
+                  `- Start Firefox with --remote-debugging-port 9222 (the extension options show the full flags)`,
+                ]
+              : [
+                  `- Chrome → chrome://extensions → enable “Developer mode”`,
+                  `- “Load unpacked” → select: ${displayPath}`,
+                ]),
             `- Pin “OpenClaw Browser Relay”, then click it on the tab (badge shows ON)`,
             "",
             `${theme.muted("Docs:")} ${formatDocsLink("/tools/chrome-extension", "docs.openclaw.ai/tools/chrome-extension")}`,
@@ -111,14 +148,26 @@ export function registerBrowserExtensionCommands(
   ext
     .command("path")
     .description("Print the path to the installed Chrome extension (load unpacked)")
-    .action(async (_opts, cmd) => {
+    .option("--browser <browser>", "chrome (also Edge, Brave, …) or firefox", "chrome")
+    .action(async (opts: { browser?: string }, cmd) => {
       const parent = parentOpts(cmd);
-      const dir = installedExtensionRootDir();
+      let target: ExtensionBrowser;
+      try {
+        target = parseExtensionBrowser(opts.browser);
+      } catch (err) {
+        defaultRuntime.error(danger(String(err)));
+        defaultRuntime.exit(1);
+      }
+      const dir = installedExtensionRootDir(target);
       if (!hasManifest(dir)) {
+        const [label, install] =
+          target === "firefox"
+            ? ["Firefox", "openclaw browser extension install --browser firefox"]
+            : ["Chrome", "openclaw browser extension install"];
         defaultRuntime.error(
           danger(
             [
-              `Chrome extension is not installed. Run: "${formatCliCommand("openclaw browser extension install")}"`,
+              `${label} extension is not installed. Run: "${formatCliCommand(install)}"`,
               `Docs: ${formatDocsLink("/tools/chrome-extension", "docs.openclaw.ai/tools/chrome-extension")}`,
             ].join("\n"),
           ),
@@ -136,4 +185,49 @@ export function registerBrowserExtensionCommands(
         defaultRuntime.error(info("Copied to clipboard."));
       }
     });
+
+  ext
+    .command("pair")
+    .description("Create a one-time pairing code for a remote Chrome extension")
+    .action(async (_opts, cmd: Command) => {
+      // `pair` sits under `browser extension`; gateway + profile flags live on `browser`.
+      const parent = parentOpts(cmd.parent ?? cmd);
+      const profile = parent?.browserProfile;
+      await runCommandWithRuntime(
+        defaultRuntime,
+        async () => {
+          const result = await callBrowserRequest<BrowserExtensionPairResult>(
+            parent,
+            {
+              method: "POST",
+              path: "/extension/pair",
+              query: profile ? { profile } : undefined,
+            },
+            { timeoutMs: 5000 },
+          );
+          if (parent?.json) {
+            defaultRuntime.log(JSON.stringify(result, null, 2));
+            return;
+          }
+          const minutes = Math.max(1, Math.round((result.expiresAt - Date.now()) / 60_000));
+          defaultRuntime.log(result.code);
+          defaultRuntime.error(
+            info(
+              [
+                `Pairing code for profile "${result.profile}" (single use, expires in ${minutes} min).`,
+                `- Extension Options → Relay URL: http(s)://<this host>:${new URL(result.relayUrl).port}`,
+                "- Paste the code under “Pairing code” and click Pair",
+                `- Relay listens on ${result.bindHost}; set browser.relayBindHost to reach it from another machine`,
+                "",
+                `${theme.muted("Docs:")} ${formatDocsLink("/tools/chrome-extension", "docs.openclaw.ai/tools/chrome-extension")}`,
+              ].join("\n"),
+            ),
+          );
+        },
+        (err) => {
+          defaultRuntime.error(danger(String(err)));
+          defaultRuntime.exit(1);
+        },
+      );
+    });
 }
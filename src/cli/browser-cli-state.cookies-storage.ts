@@ -1,4 +1,6 @@
 import type { Command } from "commander";
+import fs from "node:fs/promises";
+import type { StorageBundle } from "../browser/storage-bundle.js";
 import { danger } from "../globals.js";
 import { defaultRuntime } from "../runtime.js";
 import { callBrowserRequest, type BrowserParentOpts } from "./browser-cli-shared.js";
@@ -211,4 +213,80 @@ export function registerBrowserCookiesAndStorageCommands(
 
   registerStorageKind("local");
   registerStorageKind("session");
+
+  storage
+    .command("export-bundle")
+    .description(
+      "Export cookies + localStorage for the attached tab's origin (Chrome extension profiles; asks the user first)",
+    )
+    .argument("<file>", "Where to write the JSON bundle")
+    .option("--origin <origin>", "Origin to export (defaults to the tab's origin)")
+    .option("--target-id <id>", "CDP target id (or unique prefix)")
+    .action(async (file: string, opts, cmd) => {
+      const parent = parentOpts(cmd);
+      const profile = parent?.browserProfile;
+      try {
+        const result = await callBrowserRequest<{ bundle: StorageBundle }>(
+          parent,
+          {
+            method: "POST",
+            path: "/storage/bundle/export",
+            query: profile ? { profile } : undefined,
+            body: {
+              targetId: opts.targetId?.trim() || undefined,
+              origin: opts.origin?.trim() || undefined,
+            },
+          },
+          { timeoutMs: 45000 },
+        );
+        // The bundle holds live session cookies; keep it private to this user.
+        await fs.writeFile(file, `${JSON.stringify(result.bundle, null, 2)}\n`, { mode: 0o600 });
+        if (parent?.json) {
+          defaultRuntime.log(JSON.stringify({ ...result, bundle: undefined, file }, null, 2));
+          return;
+        }
+        defaultRuntime.log(
+          `exported ${result.bundle.cookies.length} cookie(s) for ${result.bundle.origin} to ${file}`,
+        );
+      } catch (err) {
+        defaultRuntime.error(danger(String(err)));
+        defaultRuntime.exit(1);
+      }
+    });
+
+  storage
+    .command("import-bundle")
+    .description("Import a bundle from export-bundle into this profile's browser")
+    .argument("<file>", "JSON bundle written by export-bundle")
+    .option("--target-id <id>", "CDP target id (or unique prefix)")
+    .action(async (file: string, opts, cmd) => {
+      const parent = parentOpts(cmd);
+      const profile = parent?.browserProfile;
+      try {
+        const bundle = JSON.parse(await fs.readFile(file, "utf8")) as unknown;
+        const result = await callBrowserRequest<{
+          origin: string;
+          imported: { cookies: number; localStorage: number };
+        }>(
+          parent,
+          {
+            method: "POST",
+            path: "/storage/bundle/import",
+            query: profile ? { profile } : undefined,
+            body: { targetId: opts.targetId?.trim() || undefined, bundle },
+          },
+          { timeoutMs: 30000 },
+        );
+        if (parent?.json) {
+          defaultRuntime.log(JSON.stringify(result, null, 2));
+          return;
+        }
+        defaultRuntime.log(
+          `imported ${result.imported.cookies} cookie(s) and ${result.imported.localStorage} localStorage key(s) for ${result.origin}`,
+        );
+      } catch (err) {
+        defaultRuntime.error(danger(String(err)));
+        defaultRuntime.exit(1);
+      }
+    });
 }
@@ -18,6 +18,11 @@ export type BrowserConfig = {
   evaluateEnabled?: boolean;
   /** Base URL of the CDP endpoint (for remote browsers). Default: loopback CDP on the derived port. */
   cdpUrl?: string;
+  /**
+   * Interface the Chrome extension relay listens on. Default: loopback.
+   * Set to a LAN/container address (or 0.0.0.0) to let a paired remote extension connect.
+   */
+  relayBindHost?: string;
   /** Remote CDP HTTP timeout (ms). Default: 1500. */
   remoteCdpTimeoutMs?: number;
   /** Remote CDP WebSocket handshake timeout (ms). Default: max(remoteCdpTimeoutMs * 2, 2000). */